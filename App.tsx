@@ -8,20 +8,27 @@ import { ShareModal } from './components/ShareModal';
 import { LandingPage } from './components/LandingPage';
 import { PricingPage } from './components/PricingPage';
 import { BlogPage } from './components/BlogPage';
+import { AdminPage } from './components/AdminPage';
+import { TeamPage } from './components/TeamPage';
+import { AmbassadorPage } from './components/AmbassadorPage';
+import { InvitePage } from './components/InvitePage';
+import { NewsletterPage } from './components/NewsletterPage';
 import { AboutPage } from './components/AboutPage';
 import { TermsPage } from './components/TermsPage';
 import { PrivacyPage } from './components/PrivacyPage';
 import { ContactPage } from './components/ContactPage';
 import { AuthPage } from './components/AuthPage';
 import { ResetPasswordPage } from './components/ResetPasswordPage';
+import { SharedSessionPage } from './components/SharedSessionPage';
 import ForgotPasswordPage from './components/ForgotPasswordPage';
 import { GuestLimitModal } from './components/GuestLimitModal';
 import { supabase } from './services/supabaseClient';
-import { apiRequest } from './services/api';
-import { Message, Role, ChatSession } from './types';
+import { apiRequest, apiFetch, buildShareUrl } from './services/api';
+import { Message, Role, ChatSession, UsageSummary, SessionShare, FeedbackInput, FeedbackCreate, PreferencesUpdate, SessionCreate, SessionRename, ActiveMessageUpdate, ShareCreate, ReferralClick, Permission, UserPermissions } from './types';
 import { streamChatResponse, transcribeAudio, generateRelatedQuestions } from './services/geminiService';
 import { VOICE_LANGUAGES, getRandomQuestions, DEFAULT_QUESTION_POOL, getWelcomeMessage, isWelcomeMessage, isArabic } from './constants';
 import { Logo } from './components/Logo';
+import { ExportMenu } from './components/ExportMenu';
 
 
 
@@ -37,6 +44,20 @@ const generateId = () => {
   );
 };
 
+// chat_messages row (GET /api/sessions/:id/messages, PUT /api/sessions/:id/active) -> Message
+const fromStoredMessage = (m: any): Message => ({
+  id: m.id,
+  role: m.role === 'user' ? Role.USER : Role.MODEL,
+  text: m.content,
+  timestamp: new Date(m.created_at),
+  citations: m.citations || undefined,
+  verification: m.verification || undefined,
+  siblingIds: m.sibling_ids || undefined
+});
+
+// Versions of a message, including itself (for the "1/2" version navigation)
+const versionsOf = (message: Message): string[] => message.siblingIds?.length ? message.siblingIds : [message.id];
+
 // Helper to convert Blob to Base64
 const blobToBase64 = (blob: Blob): Promise<string> => {
   return new Promise((resolve, reject) => {
@@ -55,16 +76,6 @@ interface NotificationState {
   type: 'error' | 'info';
 }
 
-// Privileged Roles Constant
-const PRIVILEGED_ROLES = [
-  'admin', 'superuser', 'owner',
-  'team', 'developer', 'support',
-  'friend', 'friends', 'family',
-  'friends_and_family', 'family_and_friends',
-  'ambassador', 'ambassadors', 'ambassasors',
-  'partner', 'vip'
-];
-
 const App: React.FC = () => {
   // Routing State
   const [showLanding, setShowLanding] = useState(true);
@@ -77,6 +88,12 @@ const App: React.FC = () => {
   const [showAuth, setShowAuth] = useState(false);
   const [showResetPassword, setShowResetPassword] = useState(false);
   const [showForgotPassword, setShowForgotPassword] = useState(false);
+  const [sharedToken, setSharedToken] = useState<string | null>(null); // Public share link (/s/:token)
+  const [showAdmin, setShowAdmin] = useState(false); // /admin, only rendered for admins
+  const [showTeam, setShowTeam] = useState(false); // /team, organization workspace
+  const [showAmbassador, setShowAmbassador] = useState(false); // /ambassador, referral dashboard
+  const [inviteToken, setInviteToken] = useState<string | null>(null); // Organization invitation (/invite/:token)
+  const [newsletterLink, setNewsletterLink] = useState<{ action: 'confirm' | 'unsubscribe'; token: string } | null>(null); // /newsletter/confirm, /newsletter/unsubscribe
   const [authView, setAuthView] = useState<'login' | 'signup'>('login');
 
 
@@ -103,6 +120,25 @@ const App: React.FC = () => {
       } else if (path === '/forgot-password') {
         setShowForgotPassword(true);
         setShowLanding(false);
+      } else if (path.startsWith('/s/')) {
+        setSharedToken(decodeURIComponent(path.slice(3)));
+        setShowLanding(false);
+      } else if (path === '/admin') {
+        setShowAdmin(true);
+        setShowLanding(false);
+      } else if (path === '/team') {
+        setShowTeam(true);
+        setShowLanding(false);
+      } else if (path === '/ambassador') {
+        setShowAmbassador(true);
+        setShowLanding(false);
+      } else if (path.startsWith('/invite/')) {
+        setInviteToken(decodeURIComponent(path.slice(8)));
+        setShowLanding(false);
+      } else if (path === '/newsletter/confirm' || path === '/newsletter/unsubscribe') {
+        const token = new URLSearchParams(window.location.search).get('token') || '';
+        setNewsletterLink({ action: path === '/newsletter/confirm' ? 'confirm' : 'unsubscribe', token });
+        setShowLanding(false);
       } else if (path === '/pricing') {
         // Fix: Handle pricing route explicitly
         setShowPricing(true);
@@ -118,6 +154,12 @@ const App: React.FC = () => {
         setShowPrivacy(false);
         setShowTerms(false);
         setShowResetPassword(false);
+        setSharedToken(null);
+        setShowAdmin(false);
+        setShowTeam(false);
+        setShowAmbassador(false);
+        setInviteToken(null);
+        setNewsletterLink(null);
         setShowLanding(true);
       }
     };
@@ -136,6 +178,9 @@ const App: React.FC = () => {
     const ref = params.get('ref');
     if (ref) {
       localStorage.setItem('mdnexa_ref', ref);
+      // Counted as a landing on the ambassador's dashboard
+      apiFetch('/referrals/click', { method: 'POST', body: JSON.stringify({ code: ref } satisfies ReferralClick) })
+        .catch(err => console.warn('Failed to record referral click:', err));
     }
   }, []);
 
@@ -181,12 +226,15 @@ const App: React.FC = () => {
     if (localStorage.getItem('mdnexa_save_settings') === 'false') return "Physician";
     return localStorage.getItem('mdnexa_user_role') || "Physician";
   });
-  // System Role (for Privileges) vs Professional Role (for AI Context)
-  const [systemRole, setSystemRole] = useState<string>('user');
+  // What the signed-in user may do (GET /api/users/me/permissions); userRole above is only their profession, for the AI
+  const [permissions, setPermissions] = useState<Permission[]>([]);
+  const can = (permission: Permission) => permissions.includes(permission);
 
   // Session Management
   const [sessions, setSessions] = useState<ChatSession[]>([]);
   const [currentSessionId, setCurrentSessionId] = useState<string>(generateId());
+  const [focusMessageId, setFocusMessageId] = useState<string | null>(null); // Set by Sidebar history search
+  const [chatModels, setChatModels] = useState<string[]>([]); // For "regenerate with a specific model"
 
   // Current Chat State
   const [messages, setMessages] = useState<Message[]>([
@@ -215,10 +263,9 @@ const App: React.FC = () => {
 
   // Guest Mode State
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [guestUsageCount, setGuestUsageCount] = useState<number>(0);
   const [isGuestLimitModalOpen, setIsGuestLimitModalOpen] = useState(false);
   const [subscription, setSubscription] = useState<any>(null); // Track subscription status
-  const [freeUsageCount, setFreeUsageCount] = useState(0);
+  const [usage, setUsage] = useState<UsageSummary | null>(null); // Server-side quota (GET /api/usage)
   const [pendingSubscriptionPriceId, setPendingSubscriptionPriceId] = useState<string | null>(null);
 
   // -- Suggestion Deck Logic --
@@ -258,24 +305,20 @@ const App: React.FC = () => {
     return nextBatch;
   };
 
-  // Load guest usage from local storage on mount
-  useEffect(() => {
-    const savedCount = localStorage.getItem('mdnexa_guest_usage_v1');
-    if (savedCount) {
-      setGuestUsageCount(parseInt(savedCount, 10));
+  // Quota is counted by the backend (per user, or per IP/device for guests)
+  const refreshUsage = async () => {
+    try {
+      const data = await apiRequest('/usage');
+      setUsage(data);
+    } catch (err) {
+      console.error("Failed to load usage", err);
     }
-  }, []);
+  };
 
-  // Update free usage count when user changes
+  // Reload usage whenever the auth state changes (guest <-> user plan)
   useEffect(() => {
-    if (userName && userName !== 'Guest') {
-      // Simple hashing or usage of email/name as key since we don't have ID handy in state without profile fetch
-      // ideally we use user ID. Let's assume we can get it or just use the name for now as a composite key
-      const key = `mdnexa_free_usage_${userName}`;
-      const saved = localStorage.getItem(key);
-      setFreeUsageCount(saved ? parseInt(saved, 10) : 0);
-    }
-  }, [userName]);
+    refreshUsage();
+  }, [isAuthenticated]);
 
   // Function to fetch user profile
   const fetchUserProfile = async (userId: string) => {
@@ -287,22 +330,6 @@ const App: React.FC = () => {
         if (metaName) {
           setUserName(metaName);
         }
-
-        // Extract System Role for Privileges
-        // Check ALL locations for any privileged role (FIXED: Scan all)
-        const allRoles = [
-          user.app_metadata?.role,
-          user.user_metadata?.role,
-          user.role,
-          'user'
-        ].filter(Boolean).map(r => String(r).toLowerCase());
-
-        // Find the most privileged role if exists
-        const foundPrivilegedRole = allRoles.find(r => PRIVILEGED_ROLES.includes(r));
-        const finalSystemRole = foundPrivilegedRole || allRoles[0] || 'user';
-
-        setSystemRole(finalSystemRole);
-        console.log("[App] Roles Scanned:", allRoles, "-> Selected System Role:", finalSystemRole);
       }
 
       // 2. Fetch User Data & Preferences from API
@@ -312,17 +339,14 @@ const App: React.FC = () => {
         const name = userData.full_name || userData.email?.split('@')[0] || "Guest";
         setUserName(name);
 
-        // DB Role Check for Privileges
-        // Check both specific 'role' column and metadata that might be merged
-        const dbRole = String(userData.role || userData.app_metadata?.role || '').toLowerCase();
+        if (userData.professional_role) setUserRole(userData.professional_role);
 
-        if (PRIVILEGED_ROLES.includes(dbRole)) {
-          setSystemRole(dbRole);
-          console.log("[App] System Role Enforced from DB:", dbRole);
-        } else {
-          // Only apply DB role to AI Context if it's NOT a system role (e.g. "Nurse")
-          // Otherwise keep default "Physician" to avoid "You are a User"
-          setUserRole(userData.role || 'Physician');
+        // Privileges are decided by the backend
+        try {
+          const { permissions } = await apiRequest<UserPermissions>('/users/me/permissions');
+          setPermissions(permissions);
+        } catch (err) {
+          setPermissions([]);
         }
 
         // Fetch Subscription Status
@@ -384,7 +408,7 @@ const App: React.FC = () => {
       } else {
         setUserName("");
         setSubscription(null); // Clear subscription on logout
-        setFreeUsageCount(0); // Clear free usage count on logout
+        setPermissions([]);
       }
     });
 
@@ -401,7 +425,7 @@ const App: React.FC = () => {
         localStorage.removeItem('user');
         setUserName("");
         setSubscription(null); // Clear subscription on logout
-        setFreeUsageCount(0); // Clear free usage count on logout
+        setPermissions([]);
       }
     });
 
@@ -494,6 +518,35 @@ const App: React.FC = () => {
     }
   };
 
+  // Share links (POST /api/sessions/:id/share) only exist for saved sessions; otherwise the text is shared
+  const createShareLink = async (messageId?: string): Promise<string> => {
+    const share: SessionShare = await apiRequest(`/sessions/${currentSessionId}/share`, 'POST', (messageId ? { messageId } : {}) satisfies ShareCreate);
+    return buildShareUrl(share.token);
+  };
+
+  const handleShareMessage = async (title: string, text: string, messageId?: string) => {
+    if (isAuthenticated && messageId) {
+      try {
+        const url = await createShareLink(messageId);
+        handleOpenShare(title, "Read this MDnexa answer with its references.", url);
+        return;
+      } catch (err) {
+        console.warn("Share link unavailable, sharing the text instead.", err);
+      }
+    }
+    handleOpenShare(title, text);
+  };
+
+  const handleShareSession = async () => {
+    try {
+      const url = await createShareLink();
+      const title = sessions.find((s) => s.id === currentSessionId)?.title || "MDnexa Consultation";
+      handleOpenShare(title, "Read this MDnexa consultation.", url);
+    } catch (err: any) {
+      showNotification(`Could not create share link: ${err.message}`, 'error');
+    }
+  };
+
   // Check for Speech Recognition API support (Chrome/Safari) to hide on unsupported browsers (Firefox)
   useEffect(() => {
     if (typeof window !== 'undefined') {
@@ -508,6 +561,23 @@ const App: React.FC = () => {
     }
   }, [messages, showLanding, showPricing, showBlog, showAbout, showTerms, showPrivacy, showContact, showAuth]);
 
+  // History search: scroll to (and briefly highlight) the matching message once it is rendered
+  useEffect(() => {
+    if (!focusMessageId) return;
+    const element = document.getElementById(`message-${focusMessageId}`);
+    if (!element) return; // Messages still loading
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => setFocusMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [focusMessageId, messages]);
+
+  // Model hierarchy for "regenerate with a specific model"
+  useEffect(() => {
+    apiRequest('/chat/models')
+      .then((data) => setChatModels(data?.models || []))
+      .catch((err) => console.warn("Failed to load chat models", err));
+  }, []);
+
   // Debounced Settings Save
   useEffect(() => {
     // Local Persistence
@@ -532,7 +602,7 @@ const App: React.FC = () => {
         try {
           await apiRequest('/settings/preferences', 'PUT', {
             region, country, language, isShortAnswer, fontSize, theme, userRole
-          });
+          } as PreferencesUpdate);
         } catch (e) { console.error("Cloud save failed", e); }
       }, 2000); // 2 second debounce
 
@@ -752,6 +822,15 @@ const App: React.FC = () => {
     }
   };
 
+  const handleLimitReached = (message?: string) => {
+    if (!isAuthenticated) {
+      setIsGuestLimitModalOpen(true);
+    } else {
+      alert(message || "You have reached your free question limit. Upgrade for unlimited access.");
+      setShowPricing(true);
+    }
+  };
+
   const handleSendMessage = async () => {
     if (!input.trim() || isLoading) return;
 
@@ -759,67 +838,103 @@ const App: React.FC = () => {
       stopRecording();
     }
 
-    // Guest Mode Limit Check
-    if (!isAuthenticated) {
-      if (guestUsageCount >= 5) {
-        setIsGuestLimitModalOpen(true);
-        return;
-      }
+    // Quota Pre-check
+    // The server enforces limits; this only skips a request we already know will be rejected.
+    if (usage?.features.chat.remaining === 0) {
+      handleLimitReached();
+      return;
+    }
 
-      const newCount = guestUsageCount + 1;
-      setGuestUsageCount(newCount);
-      localStorage.setItem('mdnexa_guest_usage_v1', String(newCount));
-    } else {
-      // Authenticated Free Tier Limit Check
-      // Bypass for privileged roles
-      const privilegedRoles = [
-        'admin', 'superuser', 'owner',
-        'team', 'developer', 'support',
-        'friend', 'friends', 'family',
-        'friends_and_family', 'family_and_friends',
-        'ambassador', 'ambassadors', 'ambassasors',
-        'partner', 'vip'
-      ];
+    const userText = input.trim();
+    setInput('');
 
-      // CRITICAL FIX: Check SYSTEM role (admin/friend), NOT Professional Role (Doctor)
-      const isPrivileged = privilegedRoles.includes(systemRole.toLowerCase());
+    if (textareaRef.current) {
+      textareaRef.current.style.height = 'auto';
+    }
 
-      const isActive = subscription && subscription.status === 'active';
-      console.log(`[Debug] Checking Limit: Count=${freeUsageCount}, Active=${isActive}, SystemRole=${systemRole}, Privileged=${isPrivileged}`);
+    await sendExchange({
+      history: messages,
+      question: { id: generateId(), role: Role.USER, text: userText, timestamp: new Date() }
+    });
+  };
 
-      if (!isActive && !isPrivileged) {
-        if (freeUsageCount >= 5) {
-          alert("You have reached your 5 free questions limit. Upgrade for unlimited access.");
-          setShowPricing(true);
-          return;
-        }
-        const newCount = freeUsageCount + 1;
-        setFreeUsageCount(newCount);
-        localStorage.setItem(`mdnexa_free_usage_${userName}`, String(newCount));
-      }
+  // Edit-and-resend: the edited question replaces the original and everything after it.
+  // In saved sessions the original stays available as another version.
+  const handleEditMessage = async (messageId: string, text: string) => {
+    const index = messages.findIndex(m => m.id === messageId);
+    if (index === -1 || isLoading) return;
+
+    if (usage?.features.chat.remaining === 0) {
+      handleLimitReached();
+      return;
     }
 
-    const abortController = new AbortController();
-    abortControllerRef.current = abortController;
+    await sendExchange({
+      history: messages.slice(0, index),
+      question: { id: generateId(), role: Role.USER, text, timestamp: new Date() },
+      editOf: messages[index]
+    });
+  };
 
-    const userText = input.trim();
+  // Regenerate: another answer to the same question, optionally from a specific model
+  const handleRegenerate = async (messageId: string, model?: string) => {
+    const index = messages.findIndex(m => m.id === messageId);
+    const question = messages[index - 1];
+    if (index < 1 || question.role !== Role.USER || isLoading) return;
 
+    if (usage?.features.chat.remaining === 0) {
+      handleLimitReached();
+      return;
+    }
 
-    setInput('');
+    await sendExchange({
+      history: messages.slice(0, index - 1),
+      question,
+      regenerateOf: messages[index],
+      model
+    });
+  };
 
-    if (textareaRef.current) {
-      textareaRef.current.style.height = 'auto';
+  // Shows another version of a message, with the newest branch below it (saved sessions only)
+  const handleSwitchVersion = async (messageId: string, sessionId: string = currentSessionId) => {
+    if (isLoading) return;
+    try {
+      const branch = await apiRequest(`/sessions/${sessionId}/active`, 'PUT', { messageId } satisfies ActiveMessageUpdate);
+      if (branch) {
+        shouldAutoScrollRef.current = false;
+        setMessages(branch.map(fromStoredMessage));
+      }
+    } catch (e: any) {
+      console.error("Failed to switch version", e);
+      showNotification(`Failed to switch version: ${e.message}`, 'error');
     }
+  };
 
-    const newUserMessage: Message = {
-      id: generateId(),
-      role: Role.USER,
-      text: userText,
-      timestamp: new Date(),
-    };
+  // Thumbs up/down or an inaccuracy report on a saved answer (errors are shown by MessageBubble)
+  const handleFeedback = async (messageId: string, feedback: FeedbackInput) => {
+    await apiRequest('/feedback', 'POST', { messageId, ...feedback } satisfies FeedbackCreate);
+  };
+
+  /**
+   * Streams an answer to `question` after `history`.
+   * - editOf: the question being replaced (stored as a new version of it)
+   * - regenerateOf: the answer being replaced (`question` is then the existing, unchanged question)
+   */
+  const sendExchange = async ({ history, question, editOf, regenerateOf, model }: {
+    history: Message[];
+    question: Message;
+    editOf?: Message;
+    regenerateOf?: Message;
+    model?: string;
+  }) => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    const previousMessages = messages;
+    const userText = question.text;
+    const newUserMessage = question;
 
     shouldAutoScrollRef.current = true;
-    setMessages((prev) => [...prev, newUserMessage]);
     setIsLoading(true);
 
     const aiMessageId = generateId();
@@ -829,11 +944,11 @@ const App: React.FC = () => {
       text: '',
       timestamp: new Date(),
     };
-    setMessages((prev) => [...prev, initialAiMessage]);
+    setMessages([...history, newUserMessage, initialAiMessage]);
 
     try {
-      const fullResponseText = await streamChatResponse({
-        history: messages,
+      const { text: fullResponseText, citations, verification, guidelines, messageIds } = await streamChatResponse({
+        history,
         newMessage: userText,
         region,
         country,
@@ -848,9 +963,29 @@ const App: React.FC = () => {
           );
         },
         signal: abortController.signal,
-        sessionId: isAuthenticated ? currentSessionId : undefined // Pass Session ID for backend persistence
+        sessionId: isAuthenticated ? currentSessionId : undefined, // Pass Session ID for backend persistence
+        // Saved sessions store edits/regenerations as new versions next to the original
+        editMessageId: isAuthenticated ? editOf?.id : undefined,
+        regenerateMessageId: isAuthenticated ? regenerateOf?.id : undefined,
+        model
       });
 
+      // Attach the verified reference list once the answer is complete,
+      // and switch to the stored ids so the messages can be addressed later (share links)
+      setMessages((prev) =>
+        prev.map((msg) => {
+          if (msg.id === aiMessageId) {
+            const siblingIds = regenerateOf && messageIds?.model ? [...versionsOf(regenerateOf), messageIds.model] : undefined;
+            return { ...msg, id: messageIds?.model || msg.id, text: fullResponseText, citations, verification, guidelines, siblingIds };
+          }
+          if (msg.id === newUserMessage.id && messageIds?.user) {
+            const siblingIds = editOf ? [...versionsOf(editOf), messageIds.user] : msg.siblingIds;
+            return { ...msg, id: messageIds.user, siblingIds };
+          }
+          return msg;
+        })
+      );
+
       // --- Generate Follow-up Questions ---
       try {
         const related = await generateRelatedQuestions(userText, fullResponseText, userRole, language);
@@ -862,8 +997,8 @@ const App: React.FC = () => {
       }
 
       // --- Refresh Session Title (Smart Title) ---
-      // The backend generates a title asynchronously. We fetch it now to update the UI.
-      if (isAuthenticated && messages.length <= 2) { // Only needed for new chats
+      // The backend titles the session before it answers. We fetch it now to update the UI.
+      if (isAuthenticated && history.length <= 2 && !editOf && !regenerateOf) { // Only needed for new chats
         setTimeout(async () => {
           try {
             const sessionsData = await apiRequest('/sessions');
@@ -911,6 +1046,20 @@ const App: React.FC = () => {
     } catch (error: any) {
       if (error.name === 'AbortError') {
         console.log('Generation stopped by user');
+      } else if (error.code === 'LIMIT_REACHED') {
+        // Rejected by the quota engine: drop the pending exchange and give the question back
+        setMessages(previousMessages);
+        if (!editOf && !regenerateOf) setInput(userText);
+        handleLimitReached(error.message);
+      } else if (error.code === 'RATE_LIMITED') {
+        // Burst limit (not the quota): say so and let them retry shortly
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg.id === aiMessageId
+              ? { ...msg, text: error.message, isError: true }
+              : msg
+          )
+        );
       } else {
         console.error(error);
         setMessages((prev) =>
@@ -924,6 +1073,7 @@ const App: React.FC = () => {
     } finally {
       setIsLoading(false);
       abortControllerRef.current = null;
+      refreshUsage();
     }
   };
 
@@ -947,7 +1097,7 @@ const App: React.FC = () => {
           title: 'New Consultation',
           region,
           country
-        });
+        } satisfies SessionCreate);
         if (newSession && newSession.id) newId = newSession.id;
       } catch (e) {
         console.error("Failed to create cloud session", e);
@@ -970,25 +1120,24 @@ const App: React.FC = () => {
     }
   };
 
-  const loadSession = async (session: ChatSession) => {
+  const loadSession = async (session: ChatSession, messageIdToFocus?: string) => {
     handleStopGeneration();
+    setFocusMessageId(messageIdToFocus || null);
     setCurrentSessionId(session.id);
     setRegion(session.region);
     setCountry(session.country);
     setIsSidebarOpen(false);
 
     // If session has no messages (lazy loaded from cloud), fetch them
-    if (isAuthenticated && (!session.messages || session.messages.length === 0)) {
+    // (the server returns the branch that was active last time)
+    let loaded = session.messages || [];
+    if (isAuthenticated && loaded.length === 0) {
       setIsLoading(true);
       try {
         const msgs = await apiRequest(`/sessions/${session.id}/messages`);
         if (msgs) {
-          const formatted: Message[] = msgs.map((m: any) => ({
-            id: m.id,
-            role: m.role === 'user' ? Role.USER : Role.MODEL,
-            text: m.content,
-            timestamp: new Date(m.created_at)
-          }));
+          const formatted: Message[] = msgs.map(fromStoredMessage);
+          loaded = formatted;
           setMessages(formatted);
           // Update local session cache with loaded messages
           setSessions(prev => prev.map(s => s.id === session.id ? { ...s, messages: formatted } : s));
@@ -998,16 +1147,36 @@ const App: React.FC = () => {
         setMessages([]);
       } finally {
         setIsLoading(false);
-        shouldAutoScrollRef.current = true;
+        shouldAutoScrollRef.current = !messageIdToFocus;
       }
     } else {
+      shouldAutoScrollRef.current = !messageIdToFocus;
       setMessages(session.messages);
-      shouldAutoScrollRef.current = true;
+    }
+
+    // A search hit in another version of the conversation: switch to that branch
+    if (isAuthenticated && messageIdToFocus && !loaded.some(m => m.id === messageIdToFocus)) {
+      await handleSwitchVersion(messageIdToFocus, session.id);
     }
   };
 
 
 
+  // Inline rename from the Sidebar; saved sessions are renamed server-side too (PATCH /api/sessions/:id)
+  const handleRenameSession = async (sessionId: string, title: string) => {
+    const previousTitle = sessions.find(s => s.id === sessionId)?.title;
+    setSessions(prev => prev.map(s => s.id === sessionId ? { ...s, title } : s));
+
+    if (!isAuthenticated) return;
+    try {
+      await apiRequest(`/sessions/${sessionId}`, 'PATCH', { title } satisfies SessionRename);
+    } catch (e: any) {
+      console.error("Failed to rename session", e);
+      setSessions(prev => prev.map(s => s.id === sessionId && previousTitle !== undefined ? { ...s, title: previousTitle } : s));
+      showNotification(`Rename failed: ${e.message}`, 'error');
+    }
+  };
+
   const toggleFavorite = (sessionId: string) => {
     setSessions(prev => prev.map(s =>
       s.id === sessionId ? { ...s, isFavorite: !s.isFavorite } : s
@@ -1047,7 +1216,7 @@ const App: React.FC = () => {
   );
   if (showBlog) return <BlogPage
     isAuthenticated={isAuthenticated}
-    userRole={userRole}
+    canManageBlogs={can('manage_blogs')}
     userName={userName}
     onBack={() => setShowBlog(false)}
     onStart={() => { setShowBlog(false); setShowLanding(false); }}
@@ -1066,6 +1235,12 @@ const App: React.FC = () => {
   if (showContact) return <ContactPage onBack={() => setShowContact(false)} onStart={() => { setShowContact(false); setShowLanding(false); }} />;
   if (showResetPassword) return <ResetPasswordPage />;
   if (showForgotPassword) return <ForgotPasswordPage />;
+  if (showAdmin && can('view_admin')) return <AdminPage onBack={() => { setShowAdmin(false); updateUrl('/'); }} />;
+  if (showTeam && isAuthenticated) return <TeamPage onBack={() => { setShowTeam(false); updateUrl('/'); }} onChanged={refreshUsage} />;
+  if (showAmbassador && isAuthenticated) return <AmbassadorPage onBack={() => { setShowAmbassador(false); updateUrl('/'); }} />;
+  if (newsletterLink) return <NewsletterPage {...newsletterLink} onDone={() => { setNewsletterLink(null); setShowLanding(true); updateUrl('/'); }} />;
+
+  if (sharedToken) return <SharedSessionPage token={sharedToken} onStart={() => { setSharedToken(null); setShowLanding(true); updateUrl('/'); }} />;
 
   if (showAuth) {
     return (
@@ -1078,6 +1253,25 @@ const App: React.FC = () => {
     );
   }
 
+  if (inviteToken) return (
+    <InvitePage
+      token={inviteToken}
+      isAuthenticated={isAuthenticated}
+      onSignIn={() => { setAuthView('signup'); setShowAuth(true); }}
+      onDone={(joined) => {
+        setInviteToken(null);
+        if (joined) {
+          refreshUsage();
+          setShowTeam(true);
+          updateUrl('/team');
+        } else {
+          setShowLanding(true);
+          updateUrl('/');
+        }
+      }}
+    />
+  );
+
   const handleLogout = async () => {
     try {
       await supabase.auth.signOut();
@@ -1086,7 +1280,6 @@ const App: React.FC = () => {
     } finally {
       setIsAuthenticated(false);
       setSessions([]); // Clear session data for privacy on logout
-      setGuestUsageCount(0); // Optional: reset guest count or keep it
       createNewSession(false);
       setAuthView('login');
       setShowLanding(true); // Redirect to landing page
@@ -1158,6 +1351,7 @@ const App: React.FC = () => {
         onLoadSession={loadSession}
         onDeleteSession={deleteSession}
         onToggleFavorite={toggleFavorite}
+        onRenameSession={handleRenameSession}
         onOpenSettings={() => { setIsSettingsOpen(true); setIsSidebarOpen(false); }}
         onOpenDictionary={() => { setIsDictionaryOpen(true); setIsSidebarOpen(false); }}
         onBackToLanding={() => setShowLanding(true)}
@@ -1170,6 +1364,10 @@ const App: React.FC = () => {
         userName={userName}
         userRole={userRole}
         onClearAll={handleClearAllData}
+        onOpenTeam={isAuthenticated ? () => { setShowTeam(true); setIsSidebarOpen(false); updateUrl('/team'); } : undefined}
+        onOpenReferrals={isAuthenticated ? () => { setShowAmbassador(true); setIsSidebarOpen(false); updateUrl('/ambassador'); } : undefined}
+        onOpenAdmin={can('view_admin') ? () => { setShowAdmin(true); setIsSidebarOpen(false); updateUrl('/admin'); } : undefined}
+        onExportError={(message) => showNotification(`Export failed: ${message}`, 'error')}
       />
 
       <GuestLimitModal
@@ -1293,9 +1491,34 @@ const App: React.FC = () => {
             </div>
           </div>
 
-          <div className="flex items-center gap-3 bg-slate-50 dark:bg-slate-800 px-3 py-1.5 rounded-full border border-slate-200 dark:border-slate-700 shadow-sm">
-            <div className={`w-2 h-2 rounded-full transition-all duration-500 ${isLoading ? 'bg-green-500 animate-pulse shadow-[0_0_8px_rgba(34,197,94,0.6)]' : 'bg-slate-300 dark:bg-slate-600'}`}></div>
-            <span className="text-xs font-semibold text-slate-600 dark:text-slate-300">{isLoading ? 'Processing AI...' : 'System Ready'}</span>
+          <div className="flex items-center gap-2">
+            {/* Export (only saved sessions can be exported) */}
+            {isAuthenticated && messages.some((msg) => msg.role === Role.USER) && !isLoading && (
+              <ExportMenu
+                sessionId={currentSessionId}
+                variant="header"
+                onError={(message) => showNotification(`Export failed: ${message}`, 'error')}
+              />
+            )}
+
+            {/* Public read-only link to the whole session */}
+            {isAuthenticated && messages.some((msg) => msg.role === Role.USER) && !isLoading && (
+              <button
+                onClick={handleShareSession}
+                className="flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors"
+                title="Create share link"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-4 h-4">
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M13.19 8.688a4.5 4.5 0 011.242 7.244l-4.5 4.5a4.5 4.5 0 01-6.364-6.364l1.757-1.757m13.35-.622l1.757-1.757a4.5 4.5 0 00-6.364-6.364l-4.5 4.5a4.5 4.5 0 001.242 7.244" />
+                </svg>
+                <span className="hidden sm:inline">Share</span>
+              </button>
+            )}
+
+            <div className="flex items-center gap-3 bg-slate-50 dark:bg-slate-800 px-3 py-1.5 rounded-full border border-slate-200 dark:border-slate-700 shadow-sm">
+              <div className={`w-2 h-2 rounded-full transition-all duration-500 ${isLoading ? 'bg-green-500 animate-pulse shadow-[0_0_8px_rgba(34,197,94,0.6)]' : 'bg-slate-300 dark:bg-slate-600'}`}></div>
+              <span className="text-xs font-semibold text-slate-600 dark:text-slate-300">{isLoading ? 'Processing AI...' : 'System Ready'}</span>
+            </div>
           </div>
         </header>
 
@@ -1329,8 +1552,23 @@ const App: React.FC = () => {
           onScroll={handleScroll}
         >
           <div className="max-w-4xl mx-auto">
-            {messages.map((msg) => (
-              <MessageBubble key={msg.id} message={msg} language={language} onShare={handleOpenShare} />
+            {messages.map((msg, index) => (
+              <div
+                key={msg.id}
+                id={`message-${msg.id}`}
+                className={`rounded-2xl transition-shadow duration-500 ${focusMessageId === msg.id ? 'ring-2 ring-medical-400/60' : ''}`}
+              >
+                <MessageBubble
+                  message={msg}
+                  language={language}
+                  onShare={handleShareMessage}
+                  onSwitchVersion={isAuthenticated ? handleSwitchVersion : undefined}
+                  onEdit={!isLoading && msg.role === Role.USER ? (text) => handleEditMessage(msg.id, text) : undefined}
+                  onRegenerate={!isLoading && msg.role === Role.MODEL && index > 0 && messages[index - 1].role === Role.USER ? (model) => handleRegenerate(msg.id, model) : undefined}
+                  models={chatModels}
+                  onFeedback={isAuthenticated && msg.role === Role.MODEL && index > 0 && !(isLoading && index === messages.length - 1) ? (feedback) => handleFeedback(msg.id, feedback) : undefined}
+                />
+              </div>
             ))}
 
             {/* Empty State Suggestions */}
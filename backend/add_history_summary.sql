@@ -0,0 +1,12 @@
+-- Run in your Supabase SQL Editor
+-- Rolling summary of long consultations (backend/utils/conversationHistory.js)
+
+-- Summary of the turns that no longer fit the model's history budget
+alter table chat_sessions add column if not exists history_summary text;
+-- Last message covered by the summary; later messages are sent to the model as history
+alter table chat_sessions add column if not exists history_summary_through uuid references chat_messages(id) on delete set null;
+alter table chat_sessions add column if not exists history_summary_updated_at timestamptz;
+
+insert into public.feature_flags (feature_name, is_enabled)
+values ('history_summary', true)
+on conflict (feature_name) do nothing;
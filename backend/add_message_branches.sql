@@ -0,0 +1,12 @@
+-- Run in your Supabase SQL Editor
+-- Regenerate / edit-and-resend branches (backend/utils/messageTree.js)
+
+-- Question -> the answer it follows (null for the first question); answer -> its question.
+-- Siblings (same parent) are the alternative versions of a message.
+-- Messages stored before this are linked into one branch when their session is next continued
+-- (conversationHistory.loadSessionHistory).
+alter table chat_messages add column if not exists parent_message_id uuid references chat_messages(id) on delete cascade;
+create index if not exists chat_messages_parent_idx on chat_messages (parent_message_id);
+
+-- Leaf of the branch the user last looked at
+alter table chat_sessions add column if not exists active_message_id uuid references chat_messages(id) on delete set null;
@@ -0,0 +1,8 @@
+-- Run in your Supabase SQL Editor
+-- Structured citations extracted from AI answers (backend/utils/citations.js)
+
+-- [{ raw, issuingBody, guidelineName, year, country }]
+alter table chat_messages add column if not exists citations jsonb;
+
+-- { passed, issues: [{ type, message, citation? }] }
+alter table chat_messages add column if not exists verification jsonb;
@@ -0,0 +1,9 @@
+-- Run in your Supabase SQL Editor
+-- Generated session titles (backend/utils/sessionTitles.js) and user renames (PATCH /api/sessions/:id)
+
+-- true once the user renamed the session; generated titles never overwrite it
+alter table chat_sessions add column if not exists title_is_custom boolean not null default false;
+
+insert into public.feature_flags (feature_name, is_enabled)
+values ('session_titles', true)
+on conflict (feature_name) do nothing;
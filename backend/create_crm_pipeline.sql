@@ -0,0 +1,174 @@
+-- Run in your Supabase SQL Editor
+-- CRM pipeline on top of crm_contacts (backend/utils/crm.js): one contact per e-mail address
+-- in each list (the pipeline, owner_id NULL, and every user's own contact-form list), a stage pipeline (lead -> trial -> paying -> churned), tags, an activity timeline and
+-- double opt-in for newsletter leads.
+
+ALTER TABLE public.crm_contacts
+    ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Newsletter: 'none' (never asked) | 'pending' (confirmation e-mail sent) | 'confirmed' | 'unsubscribed'
+    ADD COLUMN IF NOT EXISTS opt_in_status TEXT NOT NULL DEFAULT 'none',
+    ADD COLUMN IF NOT EXISTS opt_in_token TEXT UNIQUE,          -- Confirmation link
+    ADD COLUMN IF NOT EXISTS opt_in_sent_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS unsubscribe_token TEXT UNIQUE,     -- Unsubscribe link, never changes
+    ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMPTZ;
+
+-- user_id used to be the user who created the contact through the contact form. It now links the
+-- contact's own MDnexa account (set at signup); the creator moves to owner_id, which scopes the
+-- contact-form endpoints (GET/PUT/DELETE /api/crm). Moved once, when owner_id is added.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'crm_contacts' AND column_name = 'owner_id'
+    ) THEN
+        ALTER TABLE public.crm_contacts ADD COLUMN owner_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+        UPDATE public.crm_contacts SET owner_id = user_id, user_id = NULL;
+    END IF;
+END;
+$$;
+
+CREATE INDEX IF NOT EXISTS crm_contacts_owner_idx ON public.crm_contacts (owner_id, created_at DESC);
+
+-- What happened to a contact, newest first on the admin timeline
+CREATE TABLE IF NOT EXISTS public.crm_activities (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    contact_id UUID NOT NULL REFERENCES public.crm_contacts(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN (
+        'created', 'form', 'note', 'updated', 'stage_changed', 'signup', 'imported', 'merged',
+        'opt_in_requested', 'opt_in_confirmed', 'unsubscribed'
+    )),
+    summary TEXT,
+    data JSONB NOT NULL DEFAULT '{}',
+    actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,  -- Admin who did it; NULL for the system
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS crm_activities_contact_idx ON public.crm_activities (contact_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS crm_contacts_stage_idx ON public.crm_contacts (stage, last_activity_at DESC);
+CREATE INDEX IF NOT EXISTS crm_contacts_tags_idx ON public.crm_contacts USING GIN (tags);
+
+-- Backend only (service role). No public policies.
+ALTER TABLE public.crm_activities ENABLE ROW LEVEL SECURITY;
+
+-- Merges the source contact into the target and deletes it: the timeline moves over, tags are
+-- combined, blank fields are filled from the source, the stage furthest down the pipeline wins
+-- and an unsubscribe on either side is kept. Both must be on the same list (owner_id).
+CREATE OR REPLACE FUNCTION public.merge_crm_contacts(
+    p_target_id UUID,
+    p_source_id UUID,
+    p_actor_id UUID DEFAULT NULL
+)
+RETURNS SETOF public.crm_contacts
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_target public.crm_contacts%ROWTYPE;
+    v_source public.crm_contacts%ROWTYPE;
+    v_stages TEXT[] := ARRAY['lead', 'trial', 'paying', 'churned'];
+BEGIN
+    IF p_target_id = p_source_id THEN
+        RAISE EXCEPTION 'A contact cannot be merged into itself';
+    END IF;
+
+    -- Both rows locked, in a fixed order so concurrent merges can't deadlock
+    PERFORM 1 FROM public.crm_contacts c WHERE c.id IN (p_target_id, p_source_id) ORDER BY c.id FOR UPDATE;
+    SELECT * INTO v_target FROM public.crm_contacts c WHERE c.id = p_target_id;
+    SELECT * INTO v_source FROM public.crm_contacts c WHERE c.id = p_source_id;
+    IF v_target.id IS NULL OR v_source.id IS NULL THEN
+        RETURN;
+    END IF;
+    IF v_target.owner_id IS DISTINCT FROM v_source.owner_id THEN
+        RAISE EXCEPTION 'Contacts on different lists cannot be merged';
+    END IF;
+
+    UPDATE public.crm_activities a SET contact_id = v_target.id WHERE a.contact_id = v_source.id;
+
+    -- Frees the source's unique values before the target takes them over
+    DELETE FROM public.crm_contacts c WHERE c.id = v_source.id;
+
+    UPDATE public.crm_contacts c SET
+        user_id = COALESCE(v_target.user_id, v_source.user_id),
+        name = COALESCE(v_target.name, v_source.name),
+        source = COALESCE(v_target.source, v_source.source),
+        notes = CASE
+            WHEN v_target.notes IS NULL THEN v_source.notes
+            WHEN v_source.notes IS NULL THEN v_target.notes
+            ELSE v_target.notes || E'\n\n' || v_source.notes
+        END,
+        stage = CASE
+            WHEN COALESCE(array_position(v_stages, v_source.stage), 0) > COALESCE(array_position(v_stages, v_target.stage), 0) THEN v_source.stage
+            ELSE v_target.stage
+        END,
+        tags = ARRAY(SELECT DISTINCT unnest(v_target.tags || v_source.tags) ORDER BY 1),
+        opt_in_status = CASE
+            WHEN 'unsubscribed' IN (v_target.opt_in_status, v_source.opt_in_status) THEN 'unsubscribed'
+            WHEN 'confirmed' IN (v_target.opt_in_status, v_source.opt_in_status) THEN 'confirmed'
+            WHEN 'pending' IN (v_target.opt_in_status, v_source.opt_in_status) THEN 'pending'
+            ELSE 'none'
+        END,
+        confirmed_at = COALESCE(v_target.confirmed_at, v_source.confirmed_at),
+        unsubscribed_at = COALESCE(v_target.unsubscribed_at, v_source.unsubscribed_at),
+        unsubscribe_token = COALESCE(v_target.unsubscribe_token, v_source.unsubscribe_token),
+        created_at = LEAST(v_target.created_at, v_source.created_at),
+        updated_at = NOW(),
+        last_activity_at = NOW()
+    WHERE c.id = v_target.id;
+
+    INSERT INTO public.crm_activities (contact_id, type, summary, data, actor_id)
+    VALUES (v_target.id, 'merged', 'Merged ' || COALESCE(v_source.email, 'a contact without e-mail'),
+            jsonb_build_object('source_id', v_source.id, 'source_email', v_source.email), p_actor_id);
+
+    RETURN QUERY SELECT * FROM public.crm_contacts c WHERE c.id = v_target.id;
+END;
+$$;
+
+-- Existing data: free-text stages onto the pipeline, then one contact per address in each list
+-- (duplicates merged into the oldest of that list) so e-mails can be unique per list.
+UPDATE public.crm_contacts SET stage = 'paying' WHERE lower(stage) IN ('customer', 'paying', 'paid', 'active');
+UPDATE public.crm_contacts SET stage = 'lead' WHERE stage IS NULL OR stage NOT IN ('lead', 'trial', 'paying', 'churned');
+
+DO $$
+DECLARE
+    v_row RECORD;
+BEGIN
+    FOR v_row IN
+        SELECT c.id, first_value(c.id) OVER (PARTITION BY c.owner_id, lower(trim(c.email)) ORDER BY c.created_at, c.id) AS keep_id
+        FROM public.crm_contacts c
+        WHERE c.email IS NOT NULL
+    LOOP
+        IF v_row.id <> v_row.keep_id THEN
+            PERFORM public.merge_crm_contacts(v_row.keep_id, v_row.id);
+        END IF;
+    END LOOP;
+END;
+$$;
+
+UPDATE public.crm_contacts SET email = lower(trim(email)) WHERE email <> lower(trim(email));
+
+-- Pipeline contacts of people who already have an account are linked to it
+UPDATE public.crm_contacts c SET user_id = u.id
+FROM auth.users u
+WHERE c.user_id IS NULL AND c.owner_id IS NULL AND lower(trim(u.email)) = c.email;
+
+ALTER TABLE public.crm_contacts
+    ALTER COLUMN stage SET DEFAULT 'lead',
+    ALTER COLUMN stage SET NOT NULL,
+    DROP CONSTRAINT IF EXISTS crm_contacts_stage_check,
+    ADD CONSTRAINT crm_contacts_stage_check CHECK (stage IN ('lead', 'trial', 'paying', 'churned')),
+    DROP CONSTRAINT IF EXISTS crm_contacts_opt_in_status_check,
+    ADD CONSTRAINT crm_contacts_opt_in_status_check CHECK (opt_in_status IN ('none', 'pending', 'confirmed', 'unsubscribed')),
+    DROP CONSTRAINT IF EXISTS crm_contacts_email_key,
+    DROP CONSTRAINT IF EXISTS crm_contacts_owner_email_key,
+    -- Stored lowercased by the backend. NULLS NOT DISTINCT (Postgres 15+): the pipeline is one list too.
+    ADD CONSTRAINT crm_contacts_owner_email_key UNIQUE NULLS NOT DISTINCT (owner_id, email);
+
+-- Who may work the pipeline (backend/utils/permissions.js)
+ALTER TABLE public.role_permissions DROP CONSTRAINT IF EXISTS role_permissions_permission_check;
+ALTER TABLE public.role_permissions ADD CONSTRAINT role_permissions_permission_check
+    CHECK (permission IN ('manage_blogs', 'unlimited_chat', 'view_admin', 'manage_referrals', 'manage_crm'));
+
+INSERT INTO public.role_permissions (role, permission) VALUES ('admin', 'manage_crm')
+ON CONFLICT (role, permission) DO NOTHING;
@@ -0,0 +1,28 @@
+-- Run in your Supabase SQL Editor
+-- Automatic recovery of auto-disabled features (utils/featureRecovery.js) and flag history.
+-- A tripped circuit breaker disables its flag and sets auto_reenable_at (the next recovery probe);
+-- failed probes increase recovery_attempts and push auto_reenable_at back exponentially.
+
+alter table public.feature_flags add column if not exists auto_reenable_at timestamptz;
+alter table public.feature_flags add column if not exists recovery_attempts integer not null default 0;
+
+create index if not exists feature_flags_recovery_idx
+    on public.feature_flags (auto_reenable_at)
+    where is_enabled = false;
+
+-- Every transition of a flag, for outage timelines
+create table if not exists public.feature_flag_history (
+    id uuid primary key default gen_random_uuid(),
+    feature_name text not null,
+    event text not null check (event in ('disabled', 'enabled', 'probe_failed')),
+    reason text,
+    actor text not null default 'system', -- 'circuit_breaker', 'recovery', 'system' or an admin's email
+    next_probe_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists feature_flag_history_feature_idx
+    on public.feature_flag_history (feature_name, created_at desc);
+
+-- Only the backend (service role) reads and writes the history
+alter table public.feature_flag_history enable row level security;
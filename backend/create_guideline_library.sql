@@ -0,0 +1,32 @@
+-- Guideline library for retrieval-augmented chat answers (backend/utils/guidelineLibrary.js)
+-- Run in your Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.guideline_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL,
+    issuing_body TEXT,                  -- e.g. 'ICMR', 'AWMF', 'AHA/ACC'
+    country TEXT,                       -- NULL for regional / international documents
+    region TEXT,                        -- REGIONS_DATA key, or NULL for international documents
+    specialty TEXT,
+    year INTEGER,
+    source_url TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.guideline_chunks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES public.guideline_documents(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    scope TEXT NOT NULL,                -- country, else region, else 'International'
+    term_freqs JSONB NOT NULL DEFAULT '{}'::jsonb, -- BM25 term frequencies, computed at ingestion
+    token_count INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (document_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS guideline_chunks_scope_idx ON public.guideline_chunks (scope);
+
+-- Backend only (service role). No public policies.
+ALTER TABLE public.guideline_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.guideline_chunks ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,42 @@
+-- Run in your Supabase SQL Editor
+-- Answer feedback and inaccuracy reports (backend/routes/feedback.js)
+
+-- Model that generated each answer, for feedback triage
+alter table chat_messages add column if not exists model text;
+
+create table if not exists message_feedback (
+  id uuid default gen_random_uuid() primary key,
+  -- 'rating' = thumbs up/down (one per user and answer), 'report' = inaccuracy report
+  kind text not null check (kind in ('rating', 'report')),
+  rating text check (rating in ('up', 'down')),
+  category text check (category in ('dosage', 'outdated_guideline', 'wrong_locale', 'hallucinated_source', 'other')),
+  comment text,
+
+  message_id uuid references chat_messages(id) on delete set null,
+  session_id uuid references chat_sessions(id) on delete set null,
+  user_id uuid references auth.users(id) on delete set null,
+
+  -- Snapshot at submission time: the answer may be regenerated or deleted later
+  question text,
+  answer text,
+  model text,
+  country text,
+  region text,
+  citations jsonb,
+  verification jsonb,
+
+  -- Admin triage
+  status text not null default 'new' check (status in ('new', 'triaged', 'resolved', 'dismissed')),
+  admin_notes text,
+  reviewed_by uuid references auth.users(id) on delete set null,
+  reviewed_at timestamptz,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists message_feedback_queue_idx on message_feedback (status, created_at desc);
+create unique index if not exists message_feedback_rating_idx on message_feedback (user_id, message_id) where kind = 'rating';
+
+-- Backend only (service role)
+alter table message_feedback enable row level security;
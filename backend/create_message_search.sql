@@ -0,0 +1,49 @@
+-- Full-text search over a user's chat history (GET /api/sessions/search, backend/routes/sessions.js)
+-- Run in your Supabase SQL Editor
+
+-- 'simple' config: answers are in many languages (VOICE_LANGUAGES), so no language-specific stemming
+ALTER TABLE public.chat_messages
+    ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('simple', coalesce(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS chat_messages_content_tsv_idx ON public.chat_messages USING GIN (content_tsv);
+
+-- Best-matching messages of one user, with highlighted snippets (<mark>...</mark>).
+-- p_query uses web search syntax: quoted phrases, OR, -exclusions.
+CREATE OR REPLACE FUNCTION public.search_chat_messages(
+    p_user_id UUID,
+    p_query TEXT,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    message_id UUID,
+    session_id UUID,
+    session_title TEXT,
+    session_updated_at TIMESTAMPTZ,
+    role TEXT,
+    created_at TIMESTAMPTZ,
+    snippet TEXT,
+    rank REAL
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH q AS (SELECT websearch_to_tsquery('simple', p_query) AS query)
+    SELECT
+        m.id,
+        m.session_id,
+        s.title,
+        s.updated_at,
+        m.role,
+        m.created_at,
+        ts_headline('simple', m.content, q.query,
+            'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" ... "'),
+        ts_rank(m.content_tsv, q.query)
+    FROM public.chat_messages m
+    JOIN public.chat_sessions s ON s.id = m.session_id
+    CROSS JOIN q
+    WHERE s.user_id = p_user_id
+      AND m.content_tsv @@ q.query
+    ORDER BY ts_rank(m.content_tsv, q.query) DESC, m.created_at DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 200);
+$$;
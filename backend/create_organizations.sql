@@ -0,0 +1,95 @@
+-- Run in your Supabase SQL Editor
+-- Organizations (hospitals, clinics) that buy seats for their members (backend/routes/organizations.js).
+-- Seats are the quantity of the organization's Stripe subscription; members holding a seat get paid access.
+
+CREATE TABLE IF NOT EXISTS public.organizations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner_id UUID NOT NULL REFERENCES auth.users(id),
+    seat_count INTEGER NOT NULL DEFAULT 0,      -- Quantity of the Stripe subscription
+    stripe_customer_id TEXT,
+    stripe_subscription_id TEXT UNIQUE,
+    subscription_status TEXT,                   -- Stripe subscription status
+    plan_id TEXT,
+    current_period_end TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.organization_members (
+    organization_id UUID NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+    has_seat BOOLEAN NOT NULL DEFAULT false,
+    seat_assigned_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS organization_members_user_idx ON public.organization_members (user_id);
+
+CREATE TABLE IF NOT EXISTS public.organization_invitations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    organization_id UUID NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,                        -- Lowercased; only this address can accept
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+    token TEXT NOT NULL UNIQUE,                 -- Random, sent in the accept link
+    invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_at TIMESTAMPTZ,
+    accepted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS organization_invitations_org_idx ON public.organization_invitations (organization_id, created_at DESC);
+
+-- Backend only (service role). No public policies.
+ALTER TABLE public.organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_invitations ENABLE ROW LEVEL SECURITY;
+
+-- Gives a member a seat if the organization has one free. The organization row is locked,
+-- so two admins assigning the last seat at the same time can't both succeed.
+CREATE OR REPLACE FUNCTION public.assign_organization_seat(
+    p_organization_id UUID,
+    p_user_id UUID
+)
+RETURNS TABLE (assigned BOOLEAN, seats_used INTEGER, seat_count INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_seat_count INTEGER;
+    v_used INTEGER;
+    v_has_seat BOOLEAN;
+BEGIN
+    SELECT o.seat_count INTO v_seat_count
+    FROM public.organizations o
+    WHERE o.id = p_organization_id
+    FOR UPDATE;
+
+    SELECT m.has_seat INTO v_has_seat
+    FROM public.organization_members m
+    WHERE m.organization_id = p_organization_id AND m.user_id = p_user_id;
+
+    SELECT COUNT(*) INTO v_used
+    FROM public.organization_members m
+    WHERE m.organization_id = p_organization_id AND m.has_seat;
+
+    IF v_has_seat IS NULL OR v_has_seat THEN
+        RETURN QUERY SELECT COALESCE(v_has_seat, false), v_used, v_seat_count;
+        RETURN;
+    END IF;
+
+    IF v_used >= v_seat_count THEN
+        RETURN QUERY SELECT false, v_used, v_seat_count;
+        RETURN;
+    END IF;
+
+    UPDATE public.organization_members
+    SET has_seat = true, seat_assigned_at = NOW()
+    WHERE organization_id = p_organization_id AND user_id = p_user_id;
+
+    RETURN QUERY SELECT true, v_used + 1, v_seat_count;
+END;
+$$;
@@ -0,0 +1,54 @@
+-- Run in your Supabase SQL Editor
+-- Shared token buckets for the rate limiter (backend/utils/rateLimit.js, RATE_LIMIT_STORE=postgres).
+-- Only needed when several backend instances must share limits; the default store is in memory.
+
+CREATE TABLE IF NOT EXISTS public.rate_limit_buckets (
+    key TEXT PRIMARY KEY,               -- '<policy>:ip:<address>', '<policy>:user:<uuid>' or '<policy>:email:<address>'
+    tokens DOUBLE PRECISION NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_buckets_updated_idx ON public.rate_limit_buckets (updated_at);
+
+-- Backend only (service role). No public policies.
+ALTER TABLE public.rate_limit_buckets ENABLE ROW LEVEL SECURITY;
+
+-- Refills the bucket for the time elapsed since its last use, then takes p_cost tokens if available.
+-- Returns whether the request is allowed and the tokens left.
+CREATE OR REPLACE FUNCTION public.take_rate_limit_token(
+    p_key TEXT,
+    p_capacity DOUBLE PRECISION,
+    p_refill_per_second DOUBLE PRECISION,
+    p_cost DOUBLE PRECISION DEFAULT 1
+)
+RETURNS TABLE (allowed BOOLEAN, tokens DOUBLE PRECISION)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_tokens DOUBLE PRECISION;
+    v_updated_at TIMESTAMPTZ;
+BEGIN
+    INSERT INTO public.rate_limit_buckets (key, tokens, updated_at)
+    VALUES (p_key, p_capacity, NOW())
+    ON CONFLICT (key) DO NOTHING;
+
+    SELECT b.tokens, b.updated_at INTO v_tokens, v_updated_at
+    FROM public.rate_limit_buckets b
+    WHERE b.key = p_key
+    FOR UPDATE;
+
+    v_tokens := LEAST(p_capacity, v_tokens + EXTRACT(EPOCH FROM (NOW() - v_updated_at)) * p_refill_per_second);
+
+    IF v_tokens < p_cost THEN
+        UPDATE public.rate_limit_buckets SET tokens = v_tokens, updated_at = NOW() WHERE key = p_key;
+        RETURN QUERY SELECT false, v_tokens;
+        RETURN;
+    END IF;
+
+    UPDATE public.rate_limit_buckets SET tokens = v_tokens - p_cost, updated_at = NOW() WHERE key = p_key;
+    RETURN QUERY SELECT true, v_tokens - p_cost;
+END;
+$$;
+
+-- Buckets idle for a day are full again; prune them from a scheduled job if the table grows:
+-- DELETE FROM public.rate_limit_buckets WHERE updated_at < NOW() - INTERVAL '1 day';
@@ -0,0 +1,46 @@
+-- Run in your Supabase SQL Editor (after create_referral_ledger.sql)
+-- Ambassador dashboard (GET /api/referrals/me): landing clicks, trials and the commission ledger.
+
+ALTER TABLE public.referral_codes
+    ADD COLUMN IF NOT EXISTS commission_percent NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (commission_percent BETWEEN 0 AND 100);
+
+-- First time the referred user's subscription was trialing (customer.subscription.* webhooks)
+ALTER TABLE public.referral_redemptions
+    ADD COLUMN IF NOT EXISTS trial_started_at TIMESTAMPTZ;
+
+-- ?ref= landings, at most one per browser per code per day
+CREATE TABLE IF NOT EXISTS public.referral_clicks (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    code_id UUID NOT NULL REFERENCES public.referral_codes(id) ON DELETE CASCADE,
+    visitor_hash TEXT NOT NULL,                 -- sha256 of the device id (or IP); never the raw value
+    click_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    clicked_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (code_id, visitor_hash, click_date)
+);
+
+-- One row per paid invoice of a referred user. Revenue attributed to a code is the sum of
+-- invoice_amount; the commission is owed to the code's owner at the code's commission_percent.
+CREATE TABLE IF NOT EXISTS public.referral_commissions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    code_id UUID NOT NULL REFERENCES public.referral_codes(id) ON DELETE CASCADE,
+    owner_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,  -- Owner of the code when the invoice was paid
+    redemption_id UUID REFERENCES public.referral_redemptions(id) ON DELETE SET NULL,
+    stripe_invoice_id TEXT NOT NULL UNIQUE,
+    invoice_amount INTEGER NOT NULL,            -- Smallest currency unit, as Stripe reports it
+    currency TEXT NOT NULL,
+    commission_percent NUMERIC(5, 2) NOT NULL,
+    commission_amount INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'paid', 'void')),
+    payout_reference TEXT,                      -- Bank transfer / PayPal reference of the payout
+    paid_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS referral_commissions_code_idx ON public.referral_commissions (code_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS referral_commissions_owner_idx ON public.referral_commissions (owner_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS referral_codes_owner_idx ON public.referral_codes (owner_id);
+
+-- Backend only (service role). No public policies.
+ALTER TABLE public.referral_clicks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.referral_commissions ENABLE ROW LEVEL SECURITY;
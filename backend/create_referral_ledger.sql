@@ -0,0 +1,124 @@
+-- Run in your Supabase SQL Editor
+-- One referral-code model with a redemption ledger (backend/utils/referrals.js).
+-- Replaces the codes spread over ambassador_referrals, team_referrals, family_referrals and
+-- crm_contacts.ref_code; they are copied here and no longer read or written by the backend.
+
+CREATE TABLE IF NOT EXISTS public.referral_codes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    code TEXT NOT NULL UNIQUE CHECK (code = upper(code)),  -- Codes match case-insensitively, stored uppercased
+    kind TEXT NOT NULL DEFAULT 'ambassador' CHECK (kind IN ('ambassador', 'team', 'family', 'partner')),
+    owner_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,  -- Ambassador credited with the code
+    promo_code TEXT,                            -- Stripe promotion code prefilled at checkout
+    discount_percent INTEGER CHECK (discount_percent BETWEEN 0 AND 100),
+    grants_free_access BOOLEAN NOT NULL DEFAULT false,  -- Signup skips the checkout
+    max_uses INTEGER NOT NULL DEFAULT 0,        -- 0 = unlimited
+    redemption_count INTEGER NOT NULL DEFAULT 0,  -- Maintained by redeem_referral_code
+    active BOOLEAN NOT NULL DEFAULT true,
+    expires_at TIMESTAMPTZ,
+    legacy_table TEXT,                          -- Where a copied code came from
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per referred user: who signed up with which code, and when they first paid
+CREATE TABLE IF NOT EXISTS public.referral_redemptions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    code_id UUID NOT NULL REFERENCES public.referral_codes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,  -- A user is attributed once
+    source TEXT NOT NULL DEFAULT 'signup',      -- 'signup' | 'backfill'
+    redeemed_at TIMESTAMPTZ DEFAULT NOW(),
+    converted_at TIMESTAMPTZ,                   -- First paid invoice
+    stripe_invoice_id TEXT,
+    amount_paid INTEGER,                        -- Smallest currency unit, as Stripe reports it
+    currency TEXT
+);
+
+CREATE INDEX IF NOT EXISTS referral_redemptions_code_idx ON public.referral_redemptions (code_id, redeemed_at DESC);
+
+-- Backend only (service role). No public policies.
+ALTER TABLE public.referral_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.referral_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- Redeems a code for a user. The code row is locked, so concurrent signups can't exceed max_uses.
+-- status: 'redeemed' | 'already_redeemed' | 'not_found' | 'inactive' | 'expired' | 'exhausted'
+CREATE OR REPLACE FUNCTION public.redeem_referral_code(
+    p_code TEXT,
+    p_user_id UUID,
+    p_source TEXT DEFAULT 'signup'
+)
+RETURNS TABLE (status TEXT, code_id UUID, redemption_count INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_code public.referral_codes%ROWTYPE;
+BEGIN
+    SELECT * INTO v_code FROM public.referral_codes c WHERE c.code = upper(trim(p_code)) FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT 'not_found'::TEXT, NULL::UUID, NULL::INTEGER;
+        RETURN;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.referral_redemptions r WHERE r.user_id = p_user_id) THEN
+        RETURN QUERY SELECT 'already_redeemed'::TEXT, v_code.id, v_code.redemption_count;
+        RETURN;
+    END IF;
+
+    IF NOT v_code.active THEN
+        RETURN QUERY SELECT 'inactive'::TEXT, v_code.id, v_code.redemption_count;
+        RETURN;
+    END IF;
+
+    IF v_code.expires_at IS NOT NULL AND v_code.expires_at <= NOW() THEN
+        RETURN QUERY SELECT 'expired'::TEXT, v_code.id, v_code.redemption_count;
+        RETURN;
+    END IF;
+
+    IF v_code.max_uses > 0 AND v_code.redemption_count >= v_code.max_uses THEN
+        RETURN QUERY SELECT 'exhausted'::TEXT, v_code.id, v_code.redemption_count;
+        RETURN;
+    END IF;
+
+    INSERT INTO public.referral_redemptions (code_id, user_id, source) VALUES (v_code.id, p_user_id, p_source);
+
+    UPDATE public.referral_codes c
+    SET redemption_count = c.redemption_count + 1, updated_at = NOW()
+    WHERE c.id = v_code.id;
+
+    RETURN QUERY SELECT 'redeemed'::TEXT, v_code.id, v_code.redemption_count + 1;
+END;
+$$;
+
+-- Copy the legacy codes (ref_code, active, used_count, max_uses, promo_code, discount_percent).
+-- The old backend also looked codes up in crm_contacts; where that table has a ref_code column
+-- its codes become 'partner' codes. Rows are read through to_jsonb, so a table missing one of the
+-- optional columns still copies. Codes from these tables skipped the checkout at signup, so they
+-- keep granting free access. On duplicates the *_referrals tables win.
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    FOREACH v_table IN ARRAY ARRAY['ambassador_referrals', 'team_referrals', 'family_referrals', 'crm_contacts'] LOOP
+        IF EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_schema = 'public' AND table_name = v_table AND column_name = 'ref_code'
+        ) THEN
+            EXECUTE format($sql$
+                INSERT INTO public.referral_codes (code, kind, promo_code, discount_percent, grants_free_access, max_uses, redemption_count, active, legacy_table)
+                SELECT upper(trim(r->>'ref_code')), %L, r->>'promo_code', (r->>'discount_percent')::INTEGER, true,
+                       COALESCE((r->>'max_uses')::INTEGER, 0), COALESCE((r->>'used_count')::INTEGER, 0), COALESCE((r->>'active')::BOOLEAN, true), %L
+                FROM public.%I t, to_jsonb(t) r
+                WHERE trim(COALESCE(r->>'ref_code', '')) <> ''
+                ON CONFLICT (code) DO NOTHING
+            $sql$, CASE WHEN v_table = 'crm_contacts' THEN 'partner' ELSE split_part(v_table, '_', 1) END, v_table, v_table);
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- Users whose profile already names a code (ref_source)
+INSERT INTO public.referral_redemptions (code_id, user_id, source, redeemed_at)
+SELECT c.id, p.id, 'backfill', COALESCE(p.created_at, NOW())
+FROM public.profiles p
+JOIN public.referral_codes c ON c.code = upper(trim(p.ref_source))
+ON CONFLICT (user_id) DO NOTHING;
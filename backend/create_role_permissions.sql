@@ -0,0 +1,40 @@
+-- Run in your Supabase SQL Editor
+-- Role -> permission mapping (backend/utils/permissions.js). Users get their role from profiles.role
+-- (or app_metadata.role); what a role may do is only defined here.
+
+create table if not exists role_permissions (
+  role text not null,
+  permission text not null check (permission in ('manage_blogs', 'unlimited_chat', 'view_admin', 'manage_referrals')),
+  created_at timestamptz default now(),
+  primary key (role, permission)
+);
+
+-- Backend only (service role). No public policies.
+alter table role_permissions enable row level security;
+
+-- Defaults, matching the role lists this replaces:
+-- admins could do everything, the team could also manage blogs, and every other privileged role had no usage limits
+insert into role_permissions (role, permission) values
+  ('admin', 'view_admin'),
+  ('admin', 'manage_blogs'),
+  ('admin', 'manage_referrals'),
+  ('admin', 'unlimited_chat'),
+  ('team', 'manage_blogs'),
+  ('team', 'unlimited_chat'),
+  ('superuser', 'unlimited_chat'),
+  ('owner', 'unlimited_chat'),
+  ('developer', 'unlimited_chat'),
+  ('support', 'unlimited_chat'),
+  ('friends_and_family', 'unlimited_chat'),
+  ('family_and_friends', 'unlimited_chat'),
+  ('friend', 'unlimited_chat'),
+  ('friends', 'unlimited_chat'),
+  ('family', 'unlimited_chat'),
+  ('ambassador', 'unlimited_chat'),
+  ('ambassadors', 'unlimited_chat'),
+  ('partner', 'unlimited_chat'),
+  ('vip', 'unlimited_chat')
+on conflict (role, permission) do nothing;
+
+-- Misspelled role found on older profiles
+update profiles set role = 'ambassadors' where role = 'ambassasors';
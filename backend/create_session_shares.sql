@@ -0,0 +1,30 @@
+-- Run in your Supabase SQL Editor
+-- Public read-only share links for chat sessions (backend/routes/sessions.js, backend/routes/shared.js)
+
+create table if not exists session_shares (
+  id uuid default gen_random_uuid() primary key,
+  token text not null unique,                   -- Random, URL-safe; the only thing in the public link (/s/:token)
+  session_id uuid references chat_sessions(id) on delete cascade not null,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  message_id uuid references chat_messages(id) on delete cascade, -- Set when a single answer is shared
+  expires_at timestamptz,                       -- NULL = never expires
+  revoked_at timestamptz,
+  view_count integer not null default 0,
+  last_viewed_at timestamptz,
+  created_at timestamptz default now()
+);
+
+create index if not exists session_shares_user_idx on session_shares (user_id, created_at desc);
+
+-- Backend only (service role). Public reads go through GET /api/shared/:token, which redacts the snapshot.
+alter table session_shares enable row level security;
+
+-- One view of a link (GET /api/shared/:token). Incremented in place, so concurrent views are all counted.
+create or replace function public.record_share_view(p_share_id uuid)
+returns void
+language sql
+as $$
+  update public.session_shares
+  set view_count = view_count + 1, last_viewed_at = now()
+  where id = p_share_id;
+$$;
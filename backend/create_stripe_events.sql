@@ -0,0 +1,80 @@
+-- Run in your Supabase SQL Editor
+-- Stripe webhook ledger (backend/routes/webhooks.js) and the outbox of billing e-mails (backend/utils/emailOutbox.js).
+
+-- One row per Stripe event ID. Stripe retries deliveries and may send an event twice;
+-- only the delivery that claims the row runs the handlers.
+CREATE TABLE IF NOT EXISTS public.stripe_events (
+    id TEXT PRIMARY KEY,                        -- Stripe event ID (evt_...)
+    type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'processed', 'ignored', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    payload JSONB NOT NULL,                     -- The full event, replayed by POST /api/admin/stripe-events/:id/replay
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS stripe_events_status_idx ON public.stripe_events (status, received_at DESC);
+
+-- Payment state shown to the user, next to the Stripe subscription status
+ALTER TABLE public.subscriptions
+    ADD COLUMN IF NOT EXISTS trial_end TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS last_payment_status TEXT CHECK (last_payment_status IN ('paid', 'failed', 'refunded', 'partially_refunded')),
+    ADD COLUMN IF NOT EXISTS last_payment_at TIMESTAMPTZ;
+
+-- User-facing e-mails queued by the webhook handlers and sent with retries
+CREATE TABLE IF NOT EXISTS public.email_outbox (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    to_email TEXT NOT NULL,
+    template TEXT NOT NULL,                     -- Key of TEMPLATES in backend/utils/emailOutbox.js
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    dedupe_key TEXT UNIQUE,                     -- The same notice is queued once, even across replays
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS email_outbox_pending_idx ON public.email_outbox (next_attempt_at) WHERE status = 'pending';
+
+-- Backend only (service role). No public policies.
+ALTER TABLE public.stripe_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.email_outbox ENABLE ROW LEVEL SECURITY;
+
+-- Claims an event for processing. New events are inserted; failed events, and events stuck in
+-- 'processing' for longer than p_stale_after_seconds (a crashed instance), are claimed again.
+-- claimed = false means another delivery processed it or is processing it right now.
+CREATE OR REPLACE FUNCTION public.claim_stripe_event(
+    p_event_id TEXT,
+    p_type TEXT,
+    p_payload JSONB,
+    p_stale_after_seconds INTEGER DEFAULT 600
+)
+RETURNS TABLE (claimed BOOLEAN, status TEXT, attempts INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_attempts INTEGER;
+BEGIN
+    INSERT INTO public.stripe_events AS e (id, type, payload)
+    VALUES (p_event_id, p_type, p_payload)
+    ON CONFLICT (id) DO UPDATE
+        SET status = 'processing',
+            attempts = e.attempts + 1,
+            updated_at = NOW()
+        WHERE e.status = 'failed'
+           OR (e.status = 'processing' AND e.updated_at < NOW() - make_interval(secs => p_stale_after_seconds))
+    RETURNING e.attempts INTO v_attempts;
+
+    IF FOUND THEN
+        RETURN QUERY SELECT true, 'processing'::TEXT, v_attempts;
+        RETURN;
+    END IF;
+
+    RETURN QUERY SELECT false, e.status, e.attempts FROM public.stripe_events e WHERE e.id = p_event_id;
+END;
+$$;
@@ -0,0 +1,57 @@
+-- Usage counters for the quota engine (backend/utils/quota.js)
+-- One row per subject (user / guest IP / guest device), feature and window.
+CREATE TABLE IF NOT EXISTS public.usage_counters (
+    subject TEXT NOT NULL,              -- 'user:<uuid>', 'ip:<address>' or 'device:<id>'
+    feature TEXT NOT NULL,              -- 'chat', 'lookup', 'speech', 'transcribe'
+    window_start TIMESTAMPTZ NOT NULL,  -- Start of the daily/monthly window (UTC)
+    count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (subject, feature, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS usage_counters_window_idx ON public.usage_counters (window_start);
+
+-- Backend only (service role). No public policies.
+ALTER TABLE public.usage_counters ENABLE ROW LEVEL SECURITY;
+
+-- Atomically checks and increments the counters of all given subjects.
+-- A guest is identified by both IP and device; the request is denied if ANY of them is over the limit,
+-- and nothing is incremented in that case. p_limit NULL means unlimited (count only).
+CREATE OR REPLACE FUNCTION public.consume_usage(
+    p_subjects TEXT[],
+    p_feature TEXT,
+    p_window_start TIMESTAMPTZ,
+    p_limit INTEGER
+)
+RETURNS TABLE (allowed BOOLEAN, used INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_used INTEGER;
+BEGIN
+    -- Make sure every row exists so it can be locked
+    INSERT INTO public.usage_counters (subject, feature, window_start, count)
+    SELECT s, p_feature, p_window_start, 0 FROM unnest(p_subjects) AS s
+    ON CONFLICT (subject, feature, window_start) DO NOTHING;
+
+    PERFORM 1 FROM public.usage_counters
+    WHERE subject = ANY (p_subjects) AND feature = p_feature AND window_start = p_window_start
+    FOR UPDATE;
+
+    SELECT MAX(count) INTO v_used FROM public.usage_counters
+    WHERE subject = ANY (p_subjects) AND feature = p_feature AND window_start = p_window_start;
+
+    IF p_limit IS NOT NULL AND v_used >= p_limit THEN
+        RETURN QUERY SELECT false, v_used;
+        RETURN;
+    END IF;
+
+    UPDATE public.usage_counters
+    SET count = count + 1, updated_at = NOW()
+    WHERE subject = ANY (p_subjects) AND feature = p_feature AND window_start = p_window_start;
+
+    RETURN QUERY SELECT true, v_used + 1;
+END;
+$$;
+
+-- question_usage (lifetime 5-question counter) is superseded by usage_counters and no longer read.
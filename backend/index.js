@@ -15,10 +15,42 @@ const referralRoutes = require('./routes/referrals');
 const chatRoutes = require('./routes/chat');
 const sessionsRoutes = require('./routes/sessions');
 const healthRoutes = require('./routes/health');
+const usageRoutes = require('./routes/usage');
+const guidelinesRoutes = require('./routes/guidelines');
+const sharedRoutes = require('./routes/shared');
+const feedbackRoutes = require('./routes/feedback');
+const adminRoutes = require('./routes/admin');
+const metricsRoutes = require('./routes/metrics');
+const cronRoutes = require('./routes/cron');
+const featureRecovery = require('./utils/featureRecovery');
+const emailOutbox = require('./utils/emailOutbox');
+const { httpRequests, httpRequestDuration } = require('./utils/metrics');
+const logger = require('./utils/logger');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// req.ip comes from X-Forwarded-For, trusting only the entries added by our own proxies
+// (TRUST_PROXY_HOPS, default 1 for Vercel). Guest quotas and IP rate limits key on it, so
+// whatever the client puts in the header itself is ignored.
+const trustProxyHops = Number.parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set('trust proxy', Number.isNaN(trustProxyHops) ? 1 : trustProxyHops);
+
+// Request ID (X-Request-Id), req.log child logger and one log line per request
+app.use(logger.requestContext());
+
+// Request count and latency per route. Labelled with the matched route pattern
+// (e.g. /api/sessions/:id), never the raw URL, to keep the number of series bounded.
+app.use((req, res, next) => {
+    const endTimer = httpRequestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        endTimer({ route });
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+});
+
 // Mount webhooks BEFORE express.json()
 app.use('/api/webhooks', webhooksRoutes);
 
@@ -42,39 +74,56 @@ const corsOptions = {
             return callback(null, true);
         }
 
-        console.warn(`CORS blocked origin: ${origin}`); // Helpful for debugging
+        logger.warn('CORS origin not in the allow list', { origin }); // Helpful for debugging
         return callback(null, true); // Permissive for debugging
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-Device-Id", "X-Request-Id"],
+    exposedHeaders: ["X-Request-Id"], // Lets the frontend quote it in bug reports
 };
 
 app.use(cors(corsOptions));
 app.options(/.*/, cors(corsOptions)); // Enable preflight for all routes
+// Guideline documents and CRM imports are large: parse them with a higher limit before the default parser (100kb) sees them
+app.use('/api/guidelines', express.json({ limit: '10mb' }));
+app.use('/api/crm/contacts/import', express.json({ limit: '6mb' }));
 app.use(express.json()); // CRITICAL: This was missing!
-app.use((req, res, next) => {
-    console.log(`[REQUEST] ${req.method} ${req.url}`);
-    next();
-});
 app.use('/uploads', express.static('uploads')); // Serve uploaded images
 
 app.use('/api/blogs', blogsRoutes);
 app.use('/api/subscriptions', subscriptionsRoutes);
 app.use('/api/crm', crmRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/organizations', require('./routes/organizations'));
 app.use('/api/auth', authRoutes.router);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/referrals', referralRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/sessions', sessionsRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/feedback', feedbackRoutes);
 app.use('/api/gemini', require('./routes/gemini'));
+app.use('/api/usage', usageRoutes);
+app.use('/api/guidelines', guidelinesRoutes);
+app.use('/api/admin', adminRoutes);
 
 app.use('/api/health', healthRoutes);
+app.use('/api/metrics', metricsRoutes);
+app.use('/api/cron', cronRoutes);
+
+// Errors no route handled (thrown or rejected handlers): logged with the request ID, generic body
+app.use((error, req, res, next) => {
+    (req.log || logger).error('Unhandled route error', error);
+    if (res.headersSent) return next(error);
+    res.status(error.status || 500).json({ error: error.expose ? error.message : 'Internal server error' });
+});
 
 if (require.main === module) {
     app.listen(port, () => {
-        console.log(`Server running on port ${port}`);
+        logger.info(`Server running on port ${port}`);
+        featureRecovery.start();
+        emailOutbox.start();
     });
 }
 
@@ -0,0 +1,155 @@
+const express = require('express');
+const supabase = require('../utils/supabase');
+const featureFlags = require('../utils/featureFlags');
+const robustGemini = require('../utils/robustGemini');
+const featureRecovery = require('../utils/featureRecovery');
+const stripeEvents = require('../utils/stripeEvents');
+const emailOutbox = require('../utils/emailOutbox');
+const { processEvent } = require('./webhooks');
+const { requireAuth } = require('./auth');
+const { authorize } = require('../utils/permissions');
+const { validate } = require('../utils/validate');
+const schemas = require('../schemas/admin');
+
+const router = express.Router();
+
+// Admin only: recovering from outages without editing tables by hand
+router.use(requireAuth, authorize('view_admin'));
+
+// GET /api/admin/ops
+// Feature flags plus the live AI client state (breakers, key index, model ladder)
+router.get('/ops', async (req, res) => {
+    try {
+        res.json({
+            flags: await featureFlags.listFlags(),
+            ai: robustGemini.getStatus()
+        });
+    } catch (error) {
+        req.log.error('Failed to load ops state', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/admin/flags/:name { enabled, reason? }
+// Re-enables a feature (e.g. after a breaker auto-disabled it), or disables it by hand
+router.put('/flags/:name', validate({ params: schemas.flagParams, body: schemas.flagUpdate }), async (req, res) => {
+    const { enabled, reason } = req.body;
+
+    try {
+        const { data: flag } = await supabase
+            .from('feature_flags')
+            .select('id')
+            .eq('feature_name', req.params.name)
+            .maybeSingle();
+        if (!flag) return res.status(404).json({ error: 'Feature flag not found' });
+
+        // Flags disabled by hand are never auto-recovered
+        const updated = enabled
+            ? await featureFlags.enableFeature(req.params.name, { actor: req.user.email, reason: reason || null })
+            : await featureFlags.disableFeature(req.params.name, reason || `Disabled by ${req.user.email}`, { actor: req.user.email });
+        if (!updated) throw new Error('Failed to update feature flag');
+
+        req.log.info(enabled ? 'Feature enabled' : 'Feature disabled', { userId: req.user.id, feature: req.params.name });
+        res.json({ flags: await featureFlags.listFlags() });
+    } catch (error) {
+        req.log.error('Failed to update feature flag', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/admin/flags/history?feature=&limit=
+// Flag transitions (disabled / probe_failed / enabled), newest first
+router.get('/flags/history', validate({ query: schemas.flagHistoryQuery }), async (req, res) => {
+    try {
+        res.json(await featureFlags.history({ featureName: req.query.feature, limit: req.query.limit }));
+    } catch (error) {
+        req.log.error('Failed to load flag history', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/admin/recovery/run
+// Runs due recovery probes now instead of waiting for the next request to a disabled feature
+router.post('/recovery/run', async (req, res) => {
+    try {
+        const results = await featureRecovery.runOnce();
+        req.log.info('Recovery probes run', { userId: req.user.id, due: results.length });
+        res.json({ results, flags: await featureFlags.listFlags(), ai: robustGemini.getStatus() });
+    } catch (error) {
+        req.log.error('Recovery run failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/admin/breakers/:name/reset
+// Closes a circuit breaker without waiting for its cooldown
+router.post('/breakers/:name/reset', validate({ params: schemas.breakerParams }), (req, res) => {
+    const breaker = robustGemini.breakers[req.params.name];
+    if (!breaker) return res.status(404).json({ error: 'Circuit breaker not found' });
+
+    breaker.reset();
+    req.log.info('Circuit breaker reset', { userId: req.user.id, breaker: req.params.name });
+    res.json({ ai: robustGemini.getStatus() });
+});
+
+// PUT /api/admin/model { model }
+// Pins all AI calls to one model of the hierarchy; null restores the fallback ladder
+router.put('/model', validate({ body: schemas.modelUpdate }), (req, res) => {
+    const { model } = req.body;
+    if (model !== null && !robustGemini.models.includes(model)) {
+        return res.status(400).json({ error: `model must be one of: ${robustGemini.models.join(', ')}` });
+    }
+
+    robustGemini.forceModel(model);
+    req.log.info(model ? 'Model forced' : 'Model hierarchy restored', { userId: req.user.id, ...(model && { model }) });
+    res.json({ ai: robustGemini.getStatus() });
+});
+
+// GET /api/admin/stripe-events?status=&type=&limit=
+// Stripe webhook ledger, newest first (payloads left out)
+router.get('/stripe-events', validate({ query: schemas.stripeEventsQuery }), async (req, res) => {
+    try {
+        res.json(await stripeEvents.list(req.query));
+    } catch (error) {
+        req.log.error('Failed to load Stripe events', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/admin/stripe-events/:id/replay
+// Runs a failed event again from its stored payload (e.g. after fixing the cause)
+router.post('/stripe-events/:id/replay', validate({ params: schemas.stripeEventParams }), async (req, res) => {
+    try {
+        const event = await stripeEvents.get(req.params.id);
+        if (!event) return res.status(404).json({ error: 'Stripe event not found' });
+
+        let outcome;
+        try {
+            outcome = await processEvent(event.payload, req.log);
+        } catch (error) {
+            req.log.error('Stripe event replay failed', { eventId: event.id, error });
+            return res.status(500).json({ error: error.message, event: await stripeEvents.get(event.id) });
+        }
+
+        if (outcome === 'duplicate' || outcome === 'in_progress') {
+            return res.status(409).json({ error: 'Only failed events can be replayed', status: event.status });
+        }
+
+        req.log.info('Stripe event replayed', { userId: req.user.id, eventId: event.id, type: event.type, outcome });
+        await emailOutbox.runOnce();
+        res.json({ outcome, event: await stripeEvents.get(event.id) });
+    } catch (error) {
+        req.log.error('Failed to replay Stripe event', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/admin/email-outbox/run
+// Sends queued e-mails now instead of waiting for the next interval or cron run
+router.post('/email-outbox/run', async (req, res) => {
+    const result = await emailOutbox.runOnce();
+    req.log.info('E-mail outbox run', { userId: req.user.id, sent: result.sent, failed: result.failed });
+    res.json(result);
+});
+
+module.exports = router;
@@ -2,6 +2,11 @@ const express = require('express');
 const supabase = require('../utils/supabase');
 const nodemailer = require('nodemailer');
 const jwt = require('jsonwebtoken');
+const { rateLimit } = require('../utils/rateLimit');
+const { validate } = require('../utils/validate');
+const referrals = require('../utils/referrals');
+const crm = require('../utils/crm');
+const schemas = require('../schemas/auth');
 
 const router = express.Router();
 
@@ -22,7 +27,7 @@ const requireAuth = async (req, res, next) => {
         const { data, error } = await supabase.auth.getUser(token);
 
         if (error || !data || !data.user) {
-            if (!data) console.error('[AUTH_ERROR] Supabase returned NULL data. Key missing?');
+            if (!data) req.log.error('Supabase returned no user data, is the service key missing?');
             return res.status(401).json({ error: 'Invalid token' });
         }
 
@@ -31,47 +36,45 @@ const requireAuth = async (req, res, next) => {
         req.user = user;
         next();
     } catch (err) {
+        req.log.error('Token validation failed', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 };
 
-const requireAdmin = async (req, res, next) => {
-    const userId = req.user.id;
+// Optional auth: a missing or invalid token just means the caller is a guest
+// Memoized per request, since both the rate limiter and the route handler ask.
+const optionalUsers = new WeakMap();
 
-    try {
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .select('role')
-            .eq('id', userId)
-            .single();
-
-        if (error || !profile) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
+const getOptionalUser = (req) => {
+    if (!optionalUsers.has(req)) optionalUsers.set(req, resolveOptionalUser(req));
+    return optionalUsers.get(req);
+};
 
-        if (profile.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin access required' });
-        }
+const resolveOptionalUser = async (req) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return null;
 
-        next();
+    const token = authHeader.split(' ')[1];
+    if (!token || token === 'null') return null;
+
+    try {
+        const { data: { user: authUser }, error } = await supabase.auth.getUser(token);
+        if (!error && authUser) {
+            return authUser;
+        }
     } catch (err) {
-        res.status(500).json({ error: 'Internal server error' });
+        req.log.warn('Token validation failed, treating as guest', { error: err.message });
     }
+    return null;
 };
 
 // ---- EXISTING ROUTES ----
 
 // Signup (Bypass Email Confirmation using Admin)
-router.post('/signup', async (req, res) => {
-    const { email, password, data: userData } = req.body;
-
-    if (!email || !password) {
-        return res.status(400).json({ error: 'Email and password are required' });
-    }
+router.post('/signup', validate({ body: schemas.signup }), async (req, res) => {
+    const { email, password, data: userData, referralCode } = req.body;
 
     try {
-        console.log('[AUTH_API] Creating user (auto-confirm):', email);
-
         // Use Admin API to create user with confirmed email
         const { data: user, error } = await supabase.auth.admin.createUser({
             email,
@@ -82,22 +85,44 @@ router.post('/signup', async (req, res) => {
 
         if (error) throw error;
 
-        console.log('[AUTH_API] User created successfully:', user.user.id);
+        req.log.info('User signed up', { userId: user.user.id });
+
+        const referral = referralCode ? await attributeReferral(req.log, user.user.id, referralCode) : null;
+
+        // CRM: links the new account to its lead, or adds it to the pipeline
+        await crm.recordSignup({ userId: user.user.id, email: user.user.email || email, name: userData?.full_name })
+            .catch(crmError => req.log.error('Failed to record the signup in the CRM', { userId: user.user.id, error: crmError.message }));
 
-        res.json({ success: true, user: user.user });
+        res.json({ success: true, user: user.user, referral });
     } catch (error) {
-        console.error('[AUTH_API] Signup error:', error);
+        req.log.error('Signup failed', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Change Email
-router.post('/change-email', requireAuth, async (req, res) => {
-    const { newEmail } = req.body;
+// Redeems the signup's referral code and records it on the profile (ref_source).
+// Never fails the signup: the account already exists, so problems are only reported back.
+const attributeReferral = async (log, userId, referralCode) => {
+    const code = referrals.normalizeCode(referralCode);
+    try {
+        const { status } = await referrals.redeem(code, userId);
+        if (status !== 'redeemed') {
+            log.warn('Referral code not applied', { userId, code, status });
+            return { code, status, message: referrals.STATUS_MESSAGES[status] };
+        }
 
-    if (!newEmail) {
-        return res.status(400).json({ error: 'New email is required' });
+        const { error } = await supabase.from('profiles').upsert({ id: userId, ref_source: code });
+        if (error) log.error('Failed to record ref_source', { userId, code, error: error.message });
+        return { code, status };
+    } catch (error) {
+        log.error('Referral attribution failed', { userId, code, error: error.message });
+        return { code, status: 'error' };
     }
+};
+
+// Change Email
+router.post('/change-email', requireAuth, validate({ body: schemas.changeEmail }), async (req, res) => {
+    const { newEmail } = req.body;
 
     try {
         const { data, error } = await supabase.auth.updateUser({ email: newEmail });
@@ -106,18 +131,14 @@ router.post('/change-email', requireAuth, async (req, res) => {
 
         res.json({ success: true, message: 'Confirmation email sent to new address' });
     } catch (error) {
+        req.log.error('E-mail change failed', { userId: req.user.id, error });
         res.status(500).json({ error: error.message });
     }
 });
 
 // Request Password Reset (Custom Flow)
-router.post('/request-password-reset', async (req, res) => {
+router.post('/request-password-reset', rateLimit('passwordReset'), validate({ body: schemas.passwordResetRequest }), async (req, res) => {
     const { email } = req.body;
-    console.log('[PW_RESET_API] Request for', email);
-
-    if (!email || typeof email !== 'string') {
-        return res.status(400).json({ success: false, message: 'Invalid email' });
-    }
 
     try {
         // 1. Check if user exists
@@ -183,10 +204,8 @@ router.post('/request-password-reset', async (req, res) => {
             },
         });
 
-        console.log('[PW_RESET_API] generateLink result', { success: !!linkData.properties, error: linkError });
-
         if (linkError) {
-            console.log('[PW_RESET_API] Error generating link:', linkError);
+            req.log.warn('Password reset link generation failed', { error: linkError });
             // Supabase specific error for "user not found"?
             // Often "User not found" or similar.
             if (linkError.message?.toLowerCase().includes('not found') || linkError.status === 404) {
@@ -222,25 +241,19 @@ router.post('/request-password-reset', async (req, res) => {
             `
         };
 
-        console.log('[PW_RESET_DEBUG] Attempting to send email:', {
-            from: mailOptions.from,
-            to: mailOptions.to,
-            smtpUser: process.env.SMTP_USER ? '***' : 'MISSING'
-        });
-
         const info = await transporter.sendMail(mailOptions);
-        console.log('[PW_RESET_API] Email sent:', info.messageId);
+        req.log.info('Password reset e-mail sent', { userId: linkData.user?.id, messageId: info.messageId });
 
         return res.json({ success: true });
 
     } catch (err) {
-        console.error('[PW_RESET_API] Unexpected error:', err);
+        req.log.error('Password reset request failed', err);
         return res.status(500).json({ success: false, code: 'SERVER_ERROR', message: err.message });
     }
 });
 
 // Debug Test Email
-router.post('/debug/send-test-mail', async (req, res) => {
+router.post('/debug/send-test-mail', validate({ body: schemas.testMail }), async (req, res) => {
     // Hardcoded test
     const testEmail = 'doctor@hospital.com'; // Or take from body if needed, but safe default
 
@@ -252,10 +265,10 @@ router.post('/debug/send-test-mail', async (req, res) => {
             text: 'This is a test email to verify SMTP configuration.',
         });
 
-        console.log('[PW_RESET_DEBUG] test mail result', { messageId: info.messageId });
+        req.log.info('Test e-mail sent', { messageId: info.messageId });
         res.json({ success: true, messageId: info.messageId });
     } catch (error) {
-        console.error('[PW_RESET_DEBUG] test mail error', error);
+        req.log.error('Test e-mail failed', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
@@ -263,9 +276,8 @@ router.post('/debug/send-test-mail', async (req, res) => {
 // ---- NEW CUSTOM SMTP ROUTES ----
 
 // 1. Request Password Reset (Send Email)
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', rateLimit('passwordReset'), validate({ body: schemas.passwordResetRequest }), async (req, res) => {
     const { email } = req.body;
-    if (!email) return res.status(400).json({ error: 'Email is required' });
 
     try {
         // 1. Find user by email
@@ -283,12 +295,12 @@ router.post('/forgot-password', async (req, res) => {
         const user = users.find(u => u.email && u.email.toLowerCase() === email.toLowerCase());
 
         if (!user) {
-            console.log(`Password reset requested for ${email}, but user not found in first 1000 users.`);
+            req.log.info('Password reset requested for an unknown address (searched the first 1000 users)');
             // Security: Don't reveal user existence.
             return res.json({ success: true, message: 'If that email exists, a reset link has been sent.' });
         }
 
-        console.log(`User found: ${user.id}. Sending reset email to ${email}...`);
+        req.log.info('Sending password reset e-mail', { userId: user.id });
 
         // 2. Generate Token
         // Payload: userId and email. Expire in 1 hour.
@@ -300,7 +312,6 @@ router.post('/forgot-password', async (req, res) => {
 
         // 3. Construct Link
         const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
-        console.log('[PW_RESET_DEBUG] Generated Link:', resetLink); // DEBUG: Verify URL
 
         // 4. Send Email via SMTP
         await transporter.sendMail({
@@ -320,19 +331,15 @@ router.post('/forgot-password', async (req, res) => {
 
         res.json({ success: true, message: 'RESET LINK SENT (DEBUG MODE) - Check Email Now' });
     } catch (error) {
-        console.error('Forgot password error:', error);
+        req.log.error('Forgot password request failed', error);
         res.status(500).json({ error: `Failed to process request: ${error.message}` });
     }
 });
 
 // 2. Confirm Reset (Update Password)
-router.post('/reset-password-confirm', async (req, res) => {
+router.post('/reset-password-confirm', validate({ body: schemas.passwordResetConfirm }), async (req, res) => {
     const { token, newPassword } = req.body;
 
-    if (!token || !newPassword) {
-        return res.status(400).json({ error: 'Token and new password are required' });
-    }
-
     try {
         // 1. Verify Token
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
@@ -352,7 +359,7 @@ router.post('/reset-password-confirm', async (req, res) => {
 
         res.json({ success: true, message: 'Password has been updated successfully.' });
     } catch (error) {
-        console.error('Reset password confirm error:', error);
+        req.log.error('Password reset confirmation failed', error);
         if (error.name === 'TokenExpiredError') {
             return res.status(400).json({ error: 'Reset link has expired.' });
         }
@@ -360,4 +367,4 @@ router.post('/reset-password-confirm', async (req, res) => {
     }
 });
 
-module.exports = { requireAuth, requireAdmin, router };
+module.exports = { requireAuth, getOptionalUser, router };
@@ -2,9 +2,12 @@ const express = require('express');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const supabase = require('../utils/supabase');
 const { requireAuth } = require('./auth');
-const { requireAdmin } = require('../utils/accessControl');
+const { authorize } = require('../utils/permissions');
 const multer = require('multer');
 const path = require('path');
+const { validate } = require('../utils/validate');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/blogs');
 
 const router = express.Router();
 // Gemini AI setup (kept for future reference, unused in manual mode for now)
@@ -24,7 +27,7 @@ const upload = multer({ storage: storage });
 
 // Create a new blog post (Redirects to Admin/Team check)
 // Middleware order: 1. Auth 2. Admin Check 3. File Upload
-router.post('/', requireAuth, requireAdmin, upload.single('image'), async (req, res) => {
+router.post('/', requireAuth, authorize('manage_blogs'), upload.single('image'), validate({ body: schemas.blogCreate }), async (req, res) => {
     const { title, slug, content, status } = req.body;
     const userId = req.user.id;
     let image_url = req.body.image_url;
@@ -33,23 +36,18 @@ router.post('/', requireAuth, requireAdmin, upload.single('image'), async (req,
         image_url = `/uploads/${req.file.filename}`;
     }
 
-    console.log('[BLOG_SAVE] Saving blog for user:', userId, 'Title:', title, 'Image:', image_url);
-
     try {
         const { data, error } = await supabase
             .from('blogs')
             .insert([{ user_id: userId, title, slug, content, image_url, status }])
             .select();
 
-        if (error) {
-            console.error('[BLOG_SAVE] Supabase Insert Error:', error);
-            throw error; // Will be caught below
-        }
+        if (error) throw error;
 
-        console.log('[BLOG_SAVE] Success. Blog ID:', data[0]?.id);
+        req.log.info('Blog saved', { userId, blogId: data[0]?.id, status, image: !!image_url });
         res.status(201).json(data[0]);
     } catch (error) {
-        console.error('[BLOG_SAVE] Unexpected Error:', error);
+        req.log.error('Failed to save blog', { userId, error });
         res.status(500).json({ error: 'Database Error: ' + error.message });
     }
 });
@@ -74,7 +72,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get a specific blog post
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -94,7 +92,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update a blog post
-router.put('/:id', requireAuth, requireAdmin, async (req, res) => {
+router.put('/:id', requireAuth, authorize('manage_blogs'), validate({ params: idParams, body: schemas.blogUpdate }), async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
@@ -114,7 +112,7 @@ router.put('/:id', requireAuth, requireAdmin, async (req, res) => {
 });
 
 // Delete a blog post
-router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
+router.delete('/:id', requireAuth, authorize('manage_blogs'), validate({ params: idParams }), async (req, res) => {
     const { id } = req.params;
 
     try {
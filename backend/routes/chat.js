@@ -1,125 +1,70 @@
 const express = require('express');
 const robustGemini = require('../utils/robustGemini'); // [NEW] Use Robust Client
 const supabase = require('../utils/supabase'); // Service role client
-const { requireAuth } = require('./auth');
-const { hasUnlimitedAccess } = require('../utils/accessControl');
+const { getOptionalUser } = require('./auth');
+const quota = require('../utils/quota');
+const { verifyCitations } = require('../utils/citations');
+const guidelineLibrary = require('../utils/guidelineLibrary');
+const { assignSessionTitle } = require('../utils/sessionTitles');
+const conversationHistory = require('../utils/conversationHistory');
+const messageTree = require('../utils/messageTree');
+const { rateLimit } = require('../utils/rateLimit');
+const { validate } = require('../utils/validate');
+const schemas = require('../schemas/chat');
 
 const router = express.Router();
 
-// DEBUG: Check if we can access the question_usage table
+// GET /api/chat/models
+// Model hierarchy of the active provider, for "regenerate with a specific model"
+router.get('/models', (req, res) => {
+    res.json({ models: robustGemini.models });
+});
+
+// DEBUG: Check if we can access the usage_counters table
 router.get('/debug', async (req, res) => {
     try {
-        const { data, error } = await supabase.from('question_usage').select('count');
+        const { data, error } = await supabase.from('usage_counters').select('count');
         if (error) throw error;
-        res.json({ status: 'ok', message: 'question_usage table is accessible', count: data?.length || 0 });
+        res.json({ status: 'ok', message: 'usage_counters table is accessible', count: data?.length || 0 });
     } catch (error) {
-        console.error('Debug: question_usage check failed:', error);
+        req.log.error('usage_counters check failed', error);
         res.status(500).json({ error: 'Table check failed: ' + error.message });
     }
 });
 
-// POST /api/chat/message
-// - Enforces 5-question limit for free users (Guests handled by frontend for now or IP limit later)
-// - Calls Gemini AI via Robust Client (Auto-retry, Auto-fallback)
-// - Returns response
-router.post('/message', async (req, res) => {
-    const { message, history, language, region, country, userRole, isShortAnswer } = req.body;
-    let user = null;
+// Retrieved library passages, numbered so the model can cite the stored document by name
+function buildGuidelineContext(passages) {
+    if (!passages || passages.length === 0) return '';
 
-    // 1. Try to Authenticate (Optional)
-    const authHeader = req.headers.authorization;
-    if (authHeader) {
-        const token = authHeader.split(' ')[1];
-        if (token && token !== 'null') {
-            try {
-                const { data: { user: authUser }, error } = await supabase.auth.getUser(token);
-                if (!error && authUser) {
-                    user = authUser;
-                }
-            } catch (err) {
-                console.warn("Token validation failed, treating as guest:", err.message);
-            }
-        }
-    }
+    const excerpts = passages.map((passage, i) => {
+        const doc = passage.document || {};
+        const label = [doc.issuing_body, doc.title, doc.year].filter(Boolean).join(' — ');
+        const scope = doc.country || doc.region || 'International';
+        return `[G${i + 1}] ${label} (${scope})\n${passage.content}`;
+    }).join('\n\n');
 
-    let professionalRole = userRole || 'Physician'; // Default for Guests
+    return `
 
-    try {
-        // 2. Access Control (If User Logged In)
-        if (user) {
-            // Fetch full profile
-            const { data: profile, error: profileError } = await supabase
-                .from('profiles')
-                .select('*')
-                .eq('id', user.id)
-                .single();
-
-            if (profileError) {
-                console.error('Profile fetch error:', profileError);
-                // Fail safe: If we can't read profile, assume limited user? 
-                // Or allow? Let's error to be safe or fallback to limited.
-                // For now, let's log and proceed as "User" but check limits carefully.
-            }
+GUIDELINE LIBRARY (verified excerpts from stored guideline documents):
+- These excerpts OVERRIDE your memory where they apply. Base your answer on them first.
+- When you use an excerpt, list its document in Sources EXACTLY as labelled (issuing body, title, year).
+- Do not cite an excerpt that is not relevant to the question.
 
-            // --- ROLE SEPARATION LOGIC ---
-            // 1. SYSTEM ROLE (For Permissions/Limits)
-            // collect ALL roles to ensure if *any* source says admin, we treat as admin.
-            const allRoles = [
-                profile?.role,
-                user.role,
-                user.user_metadata?.role,
-                user.app_metadata?.role
-            ].filter(Boolean);
-
-            const isUnlimited = hasUnlimitedAccess({
-                ...user, // auth user
-                ...profile, // profile attributes
-                roles: allRoles // Explicit list of all found roles
-            });
+${excerpts}`;
+}
 
-            console.log(`[CHAT_ACCESS] User: ${user.email}, Roles Detected: ${allRoles.join(', ')}, Unlimited: ${isUnlimited}`);
-
-            // 2. MEDICAL PERSONA (For AI Context)
-            // The AI should NOT know you are an "admin". It needs to know if you are a Doctor, Nurse, Student.
-            // Priority: Explicit Profile Field > User Metadata > requestedRole > Default
-            professionalRole = profile?.professional_role || profile?.specialty || profile?.title || user.user_metadata?.professional_role || professionalRole;
-
-            console.log(`[CHAT_CONTEXT] Medical Persona: ${professionalRole}`);
-
-            if (!isUnlimited) {
-                // Check usage
-                let { data: usage } = await supabase
-                    .from('question_usage')
-                    .select('*')
-                    .eq('user_id', user.id)
-                    .single();
-
-                const currentCount = usage ? usage.questions_count : 0;
-
-                if (currentCount >= 5) {
-                    return res.status(403).json({
-                        error: 'LIMIT_REACHED',
-                        message: 'You used your 5 free questions. Please upgrade your plan to continue.'
-                    });
-                }
-
-                // Increment Usage
-                if (!usage) {
-                    await supabase.from('question_usage').insert([{ user_id: user.id, questions_count: 1 }]);
-                } else {
-                    await supabase.from('question_usage')
-                        .update({ questions_count: currentCount + 1 })
-                        .eq('user_id', user.id);
-                }
-            }
-        } else {
-            console.log('[CHAT_ACCESS] Guest User (Frontend Limits Apply)');
-            // Note: In a production app, we should enforce IP rate limits here 
-            // to prevent bypassing the frontend counter.
-        }
+// Rolling summary of the turns that no longer fit the history budget (utils/conversationHistory.js)
+function buildSummaryContext(summary) {
+    if (!summary) return '';
+
+    return `
 
-        // 3. Prepare System Instruction
-        const systemInstructionText = `ROLE: Expert Clinical Consultant (MD/Specialist level) for MDnexa™.
+EARLIER IN THIS CONSULTATION (summary of turns no longer shown in the history):
+${summary}`;
+}
+
+function buildSystemInstruction({ country, region, language, professionalRole, isShortAnswer, guidelinePassages, historySummary }) {
+    return `ROLE: Expert Clinical Consultant (MD/Specialist level) for MDnexa™.
 CONTEXT: Country = ${country || 'International'}, Region = ${region || 'International'}. User Role = ${professionalRole}.
 
 CORE MANDATES:
@@ -152,119 +97,356 @@ CORE MANDATES:
 
 8. ROLE ADAPTATION:
 ${(professionalRole?.toLowerCase().includes('student'))
-                ? '   - AUDIENCE: Medical/Nursing Student. PROVIDE EXPLANATIONS. explain complex terms briefly. Focus on pathophysiology and "why". Do NOT simplify, but ELABORATE.'
-                : (professionalRole?.toLowerCase().includes('physician') || professionalRole?.toLowerCase().includes('doctor') || professionalRole?.toLowerCase().includes('nurse') || professionalRole?.toLowerCase().includes('pharmacist') || professionalRole?.toLowerCase().includes('clinician'))
-                    ? '   - AUDIENCE: Clinical Expert. PROVIDE DEPTH. Skip basic definitions. Focus on advanced management, nuanced guidelines, drug interactions, and clinical pearls.'
-                    : '   - AUDIENCE: Healthcare Professional. Standard professional medical tone.'}
+            ? '   - AUDIENCE: Medical/Nursing Student. PROVIDE EXPLANATIONS. explain complex terms briefly. Focus on pathophysiology and "why". Do NOT simplify, but ELABORATE.'
+            : (professionalRole?.toLowerCase().includes('physician') || professionalRole?.toLowerCase().includes('doctor') || professionalRole?.toLowerCase().includes('nurse') || professionalRole?.toLowerCase().includes('pharmacist') || professionalRole?.toLowerCase().includes('clinician'))
+                ? '   - AUDIENCE: Clinical Expert. PROVIDE DEPTH. Skip basic definitions. Focus on advanced management, nuanced guidelines, drug interactions, and clinical pearls.'
+                : '   - AUDIENCE: Healthcare Professional. Standard professional medical tone.'}
 
 ${(isShortAnswer === true || isShortAnswer === 'true') ? 'CONSTRAINT: Concise Mode. Max 3 key points. Use outlines/bullets. No filler words.' : ''}
 
-FORMAT: Structured markdown (headers, bullets). No tables.`;
+FORMAT: Structured markdown (headers, bullets). No tables.${buildGuidelineContext(guidelinePassages)}${buildSummaryContext(historySummary)}`;
+}
 
-        console.log('[CHAT_DEBUG] System Instruction Constraint:', (isShortAnswer === true || isShortAnswer === 'true') ? 'TELEGRAPHIC' : 'Norm');
-        console.log('[CHAT_DEBUG] Max Tokens:', (isShortAnswer === true || isShortAnswer === 'true') ? 1000 : 2048);
+// Gemini requires history to start with 'user' role.
+// Takes { role, content } messages (chat_messages rows, or client history via fromClientHistory).
+function formatHistory(history) {
+    let formattedHistory = (history || []).map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'model',
+        parts: [{ text: msg.content }]
+    }));
 
-        // 4. Format History
-        // Gemini requires history to start with 'user' role.
-        let formattedHistory = history.map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'model',
-            parts: [{ text: msg.text }]
-        }));
+    // Remove leading model messages (e.g. Welcome message)
+    while (formattedHistory.length > 0 && formattedHistory[0].role === 'model') {
+        formattedHistory.shift();
+    }
 
-        // Remove leading model messages (e.g. Welcome message)
-        while (formattedHistory.length > 0 && formattedHistory[0].role === 'model') {
-            formattedHistory.shift();
+    return formattedHistory;
+}
+
+/**
+ * Places a turn in the session's message tree (utils/messageTree.js):
+ * - regenerateMessageId: another answer to that answer's question (no new question is stored)
+ * - editMessageId: a new version of that question, next to it
+ * - otherwise a follow-up to parentMessageId (the last message the client shows), or to the active branch
+ * Returns { parentId, branch } — branch being the history before the turn — plus { questionId, question }
+ * when regenerating, or { status, error }.
+ */
+function resolveTurn({ session, messages }, { parentMessageId, editMessageId, regenerateMessageId }) {
+    const find = (id) => messages.find(message => message.id === id);
+
+    if (regenerateMessageId) {
+        const answer = find(regenerateMessageId);
+        const question = answer && find(answer.parent_message_id);
+        if (!answer || answer.role !== 'model' || !question) {
+            return { status: 404, error: 'Answer not found in this session' };
         }
+        return {
+            parentId: question.parent_message_id || null,
+            questionId: question.id,
+            question: question.content,
+            branch: messageTree.pathTo(messages, question.parent_message_id)
+        };
+    }
 
-        // 5. CALL ROBUST AI wrapper
-        const { text: responseText, model: usedModel } = await robustGemini.generateMessage({
-            message,
-            history: formattedHistory,
-            systemInstruction: systemInstructionText,
-            temperature: 0.7,
-            maxOutputTokens: 4096
-        });
+    if (editMessageId) {
+        const original = find(editMessageId);
+        if (!original || original.role !== 'user') {
+            return { status: 404, error: 'Message not found in this session' };
+        }
+        const parentId = original.parent_message_id || null;
+        return { parentId, branch: messageTree.pathTo(messages, parentId) };
+    }
 
-        // 6. Persistence (If User Logged In & Session Provided)
-        if (user && req.body.sessionId) {
-            const persistMessages = async () => {
-                // Save User Message
-                await supabase.from('chat_messages').insert({
-                    session_id: req.body.sessionId,
-                    user_id: user.id,
-                    role: 'user',
-                    content: message
-                });
+    if (parentMessageId) {
+        if (!find(parentMessageId)) {
+            return { status: 404, error: 'Message not found in this session' };
+        }
+        return { parentId: parentMessageId, branch: messageTree.pathTo(messages, parentMessageId) };
+    }
 
-                // Save AI Response
-                await supabase.from('chat_messages').insert({
-                    session_id: req.body.sessionId,
-                    user_id: user.id,
-                    role: 'model',
-                    content: responseText
-                });
+    const branch = messageTree.activeBranch(messages, session?.active_message_id);
+    return { parentId: branch.length > 0 ? branch[branch.length - 1].id : null, branch };
+}
+
+/**
+ * Shared preamble for both chat endpoints: optional auth, access control / usage limits,
+ * history and system instruction.
+ * History of saved sessions comes from chat_messages (the branch the turn continues); the client-sent
+ * `history` is only used for guests.
+ * `model` forces one model of the hierarchy instead of the automatic fallback.
+ * Returns { denied: { status, body } } when the request must be rejected.
+ */
+async function prepareChatContext(req) {
+    const { history, language, region, country, userRole, isShortAnswer, sessionId, model } = req.body;
+    let { message } = req.body;
+
+    if (model && !robustGemini.models.includes(model)) {
+        return { denied: { status: 400, body: { error: `Unknown model. Available: ${robustGemini.models.join(', ')}` } } };
+    }
+
+    // 1. Try to Authenticate (Optional)
+    const user = await getOptionalUser(req);
+
+    // Saved session: load the stored history (and check ownership) before anything is counted
+    let stored = null;
+    let turn = null;
+    if (user && sessionId) {
+        stored = await conversationHistory.loadSessionHistory({ sessionId, userId: user.id });
+        if (stored.forbidden) {
+            req.log.warn('Chat access denied to session', { userId: user.id, sessionId });
+            return { denied: { status: 403, body: { error: 'Access denied' } } };
+        }
 
-                // Touch Session Updated At
-                await supabase.from('chat_sessions')
-                    .update({ updated_at: new Date() })
-                    .eq('id', req.body.sessionId);
-            };
+        turn = resolveTurn(stored, req.body);
+        if (turn.error) {
+            return { denied: { status: turn.status, body: { error: turn.error } } };
+        }
+        // Regenerating answers the stored question again
+        if (turn.questionId) {
+            message = turn.question;
+        }
+    }
+
+    let professionalRole = userRole || 'Physician'; // Default for Guests
+
+    // 2. Access Control: plan-aware quota (guests are counted by IP + device)
+    const access = await quota.resolveAccess(req, user);
+    const usage = await quota.consume(access, 'chat');
 
-            let persistenceSuccess = false;
+    req.log.info('Chat access', { userId: user?.id || 'guest', plan: access.plan, used: usage.used, limit: usage.limit ?? 'unlimited' });
+
+    if (!usage.allowed) {
+        return { denied: { status: 403, body: quota.limitReachedBody(usage) } };
+    }
 
+    if (user) {
+        const profile = access.profile;
+
+        // MEDICAL PERSONA (For AI Context)
+        // The AI should NOT know you are an "admin". It needs to know if you are a Doctor, Nurse, Student.
+        // Priority: Explicit Profile Field > User Metadata > requestedRole > Default
+        professionalRole = profile?.professional_role || profile?.specialty || profile?.title || user.user_metadata?.professional_role || professionalRole;
+
+        req.log.debug('Medical persona', { professionalRole });
+    }
+
+    // 3. Retrieve grounding passages from the guideline library (user's country, its region, International)
+    const guidelinePassages = await guidelineLibrary.retrieve({ query: message, country, region });
+    if (guidelinePassages.length > 0) {
+        req.log.debug('Guideline passages retrieved', { count: guidelinePassages.length });
+    }
+
+    // 4. History within the token budget of the model hierarchy
+    const budget = conversationHistory.historyTokenBudget(robustGemini.models);
+    let historyMessages;
+    let historySummary = null;
+    if (stored) {
+        ({ history: historyMessages, summary: historySummary } = await conversationHistory.fitHistory({
+            session: stored.session,
+            messages: turn.branch,
+            budget,
+            language
+        }));
+    } else {
+        historyMessages = conversationHistory.trimToBudget(conversationHistory.fromClientHistory(history), budget);
+    }
+
+    // 5. Prepare System Instruction
+    const systemInstruction = buildSystemInstruction({ country, region, language, professionalRole, isShortAnswer, guidelinePassages, historySummary });
+
+    req.log.debug('System instruction built', { style: (isShortAnswer === true || isShortAnswer === 'true') ? 'telegraphic' : 'normal', historyMessages: historyMessages.length });
+
+    // 6. Format History
+    const formattedHistory = formatHistory(historyMessages);
+    const isFirstExchange = stored ? stored.messages.length === 0 : formattedHistory.length === 0;
+
+    return { user, message, model, systemInstruction, formattedHistory, guidelinePassages, isFirstExchange, turn };
+}
+
+// Persistence (If User Logged In & Session Provided)
+// `turn` places the messages in the session's tree (see resolveTurn); the new answer becomes the active branch.
+// Returns the stored { user, model } message ids, or null if nothing was persisted
+async function persistExchange({ user, sessionId, message, responseText, usedModel, citations, verification, region, country, language, isFirstExchange, turn, log }) {
+    let messageIds = null;
+
+    const persistMessages = async () => {
+        // Save User Message (a regenerated answer reuses the stored question)
+        let questionId = turn?.questionId || null;
+        if (!questionId) {
+            const { data: userRow } = await supabase.from('chat_messages').insert({
+                session_id: sessionId,
+                user_id: user.id,
+                role: 'user',
+                content: message,
+                parent_message_id: turn?.parentId || null
+            }).select('id').single();
+            questionId = userRow?.id || null;
+        }
+
+        // Save AI Response
+        const { data: modelRow } = await supabase.from('chat_messages').insert({
+            session_id: sessionId,
+            user_id: user.id,
+            role: 'model',
+            content: responseText,
+            model: usedModel,
+            citations,
+            verification,
+            parent_message_id: questionId
+        }).select('id').single();
+
+        // Returned to the client so it can address the stored messages (e.g. share links)
+        messageIds = { user: questionId, model: modelRow?.id || null };
+
+        // Touch Session Updated At
+        await supabase.from('chat_sessions')
+            .update({ updated_at: new Date(), active_message_id: messageIds.model })
+            .eq('id', sessionId);
+    };
+
+    let persistenceSuccess = false;
+
+    try {
+        await persistMessages();
+        persistenceSuccess = true;
+    } catch (dbError) {
+        log.warn('Initial persistence failed, checking for missing session', { sessionId, error: dbError });
+
+        // Check if error is related to foreign key (missing session)
+        if (dbError.code === '23503' || dbError.message?.includes('foreign key') || dbError.details?.includes('is not present in table "chat_sessions"')) {
             try {
+                log.info('Creating missing session just-in-time', { sessionId });
+                // Create the session with the ID we have
+                await supabase.from('chat_sessions').insert({
+                    id: sessionId,
+                    user_id: user.id,
+                    title: new Date().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+                    region: region || 'International',
+                    country: country || 'International'
+                });
+
+                // Retry persistence
                 await persistMessages();
                 persistenceSuccess = true;
-            } catch (dbError) {
-                console.warn("Initial persistence failed, checking for missing session...", dbError.message);
-
-                // Check if error is related to foreign key (missing session)
-                if (dbError.code === '23503' || dbError.message?.includes('foreign key') || dbError.details?.includes('is not present in table "chat_sessions"')) {
-                    try {
-                        console.log("Creating missing session just-in-time:", req.body.sessionId);
-                        // Create the session with the ID we have
-                        await supabase.from('chat_sessions').insert({
-                            id: req.body.sessionId,
-                            user_id: user.id,
-                            title: new Date().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
-                            region: region || 'International',
-                            country: country || 'International'
-                        });
-
-                        // Retry persistence
-                        await persistMessages();
-                        persistenceSuccess = true;
-                    } catch (retryError) {
-                        console.error("Failed to recover session and persist messages:", retryError);
-                    }
-                } else {
-                    console.error("Database persistence error:", dbError);
-                }
+            } catch (retryError) {
+                log.error('Failed to recover session and persist messages', { sessionId, error: retryError });
             }
+        } else {
+            log.error('Database persistence error', { sessionId, error: dbError });
+        }
+    }
 
-            // --- TIMESTAMP TITLE (User Request) ---
-            // If this is the first message, set title to Date/Time
-            if (persistenceSuccess && formattedHistory.length === 0) {
-                const timestampTitle = new Date().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
-                console.log(`[TITLE] Setting Timestamp: "${timestampTitle}"`);
-                await supabase.from('chat_sessions').update({ title: timestampTitle }).eq('id', req.body.sessionId);
-            }
+    // --- SMART TITLE ---
+    // After the first exchange, replace the creation timestamp with a generated clinical title.
+    // Awaited (it never throws): a serverless function may be frozen once the response is sent.
+    if (persistenceSuccess && isFirstExchange) {
+        await assignSessionTitle({ sessionId, question: message, answer: responseText, language });
+    }
+
+    return messageIds;
+}
+
+// Post-processing: structured Sources + placeholder/country checks
+function checkCitations(responseText, { country, region }, log) {
+    const result = verifyCitations(responseText, { country, region });
+    if (!result.verification.passed) {
+        log.warn('Citation verification failed', { issues: result.verification.issues.map(issue => issue.type) });
+    }
+    return result;
+}
+
+// Stored documents the answer was grounded on (deduplicated), flagged when the Sources list actually cites them
+function summarizeGuidelines(passages, citations) {
+    const documents = new Map();
+
+    for (const { document } of passages) {
+        if (!document || documents.has(document.id)) continue;
+
+        const title = document.title.toLowerCase();
+        const cited = citations.some(citation => {
+            const raw = citation.raw.toLowerCase();
+            return raw.includes(title) ||
+                (document.issuing_body && citation.issuingBody?.includes(document.issuing_body) && citation.year === document.year);
+        });
+
+        documents.set(document.id, {
+            id: document.id,
+            title: document.title,
+            issuingBody: document.issuing_body,
+            country: document.country,
+            region: document.region,
+            specialty: document.specialty,
+            year: document.year,
+            sourceUrl: document.source_url,
+            cited
+        });
+    }
+
+    return [...documents.values()];
+}
+
+// Writes one Server-Sent Event frame
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// POST /api/chat/message
+// - Enforces the plan's chat quota (see utils/quota.js), for users and guests alike
+// - Calls Gemini AI via Robust Client (Auto-retry, Auto-fallback)
+// - Grounds the answer on the guideline library for the user's country/region (see utils/guidelineLibrary.js)
+// - Extracts and verifies the Sources list (see utils/citations.js)
+// - Saved sessions: regenerateMessageId / editMessageId / parentMessageId place the turn in the
+//   session's message tree (see resolveTurn); `model` forces one model of GET /models
+// - Returns response
+router.post('/message', rateLimit('chat', { resolveUser: getOptionalUser }), validate({ body: schemas.chatMessage }), async (req, res) => {
+    const { region, country, language, sessionId } = req.body;
+
+    try {
+        const context = await prepareChatContext(req);
+        if (context.denied) {
+            return res.status(context.denied.status).json(context.denied.body);
         }
+        const { user, message, model, systemInstruction, formattedHistory, guidelinePassages, isFirstExchange, turn } = context;
 
-        res.json({ text: responseText, model: usedModel }); // Optional: return usedModel for debug UI
+        // 5. CALL ROBUST AI wrapper
+        const { text: responseText, model: usedModel } = await robustGemini.generateMessage({
+            message,
+            history: formattedHistory,
+            systemInstruction,
+            temperature: 0.7,
+            maxOutputTokens: 4096,
+            model,
+            log: req.log
+        });
+
+        // 6. Citation extraction & verification
+        const { citations, verification } = checkCitations(responseText, { country, region }, req.log);
+        const guidelines = summarizeGuidelines(guidelinePassages, citations);
+
+        // 7. Persistence (If User Logged In & Session Provided)
+        let messageIds = null;
+        if (user && sessionId) {
+            messageIds = await persistExchange({
+                user,
+                sessionId,
+                message,
+                responseText,
+                usedModel,
+                citations,
+                verification,
+                region,
+                country,
+                language,
+                isFirstExchange,
+                turn,
+                log: req.log
+            });
+        }
+
+        res.json({ text: responseText, model: usedModel, citations, verification, guidelines, messageIds }); // Optional: return usedModel for debug UI
 
     } catch (error) {
-        console.error('Chat API Error:', error);
-
-        // LOG TO FILE FOR DEBUGGING
-        const fs = require('fs');
-        const path = require('path');
-        const logPath = path.join(__dirname, '../backend_error.log');
-        const logEntry = `\n[${new Date().toISOString()}] CHAT ERROR:\n${error.stack || error.message}\n` +
-            (error.response ? `Response: ${JSON.stringify(error.response, null, 2)}\n` : '');
-        try {
-            fs.appendFileSync(logPath, logEntry);
-        } catch (e) { console.error('Failed to write log:', e); }
+        req.log.error('Chat request failed', error);
 
         res.status(500).json({
             error: error.message || 'AI Generation Failed',
@@ -273,4 +455,100 @@ FORMAT: Structured markdown (headers, bullets). No tables.`;
     }
 });
 
+// POST /api/chat/message/stream
+// Same contract as /message, but answers over Server-Sent Events:
+// - `chunk` events carry partial text ({ text })
+// - a final `done` event carries the model used, the verified citations and the library documents used
+//   ({ model, citations, verification, guidelines, messageIds })
+// - an `error` event is sent if generation fails after the stream has started
+// Limit/validation failures before the stream starts are plain JSON responses.
+router.post('/message/stream', rateLimit('chat', { resolveUser: getOptionalUser }), validate({ body: schemas.chatMessage }), async (req, res) => {
+    const { region, country, language, sessionId } = req.body;
+
+    // Client disconnect (AbortController on the frontend) cancels the upstream generation
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) abortController.abort();
+    });
+
+    let streamStarted = false;
+
+    try {
+        const context = await prepareChatContext(req);
+        if (context.denied) {
+            return res.status(context.denied.status).json(context.denied.body);
+        }
+        const { user, message, model, systemInstruction, formattedHistory, guidelinePassages, isFirstExchange, turn } = context;
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering so chunks arrive immediately
+        });
+        res.flushHeaders();
+        streamStarted = true;
+
+        const { text: responseText, model: usedModel } = await robustGemini.generateMessageStream({
+            message,
+            history: formattedHistory,
+            systemInstruction,
+            temperature: 0.7,
+            maxOutputTokens: 4096,
+            model,
+            log: req.log,
+            signal: abortController.signal,
+            onChunk: (text) => sendEvent(res, 'chunk', { text })
+        });
+
+        // Citations can only be checked once the full answer exists
+        const { citations, verification } = checkCitations(responseText, { country, region }, req.log);
+        const guidelines = summarizeGuidelines(guidelinePassages, citations);
+
+        // Persist only once the full answer exists
+        let messageIds = null;
+        if (user && sessionId) {
+            messageIds = await persistExchange({
+                user,
+                sessionId,
+                message,
+                responseText,
+                usedModel,
+                citations,
+                verification,
+                region,
+                country,
+                language,
+                isFirstExchange,
+                turn,
+                log: req.log
+            });
+        }
+
+        sendEvent(res, 'done', { model: usedModel, citations, verification, guidelines, messageIds });
+        res.end();
+
+    } catch (error) {
+        if (error.name === 'AbortError' || abortController.signal.aborted) {
+            req.log.info('Client aborted generation');
+            return;
+        }
+
+        req.log.error('Chat stream failed', error);
+
+        const payload = {
+            error: error.message || 'AI Generation Failed',
+            details: 'The AI is currently unavailable after multiple retries. Please try again later.',
+            requestId: req.id
+        };
+
+        if (!streamStarted) {
+            return res.status(500).json(payload);
+        }
+
+        sendEvent(res, 'error', payload);
+        res.end();
+    }
+});
+
 module.exports = router;
@@ -1,62 +1,253 @@
 const express = require('express');
 const supabase = require('../utils/supabase');
+const crm = require('../utils/crm');
+const emailOutbox = require('../utils/emailOutbox');
 const { requireAuth } = require('./auth');
+const { authorize } = require('../utils/permissions');
+const { rateLimit } = require('../utils/rateLimit');
+const { validate } = require('../utils/validate');
+const { toCsv } = require('../utils/csv');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/crm');
 
 const router = express.Router();
 
-// Create a new contact
-router.post('/', requireAuth, async (req, res) => {
+const MAX_EXPORT_ROWS = 20000;
+const TIMELINE_LIMIT = 200;
+
+// Create a contact on the caller's own list (contact form). An address already on that list is
+// merged into its contact; the pipeline and other users' lists are never looked at.
+router.post('/', requireAuth, validate({ body: schemas.contactCreate }), async (req, res) => {
     const { email, name, source, notes, stage } = req.body;
     const userId = req.user.id;
 
     try {
-        const { data, error } = await supabase
-            .from('crm_contacts')
-            .insert([{ user_id: userId, email, name, source, notes, stage }])
-            .select();
+        const { contact, created } = await crm.capture({ email, name, source, notes, stage, ownerId: userId });
+        res.status(created ? 201 : 200).json(crm.publicContact(contact));
+    } catch (error) {
+        req.log.error('Contact form submission failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Public Lead Collection (Waitlist/Newsletter), with double opt-in
+router.post('/leads', rateLimit('leads'), validate({ body: schemas.lead }), async (req, res) => {
+    const { email, name, source } = req.body;
+
+    try {
+        const { contact } = await crm.capture({ email, name, source: source || 'landing_page' });
+        await crm.requestOptIn(contact);
+        await emailOutbox.runOnce();
+
+        // Same answer for new, pending and confirmed addresses
+        res.status(201).json({ success: true, message: 'Check your inbox to confirm your subscription' });
+    } catch (error) {
+        req.log.error('Lead capture failed', error);
+        res.status(500).json({ error: 'Failed to capture lead' });
+    }
+});
+
+// POST /api/crm/newsletter/confirm { token }
+// Confirmation link of the double opt-in e-mail (opened by NewsletterPage)
+router.post('/newsletter/confirm', validate({ body: schemas.token }), async (req, res) => {
+    try {
+        const status = await crm.confirmOptIn(req.body.token);
+        if (status === 'not_found') return res.status(404).json({ error: 'This confirmation link is not valid' });
+        if (status === 'expired') return res.status(410).json({ error: 'This confirmation link has expired. Sign up again to get a new one.' });
+
+        res.json({ status });
+    } catch (error) {
+        req.log.error('Opt-in confirmation failed', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/crm/newsletter/unsubscribe { token }
+router.post('/newsletter/unsubscribe', validate({ body: schemas.token }), async (req, res) => {
+    try {
+        const status = await crm.unsubscribe(req.body.token);
+        if (status === 'not_found') return res.status(404).json({ error: 'This unsubscribe link is not valid' });
+
+        res.json({ status });
+    } catch (error) {
+        req.log.error('Unsubscribe failed', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ---- Pipeline: every contact that isn't on a user's own list (manage_crm) ----
+
+// Filters shared by the list and the export
+const contactsQuery = ({ stage, tag, newsletter, q }, options) => {
+    let query = supabase.from('crm_contacts').select('*', options).is('owner_id', null);
+    if (stage) query = query.eq('stage', stage);
+    if (tag) query = query.contains('tags', [tag]);
+    if (newsletter) query = query.eq('opt_in_status', newsletter);
+    if (q) {
+        // Characters with a meaning in or() filters are dropped
+        const term = q.replace(/[,()*%\\]/g, ' ').trim();
+        if (term) query = query.or(`email.ilike.*${term}*,name.ilike.*${term}*`);
+    }
+    return query.order('last_activity_at', { ascending: false });
+};
 
+// GET /api/crm/contacts?stage=&tag=&newsletter=&q=&limit=&offset=
+// Most recently active first
+router.get('/contacts', requireAuth, authorize('manage_crm'), validate({ query: schemas.contactsQuery }), async (req, res) => {
+    const { limit, offset } = req.query;
+
+    try {
+        const { data, error, count } = await contactsQuery(req.query, { count: 'exact' }).range(offset, offset + limit - 1);
         if (error) throw error;
 
-        res.status(201).json(data[0]);
+        res.json({ items: (data || []).map(crm.publicContact), total: count || 0 });
     } catch (error) {
+        req.log.error('Failed to list contacts', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Public Lead Collection (Waitlist/Newsletter)
-router.post('/leads', async (req, res) => {
-    const { email, name, source } = req.body;
+// GET /api/crm/contacts/export?stage=&tag=&newsletter=&q=
+// Same filters, as a CSV file that POST /contacts/import reads back
+router.get('/contacts/export', requireAuth, authorize('manage_crm'), validate({ query: schemas.contactsExportQuery }), async (req, res) => {
+    try {
+        const { data, error } = await contactsQuery(req.query).limit(MAX_EXPORT_ROWS);
+        if (error) throw error;
+
+        const csv = toCsv(crm.CSV_COLUMNS, data || []);
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="mdnexa-contacts-${new Date().toISOString().slice(0, 10)}.csv"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(csv);
+    } catch (error) {
+        req.log.error('Contact export failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-    // Basic validation
-    if (!email) {
-        return res.status(400).json({ error: 'Email is required' });
+// POST /api/crm/contacts/import { csv, tags? }
+// Rows with an unusable e-mail or stage are skipped and reported by line
+router.post('/contacts/import', requireAuth, authorize('manage_crm'), validate({ body: schemas.importBody }), async (req, res) => {
+    const { csv, tags } = req.body;
+
+    const parsed = crm.parseImport(csv);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    try {
+        const result = await crm.importContacts(parsed.rows, { actorId: req.user.id, tags });
+        req.log.info('Contacts imported', { userId: req.user.id, ...result, skipped: parsed.skipped.length });
+        res.json({ ...result, skipped: parsed.skipped });
+    } catch (error) {
+        req.log.error('Contact import failed', error);
+        res.status(500).json({ error: error.message });
     }
+});
 
+const loadContact = async (id) => {
+    const { data, error } = await supabase.from('crm_contacts').select('*').eq('id', id).is('owner_id', null).maybeSingle();
+    if (error) throw error;
+    return data;
+};
+
+// GET /api/crm/contacts/:id
+// The contact and its timeline, newest first
+router.get('/contacts/:id', requireAuth, authorize('manage_crm'), validate({ params: schemas.contactParams }), async (req, res) => {
     try {
-        // user_id is nullable in crm_contacts? We'll find out.
-        // If not, we might need to handle it or use a different table, but user asked for crm_contacts.
-        // Assuming user_id is nullable (common for leads).
-        const { data, error } = await supabase
-            .from('crm_contacts')
-            .insert([{
-                email,
-                name,
-                source: source || 'landing_page',
-                stage: 'lead', // defaulted
-                created_at: new Date()
-            }])
-            .select();
+        const contact = await loadContact(req.params.id);
+        if (!contact) return res.status(404).json({ error: 'Contact not found' });
 
+        const { data: activities, error } = await supabase
+            .from('crm_activities')
+            .select('*')
+            .eq('contact_id', contact.id)
+            .order('created_at', { ascending: false })
+            .limit(TIMELINE_LIMIT);
         if (error) throw error;
 
-        res.status(201).json({ success: true, message: 'Lead captured' });
+        res.json({ contact: crm.publicContact(contact), activities: activities || [] });
     } catch (error) {
-        console.error('Lead capture error:', error);
-        res.status(500).json({ error: 'Failed to capture lead' });
+        req.log.error('Failed to load contact', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /api/crm/contacts/:id { name?, notes?, stage?, tags? }
+// Any stage can be set by hand; the change is logged on the timeline
+router.patch('/contacts/:id', requireAuth, authorize('manage_crm'), validate({ params: schemas.contactParams, body: schemas.pipelineUpdate }), async (req, res) => {
+    const { stage, ...fields } = req.body;
+
+    try {
+        let contact = await loadContact(req.params.id);
+        if (!contact) return res.status(404).json({ error: 'Contact not found' });
+
+        const changed = Object.keys(fields).filter(key => JSON.stringify(fields[key]) !== JSON.stringify(contact[key] ?? null));
+        if (changed.length > 0) {
+            const { data, error } = await supabase
+                .from('crm_contacts')
+                .update({ ...fields, updated_at: new Date().toISOString() })
+                .eq('id', contact.id)
+                .select()
+                .single();
+            if (error) throw error;
+            contact = data;
+            await crm.logActivity(contact.id, 'updated', {
+                summary: changed.includes('tags') ? `Tags: ${contact.tags.join(', ') || 'none'}` : null,
+                data: { fields: changed },
+                actorId: req.user.id
+            });
+        }
+
+        if (stage) contact = await crm.setStage(contact, stage, { reason: 'manual', actorId: req.user.id });
+
+        res.json(crm.publicContact(contact));
+    } catch (error) {
+        req.log.error('Failed to update contact', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Get all contacts for the user
+// POST /api/crm/contacts/:id/activities { summary }
+// A note on the timeline (call, meeting, e-mail...)
+router.post('/contacts/:id/activities', requireAuth, authorize('manage_crm'), validate({ params: schemas.contactParams, body: schemas.activityCreate }), async (req, res) => {
+    try {
+        const contact = await loadContact(req.params.id);
+        if (!contact) return res.status(404).json({ error: 'Contact not found' });
+
+        const activity = await crm.logActivity(contact.id, 'note', { summary: req.body.summary, actorId: req.user.id });
+        res.status(201).json(activity);
+    } catch (error) {
+        req.log.error('Failed to add note', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/crm/contacts/:id/merge { sourceId }
+// Merges a duplicate (e.g. the same person's work and personal address) into this contact
+router.post('/contacts/:id/merge', requireAuth, authorize('manage_crm'), validate({ params: schemas.contactParams, body: schemas.mergeBody }), async (req, res) => {
+    const { id } = req.params;
+    const { sourceId } = req.body;
+    if (id === sourceId) return res.status(400).json({ error: 'A contact cannot be merged into itself' });
+
+    try {
+        const [target, source] = await Promise.all([loadContact(id), loadContact(sourceId)]);
+        if (!target || !source) return res.status(404).json({ error: 'Contact not found' });
+
+        const contact = await crm.merge(id, sourceId, req.user.id);
+        if (!contact) return res.status(404).json({ error: 'Contact not found' });
+
+        req.log.info('Contacts merged', { userId: req.user.id, contactId: id, sourceId });
+        res.json(crm.publicContact(contact));
+    } catch (error) {
+        req.log.error('Contact merge failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ---- The caller's own contacts ----
+
+// Get all contacts the user created
 router.get('/', requireAuth, async (req, res) => {
     const userId = req.user.id;
 
@@ -64,19 +255,20 @@ router.get('/', requireAuth, async (req, res) => {
         const { data, error } = await supabase
             .from('crm_contacts')
             .select('*')
-            .eq('user_id', userId)
+            .eq('owner_id', userId)
             .order('created_at', { ascending: false });
 
         if (error) throw error;
 
-        res.json(data);
+        res.json((data || []).map(crm.publicContact));
     } catch (error) {
+        req.log.error('Failed to list own contacts', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Update a contact
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, validate({ params: idParams, body: schemas.contactUpdate }), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
     const updates = req.body;
@@ -84,21 +276,25 @@ router.put('/:id', requireAuth, async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('crm_contacts')
-            .update(updates)
+            .update({ ...updates, updated_at: new Date().toISOString() })
             .eq('id', id)
-            .eq('user_id', userId)
+            .eq('owner_id', userId)
             .select();
 
-        if (error) throw error;
+        if (error) {
+            if (error.code === '23505') return res.status(409).json({ error: 'Another contact already has this e-mail address' });
+            throw error;
+        }
 
-        res.json(data[0]);
+        res.json(crm.publicContact(data[0]));
     } catch (error) {
+        req.log.error('Failed to update own contact', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Delete a contact
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, validate({ params: idParams }), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
@@ -107,12 +303,13 @@ router.delete('/:id', requireAuth, async (req, res) => {
             .from('crm_contacts')
             .delete()
             .eq('id', id)
-            .eq('user_id', userId);
+            .eq('owner_id', userId);
 
         if (error) throw error;
 
         res.json({ message: 'Contact deleted successfully' });
     } catch (error) {
+        req.log.error('Failed to delete own contact', error);
         res.status(500).json({ error: error.message });
     }
 });
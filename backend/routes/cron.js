@@ -0,0 +1,24 @@
+const express = require('express');
+const emailOutbox = require('../utils/emailOutbox');
+const featureRecovery = require('../utils/featureRecovery');
+
+const router = express.Router();
+
+// GET /api/cron
+// Background jobs for serverless deployments, called every minute by Vercel Cron (vercel.json)
+// with CRON_SECRET as a bearer token. Long-lived servers run the same jobs on intervals (index.js).
+router.get('/', async (req, res) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Invalid cron secret' });
+    }
+
+    // Neither job throws: failures are logged and retried on the next run
+    const outbox = await emailOutbox.runOnce();
+    const recovery = await featureRecovery.runOnce();
+
+    req.log.info('Cron jobs ran', { sent: outbox.sent, failed: outbox.failed, probes: recovery.length });
+    res.json({ outbox, recovery });
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const supabase = require('../utils/supabase');
+const accounts = require('../utils/accounts');
+const { requireAuth } = require('./auth');
+const { authorize } = require('../utils/permissions');
+const { toCsv } = require('../utils/csv');
+const { validate } = require('../utils/validate');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/feedback');
+const { FEEDBACK_CATEGORIES, FEEDBACK_STATUSES, EXPORT_COLUMNS } = require('../utils/messageFeedback');
+
+const router = express.Router();
+
+const MAX_EXPORT_ROWS = 5000;
+
+// The question an answer replied to (parent in the message tree, or the previous question for older sessions)
+async function findQuestion(message) {
+    let query = supabase.from('chat_messages').select('content');
+    query = message.parent_message_id
+        ? query.eq('id', message.parent_message_id)
+        : query.eq('session_id', message.session_id).eq('role', 'user').lt('created_at', message.created_at).order('created_at', { ascending: false }).limit(1);
+
+    const { data } = await query;
+    return data?.[0]?.content || null;
+}
+
+// status / category / kind / rating filters of the admin endpoints
+function applyFilters(query, { status, category, kind, rating }) {
+    if (status) query = query.eq('status', status);
+    if (category) query = query.eq('category', category);
+    if (kind) query = query.eq('kind', kind);
+    if (rating) query = query.eq('rating', rating);
+    return query;
+}
+
+// Adds reporter_email (from the auth user) to each entry
+async function withReporters(rows) {
+    const emails = await accounts.emailsOf(rows.map(row => row.user_id));
+    return rows.map(row => ({ ...row, reporter_email: emails.get(row.user_id) || null }));
+}
+
+// POST /api/feedback { messageId, rating?, category?, comment? }
+// - rating 'up' | 'down' | null: the caller's thumbs on an answer (one per answer; null removes it)
+// - category (see FEEDBACK_CATEGORIES) + comment: an inaccuracy report, queued for admin review
+router.post('/', requireAuth, validate({ body: schemas.feedbackCreate }), async (req, res) => {
+    const { messageId, ...feedback } = req.body;
+
+    try {
+        const { data: message } = await supabase
+            .from('chat_messages')
+            .select('id, session_id, role, content, model, citations, verification, parent_message_id, created_at')
+            .eq('id', messageId)
+            .maybeSingle();
+
+        // Only answers in the caller's own sessions; others look like they don't exist
+        const { data: session } = message
+            ? await supabase.from('chat_sessions').select('id, user_id, country, region').eq('id', message.session_id).maybeSingle()
+            : { data: null };
+        if (!message || !session || session.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        if (message.role !== 'model') {
+            return res.status(400).json({ error: 'Feedback can only be given on answers' });
+        }
+
+        if (feedback.kind === 'rating') {
+            const { data: existing } = await supabase
+                .from('message_feedback')
+                .select('id')
+                .eq('user_id', req.user.id)
+                .eq('message_id', message.id)
+                .eq('kind', 'rating')
+                .maybeSingle();
+
+            if (feedback.rating === null) {
+                if (existing) {
+                    const { error } = await supabase.from('message_feedback').delete().eq('id', existing.id);
+                    if (error) throw error;
+                }
+                return res.json({ kind: 'rating', rating: null });
+            }
+
+            if (existing) {
+                const { data, error } = await supabase
+                    .from('message_feedback')
+                    .update({ rating: feedback.rating, comment: feedback.comment, updated_at: new Date().toISOString() })
+                    .eq('id', existing.id)
+                    .select('id, kind, rating, category, status, created_at')
+                    .single();
+                if (error) throw error;
+                return res.json(data);
+            }
+        }
+
+        const { data, error } = await supabase
+            .from('message_feedback')
+            .insert({
+                ...feedback,
+                status: 'new',
+                message_id: message.id,
+                session_id: session.id,
+                user_id: req.user.id,
+                question: await findQuestion(message),
+                answer: message.content,
+                model: message.model || null,
+                country: session.country || null,
+                region: session.region || null,
+                citations: message.citations || null,
+                verification: message.verification || null
+            })
+            .select('id, kind, rating, category, status, created_at')
+            .single();
+
+        if (error) throw error;
+
+        if (feedback.kind === 'report') {
+            req.log.info('Inaccuracy reported', { userId: req.user.id, messageId: message.id, category: feedback.category });
+        }
+        res.status(201).json(data);
+    } catch (error) {
+        req.log.error('Failed to save feedback', error);
+        res.status(500).json({ error: 'Failed to save feedback' });
+    }
+});
+
+// GET /api/feedback/admin?status=&category=&kind=&rating=&limit=&offset=
+// Review queue (admin only), newest first
+router.get('/admin', requireAuth, authorize('view_admin'), validate({ query: schemas.feedbackQueueQuery }), async (req, res) => {
+    const { limit, offset } = req.query;
+
+    try {
+        const { data, error, count } = await applyFilters(
+            supabase.from('message_feedback').select('*', { count: 'exact' }),
+            req.query
+        )
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        res.json({
+            items: await withReporters(data || []),
+            total: count || 0,
+            categories: FEEDBACK_CATEGORIES,
+            statuses: FEEDBACK_STATUSES
+        });
+    } catch (error) {
+        req.log.error('Failed to list feedback', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/feedback/admin/export?status=&category=&kind=&rating=
+// Same filters as the queue, as a CSV file
+router.get('/admin/export', requireAuth, authorize('view_admin'), validate({ query: schemas.feedbackExportQuery }), async (req, res) => {
+    try {
+        const { data, error } = await applyFilters(supabase.from('message_feedback').select('*'), req.query)
+            .order('created_at', { ascending: false })
+            .limit(MAX_EXPORT_ROWS);
+
+        if (error) throw error;
+
+        const csv = toCsv(EXPORT_COLUMNS, await withReporters(data || []));
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="mdnexa-feedback-${new Date().toISOString().slice(0, 10)}.csv"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(csv);
+    } catch (error) {
+        req.log.error('Feedback export failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /api/feedback/admin/:id { status?, adminNotes? }
+// Triage: move through new -> triaged -> resolved/dismissed and annotate
+router.patch('/admin/:id', requireAuth, authorize('view_admin'), validate({ params: idParams, body: schemas.feedbackTriage }), async (req, res) => {
+    try {
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('message_feedback')
+            .update({ ...req.body, reviewed_by: req.user.id, reviewed_at: now, updated_at: now })
+            .eq('id', req.params.id)
+            .select('*');
+
+        if (error) throw error;
+        if (!data || data.length === 0) return res.status(404).json({ error: 'Feedback not found' });
+
+        req.log.info('Feedback updated', { userId: req.user.id, feedbackId: req.params.id });
+        const [item] = await withReporters(data);
+        res.json(item);
+    } catch (error) {
+        req.log.error('Failed to update feedback', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,16 +1,40 @@
 const express = require('express');
 const robustGemini = require('../utils/robustGemini');
+const quota = require('../utils/quota');
+const { getOptionalUser } = require('./auth');
+const { rateLimit } = require('../utils/rateLimit');
+const { validate } = require('../utils/validate');
+const schemas = require('../schemas/gemini');
 const router = express.Router();
 
+// Burst limit on every AI endpoint, before the quota is counted
+router.use(rateLimit('ai', { resolveUser: getOptionalUser }));
+
+// Counts one use of `feature` against the caller's plan (guests by IP/device) and rejects when exhausted
+const requireQuota = (feature) => async (req, res, next) => {
+    try {
+        const user = await getOptionalUser(req);
+        const access = await quota.resolveAccess(req, user);
+        const usage = await quota.consume(access, feature);
+
+        if (!usage.allowed) {
+            return res.status(403).json(quota.limitReachedBody(usage));
+        }
+
+        if (user) req.user = user;
+        next();
+    } catch (error) {
+        req.log.error('Quota check failed', { feature, error });
+        next(); // Fail open, like the quota engine itself
+    }
+};
+
 // Helper for Audio Decoding (if needed, but here we process text-to-speech)
 // Text-to-Speech Endpoint
-router.post('/speech', async (req, res) => {
+// Invalid requests are rejected before they count against the quota
+router.post('/speech', validate({ body: schemas.speech }), requireQuota('speech'), async (req, res) => {
     try {
-        const { text } = req.body;
-        if (!text) return res.status(400).json({ error: 'Text is required' });
-
-        // Truncate for safety
-        const safeText = text.slice(0, 4500);
+        const { text: safeText } = req.body; // At most 4500 characters
 
         // Usage via Robust Client (Note: Fallback model might not support Audio, but primary 2.0 does)
         const { result } = await robustGemini.generateContent({
@@ -31,16 +55,15 @@ router.post('/speech', async (req, res) => {
 
         res.json({ audioData: base64Audio });
     } catch (error) {
-        console.error('Speech Generation Error:', error);
+        req.log.error('Speech generation failed', error);
         res.status(500).json({ error: error.message || 'Failed to generate speech' });
     }
 });
 
 // Transcription Endpoint
-router.post('/transcribe', async (req, res) => {
+router.post('/transcribe', validate({ body: schemas.transcribe }), requireQuota('transcribe'), async (req, res) => {
     try {
         const { audioBase64, mimeType, languageCode } = req.body;
-        if (!audioBase64) return res.status(400).json({ error: 'Audio data required' });
 
         const { result } = await robustGemini.generateContent({
             featureName: 'transcription',
@@ -73,13 +96,13 @@ RULES:
         const text = result.response.text();
         res.json({ text });
     } catch (error) {
-        console.error('Transcription Error:', error);
+        req.log.error('Transcription failed', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Medical Lookup Endpoint
-router.post('/lookup', async (req, res) => {
+router.post('/lookup', validate({ body: schemas.lookup }), requireQuota('lookup'), async (req, res) => {
     try {
         const { term, region, language } = req.body;
 
@@ -113,13 +136,13 @@ router.post('/lookup', async (req, res) => {
 
         res.json({ text: result.response.text() });
     } catch (error) {
-        console.error('Lookup Error:', error);
+        req.log.error('Lookup failed', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Related Questions Endpoint
-router.post('/related', async (req, res) => {
+router.post('/related', validate({ body: schemas.related }), async (req, res) => {
     try {
         const { lastMessage, lastResponse, userRole, language } = req.body;
 
@@ -153,7 +176,7 @@ router.post('/related', async (req, res) => {
         const text = result.response.text();
         res.json(JSON.parse(text)); // Return parsed JSON directly
     } catch (error) {
-        console.error('Related Questions Error:', error);
+        req.log.error('Related questions failed', error);
         // Fallback to empty array
         res.json([]);
     }
@@ -0,0 +1,76 @@
+const express = require('express');
+const supabase = require('../utils/supabase');
+const guidelineLibrary = require('../utils/guidelineLibrary');
+const { requireAuth } = require('./auth');
+const { authorize } = require('../utils/permissions');
+const { validate } = require('../utils/validate');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/guidelines');
+
+const router = express.Router();
+
+// Admin only: the library is curated, answers cite it as ground truth
+router.use(requireAuth, authorize('view_admin'));
+
+// GET /api/guidelines
+// Stored documents (without chunks)
+router.get('/', async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('guideline_documents')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        res.json(data);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/guidelines
+// Ingests a guideline document: { title, content, issuingBody?, country?, region?, specialty?, year?, sourceUrl? }
+// The text is chunked and indexed for BM25 retrieval.
+router.post('/', validate({ body: schemas.guidelineCreate }), async (req, res) => {
+    const { title, content, issuingBody, country, region, specialty, year, sourceUrl } = req.body;
+
+    try {
+        const document = await guidelineLibrary.ingest({
+            title,
+            content,
+            issuingBody,
+            country,
+            region,
+            specialty,
+            year: year ?? null,
+            sourceUrl,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json(document);
+    } catch (error) {
+        req.log.error('Guideline ingestion failed', error);
+        res.status(500).json({ error: 'Ingestion failed: ' + error.message });
+    }
+});
+
+// GET /api/guidelines/search?q=...&country=...&region=...
+// Runs the same retrieval the chat uses, to check what a question would be grounded on
+router.get('/search', validate({ query: schemas.guidelineSearchQuery }), async (req, res) => {
+    const { q, country, region } = req.query;
+
+    const passages = await guidelineLibrary.retrieve({ query: q, country, region, limit: 10 });
+    res.json(passages);
+});
+
+// DELETE /api/guidelines/:id
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+    try {
+        await guidelineLibrary.remove(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -32,7 +32,6 @@ router.get('/', async (req, res) => {
 // Semantic "dry run" to verify AI is actually working
 router.get('/ai', async (req, res) => {
     try {
-        console.log("[Health] Running AI Smoke Test...");
         // Generate a single token to be cheap but prove it works
         const { text, model } = await robustGemini.generateMessage({
             message: "Say 'OK'",
@@ -52,7 +51,7 @@ router.get('/ai', async (req, res) => {
         });
 
     } catch (error) {
-        console.error("[Health] AI Smoke Test Failed:", error);
+        req.log.error('AI smoke test failed', error);
         res.status(503).json({
             status: 'error',
             message: error.message
@@ -0,0 +1,24 @@
+const express = require('express');
+const metrics = require('../utils/metrics');
+
+const router = express.Router();
+
+// GET /api/metrics
+// Prometheus scrape endpoint. Scrapers send METRICS_TOKEN as a bearer token; without one configured
+// nothing is served.
+router.get('/', async (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (!token || req.headers.authorization !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+
+    try {
+        res.set('Content-Type', metrics.CONTENT_TYPE);
+        res.send(await metrics.render());
+    } catch (error) {
+        req.log.error('Failed to render metrics', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
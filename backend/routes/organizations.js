@@ -0,0 +1,491 @@
+const express = require('express');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const supabase = require('../utils/supabase');
+const organizations = require('../utils/organizations');
+const quota = require('../utils/quota');
+const { requireAuth } = require('./auth');
+const { validate } = require('../utils/validate');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/organizations');
+
+const router = express.Router();
+
+const { MANAGER_ROLES, INVITATION_EXPIRY_DAYS, invitationStatus } = organizations;
+
+// Invitation rows as returned to clients: the token only ever travels in the e-mail
+const INVITATION_COLUMNS = 'id, organization_id, email, role, invited_by, expires_at, accepted_at, revoked_at, created_at';
+
+const INVITATION_GONE_MESSAGES = {
+    accepted: 'This invitation has already been used',
+    revoked: 'This invitation was withdrawn',
+    expired: 'This invitation has expired'
+};
+
+/**
+ * Loads the caller's membership of :id into req.membership, and the organization into req.organization.
+ * Non-members get 404, as if the organization didn't exist. With roles, other members get 403.
+ */
+const requireMember = (...roles) => async (req, res, next) => {
+    try {
+        const membership = await organizations.getMembership(req.params.id, req.user.id);
+        if (!membership) return res.status(404).json({ error: 'Organization not found' });
+        if (roles.length > 0 && !roles.includes(membership.role)) {
+            return res.status(403).json({ error: 'Only organization owners and admins can do this' });
+        }
+
+        const { data: organization, error } = await supabase.from('organizations').select('*').eq('id', req.params.id).single();
+        if (error) throw error;
+
+        req.membership = membership;
+        req.organization = organization;
+        next();
+    } catch (error) {
+        req.log.error('Organization membership check failed', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+const requireManager = requireMember(...MANAGER_ROLES);
+
+const seatSummary = (organization, members) => ({
+    total: organization.seat_count || 0,
+    used: members.filter(member => member.has_seat).length
+});
+
+// ---- Invitations (by token) ----
+
+// GET /api/organizations/invitations/:token
+// Public preview for the accept page: which organization, for which address, still valid?
+router.get('/invitations/:token', validate({ params: schemas.invitationTokenParams }), async (req, res) => {
+    try {
+        const { data: invitation } = await supabase
+            .from('organization_invitations')
+            .select('*')
+            .eq('token', req.params.token)
+            .maybeSingle();
+        if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+
+        const { data: organization } = await supabase.from('organizations').select('name').eq('id', invitation.organization_id).maybeSingle();
+
+        res.json({
+            organizationName: organization?.name || null,
+            email: invitation.email,
+            role: invitation.role,
+            status: invitationStatus(invitation),
+            expiresAt: invitation.expires_at
+        });
+    } catch (error) {
+        req.log.error('Failed to load invitation', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/organizations/invitations/:token/accept
+// Joins the organization with the invited role, and takes a free seat if there is one.
+router.post('/invitations/:token/accept', requireAuth, validate({ params: schemas.invitationTokenParams }), async (req, res) => {
+    try {
+        const { data: invitation } = await supabase
+            .from('organization_invitations')
+            .select('*')
+            .eq('token', req.params.token)
+            .maybeSingle();
+        if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+
+        const status = invitationStatus(invitation);
+        if (status !== 'pending') return res.status(410).json({ error: INVITATION_GONE_MESSAGES[status] });
+
+        if (String(req.user.email || '').toLowerCase() !== invitation.email) {
+            return res.status(403).json({ error: `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.` });
+        }
+
+        const existing = await organizations.getMembership(invitation.organization_id, req.user.id);
+        if (!existing) {
+            const { error } = await supabase.from('organization_members').insert({
+                organization_id: invitation.organization_id,
+                user_id: req.user.id,
+                role: invitation.role,
+                has_seat: false
+            });
+            if (error) throw error;
+        }
+
+        const { error: acceptError } = await supabase
+            .from('organization_invitations')
+            .update({ accepted_at: new Date().toISOString(), accepted_by: req.user.id })
+            .eq('id', invitation.id);
+        if (acceptError) throw acceptError;
+
+        const { assigned } = await organizations.assignSeat(invitation.organization_id, req.user.id);
+        const membership = await organizations.getMembership(invitation.organization_id, req.user.id);
+
+        req.log.info('Joined organization', { userId: req.user.id, organizationId: invitation.organization_id, seat: Boolean(assigned) });
+        res.json({ organizationId: invitation.organization_id, role: membership.role, hasSeat: membership.has_seat });
+    } catch (error) {
+        req.log.error('Failed to accept invitation', error);
+        res.status(500).json({ error: 'Failed to accept the invitation' });
+    }
+});
+
+// ---- Organizations ----
+
+// GET /api/organizations
+// Organizations the caller belongs to, with their role and seat
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const { data: memberships, error } = await supabase.from('organization_members').select('*').eq('user_id', req.user.id);
+        if (error) throw error;
+        if (!memberships || memberships.length === 0) return res.json([]);
+
+        const { data: rows, error: orgError } = await supabase
+            .from('organizations')
+            .select('*')
+            .in('id', memberships.map(membership => membership.organization_id))
+            .order('created_at', { ascending: true });
+        if (orgError) throw orgError;
+
+        res.json((rows || []).map(organization => {
+            const membership = memberships.find(m => m.organization_id === organization.id);
+            return { ...organization, role: membership.role, has_seat: membership.has_seat };
+        }));
+    } catch (error) {
+        req.log.error('Failed to list organizations', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/organizations { name }
+// The caller becomes the owner. Seats are bought afterwards (POST /:id/checkout).
+router.post('/', requireAuth, validate({ body: schemas.organizationCreate }), async (req, res) => {
+    try {
+        const { data: organization, error } = await supabase
+            .from('organizations')
+            .insert({ name: req.body.name, owner_id: req.user.id, seat_count: 0 })
+            .select('*')
+            .single();
+        if (error) throw error;
+
+        const { error: memberError } = await supabase.from('organization_members').insert({
+            organization_id: organization.id,
+            user_id: req.user.id,
+            role: 'owner',
+            has_seat: false
+        });
+        if (memberError) throw memberError;
+
+        req.log.info('Organization created', { userId: req.user.id, organizationId: organization.id });
+        res.status(201).json({ ...organization, role: 'owner', has_seat: false });
+    } catch (error) {
+        req.log.error('Failed to create organization', error);
+        res.status(500).json({ error: 'Failed to create organization' });
+    }
+});
+
+// GET /api/organizations/:id
+// The organization, its members and seats. Owners and admins also get the pending invitations.
+router.get('/:id', requireAuth, validate({ params: idParams }), requireMember(), async (req, res) => {
+    try {
+        const members = await organizations.listMembers(req.organization.id);
+
+        let invitations = [];
+        if (MANAGER_ROLES.includes(req.membership.role)) {
+            const { data, error } = await supabase
+                .from('organization_invitations')
+                .select(INVITATION_COLUMNS)
+                .eq('organization_id', req.organization.id)
+                .order('created_at', { ascending: false });
+            if (error) throw error;
+            invitations = (data || []).filter(invitation => invitationStatus(invitation) === 'pending');
+        }
+
+        res.json({
+            organization: req.organization,
+            role: req.membership.role,
+            seats: seatSummary(req.organization, members),
+            members,
+            invitations
+        });
+    } catch (error) {
+        req.log.error('Failed to load organization', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/organizations/:id/invitations { email, role? }
+// E-mails an accept link. Inviting the same address again replaces its pending invitation.
+router.post('/:id/invitations', requireAuth, validate({ params: idParams, body: schemas.invitationCreate }), requireManager, async (req, res) => {
+    const { email, role } = req.body;
+
+    if (role === 'admin' && req.membership.role !== 'owner') {
+        return res.status(403).json({ error: 'Only the owner can invite admins' });
+    }
+
+    try {
+        const members = await organizations.listMembers(req.organization.id);
+        if (members.some(member => member.email && member.email.toLowerCase() === email)) {
+            return res.status(409).json({ error: `${email} is already a member` });
+        }
+
+        const now = new Date();
+        await supabase
+            .from('organization_invitations')
+            .update({ revoked_at: now.toISOString() })
+            .eq('organization_id', req.organization.id)
+            .eq('email', email)
+            .is('accepted_at', null)
+            .is('revoked_at', null);
+
+        const { data: invitation, error } = await supabase
+            .from('organization_invitations')
+            .insert({
+                organization_id: req.organization.id,
+                email,
+                role,
+                token: organizations.generateInvitationToken(),
+                invited_by: req.user.id,
+                expires_at: new Date(now.getTime() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString()
+            })
+            .select('*')
+            .single();
+        if (error) throw error;
+
+        let emailSent = true;
+        try {
+            await organizations.sendInvitationEmail({
+                invitation,
+                organization: req.organization,
+                inviterName: req.user.user_metadata?.full_name || req.user.email
+            });
+        } catch (mailError) {
+            emailSent = false;
+            req.log.error('Failed to send invitation e-mail', { invitationId: invitation.id, error: mailError });
+        }
+
+        const { token, ...visible } = invitation;
+        res.status(201).json({ ...visible, emailSent });
+    } catch (error) {
+        req.log.error('Failed to invite', error);
+        res.status(500).json({ error: 'Failed to send the invitation' });
+    }
+});
+
+// DELETE /api/organizations/:id/invitations/:invitationId
+router.delete('/:id/invitations/:invitationId', requireAuth, validate({ params: schemas.invitationParams }), requireManager, async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('organization_invitations')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.invitationId)
+            .eq('organization_id', req.organization.id)
+            .is('accepted_at', null)
+            .select(INVITATION_COLUMNS);
+        if (error) throw error;
+        if (!data || data.length === 0) return res.status(404).json({ error: 'Invitation not found' });
+
+        res.json(data[0]);
+    } catch (error) {
+        req.log.error('Failed to revoke invitation', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /api/organizations/:id/members/:userId { role?, hasSeat? }
+// Seats move between members by releasing one (hasSeat false) and assigning it to another.
+router.patch('/:id/members/:userId', requireAuth, validate({ params: schemas.memberParams, body: schemas.memberUpdate }), requireManager, async (req, res) => {
+    const { role, hasSeat } = req.body;
+    const organizationId = req.organization.id;
+
+    try {
+        const target = await organizations.getMembership(organizationId, req.params.userId);
+        if (!target) return res.status(404).json({ error: 'Member not found' });
+
+        if (role !== undefined && role !== target.role) {
+            if (req.membership.role !== 'owner') return res.status(403).json({ error: 'Only the owner can change roles' });
+            if (target.role === 'owner') return res.status(400).json({ error: "The owner's role can't be changed" });
+
+            const { error } = await supabase
+                .from('organization_members')
+                .update({ role })
+                .eq('organization_id', organizationId)
+                .eq('user_id', target.user_id);
+            if (error) throw error;
+        }
+
+        if (hasSeat === true && !target.has_seat) {
+            const { assigned, seatCount } = await organizations.assignSeat(organizationId, target.user_id);
+            if (!assigned) {
+                return res.status(409).json({ error: `All ${seatCount} seats are assigned. Free a seat or buy more seats first.` });
+            }
+        } else if (hasSeat === false && target.has_seat) {
+            await organizations.releaseSeat(organizationId, target.user_id);
+        }
+
+        const members = await organizations.listMembers(organizationId);
+        req.log.info('Organization member updated', { userId: req.user.id, memberId: target.user_id, organizationId });
+        res.json({
+            member: members.find(member => member.user_id === target.user_id),
+            seats: seatSummary(req.organization, members)
+        });
+    } catch (error) {
+        req.log.error('Failed to update organization member', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/organizations/:id/members/:userId
+// Owners and admins remove members (only the owner removes admins); any member can leave. Their seat is freed.
+router.delete('/:id/members/:userId', requireAuth, validate({ params: schemas.memberParams }), requireMember(), async (req, res) => {
+    const organizationId = req.organization.id;
+    const leaving = req.params.userId === req.user.id;
+
+    try {
+        const target = leaving ? req.membership : await organizations.getMembership(organizationId, req.params.userId);
+        if (!target) return res.status(404).json({ error: 'Member not found' });
+
+        if (target.role === 'owner') {
+            return res.status(400).json({ error: "The owner can't leave or be removed from the organization" });
+        }
+        if (!leaving && !MANAGER_ROLES.includes(req.membership.role)) {
+            return res.status(403).json({ error: 'Only organization owners and admins can do this' });
+        }
+        if (!leaving && target.role === 'admin' && req.membership.role !== 'owner') {
+            return res.status(403).json({ error: 'Only the owner can remove admins' });
+        }
+
+        const { error } = await supabase
+            .from('organization_members')
+            .delete()
+            .eq('organization_id', organizationId)
+            .eq('user_id', target.user_id);
+        if (error) throw error;
+
+        req.log.info(leaving ? 'Left organization' : 'Organization member removed', { userId: req.user.id, memberId: target.user_id, organizationId });
+        res.json({ success: true });
+    } catch (error) {
+        req.log.error('Failed to remove organization member', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ---- Seats and billing ----
+
+// POST /api/organizations/:id/checkout { seats }
+// Stripe Checkout for a subscription of `seats` seats (STRIPE_SEAT_PRICE_ID). The webhook links it.
+router.post('/:id/checkout', requireAuth, validate({ params: idParams, body: schemas.seats }), requireManager, async (req, res) => {
+    const seatPriceId = process.env.STRIPE_SEAT_PRICE_ID;
+    if (!seatPriceId) return res.status(503).json({ error: 'Seat billing is not configured' });
+
+    const organization = req.organization;
+    if (organizations.hasActiveSubscription(organization)) {
+        return res.status(409).json({ error: 'This organization already has a subscription. Change its seat count instead.' });
+    }
+
+    try {
+        let customerId = organization.stripe_customer_id;
+        if (!customerId) {
+            const customer = await stripe.customers.create({
+                email: req.user.email,
+                name: organization.name,
+                metadata: { organizationId: organization.id }
+            });
+            customerId = customer.id;
+            await supabase.from('organizations').update({ stripe_customer_id: customerId }).eq('id', organization.id);
+        }
+
+        const session = await stripe.checkout.sessions.create({
+            customer: customerId,
+            mode: 'subscription',
+            line_items: [{ price: seatPriceId, quantity: req.body.seats }],
+            success_url: `${process.env.FRONTEND_URL}/team?checkout=success`,
+            cancel_url: `${process.env.FRONTEND_URL}/team`,
+            metadata: { organizationId: organization.id, userId: req.user.id },
+            subscription_data: { metadata: { organizationId: organization.id } }
+        });
+
+        res.json({ sessionId: session.id, url: session.url });
+    } catch (error) {
+        req.log.error('Organization checkout failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/organizations/:id/seats { seats }
+// Changes the subscription quantity (prorated by Stripe). Can't go below the seats in use.
+router.put('/:id/seats', requireAuth, validate({ params: idParams, body: schemas.seats }), requireManager, async (req, res) => {
+    const organization = req.organization;
+    if (!organization.stripe_subscription_id || !organizations.hasActiveSubscription(organization)) {
+        return res.status(409).json({ error: 'This organization has no active subscription. Buy seats first.' });
+    }
+
+    try {
+        const members = await organizations.listMembers(organization.id);
+        const { used } = seatSummary(organization, members);
+        if (req.body.seats < used) {
+            return res.status(409).json({ error: `${used} seats are assigned. Free seats before reducing the count to ${req.body.seats}.` });
+        }
+
+        const subscription = await stripe.subscriptions.retrieve(organization.stripe_subscription_id);
+        const updated = await stripe.subscriptions.update(subscription.id, {
+            items: [{ id: subscription.items.data[0].id, quantity: req.body.seats }],
+            proration_behavior: 'create_prorations'
+        });
+
+        // The webhook would do the same; syncing now lets the admin assign the new seats right away
+        const synced = await organizations.syncSubscription(updated, organization.id);
+        req.log.info('Organization seats changed', { userId: req.user.id, organizationId: organization.id, seats: req.body.seats });
+        res.json({ organization: synced, seats: { total: synced.seat_count, used } });
+    } catch (error) {
+        req.log.error('Seat change failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/organizations/:id/usage
+// This month's usage per member and in total (owners and admins)
+router.get('/:id/usage', requireAuth, validate({ params: idParams }), requireManager, async (req, res) => {
+    try {
+        const members = await organizations.listMembers(req.organization.id);
+        const { start, resetsAt } = quota.getWindowBounds('month');
+        const subjects = members.map(member => `user:${member.user_id}`);
+
+        const counts = {}; // user id -> feature -> count
+        if (subjects.length > 0) {
+            const { data, error } = await supabase
+                .from('usage_counters')
+                .select('subject, feature, count')
+                .in('subject', subjects)
+                .eq('window_start', start.toISOString());
+            if (error) throw error;
+
+            for (const row of data || []) {
+                const userId = row.subject.slice('user:'.length);
+                counts[userId] = { ...counts[userId], [row.feature]: row.count || 0 };
+            }
+        }
+
+        const usageOf = (userId) => Object.fromEntries(quota.FEATURES.map(feature => [feature, counts[userId]?.[feature] || 0]));
+        const memberUsage = members.map(member => ({
+            user_id: member.user_id,
+            email: member.email,
+            full_name: member.full_name,
+            role: member.role,
+            has_seat: member.has_seat,
+            usage: usageOf(member.user_id)
+        }));
+
+        res.json({
+            periodStart: start,
+            resetsAt,
+            seats: seatSummary(req.organization, members),
+            totals: Object.fromEntries(quota.FEATURES.map(feature => [
+                feature,
+                memberUsage.reduce((sum, member) => sum + member.usage[feature], 0)
+            ])),
+            members: memberUsage
+        });
+    } catch (error) {
+        req.log.error('Failed to load organization usage', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,117 +1,266 @@
 const express = require('express');
 const supabase = require('../utils/supabase');
+const referrals = require('../utils/referrals');
+const accounts = require('../utils/accounts');
+const { requireAuth } = require('./auth');
+const { authorize } = require('../utils/permissions');
+const { getClientIp } = require('../utils/quota');
+const { rateLimit } = require('../utils/rateLimit');
+const { validate } = require('../utils/validate');
+const { toCsv } = require('../utils/csv');
+const schemas = require('../schemas/referrals');
 const router = express.Router();
 
-const REFERRAL_TABLES = [
-    'ambassador_referrals',
-    'team_referrals',
-    'family_referrals',
-    'crm_contacts' // Assuming crm_contacts follows the same schema for ref usage
+const MAX_EXPORT_ROWS = 10000;
+
+const COMMISSION_COLUMNS = [
+    { header: 'Date', value: row => row.created_at },
+    { header: 'Code', value: row => row.code },
+    { header: 'Invoice', value: row => row.stripe_invoice_id },
+    { header: 'Currency', value: row => row.currency?.toUpperCase() },
+    { header: 'Invoice amount', value: row => (row.invoice_amount / 100).toFixed(2) },
+    { header: 'Commission %', value: row => row.commission_percent },
+    { header: 'Commission', value: row => (row.commission_amount / 100).toFixed(2) },
+    { header: 'Status', value: row => row.status },
+    { header: 'Paid at', value: row => row.paid_at },
+    { header: 'Payout reference', value: row => row.payout_reference }
 ];
 
-// GET /api/referrals/validate?code=XYZ
-router.get('/validate', async (req, res) => {
-    const { code } = req.query;
+// Adds the code text to commission rows (the ledger stores code_id)
+async function withCodes(rows) {
+    const codeIds = [...new Set(rows.map(row => row.code_id))];
+    if (codeIds.length === 0) return rows;
 
-    if (!code) {
-        return res.status(400).json({ valid: false, message: 'Code is required' });
-    }
+    const { data: codes } = await supabase.from('referral_codes').select('id, code').in('id', codeIds);
+    const byId = new Map((codes || []).map(code => [code.id, code.code]));
+    return rows.map(row => ({ ...row, code: byId.get(row.code_id) || null }));
+}
+
+// Codes with their funnel and revenue (codeStats)
+async function withStats(codes) {
+    const stats = await referrals.codeStats(codes.map(code => code.id));
+    return codes.map(code => ({ ...code, stats: stats.get(code.id) }));
+}
 
+const ownCommissions = (userId, status) => {
+    let query = supabase.from('referral_commissions').select('*', { count: 'exact' }).eq('owner_id', userId);
+    if (status) query = query.eq('status', status);
+    return query.order('created_at', { ascending: false });
+};
+
+// GET /api/referrals/validate?code=XYZ
+// Checks a ?ref= code before signup; the code is redeemed by /api/auth/signup
+router.get('/validate', rateLimit('referralValidate'), validate({ query: schemas.validateQuery }), async (req, res) => {
     try {
-        // Iterate through tables to find the code
-        for (const table of REFERRAL_TABLES) {
-            const { data, error } = await supabase
-                .from(table)
-                .select('*')
-                .eq('ref_code', code)
-                .select(); // Ensure we get data
-
-            // Note: .single() might error if multiple or zero, so simpler to check .length
-
-            if (error) {
-                console.error(`Error querying ${table}:`, error);
-                continue; // Try next table
-            }
-
-            if (data && data.length > 0) {
-                const referral = data[0];
-
-                // Check if active
-                if (referral.active === false) {
-                    return res.json({ valid: false, message: 'Referral code is inactive' });
-                }
-
-                // Check max uses
-                if (referral.max_uses > 0 && referral.used_count >= referral.max_uses) {
-                    return res.json({ valid: false, message: 'Referral code usage limit reached' });
-                }
-
-                // Valid!
-                return res.json({
-                    valid: true,
-                    table: table,
-                    code: referral.ref_code,
-                    promo_code: referral.promo_code,
-                    discount_percent: referral.discount_percent,
-                    category: referral.category
-                });
-            }
+        const referral = await referrals.findCode(req.query.code);
+        const status = referrals.codeStatus(referral);
+        if (status !== 'valid') {
+            return res.json({ valid: false, message: referrals.STATUS_MESSAGES[status] });
         }
 
-        // If loop finishes without return, code not found
-        return res.json({ valid: false, message: 'Invalid referral code' });
+        res.json({
+            valid: true,
+            code: referral.code,
+            kind: referral.kind,
+            promo_code: referral.promo_code,
+            discount_percent: referral.discount_percent,
+            free_access: referral.grants_free_access
+        });
+    } catch (error) {
+        req.log.error('Referral code validation failed', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
+// POST /api/referrals/click { code }
+// A ?ref= landing (App.tsx); counted once per browser per day for the ambassador dashboard
+router.post('/click', rateLimit('referralClick'), validate({ body: schemas.click }), async (req, res) => {
+    try {
+        const counted = await referrals.recordClick(req.body.code, req.headers['x-device-id'] || getClientIp(req));
+        res.json({ counted });
     } catch (error) {
-        console.error('Validation Error:', error);
+        req.log.error('Failed to record referral click', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// POST /api/referrals/track
-router.post('/track', async (req, res) => {
-    const { code, table } = req.body;
+// ---- Ambassador dashboard: the caller's own codes ----
+
+// GET /api/referrals/me
+// The caller's codes with clicks, signups, trials, conversions and revenue, plus commission totals
+router.get('/me', requireAuth, async (req, res) => {
+    try {
+        const { data: codes, error } = await supabase
+            .from('referral_codes')
+            .select('id, code, kind, discount_percent, commission_percent, max_uses, redemption_count, active, expires_at, created_at')
+            .eq('owner_id', req.user.id)
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+
+        res.json({
+            codes: await withStats(codes || []),
+            payouts: await referrals.payoutTotals(req.user.id)
+        });
+    } catch (error) {
+        req.log.error('Failed to load ambassador dashboard', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/referrals/me/commissions?status=&limit=&offset=
+// The caller's commission ledger, newest first
+router.get('/me/commissions', requireAuth, validate({ query: schemas.commissionsQuery }), async (req, res) => {
+    const { status, limit, offset } = req.query;
 
-    if (!code || !table) {
-        return res.status(400).json({ error: 'Code and table are required' });
+    try {
+        const { data, error, count } = await ownCommissions(req.user.id, status).range(offset, offset + limit - 1);
+        if (error) throw error;
+
+        res.json({ items: await withCodes(data || []), total: count || 0 });
+    } catch (error) {
+        req.log.error('Failed to list commissions', error);
+        res.status(500).json({ error: error.message });
     }
+});
+
+// GET /api/referrals/me/commissions/export?status=
+// The same ledger as a CSV file
+router.get('/me/commissions/export', requireAuth, validate({ query: schemas.commissionsExportQuery }), async (req, res) => {
+    try {
+        const { data, error } = await ownCommissions(req.user.id, req.query.status).limit(MAX_EXPORT_ROWS);
+        if (error) throw error;
 
-    // Security check: ensure table is one of the allowed list
-    if (!REFERRAL_TABLES.includes(table)) {
-        return res.status(400).json({ error: 'Invalid table' });
+        const csv = toCsv(COMMISSION_COLUMNS, await withCodes(data || []));
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="mdnexa-commissions-${new Date().toISOString().slice(0, 10)}.csv"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(csv);
+    } catch (error) {
+        req.log.error('Commission export failed', error);
+        res.status(500).json({ error: error.message });
     }
+});
+
+// ---- Admin: codes and payouts ----
 
+// GET /api/referrals/codes
+// Every code with its owner and stats, newest first
+router.get('/codes', requireAuth, authorize('manage_referrals'), async (req, res) => {
     try {
-        // Increment used_count
-        // We can do this safely via RPC if exists, or read-modify-write. 
-        // Read-modify-write is susceptible to race conditions but acceptable for this scale.
-        // Better: supabase.rpc('increment_field', ...) if you have that helper.
-        // For now, let's just fetch current and update. 
-        // Actually, for simple atomic increments without RPC, we can't easily do "current + 1" in one query with standard client syntax unless we use a custom sql function or raw sql manually?
-        // Supabase client doesn't support "increment" natively in .update().
-        // We will do fetch -> update.
-
-        const { data: currentData, error: fetchError } = await supabase
-            .from(table)
-            .select('used_count')
-            .eq('ref_code', code)
+        const { data: codes, error } = await supabase
+            .from('referral_codes')
+            .select('*')
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+
+        const emails = await accounts.emailsOf((codes || []).map(code => code.owner_id));
+
+        res.json(await withStats((codes || []).map(code => ({ ...code, owner_email: emails.get(code.owner_id) || null }))));
+    } catch (error) {
+        req.log.error('Failed to list referral codes', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/referrals/codes { code?, kind, ownerEmail?, discountPercent?, commissionPercent?, maxUses?, expiresAt?, promoCode?, grantsFreeAccess? }
+// Creates a code (generated when none is given), optionally owned by an ambassador
+router.post('/codes', requireAuth, authorize('manage_referrals'), validate({ body: schemas.codeCreate }), async (req, res) => {
+    const { ownerEmail, row } = req.body;
+
+    try {
+        let ownerId = null;
+        if (ownerEmail) {
+            const owner = await accounts.findByEmail(ownerEmail);
+            if (!owner) return res.status(404).json({ error: `No account found for ${ownerEmail}` });
+            ownerId = owner.id;
+        }
+
+        const code = row.code || referrals.generateCode();
+        if (await referrals.findCode(code)) return res.status(409).json({ error: `Code ${code} already exists` });
+
+        const { data, error } = await supabase
+            .from('referral_codes')
+            .insert({ ...row, code, owner_id: ownerId, active: true, redemption_count: 0 })
+            .select()
             .single();
+        if (error) {
+            if (error.code === '23505') return res.status(409).json({ error: `Code ${code} already exists` });
+            throw error;
+        }
 
-        if (fetchError || !currentData) throw new Error('Ref not found for tracking');
+        req.log.info('Referral code created', { userId: req.user.id, code, ownerId });
+        res.status(201).json(data);
+    } catch (error) {
+        req.log.error('Failed to create referral code', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        const newCount = (currentData.used_count || 0) + 1;
+// PATCH /api/referrals/codes/:id { active?, discountPercent?, commissionPercent?, maxUses?, expiresAt?, promoCode? }
+router.patch('/codes/:id', requireAuth, authorize('manage_referrals'), validate({ params: schemas.codeParams, body: schemas.codeUpdate }), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('referral_codes')
+            .update({ ...req.body, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Referral code not found' });
 
-        const { error: updateError } = await supabase
-            .from(table)
-            .update({ used_count: newCount })
-            .eq('ref_code', code);
+        res.json(data);
+    } catch (error) {
+        req.log.error('Failed to update referral code', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/referrals/commissions?status=&limit=&offset=
+// Ledger of every code, for payouts
+router.get('/commissions', requireAuth, authorize('manage_referrals'), validate({ query: schemas.commissionsQuery }), async (req, res) => {
+    const { status, limit, offset } = req.query;
+
+    try {
+        let query = supabase.from('referral_commissions').select('*', { count: 'exact' });
+        if (status) query = query.eq('status', status);
+        const { data, error, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (error) throw error;
 
-        if (updateError) throw updateError;
+        res.json({ items: await withCodes(data || []), total: count || 0 });
+    } catch (error) {
+        req.log.error('Failed to list commissions', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /api/referrals/commissions/:id { status, payoutReference? }
+// Approves, pays out (stamps paid_at) or voids a commission
+router.patch('/commissions/:id', requireAuth, authorize('manage_referrals'), validate({ params: schemas.codeParams, body: schemas.commissionUpdate }), async (req, res) => {
+    const { status, payoutReference } = req.body;
+
+    try {
+        const updates = { status, updated_at: new Date().toISOString() };
+        if (payoutReference !== undefined) updates.payout_reference = payoutReference;
+        if (status === 'paid') updates.paid_at = new Date().toISOString();
 
-        res.json({ success: true });
+        const { data, error } = await supabase
+            .from('referral_commissions')
+            .update(updates)
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Commission not found' });
 
+        req.log.info('Commission status changed', { userId: req.user.id, commissionId: data.id, status });
+        res.json(data);
     } catch (error) {
-        console.error('Tracking Error:', error);
-        res.status(500).json({ error: 'Failed to track referral' });
+        req.log.error('Failed to update commission', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
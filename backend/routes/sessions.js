@@ -1,6 +1,12 @@
 const express = require('express');
 const supabase = require('../utils/supabase');
 const { requireAuth } = require('./auth');
+const { exportSession } = require('../utils/sessionExport');
+const messageTree = require('../utils/messageTree');
+const { generateShareToken, resolveExpiry, shareStatus } = require('../utils/sessionShares');
+const { validate } = require('../utils/validate');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/sessions');
 
 const router = express.Router();
 
@@ -21,7 +27,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Create new session
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, validate({ body: schemas.sessionCreate }), async (req, res) => {
     const { title, region, country } = req.body;
     try {
         const { data, error } = await supabase
@@ -61,8 +67,120 @@ router.delete('/all', requireAuth, async (req, res) => {
     }
 });
 
+// Full-text search over the caller's messages: GET /api/sessions/search?q=
+// Returns matching sessions (best match first), each with its matching messages and highlighted snippets.
+router.get('/search', requireAuth, validate({ query: schemas.sessionSearchQuery }), async (req, res) => {
+    const query = req.query.q;
+
+    try {
+        const { data, error } = await supabase.rpc('search_chat_messages', {
+            p_user_id: req.user.id,
+            p_query: query,
+            p_limit: 100
+        });
+
+        if (error) throw error;
+
+        // Rows come ranked, so the first row of a session is its best match
+        const sessions = new Map();
+        for (const row of data || []) {
+            if (!sessions.has(row.session_id)) {
+                sessions.set(row.session_id, {
+                    sessionId: row.session_id,
+                    title: row.session_title,
+                    updatedAt: row.session_updated_at,
+                    matches: []
+                });
+            }
+            sessions.get(row.session_id).matches.push({
+                messageId: row.message_id,
+                role: row.role,
+                snippet: row.snippet,
+                createdAt: row.created_at
+            });
+        }
+
+        res.json({ query, results: [...sessions.values()].slice(0, 20) });
+    } catch (error) {
+        req.log.error('Message search failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List the user's active share links (GET /api/sessions/shares)
+router.get('/shares', requireAuth, async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('session_shares')
+            .select('id, token, session_id, message_id, expires_at, revoked_at, view_count, last_viewed_at, created_at')
+            .eq('user_id', req.user.id)
+            .is('revoked_at', null)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        const active = (data || []).filter(share => shareStatus(share) === 'active');
+
+        // Session titles for the list
+        const sessionIds = [...new Set(active.map(share => share.session_id))];
+        let titles = {};
+        if (sessionIds.length > 0) {
+            const { data: sessions } = await supabase.from('chat_sessions').select('id, title').in('id', sessionIds);
+            titles = Object.fromEntries((sessions || []).map(session => [session.id, session.title]));
+        }
+
+        res.json(active.map(share => ({ ...share, session_title: titles[share.session_id] || null })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Revoke a share link
+router.delete('/shares/:shareId', requireAuth, validate({ params: schemas.shareParams }), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('session_shares')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.shareId)
+            .eq('user_id', req.user.id)
+            .is('revoked_at', null)
+            .select('id');
+
+        if (error) throw error;
+        if (!data || data.length === 0) return res.status(404).json({ error: 'Share link not found' });
+
+        req.log.info('Share link revoked', { userId: req.user.id, shareId: req.params.shareId });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Rename session: PATCH /api/sessions/:id { title }
+// Marks the title as custom so generated titles no longer replace it.
+router.patch('/:id', requireAuth, validate({ params: idParams, body: schemas.sessionRename }), async (req, res) => {
+    const { title } = req.body;
+
+    try {
+        const { data, error } = await supabase
+            .from('chat_sessions')
+            .update({ title, title_is_custom: true })
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Session not found' });
+
+        res.json(data);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Delete session
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, validate({ params: idParams }), async (req, res) => {
     try {
         const { error } = await supabase
             .from('chat_sessions')
@@ -77,10 +195,35 @@ router.delete('/:id', requireAuth, async (req, res) => {
     }
 });
 
-// Get messages for a session
-router.get('/:id/messages', requireAuth, async (req, res) => {
+// Get messages for a session: the active branch (see utils/messageTree.js), each message with the
+// ids of its alternative versions (sibling_ids)
+router.get('/:id/messages', requireAuth, validate({ params: idParams }), async (req, res) => {
     try {
         // First verify ownership
+        const { data: session } = await supabase.from('chat_sessions').select('id, active_message_id').eq('id', req.params.id).eq('user_id', req.user.id).single();
+        if (!session) return res.status(403).json({ error: "Access denied" });
+
+        const { data, error } = await supabase
+            .from('chat_messages')
+            .select('*')
+            .eq('session_id', req.params.id)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        const messages = data || [];
+        res.json(messageTree.describeBranch(messages, messageTree.activeBranch(messages, session.active_message_id)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Switch to another version of a message: PUT /api/sessions/:id/active { messageId }
+// The newest branch below that message becomes active; responds with it (same shape as GET /:id/messages).
+router.put('/:id/active', requireAuth, validate({ params: idParams, body: schemas.activeMessage }), async (req, res) => {
+    const { messageId } = req.body;
+
+    try {
         const { data: session } = await supabase.from('chat_sessions').select('id').eq('id', req.params.id).eq('user_id', req.user.id).single();
         if (!session) return res.status(403).json({ error: "Access denied" });
 
@@ -91,8 +234,102 @@ router.get('/:id/messages', requireAuth, async (req, res) => {
             .order('created_at', { ascending: true });
 
         if (error) throw error;
-        res.json(data);
+
+        const messages = data || [];
+        const leaf = messageTree.latestLeaf(messages, messageId);
+        if (!leaf) return res.status(404).json({ error: 'Message not found in this session' });
+
+        const { error: updateError } = await supabase
+            .from('chat_sessions')
+            .update({ active_message_id: leaf.id })
+            .eq('id', req.params.id);
+
+        if (updateError) throw updateError;
+        res.json(messageTree.describeBranch(messages, messageTree.pathTo(messages, leaf.id)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Export a session as a file: GET /api/sessions/:id/export?format=pdf|docx|md|json
+router.get('/:id/export', requireAuth, validate({ params: idParams, query: schemas.exportQuery }), async (req, res) => {
+    const { format } = req.query;
+
+    try {
+        // First verify ownership
+        const { data: session } = await supabase.from('chat_sessions').select('*').eq('id', req.params.id).eq('user_id', req.user.id).single();
+        if (!session) return res.status(403).json({ error: "Access denied" });
+
+        const { data: messages, error } = await supabase
+            .from('chat_messages')
+            .select('*')
+            .eq('session_id', req.params.id)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('professional_role, specialty')
+            .eq('id', req.user.id)
+            .maybeSingle();
+
+        // The branch the user is looking at, not every regenerated/edited version
+        const branch = messageTree.activeBranch(messages || [], session.active_message_id);
+        const file = await exportSession({ session, messages: branch, profile, format });
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': `attachment; filename="${file.filename}"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(file.buffer);
+    } catch (error) {
+        req.log.error('Session export failed', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a public read-only link: POST /api/sessions/:id/share { messageId?, expiresInDays? }
+// messageId shares a single answer (plus its question) instead of the whole session.
+router.post('/:id/share', requireAuth, validate({ params: idParams, body: schemas.shareCreate }), async (req, res) => {
+    const { messageId, expiresInDays } = req.body;
+    const expiresAt = resolveExpiry(expiresInDays);
+
+    try {
+        // First verify ownership
+        const { data: session } = await supabase.from('chat_sessions').select('id').eq('id', req.params.id).eq('user_id', req.user.id).single();
+        if (!session) return res.status(403).json({ error: "Access denied" });
+
+        if (messageId) {
+            const { data: message } = await supabase
+                .from('chat_messages')
+                .select('id, role')
+                .eq('id', messageId)
+                .eq('session_id', req.params.id)
+                .maybeSingle();
+            if (!message) return res.status(404).json({ error: 'Message not found in this session' });
+            if (message.role !== 'model') return res.status(400).json({ error: 'Only answers can be shared individually' });
+        }
+
+        const { data, error } = await supabase
+            .from('session_shares')
+            .insert({
+                token: generateShareToken(),
+                session_id: req.params.id,
+                user_id: req.user.id,
+                message_id: messageId || null,
+                expires_at: expiresAt
+            })
+            .select('id, token, session_id, message_id, expires_at, view_count, created_at')
+            .single();
+
+        if (error) throw error;
+
+        req.log.info('Share link created', { userId: req.user.id, sessionId: req.params.id, scope: messageId ? 'answer' : 'session' });
+        res.status(201).json(data);
     } catch (error) {
+        req.log.error('Failed to create share link', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -1,11 +1,13 @@
 const express = require('express');
 const supabase = require('../utils/supabase');
 const { requireAuth } = require('./auth');
+const { validate } = require('../utils/validate');
+const schemas = require('../schemas/settings');
 
 const router = express.Router();
 
 // Update logo URL
-router.post('/logo', requireAuth, async (req, res) => {
+router.post('/logo', requireAuth, validate({ body: schemas.logoUpdate }), async (req, res) => {
     const { logoUrl } = req.body;
     const userId = req.user.id;
 
@@ -42,9 +44,9 @@ router.get('/preferences', requireAuth, async (req, res) => {
 });
 
 // Update User Preferences
-router.put('/preferences', requireAuth, async (req, res) => {
+router.put('/preferences', requireAuth, validate({ body: schemas.preferencesUpdate }), async (req, res) => {
     try {
-        const updates = req.body; // Expects { language: '...', region: '...', ... }
+        const updates = req.body;
 
         // First get existing prefs to merge
         const { data: existing } = await supabase
@@ -66,7 +68,7 @@ router.put('/preferences', requireAuth, async (req, res) => {
 
         res.json({ success: true, preferences: newPrefs });
     } catch (error) {
-        console.error("Error saving preferences:", error);
+        req.log.error('Failed to save preferences', error);
         res.status(500).json({ error: error.message });
     }
 });
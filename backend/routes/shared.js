@@ -0,0 +1,71 @@
+const express = require('express');
+const supabase = require('../utils/supabase');
+const { shareStatus, buildSharedSnapshot } = require('../utils/sessionShares');
+const messageTree = require('../utils/messageTree');
+const { validate } = require('../utils/validate');
+const { shareTokenParams } = require('../schemas/sessions');
+
+const router = express.Router();
+
+// Public, read-only: GET /api/shared/:token
+// Serves the redacted snapshot of a shared session (or single answer). No auth required.
+// A session share shows the conversation as it was when the link was created: later messages stay private.
+router.get('/:token', validate({ params: shareTokenParams }), async (req, res) => {
+    // Revocation must take effect immediately, so nothing in between may cache the snapshot
+    res.set('Cache-Control', 'no-store');
+
+    try {
+        const { data: share, error } = await supabase
+            .from('session_shares')
+            .select('*')
+            .eq('token', req.params.token)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!share) return res.status(404).json({ error: 'Share link not found' });
+
+        const status = shareStatus(share);
+        if (status !== 'active') {
+            return res.status(410).json({
+                error: status === 'revoked' ? 'This share link has been revoked' : 'This share link has expired',
+                code: status === 'revoked' ? 'SHARE_REVOKED' : 'SHARE_EXPIRED'
+            });
+        }
+
+        const { data: session } = await supabase
+            .from('chat_sessions')
+            .select('title, region, country, active_message_id, created_at')
+            .eq('id', share.session_id)
+            .maybeSingle();
+        if (!session) return res.status(404).json({ error: 'Share link not found' });
+
+        const { data: messages, error: messagesError } = await supabase
+            .from('chat_messages')
+            .select('id, role, content, citations, verification, parent_message_id, created_at')
+            .eq('session_id', share.session_id)
+            .lte('created_at', share.created_at)
+            .order('created_at', { ascending: true });
+
+        if (messagesError) throw messagesError;
+
+        // View counter is informational only; never fail the request on it. Incremented in the
+        // database (record_share_view), so concurrent views are all counted
+        supabase
+            .rpc('record_share_view', { p_share_id: share.id })
+            .then(({ error: counterError }) => {
+                if (counterError) req.log.warn('Failed to update share view count', { shareId: share.id, error: counterError.message });
+            });
+
+        // Only one branch is shared: the one leading to the shared answer, or the session's active one
+        const branch = share.message_id
+            ? messageTree.pathTo(messages || [], share.message_id)
+            : messageTree.activeBranch(messages || [], session.active_message_id);
+
+        res.json(buildSharedSnapshot({ share, session, messages: branch }));
+    } catch (error) {
+        req.log.error('Failed to load shared snapshot', error);
+        res.status(500).json({ error: 'Failed to load shared conversation' });
+    }
+});
+
+module.exports = router;
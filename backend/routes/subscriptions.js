@@ -1,11 +1,13 @@
 const express = require('express');
+const logger = require('../utils/logger');
 const stripeKey = process.env.STRIPE_SECRET_KEY;
-if (!stripeKey) console.error('[STRIPE_ERROR] Missing STRIPE_SECRET_KEY');
-else console.log('[STRIPE_DEBUG] Initialized with key length:', stripeKey.length);
+if (!stripeKey) logger.error('Missing STRIPE_SECRET_KEY');
 
 const stripe = require('stripe')(stripeKey);
 const supabase = require('../utils/supabase');
 const { requireAuth } = require('./auth');
+const { validate } = require('../utils/validate');
+const schemas = require('../schemas/subscriptions');
 
 const router = express.Router();
 
@@ -23,7 +25,7 @@ const TEAM_FREE_PRICES = [
 ];
 
 // Create Stripe Checkout Session
-router.post('/create-checkout-session', requireAuth, async (req, res) => {
+router.post('/create-checkout-session', requireAuth, validate({ body: schemas.checkout }), async (req, res) => {
     const { priceId } = req.body;
     const userId = req.user.id;
     const userEmail = req.user.email;
@@ -82,6 +84,7 @@ router.post('/create-checkout-session', requireAuth, async (req, res) => {
 
         res.json({ sessionId: session.id, url: session.url });
     } catch (error) {
+        req.log.error('Failed to create checkout session', { userId: req.user.id, error });
         res.status(500).json({ error: error.message });
     }
 });
@@ -99,6 +102,7 @@ router.get('/status', requireAuth, async (req, res) => {
 
         res.json({ subscription });
     } catch (error) {
+        req.log.error('Failed to load subscription status', { userId, error });
         res.status(500).json({ error: error.message });
     }
 });
@@ -120,12 +124,11 @@ router.post('/create-portal-session', requireAuth, async (req, res) => {
 
         // 2. Fallback: Check User Metadata if not in Profile
         if (!customerId && req.user.user_metadata?.stripe_customer_id) {
-            console.log('[STRIPE_DEBUG] Found Customer ID in user_metadata');
             customerId = req.user.user_metadata.stripe_customer_id;
         }
 
         if (!customerId) {
-            console.log('[STRIPE_DEBUG] No Customer ID found. Creating one...');
+            req.log.info('Creating Stripe customer', { userId });
             const customer = await stripe.customers.create({
                 email: userEmail,
                 metadata: { userId },
@@ -156,7 +159,7 @@ router.post('/create-portal-session', requireAuth, async (req, res) => {
                         .eq('id', userId);
                 }
             } catch (dbError) {
-                console.warn('[STRIPE_WARN] Failed to save to profiles table, falling back to user_metadata:', dbError.message);
+                req.log.warn('Failed to save the Stripe customer to profiles, falling back to user_metadata', { userId, error: dbError.message });
 
                 // 4. Fallback Storage: User Metadata
                 // This bypasses triggers/schema issues in 'profiles' table
@@ -168,14 +171,12 @@ router.post('/create-portal-session', requireAuth, async (req, res) => {
                 });
 
                 if (authError) {
-                    console.error('[STRIPE_ERROR] Critical: Failed to save to both profiles and metadata:', authError);
+                    req.log.error('Failed to save the Stripe customer to both profiles and user_metadata', { userId, error: authError });
                     throw authError;
                 }
             }
         }
 
-        console.log('[STRIPE_DEBUG] Creating portal session for:', customerId);
-
         const session = await stripe.billingPortal.sessions.create({
             customer: customerId,
             return_url: `${process.env.FRONTEND_URL}/dashboard`,
@@ -183,6 +184,7 @@ router.post('/create-portal-session', requireAuth, async (req, res) => {
 
         res.json({ url: session.url });
     } catch (error) {
+        req.log.error('Failed to create portal session', { userId, error });
         res.status(500).json({ error: error.message });
     }
 });
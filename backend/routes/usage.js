@@ -0,0 +1,23 @@
+const express = require('express');
+const quota = require('../utils/quota');
+const { getOptionalUser } = require('./auth');
+
+const router = express.Router();
+
+// GET /api/usage
+// Current plan, limits and usage per feature for the caller (user, or guest by IP/device).
+// The frontend reads this instead of keeping its own counters.
+router.get('/', async (req, res) => {
+    try {
+        const user = await getOptionalUser(req);
+        const access = await quota.resolveAccess(req, user);
+        const usage = await quota.getUsage(access);
+
+        res.json(usage);
+    } catch (error) {
+        req.log.error('Failed to load usage', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
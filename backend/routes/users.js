@@ -1,6 +1,7 @@
 const express = require('express');
 const supabase = require('../utils/supabase');
 const { requireAuth } = require('./auth');
+const { getRequestPermissions } = require('../utils/permissions');
 const transporter = require('../utils/email');
 
 const router = express.Router();
@@ -49,6 +50,16 @@ router.get('/me', requireAuth, async (req, res) => {
     }
 });
 
+// What the current user may do: { roles, permissions } (see utils/permissions.js).
+// The frontend shows admin and blog tools from this instead of checking roles itself.
+router.get('/me/permissions', requireAuth, async (req, res) => {
+    try {
+        res.json(await getRequestPermissions(req));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Deactivate/Delete Account
 router.delete('/delete-account', requireAuth, async (req, res) => {
     const userId = req.user.id;
@@ -59,8 +70,6 @@ router.delete('/delete-account', requireAuth, async (req, res) => {
         if (email) {
             try {
                 const fromAddr = process.env.MAIL_FROM || '"MDnexa Support" <noreply@mdnexa.com>';
-                console.log('[USER_DELETE_DEBUG] Sending goodbye email:', { from: fromAddr, to: email });
-
                 await transporter.sendMail({
                     from: fromAddr,
                     to: email,
@@ -74,9 +83,9 @@ router.delete('/delete-account', requireAuth, async (req, res) => {
                         </div>
                     `,
                 });
-                console.log('Deactivation email sent to', email);
+                req.log.info('Deactivation e-mail sent', { userId });
             } catch (emailError) {
-                console.error('Failed to send deactivation email:', emailError);
+                req.log.error('Failed to send deactivation e-mail', { userId, error: emailError });
                 // Continue with deletion even if email fails
             }
         }
@@ -88,7 +97,7 @@ router.delete('/delete-account', requireAuth, async (req, res) => {
 
         res.json({ success: true, message: 'Account deleted successfully' });
     } catch (error) {
-        console.error('Error deleting account:', error);
+        req.log.error('Account deletion failed', { userId, error });
         res.status(500).json({ error: 'Failed to delete account. Please try again.' });
     }
 });
@@ -1,6 +1,14 @@
 const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const logger = require('../utils/logger');
 const supabase = require('../utils/supabase');
+const { stripeWebhookEvents } = require('../utils/metrics');
+const organizations = require('../utils/organizations');
+const stripeEvents = require('../utils/stripeEvents');
+const emailOutbox = require('../utils/emailOutbox');
+const referrals = require('../utils/referrals');
+const crm = require('../utils/crm');
+const accounts = require('../utils/accounts');
 
 const router = express.Router();
 
@@ -15,35 +23,96 @@ router.post('/stripe', express.raw({ type: 'application/json' }), async (req, re
             process.env.STRIPE_WEBHOOK_SECRET
         );
     } catch (err) {
-        console.error(`Webhook Error: ${err.message}`);
+        req.log.warn('Stripe webhook signature rejected', { error: err.message });
+        stripeWebhookEvents.inc({ type: 'unknown', outcome: 'invalid_signature' });
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
+    let outcome;
     try {
-        switch (event.type) {
-            case 'checkout.session.completed':
-                await handleCheckoutSessionCompleted(event.data.object);
-                break;
-            case 'customer.subscription.created':
-            case 'customer.subscription.updated':
-            case 'customer.subscription.deleted':
-                await handleSubscriptionUpdated(event.data.object);
-                break;
-            default:
-                console.log(`Unhandled event type ${event.type}`);
-        }
+        outcome = await processEvent(event, req.log);
     } catch (error) {
-        console.error('Error handling webhook event:', error);
+        req.log.error('Stripe webhook handler failed', { eventId: event.id, type: event.type, error });
+        stripeWebhookEvents.inc({ type: event.type, outcome: 'failed' });
         return res.status(500).send('Webhook handler failed');
     }
 
+    stripeWebhookEvents.inc({ type: event.type, outcome });
+
+    // Another delivery of the same event is still running; Stripe retries this one later
+    if (outcome === 'in_progress') return res.status(409).send('Event is already being processed');
+
+    // E-mails the handlers queued are sent by the outbox runner (interval or GET /api/cron), never
+    // here: a slow SMTP server must not push the answer past Stripe's timeout
     res.send();
 });
 
-async function handleCheckoutSessionCompleted(session) {
+/**
+ * Runs an event once, recorded in the stripe_events ledger (utils/stripeEvents.js).
+ * Returns 'processed', 'ignored' (no handler), 'duplicate' (already done) or 'in_progress'
+ * (claimed by another delivery). Handler errors are recorded on the event and rethrown.
+ * Also used by the admin replay of failed events (routes/admin.js). Handlers log through `log`
+ * (the request's logger), bound to the event.
+ */
+async function processEvent(event, log = logger) {
+    const eventLog = log.child({ eventId: event.id, type: event.type });
+    const claim = await stripeEvents.claim(event, eventLog);
+    if (!claim.claimed) {
+        eventLog.info('Skipping Stripe event', { status: claim.status });
+        return claim.status === 'processing' ? 'in_progress' : 'duplicate';
+    }
+
+    try {
+        const outcome = await handleEvent(event, eventLog);
+        if (claim.recorded) await stripeEvents.complete(event.id, outcome, eventLog);
+        return outcome;
+    } catch (error) {
+        if (claim.recorded) await stripeEvents.fail(event.id, error, eventLog);
+        throw error;
+    }
+}
+
+async function handleEvent(event, log) {
+    switch (event.type) {
+        case 'checkout.session.completed':
+            await handleCheckoutSessionCompleted(event.data.object, log);
+            break;
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted':
+            await handleSubscriptionUpdated(event.data.object, log);
+            break;
+        case 'customer.subscription.trial_will_end':
+            await handleTrialWillEnd(event.data.object, log);
+            break;
+        case 'invoice.paid':
+            await handleInvoicePaid(event.data.object, log);
+            break;
+        case 'invoice.payment_failed':
+            await handleInvoicePaymentFailed(event.data.object, log);
+            break;
+        case 'charge.refunded':
+            await handleChargeRefunded(event.data.object, log);
+            break;
+        default:
+            log.info('Unhandled Stripe event type');
+            return 'ignored';
+    }
+    return 'processed';
+}
+
+async function handleCheckoutSessionCompleted(session, log) {
     const customerId = session.customer;
     const subscriptionId = session.subscription;
 
+    // Seats bought for an organization (routes/organizations.js)
+    if (session.metadata?.organizationId) {
+        if (subscriptionId) {
+            await organizations.syncSubscription(await stripe.subscriptions.retrieve(subscriptionId), session.metadata.organizationId);
+        }
+        return;
+    }
+
     // Retrieve the subscription to get the plan ID
     let priceId = null;
     let subscription = null;
@@ -76,39 +145,13 @@ async function handleCheckoutSessionCompleted(session) {
         profile = data;
     }
 
-    // If still no profile, we can't do much for referrals or subscription linking
+    // If still no profile, we can't link the subscription
     if (!profile) {
-        console.log('No profile found for session', session.id);
+        log.warn('No profile found for checkout session', { sessionId: session.id });
         return;
     }
 
-    // 2. Handle Referral Tracking
-    if (profile.ref_source) {
-        const referralCode = profile.ref_source;
-        const REFERRAL_TABLES = ['ambassador_referrals', 'team_referrals', 'family_referrals'];
-
-        // Find matching referral
-        for (const table of REFERRAL_TABLES) {
-            const { data: refRows } = await supabase.from(table).select('*').eq('ref_code', referralCode);
-            if (refRows && refRows.length > 0) {
-                const refRow = refRows[0];
-                if (refRow.active) {
-                    const newCount = (refRow.used_count || 0) + 1;
-                    const updates = { used_count: newCount };
-
-                    if (refRow.max_uses > 0 && newCount >= refRow.max_uses) {
-                        updates.active = false;
-                    }
-
-                    await supabase.from(table).update(updates).eq('ref_code', referralCode);
-                    console.log(`Tracked referral ${referralCode} in ${table}`);
-                    break; // Stop after first match
-                }
-            }
-        }
-    }
-
-    // 3. Link Subscription (Existing Logic)
+    // 2. Link Subscription (referral conversions are recorded from invoice.paid)
     if (subscription) {
         await supabase.from('subscriptions').upsert({
             user_id: profile.id,
@@ -116,7 +159,7 @@ async function handleCheckoutSessionCompleted(session) {
             stripe_subscription_id: subscriptionId,
             plan_id: priceId,
             status: subscription.status,
-            current_period_end: new Date(subscription.current_period_end * 1000),
+            current_period_end: organizations.subscriptionPeriodEnd(subscription),
         });
 
         // Ensure profile has stripe_customer_id
@@ -126,7 +169,11 @@ async function handleCheckoutSessionCompleted(session) {
     }
 }
 
-async function handleSubscriptionUpdated(subscription) {
+async function handleSubscriptionUpdated(subscription, log) {
+    // Organization subscriptions: seat count and status
+    if (await organizations.syncSubscription(subscription)) return;
+
+    // profiles has no e-mail column: the CRM gets the address from the auth user
     const { data: profile } = await supabase
         .from('profiles')
         .select('id')
@@ -142,9 +189,146 @@ async function handleSubscriptionUpdated(subscription) {
                 stripe_subscription_id: subscription.id,
                 plan_id: subscription.items.data[0].price.id,
                 status: subscription.status,
-                current_period_end: new Date(subscription.current_period_end * 1000),
+                current_period_end: organizations.subscriptionPeriodEnd(subscription),
             }, { onConflict: 'stripe_subscription_id' });
+
+        // Referral funnel: the referred user started a trial
+        if (subscription.status === 'trialing') await referrals.recordTrial(profile.id);
+
+        // CRM pipeline (trial, paying, churned); never fails the event
+        await accounts.emailOf(profile.id)
+            .then(email => crm.recordSubscription({ userId: profile.id, email, status: subscription.status, subscriptionId: subscription.id }))
+            .catch(error => log.error('Failed to record the subscription in the CRM', { userId: profile.id, error: error.message }));
     }
 }
 
+async function handleTrialWillEnd(subscription, log) {
+    await handleSubscriptionUpdated(subscription, log);
+    if (!subscription.trial_end) return;
+
+    const trialEnd = new Date(subscription.trial_end * 1000).toISOString();
+    const { error } = await supabase
+        .from('subscriptions')
+        .update({ trial_end: trialEnd })
+        .eq('stripe_subscription_id', subscription.id);
+    if (error) throw error;
+
+    const contact = await findBillingContact(subscription.customer);
+    await emailOutbox.queue({
+        userId: contact?.userId,
+        to: contact?.email,
+        template: 'trial_will_end',
+        data: { trialEnd },
+        dedupeKey: `trial_will_end:${subscription.id}:${subscription.trial_end}`
+    });
+}
+
+async function handleInvoicePaid(invoice, log) {
+    await syncInvoiceSubscription(invoice, 'paid', log);
+    const contact = await findBillingContact(invoice.customer);
+
+    // The first paid invoice of a referred user converts their referral (trial invoices are $0)
+    if (contact && invoice.amount_paid > 0) {
+        const conversion = await referrals.recordConversion(contact.userId, invoice);
+        if (conversion) log.info('Referral converted', { userId: contact.userId, invoiceId: invoice.id });
+
+        // Every paid invoice earns the code's owner a commission
+        await referrals.recordCommission(contact.userId, invoice);
+    }
+
+    // Paid after failed attempts: let the user know their access is back
+    if ((invoice.attempt_count || 1) > 1) {
+        await emailOutbox.queue({
+            userId: contact?.userId,
+            to: contact?.email || invoice.customer_email,
+            template: 'payment_recovered',
+            data: { amount: invoice.amount_paid, currency: invoice.currency },
+            dedupeKey: `payment_recovered:${invoice.id}`
+        });
+    }
+}
+
+async function handleInvoicePaymentFailed(invoice, log) {
+    await syncInvoiceSubscription(invoice, 'failed', log);
+
+    const contact = await findBillingContact(invoice.customer);
+    await emailOutbox.queue({
+        userId: contact?.userId,
+        to: contact?.email || invoice.customer_email,
+        template: 'payment_failed',
+        data: {
+            amount: invoice.amount_due,
+            currency: invoice.currency,
+            invoiceUrl: invoice.hosted_invoice_url || null,
+            nextAttemptAt: invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000).toISOString() : null
+        },
+        dedupeKey: `payment_failed:${invoice.id}:${invoice.attempt_count || 1}`
+    });
+}
+
+async function handleChargeRefunded(charge, log) {
+    const paymentStatus = charge.refunded ? 'refunded' : 'partially_refunded';
+    if (charge.customer) await recordPayment('stripe_customer_id', charge.customer, paymentStatus);
+    // A fully refunded invoice no longer earns a referral commission
+    if (charge.refunded) {
+        const invoiceId = await findChargeInvoiceId(charge);
+        if (invoiceId) await referrals.voidCommission(invoiceId);
+        else log.info('Refunded charge has no invoice, no commission to void', { chargeId: charge.id });
+    }
+
+    const contact = await findBillingContact(charge.customer);
+    await emailOutbox.queue({
+        userId: contact?.userId,
+        to: contact?.email || charge.billing_details?.email || charge.receipt_email,
+        template: 'refund_issued',
+        data: { amount: charge.amount_refunded, currency: charge.currency, full: Boolean(charge.refunded) },
+        dedupeKey: `refund_issued:${charge.id}:${charge.amount_refunded}`
+    });
+}
+
+// Invoice a charge paid, or null. The pinned API (2025-11-17.clover) has no charge.invoice: the link
+// is an InvoicePayment, found by the charge's PaymentIntent.
+async function findChargeInvoiceId(charge) {
+    const paymentIntent = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id;
+    if (!paymentIntent) return null;
+
+    const { data } = await stripe.invoicePayments.list({ payment: { type: 'payment_intent', payment_intent: paymentIntent }, limit: 1 });
+    const invoice = data[0]?.invoice;
+    return typeof invoice === 'string' ? invoice : invoice?.id || null;
+}
+
+// The subscription status changes with its invoice's payment: re-read it from Stripe
+// (personal or organization) and record the payment outcome
+async function syncInvoiceSubscription(invoice, paymentStatus, log) {
+    const subscriptionId = invoice.subscription || invoice.parent?.subscription_details?.subscription;
+    if (!subscriptionId) return;
+
+    await handleSubscriptionUpdated(await stripe.subscriptions.retrieve(subscriptionId), log);
+    await recordPayment('stripe_subscription_id', subscriptionId, paymentStatus);
+}
+
+async function recordPayment(column, value, paymentStatus) {
+    const { error } = await supabase
+        .from('subscriptions')
+        .update({ last_payment_status: paymentStatus, last_payment_at: new Date().toISOString() })
+        .eq(column, value);
+    if (error) throw error;
+}
+
+// User billed for a Stripe customer (the profile, or the owner of an organization) and their e-mail
+async function findBillingContact(customerId) {
+    if (!customerId) return null;
+
+    const { data: profile } = await supabase.from('profiles').select('id').eq('stripe_customer_id', customerId).maybeSingle();
+    let userId = profile?.id;
+    if (!userId) {
+        const { data: organization } = await supabase.from('organizations').select('owner_id').eq('stripe_customer_id', customerId).maybeSingle();
+        userId = organization?.owner_id;
+    }
+    if (!userId) return null;
+
+    return { userId, email: await accounts.emailOf(userId) };
+}
+
 module.exports = router;
+module.exports.processEvent = processEvent;
@@ -0,0 +1,44 @@
+const { z } = require('zod');
+const { optionalText } = require('./common');
+
+// /api/admin (routes/admin.js)
+
+const flagParams = z.object({ name: z.string().trim().min(1).max(100) });
+
+const flagUpdate = z.object({
+    enabled: z.boolean(),
+    reason: optionalText(500)
+});
+
+const flagHistoryQuery = z.object({
+    feature: optionalText(100),
+    limit: z.coerce.number().int().min(1).max(200).default(50)
+});
+
+const breakerParams = z.object({ name: z.string().trim().min(1).max(100) });
+
+// null restores the fallback ladder; the name is checked against the provider's models by the route
+const modelUpdate = z.object({
+    model: z.string().trim().min(1).max(100).nullable()
+});
+
+const stripeEventsQuery = z.object({
+    status: z.enum(['processing', 'processed', 'ignored', 'failed']).optional(),
+    type: optionalText(100),
+    limit: z.coerce.number().int().min(1).max(200).default(50)
+});
+
+const stripeEventParams = z.object({ id: z.string().trim().min(1).max(255) });
+
+/** @typedef {z.input<typeof flagUpdate>} FlagUpdate */
+/** @typedef {z.input<typeof modelUpdate>} ModelUpdate */
+
+module.exports = {
+    flagParams,
+    flagUpdate,
+    flagHistoryQuery,
+    breakerParams,
+    modelUpdate,
+    stripeEventsQuery,
+    stripeEventParams
+};
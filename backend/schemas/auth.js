@@ -0,0 +1,41 @@
+const { z } = require('zod');
+const { email } = require('./common');
+const { code: referralCode } = require('./referrals');
+
+// /api/auth (routes/auth.js)
+
+// Supabase's minimum; bcrypt ignores anything past 72 bytes
+const password = z.string().min(6, 'Password must be at least 6 characters').max(72);
+
+const signup = z.object({
+    email,
+    password,
+    // user_metadata: flat profile fields (full name, role...) only
+    data: z.record(z.string().max(50), z.union([z.string().max(500), z.number(), z.boolean(), z.null()])).optional(),
+    // ?ref= code captured by the frontend; redeemed for the new user
+    referralCode: referralCode.optional()
+});
+
+const changeEmail = z.object({ newEmail: email });
+
+// request-password-reset and forgot-password
+const passwordResetRequest = z.object({ email });
+
+const passwordResetConfirm = z.object({
+    token: z.string().min(1).max(2048),
+    newPassword: password
+});
+
+const testMail = z.object({ email: email.optional() });
+
+/** @typedef {z.input<typeof signup>} SignupRequest */
+/** @typedef {z.input<typeof passwordResetRequest>} PasswordResetRequest */
+/** @typedef {z.input<typeof passwordResetConfirm>} PasswordResetConfirm */
+
+module.exports = {
+    signup,
+    changeEmail,
+    passwordResetRequest,
+    passwordResetConfirm,
+    testMail
+};
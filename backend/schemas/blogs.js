@@ -0,0 +1,38 @@
+const { z } = require('zod');
+const { optionalText, nonEmpty } = require('./common');
+
+// /api/blogs (routes/blogs.js)
+
+const BLOG_STATUSES = /** @type {const} */ (['draft', 'published']);
+
+const title = z.string().trim().min(1).max(300);
+const slug = z.string().trim().max(200).regex(/^[a-z0-9-]*$/, 'Use lowercase letters, digits and dashes');
+const content = z.string().trim().min(1).max(200000);
+const imageUrl = z.string().trim().max(2048);
+
+// Multipart form fields (the image itself is a file field)
+const blogCreate = z.object({
+    title,
+    slug: slug.optional(),
+    content,
+    status: z.enum(BLOG_STATUSES).optional(),
+    image_url: optionalText(2048)
+});
+
+// Strict: author and timestamps are not the client's to set
+const blogUpdate = nonEmpty(z.strictObject({
+    title: title.optional(),
+    slug: slug.optional(),
+    content: content.optional(),
+    status: z.enum(BLOG_STATUSES).optional(),
+    image_url: imageUrl.nullable().optional()
+}));
+
+/** @typedef {z.input<typeof blogCreate>} BlogCreate */
+/** @typedef {z.input<typeof blogUpdate>} BlogUpdate */
+
+module.exports = {
+    BLOG_STATUSES,
+    blogCreate,
+    blogUpdate
+};
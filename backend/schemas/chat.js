@@ -0,0 +1,38 @@
+const { z } = require('zod');
+const { id, optionalText } = require('./common');
+
+// /api/chat (routes/chat.js)
+
+const MAX_MESSAGE_LENGTH = 8000;
+
+// Guest history as the client keeps it (Message objects); only role and text are kept
+const clientHistoryMessage = z.object({
+    role: z.string().max(20).optional(),
+    text: z.string().max(100000).optional()
+});
+
+// POST /message and /message/stream
+const chatMessage = z.object({
+    message: z.string().trim().max(MAX_MESSAGE_LENGTH).optional(),
+    history: z.array(clientHistoryMessage).max(500).optional(),
+    region: optionalText(100),
+    country: optionalText(100),
+    language: optionalText(50),
+    userRole: optionalText(100),
+    isShortAnswer: z.union([z.boolean(), z.stringbool()]).optional(),
+    sessionId: id.optional(),
+    parentMessageId: id.optional(),
+    editMessageId: id.optional(),
+    regenerateMessageId: id.optional(),
+    model: optionalText(100)
+}).refine(body => body.message || body.regenerateMessageId, {
+    message: 'message is required',
+    path: ['message']
+});
+
+/** @typedef {z.input<typeof chatMessage>} ChatMessageRequest */
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    chatMessage
+};
@@ -0,0 +1,37 @@
+const { z } = require('zod');
+
+// Building blocks shared by the route schemas
+
+// Row ids: every table the API addresses by id uses uuids, so anything else is a 400 rather
+// than a Postgres cast error
+const id = z.uuid();
+
+const email = z.string().trim().max(254).pipe(z.email());
+
+// Optional free text, trimmed; empty strings count as absent
+const optionalText = (max) => z.string().trim().max(max).nullish().transform(value => value || undefined);
+
+// ?limit=&offset= (query strings, so coerced)
+const pagination = (defaultLimit, maxLimit) => ({
+    limit: z.coerce.number().int().min(1).max(maxLimit).default(defaultLimit),
+    offset: z.coerce.number().int().min(0).default(0)
+});
+
+const idParams = z.object({ id });
+
+/**
+ * Update bodies: at least one field
+ * @template {z.ZodType} T
+ * @param {T} schema
+ * @returns {T}
+ */
+const nonEmpty = (schema) => schema.refine(value => Object.values(value).some(v => v !== undefined), { message: 'Nothing to update' });
+
+module.exports = {
+    id,
+    email,
+    optionalText,
+    pagination,
+    idParams,
+    nonEmpty
+};
@@ -0,0 +1,97 @@
+const { z } = require('zod');
+const { id, email, optionalText, pagination, nonEmpty } = require('./common');
+const { STAGES, OPT_IN_STATUSES } = require('../utils/crm');
+
+// /api/crm (routes/crm.js)
+
+const stage = z.enum(STAGES);
+
+// Lowercased, without blanks or duplicates
+const tag = z.string().trim().toLowerCase().min(1).max(50);
+const tags = z.array(tag).max(50).transform(list => [...new Set(list)].sort());
+
+const contactCreate = z.object({
+    email,
+    name: optionalText(200),
+    source: optionalText(100),
+    notes: optionalText(5000),
+    stage: stage.optional()
+});
+
+// Public lead form (waitlist / newsletter), confirmed by e-mail before anything else is sent
+const lead = z.object({
+    email,
+    name: optionalText(200),
+    source: optionalText(100)
+});
+
+// Strict: ownership and timestamps are not the client's to set
+const contactUpdate = nonEmpty(z.strictObject({
+    email: email.transform(value => value.toLowerCase()).optional(),
+    name: z.string().trim().max(200).nullable().optional(),
+    source: z.string().trim().max(100).nullable().optional(),
+    notes: z.string().trim().max(5000).nullable().optional(),
+    stage: stage.optional()
+}));
+
+// Links from the confirmation e-mail and from every newsletter
+const token = z.object({ token: z.string().trim().min(1).max(128) });
+
+// ---- Pipeline (manage_crm) ----
+
+const contactsQuery = z.object({
+    stage: stage.optional(),
+    tag: tag.optional(),
+    newsletter: z.enum(OPT_IN_STATUSES).optional(),
+    q: z.string().trim().max(200).optional(), // Matches e-mail or name
+    ...pagination(50, 200)
+});
+
+const contactsExportQuery = contactsQuery.omit({ limit: true, offset: true });
+
+// PATCH /api/crm/contacts/:id, parses to the columns to update
+const pipelineUpdate = nonEmpty(z.strictObject({
+    name: z.string().trim().max(200).nullable().optional(),
+    notes: z.string().trim().max(5000).nullable().optional(),
+    stage: stage.optional(),
+    tags: tags.optional()
+}));
+
+const activityCreate = z.object({
+    summary: z.string().trim().min(1, 'Note is required').max(5000)
+});
+
+const mergeBody = z.object({
+    sourceId: id // Contact merged into :id and deleted
+});
+
+// POST /api/crm/contacts/import: the CSV file's text
+const importBody = z.object({
+    csv: z.string().min(1, 'The file is empty').max(5 * 1024 * 1024),
+    tags: z.array(tag).max(10).default([]) // Added to every imported contact, e.g. the event's name
+});
+
+const contactParams = z.object({ id });
+
+/** @typedef {z.input<typeof contactCreate>} ContactCreate */
+/** @typedef {z.input<typeof lead>} LeadCreate */
+/** @typedef {z.input<typeof contactUpdate>} ContactUpdate */
+/** @typedef {z.input<typeof pipelineUpdate>} PipelineUpdate */
+/** @typedef {z.input<typeof activityCreate>} ActivityCreate */
+/** @typedef {z.input<typeof mergeBody>} ContactMerge */
+/** @typedef {z.input<typeof importBody>} ContactImport */
+/** @typedef {z.input<typeof token>} NewsletterToken */
+
+module.exports = {
+    contactCreate,
+    lead,
+    contactUpdate,
+    token,
+    contactsQuery,
+    contactsExportQuery,
+    pipelineUpdate,
+    activityCreate,
+    mergeBody,
+    importBody,
+    contactParams
+};
@@ -0,0 +1,67 @@
+const { z } = require('zod');
+const { id, pagination, nonEmpty } = require('./common');
+const { FEEDBACK_CATEGORIES, FEEDBACK_STATUSES } = require('../utils/messageFeedback');
+
+// /api/feedback (routes/feedback.js)
+
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_NOTES_LENGTH = 4000;
+
+const category = z.enum(/** @type {Array<keyof typeof FEEDBACK_CATEGORIES>} */ (Object.keys(FEEDBACK_CATEGORIES)));
+const status = z.enum(FEEDBACK_STATUSES);
+const rating = z.enum(['up', 'down']);
+
+/**
+ * POST /api/feedback. A category makes it a report, otherwise it's a rating
+ * (rating null clears the caller's thumbs on that answer).
+ * Parses to { messageId, kind, rating, category, comment }.
+ */
+const feedbackCreate = z.object({
+    messageId: id,
+    rating: rating.nullable().optional(),
+    category: category.nullish(),
+    comment: z.string().trim().max(MAX_COMMENT_LENGTH).nullish()
+}).superRefine((body, ctx) => {
+    if (body.category === 'other' && !body.comment) {
+        ctx.addIssue({ code: 'custom', path: ['comment'], message: 'Please describe the problem' });
+    }
+    if (!body.category && body.rating === undefined) {
+        ctx.addIssue({ code: 'custom', path: ['rating'], message: "rating must be 'up', 'down' or null" });
+    }
+}).transform(({ messageId, rating: thumbs, category: reported, comment }) => (reported
+    ? { messageId, kind: 'report', rating: 'down', category: reported, comment: comment || null }
+    : { messageId, kind: 'rating', rating: thumbs ?? null, category: null, comment: comment || null }));
+
+// Filters of the admin queue and its export
+const feedbackFilters = {
+    status: status.optional(),
+    category: category.optional(),
+    kind: z.enum(['rating', 'report']).optional(),
+    rating: rating.optional()
+};
+
+const feedbackQueueQuery = z.object({
+    ...feedbackFilters,
+    ...pagination(50, 100)
+});
+
+const feedbackExportQuery = z.object(feedbackFilters);
+
+// PATCH /api/feedback/admin/:id, parses to the columns to update
+const feedbackTriage = nonEmpty(z.object({
+    status: status.optional(),
+    adminNotes: z.string().trim().max(MAX_NOTES_LENGTH).nullable().optional()
+})).transform(({ status: newStatus, adminNotes }) => ({
+    ...(newStatus !== undefined && { status: newStatus }),
+    ...(adminNotes !== undefined && { admin_notes: adminNotes || null })
+}));
+
+/** @typedef {z.input<typeof feedbackCreate>} FeedbackCreate */
+/** @typedef {z.input<typeof feedbackTriage>} FeedbackTriage */
+
+module.exports = {
+    feedbackCreate,
+    feedbackQueueQuery,
+    feedbackExportQuery,
+    feedbackTriage
+};
@@ -0,0 +1,39 @@
+const { z } = require('zod');
+const { optionalText } = require('./common');
+
+// /api/gemini (routes/gemini.js)
+
+const speech = z.object({
+    text: z.string().trim().min(1, 'Text is required').max(4500)
+});
+
+const transcribe = z.object({
+    audioBase64: z.string().min(1, 'Audio data required').regex(/^[A-Za-z0-9+/=\s]+$/, 'Audio must be base64 encoded'),
+    mimeType: z.string().trim().regex(/^audio\/[\w.+-]+$/, 'mimeType must be an audio type').optional(),
+    languageCode: optionalText(20)
+});
+
+const lookup = z.object({
+    term: z.string().trim().min(1).max(200),
+    region: optionalText(100),
+    language: optionalText(50)
+});
+
+const related = z.object({
+    lastMessage: z.string().max(100000),
+    lastResponse: z.string().max(100000),
+    userRole: optionalText(100),
+    language: optionalText(50)
+});
+
+/** @typedef {z.input<typeof speech>} SpeechRequest */
+/** @typedef {z.input<typeof transcribe>} TranscribeRequest */
+/** @typedef {z.input<typeof lookup>} LookupRequest */
+/** @typedef {z.input<typeof related>} RelatedQuestionsRequest */
+
+module.exports = {
+    speech,
+    transcribe,
+    lookup,
+    related
+};
@@ -0,0 +1,31 @@
+const { z } = require('zod');
+const { optionalText } = require('./common');
+
+// /api/guidelines (routes/guidelines.js)
+
+const guidelineCreate = z.object({
+    title: z.string().trim().min(1).max(300),
+    content: z.string().trim().min(1).max(5000000),
+    issuingBody: optionalText(200),
+    country: optionalText(100),
+    region: optionalText(100),
+    specialty: optionalText(100),
+    year: z.preprocess(
+        value => (value === '' || value === null ? undefined : value),
+        z.coerce.number().int().min(1900).max(2100).optional()
+    ),
+    sourceUrl: optionalText(2048)
+});
+
+const guidelineSearchQuery = z.object({
+    q: z.string().trim().min(1).max(500),
+    country: optionalText(100),
+    region: optionalText(100)
+});
+
+/** @typedef {z.input<typeof guidelineCreate>} GuidelineCreate */
+
+module.exports = {
+    guidelineCreate,
+    guidelineSearchQuery
+};
@@ -0,0 +1,50 @@
+const { z } = require('zod');
+const { id, email, nonEmpty } = require('./common');
+const { INVITABLE_ROLES } = require('../utils/organizations');
+
+// /api/organizations (routes/organizations.js)
+
+const MAX_SEATS = 1000;
+
+const organizationCreate = z.object({
+    name: z.string().trim().min(1, 'Name is required').max(120)
+});
+
+const memberParams = z.object({ id, userId: id });
+
+const invitationParams = z.object({ id, invitationId: id });
+
+const invitationTokenParams = z.object({ token: z.string().trim().min(1).max(128) });
+
+// The address is stored lowercased: it's compared with the e-mail of whoever accepts
+const invitationCreate = z.object({
+    email: email.transform(address => address.toLowerCase()),
+    role: z.enum(INVITABLE_ROLES).default('member')
+});
+
+// Reassigning a seat = hasSeat false on one member, true on another. The owner's role can't change.
+const memberUpdate = nonEmpty(z.strictObject({
+    role: z.enum(INVITABLE_ROLES).optional(),
+    hasSeat: z.boolean().optional()
+}));
+
+// Checkout for a new subscription, or a new quantity for the current one
+const seats = z.object({
+    seats: z.coerce.number().int().min(1).max(MAX_SEATS)
+});
+
+/** @typedef {z.input<typeof organizationCreate>} OrganizationCreate */
+/** @typedef {z.input<typeof invitationCreate>} InvitationCreate */
+/** @typedef {z.input<typeof memberUpdate>} MemberUpdate */
+/** @typedef {z.input<typeof seats>} SeatsUpdate */
+
+module.exports = {
+    MAX_SEATS,
+    organizationCreate,
+    memberParams,
+    invitationParams,
+    invitationTokenParams,
+    invitationCreate,
+    memberUpdate,
+    seats
+};
@@ -0,0 +1,98 @@
+const { z } = require('zod');
+const { id, email, optionalText, pagination, nonEmpty } = require('./common');
+const { CODE_KINDS, COMMISSION_STATUSES } = require('../utils/referrals');
+
+// /api/referrals (routes/referrals.js)
+
+const code = z.string().trim().min(1, 'Code is required').max(64);
+
+const validateQuery = z.object({ code });
+
+const click = z.object({ code });
+
+const commissionStatus = z.enum(COMMISSION_STATUSES);
+
+const commissionsQuery = z.object({
+    status: commissionStatus.optional(),
+    ...pagination(50, 200)
+});
+
+const commissionsExportQuery = z.object({ status: commissionStatus.optional() });
+
+// Codes created by admins: readable, URL-safe, stored uppercased
+const newCode = z.string().trim()
+    .regex(/^[A-Za-z0-9_-]{3,32}$/, 'Use 3-32 letters, digits, - or _')
+    .transform(value => value.toUpperCase());
+
+const discountPercent = z.number().int().min(0).max(100).nullable();
+const commissionPercent = z.number().min(0).max(100);
+const maxUses = z.number().int().min(0); // 0 = unlimited
+const expiresAt = z.iso.datetime({ offset: true }).nullable();
+
+// POST /api/referrals/codes, parses to the referral_codes columns (code generated when absent);
+// ownerEmail is resolved to owner_id by the route
+const codeCreate = z.object({
+    code: newCode.optional(),
+    kind: z.enum(CODE_KINDS).default('ambassador'),
+    ownerEmail: email.optional(),
+    discountPercent: discountPercent.optional(),
+    commissionPercent: commissionPercent.default(0),
+    maxUses: maxUses.default(0),
+    expiresAt: expiresAt.optional(),
+    promoCode: optionalText(64),
+    grantsFreeAccess: z.boolean().default(false)
+}).transform(body => ({
+    ownerEmail: body.ownerEmail,
+    row: {
+        code: body.code,
+        kind: body.kind,
+        discount_percent: body.discountPercent ?? null,
+        commission_percent: body.commissionPercent,
+        max_uses: body.maxUses,
+        expires_at: body.expiresAt ?? null,
+        promo_code: body.promoCode || null,
+        grants_free_access: body.grantsFreeAccess
+    }
+}));
+
+// PATCH /api/referrals/codes/:id, parses to the columns to update
+const codeUpdate = nonEmpty(z.strictObject({
+    active: z.boolean().optional(),
+    discountPercent: discountPercent.optional(),
+    commissionPercent: commissionPercent.optional(),
+    maxUses: maxUses.optional(),
+    expiresAt: expiresAt.optional(),
+    promoCode: z.string().trim().max(64).nullable().optional()
+})).transform(body => ({
+    ...(body.active !== undefined && { active: body.active }),
+    ...(body.discountPercent !== undefined && { discount_percent: body.discountPercent }),
+    ...(body.commissionPercent !== undefined && { commission_percent: body.commissionPercent }),
+    ...(body.maxUses !== undefined && { max_uses: body.maxUses }),
+    ...(body.expiresAt !== undefined && { expires_at: body.expiresAt }),
+    ...(body.promoCode !== undefined && { promo_code: body.promoCode || null })
+}));
+
+// PATCH /api/referrals/commissions/:id (payouts)
+const commissionUpdate = z.object({
+    status: commissionStatus,
+    payoutReference: optionalText(200)
+});
+
+const codeParams = z.object({ id });
+
+/** @typedef {z.input<typeof click>} ReferralClick */
+/** @typedef {z.input<typeof codeCreate>} ReferralCodeCreate */
+/** @typedef {z.input<typeof codeUpdate>} ReferralCodeUpdate */
+/** @typedef {z.input<typeof commissionUpdate>} CommissionUpdate */
+
+module.exports = {
+    code,
+    validateQuery,
+    click,
+    commissionsQuery,
+    commissionsExportQuery,
+    codeCreate,
+    codeUpdate,
+    commissionUpdate,
+    codeParams
+};
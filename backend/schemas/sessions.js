@@ -0,0 +1,61 @@
+const { z } = require('zod');
+const { id, optionalText } = require('./common');
+const { EXPORT_FORMATS } = require('../utils/sessionExport');
+const { MAX_EXPIRY_DAYS } = require('../utils/sessionShares');
+
+// /api/sessions (routes/sessions.js)
+
+const sessionCreate = z.object({
+    title: optionalText(100),
+    region: optionalText(100),
+    country: optionalText(100)
+});
+
+const sessionSearchQuery = z.object({
+    q: z.string().trim()
+        .min(2, 'Search query must be at least 2 characters')
+        .max(200, 'Search query is too long')
+});
+
+const shareParams = z.object({ shareId: id });
+
+// GET /api/shared/:token (routes/shared.js)
+const shareTokenParams = z.object({ token: z.string().trim().min(1).max(128) });
+
+// Whitespace runs collapse to one space
+const sessionRename = z.object({
+    title: z.string()
+        .transform(title => title.replace(/\s+/g, ' ').trim())
+        .pipe(z.string().min(1, 'Title is required').max(100, 'Title must be at most 100 characters'))
+});
+
+const activeMessage = z.object({ messageId: id });
+
+const exportQuery = z.object({
+    format: z.string().trim().toLowerCase().default('pdf')
+        .pipe(z.enum(Object.keys(EXPORT_FORMATS), { error: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }))
+});
+
+const shareCreate = z.object({
+    messageId: id.optional(),
+    expiresInDays: z.preprocess(
+        value => (value === '' || value === null ? undefined : value),
+        z.coerce.number().int().min(1).max(MAX_EXPIRY_DAYS).optional()
+    )
+});
+
+/** @typedef {z.input<typeof sessionCreate>} SessionCreate */
+/** @typedef {z.input<typeof sessionRename>} SessionRename */
+/** @typedef {z.input<typeof activeMessage>} ActiveMessageUpdate */
+/** @typedef {z.input<typeof shareCreate>} ShareCreate */
+
+module.exports = {
+    sessionCreate,
+    sessionSearchQuery,
+    shareParams,
+    shareTokenParams,
+    sessionRename,
+    activeMessage,
+    exportQuery,
+    shareCreate
+};
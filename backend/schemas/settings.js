@@ -0,0 +1,27 @@
+const { z } = require('zod');
+const { nonEmpty } = require('./common');
+
+// /api/settings (routes/settings.js)
+
+const logoUpdate = z.object({
+    logoUrl: z.string().trim().max(2048).pipe(z.url()).nullable()
+});
+
+// Strict: these are merged into profiles.preferences, so unknown keys would pile up there
+const preferencesUpdate = nonEmpty(z.strictObject({
+    language: z.string().trim().max(50).optional(),
+    region: z.string().trim().max(100).optional(),
+    country: z.string().trim().max(100).optional(),
+    isShortAnswer: z.boolean().optional(),
+    fontSize: z.enum(['small', 'normal', 'large']).optional(),
+    theme: z.enum(['light', 'dark', 'system']).optional(),
+    userRole: z.string().trim().max(100).optional()
+}));
+
+/** @typedef {z.input<typeof logoUpdate>} LogoUpdate */
+/** @typedef {z.input<typeof preferencesUpdate>} PreferencesUpdate */
+
+module.exports = {
+    logoUpdate,
+    preferencesUpdate
+};
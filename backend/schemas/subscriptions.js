@@ -0,0 +1,12 @@
+const { z } = require('zod');
+
+// /api/subscriptions (routes/subscriptions.js)
+
+// Which prices a caller may buy is decided by the route
+const checkout = z.object({
+    priceId: z.string().trim().min(1).max(100)
+});
+
+/** @typedef {z.input<typeof checkout>} CheckoutRequest */
+
+module.exports = { checkout };
@@ -0,0 +1,100 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+
+const { app, supabase, ai, robustGemini } = createTestApp();
+let server;
+let alice;
+let admin;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    ai.reset();
+    robustGemini.forceModel(null);
+    Object.values(robustGemini.breakers).forEach(breaker => breaker.reset());
+
+    alice = supabase.addUser({ email: 'alice@example.com' });
+    admin = supabase.addUser({ email: 'admin@example.com', role: 'admin' });
+    supabase.seed('feature_flags', { feature_name: 'chat', is_enabled: true });
+    supabase.seed('feature_flags', { feature_name: 'speech', is_enabled: true });
+});
+
+const adminRequest = (method, path, body) => server.request(method, path, { token: admin.token, body });
+
+describe('admin ops console', () => {
+    test('is admin only', async () => {
+        assert.equal((await server.request('GET', '/api/admin/ops', { token: alice.token })).status, 403);
+        assert.equal((await server.request('POST', '/api/admin/breakers/Chat/reset', { token: alice.token })).status, 403);
+        assert.equal((await server.request('GET', '/api/admin/ops')).status, 401);
+    });
+
+    test('shows flags, breakers, the key index and the model ladder', async () => {
+        const res = await adminRequest('GET', '/api/admin/ops');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.flags.map(flag => flag.feature_name), ['chat', 'speech']);
+        assert.equal(res.body.ai.provider, 'mock');
+        assert.equal(res.body.ai.currentKeyIndex, 0);
+        assert.deepEqual(res.body.ai.models, ['mock-pro', 'mock-flash']);
+        assert.deepEqual(res.body.ai.breakers.map(breaker => [breaker.name, breaker.state]), [['Chat', 'CLOSED'], ['Content', 'CLOSED']]);
+    });
+
+    test('re-enables a feature a tripped breaker disabled, and resets the breaker', async () => {
+        const breaker = robustGemini.breakers.Chat;
+        for (let i = 0; i < breaker.failureThreshold; i++) breaker._onFailure(new Error('[503 Service Unavailable]'));
+        await new Promise(resolve => setImmediate(resolve)); // onTrip disables the flag without awaiting
+
+        const [chatFlag] = supabase.rows('feature_flags', row => row.feature_name === 'chat');
+        assert.equal(chatFlag.is_enabled, false);
+
+        const tripped = (await adminRequest('GET', '/api/admin/ops')).body.ai.breakers.find(b => b.name === 'Chat');
+        assert.equal(tripped.state, 'OPEN');
+        assert.ok(tripped.nextAttempt);
+
+        const enabled = await adminRequest('PUT', '/api/admin/flags/chat', { enabled: true });
+        assert.equal(enabled.status, 200);
+        assert.equal(chatFlag.is_enabled, true);
+        assert.equal(chatFlag.disabled_reason, null);
+
+        const reset = await adminRequest('POST', '/api/admin/breakers/Chat/reset');
+        assert.equal(reset.status, 200);
+        assert.equal(reset.body.ai.breakers.find(b => b.name === 'Chat').state, 'CLOSED');
+        assert.equal(breaker.failures.length, 0);
+
+        assert.equal((await adminRequest('POST', '/api/admin/breakers/Missing/reset')).status, 404);
+        assert.equal((await adminRequest('PUT', '/api/admin/flags/missing', { enabled: true })).status, 404);
+        assert.equal((await adminRequest('PUT', '/api/admin/flags/chat', { enabled: 'yes' })).status, 400);
+    });
+
+    test('disables a feature by hand with the admin as the reason', async () => {
+        const res = await adminRequest('PUT', '/api/admin/flags/speech', { enabled: false });
+
+        assert.equal(res.status, 200);
+        const speech = res.body.flags.find(flag => flag.feature_name === 'speech');
+        assert.equal(speech.is_enabled, false);
+        assert.match(speech.disabled_reason, /admin@example\.com/);
+    });
+
+    test('forces a model for every chat call until restored', async () => {
+        assert.equal((await adminRequest('PUT', '/api/admin/model', { model: 'gpt-9' })).status, 400);
+
+        const forced = await adminRequest('PUT', '/api/admin/model', { model: 'mock-flash' });
+        assert.equal(forced.status, 200);
+        assert.equal(forced.body.ai.forcedModel, 'mock-flash');
+
+        await server.request('POST', '/api/chat/message', { token: alice.token, body: { message: 'Amlodipine dose?' } });
+        assert.equal(ai.calls.find(call => call.type === 'message').model, 'mock-flash');
+
+        const restored = await adminRequest('PUT', '/api/admin/model', { model: null });
+        assert.equal(restored.body.ai.forcedModel, null);
+        assert.deepEqual(robustGemini._chatModels(), ['mock-pro', 'mock-flash']);
+    });
+});
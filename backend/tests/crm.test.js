@@ -0,0 +1,340 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+const { VALID_SIGNATURE } = require('./helpers/fakeStripe');
+const { parseCsv } = require('../utils/csv');
+
+const { app, supabase, stripe, mailer } = createTestApp();
+let server;
+
+let eventCount = 0;
+const sendEvent = (event) => server.request('POST', '/api/webhooks/stripe', {
+    raw: JSON.stringify({ id: `evt_crm_${++eventCount}`, ...event }),
+    headers: { 'Content-Type': 'application/json', 'stripe-signature': VALID_SIGNATURE }
+});
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    stripe.reset();
+    mailer.reset();
+});
+
+const submitLead = (body) => server.request('POST', '/api/crm/leads', { body: { source: 'newsletter', ...body } });
+const timeline = (contactId) => supabase.rows('crm_activities', a => a.contact_id === contactId).map(a => a.type);
+const linkToken = (html, path) => decodeURIComponent(new RegExp(`${path}\\?token=([^"&]+)`).exec(html)[1]);
+
+describe('newsletter leads', () => {
+    test('one contact per address, with a single confirmation e-mail', async () => {
+        assert.equal((await submitLead({ email: 'Lead@Clinic.example', name: 'Dr Lead' })).status, 201);
+        assert.equal((await submitLead({ email: 'lead@clinic.example ' })).status, 201);
+
+        const contacts = supabase.rows('crm_contacts');
+        assert.equal(contacts.length, 1);
+        assert.equal(contacts[0].email, 'lead@clinic.example');
+        assert.equal(contacts[0].name, 'Dr Lead');
+        assert.equal(contacts[0].stage, 'lead');
+        assert.equal(contacts[0].opt_in_status, 'pending');
+
+        assert.equal(mailer.sent.length, 1);
+        assert.equal(mailer.sent[0].to, 'lead@clinic.example');
+        assert.match(mailer.sent[0].subject, /Confirm/);
+        assert.deepEqual(timeline(contacts[0].id), ['created', 'opt_in_requested', 'form']);
+    });
+
+    test('confirms the subscription from the e-mailed link', async () => {
+        await submitLead({ email: 'lead@clinic.example' });
+        const token = linkToken(mailer.sent[0].html, '/newsletter/confirm');
+
+        const res = await server.request('POST', '/api/crm/newsletter/confirm', { body: { token } });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { status: 'confirmed' });
+
+        const [contact] = supabase.rows('crm_contacts');
+        assert.equal(contact.opt_in_status, 'confirmed');
+        assert.ok(contact.confirmed_at);
+
+        // Clicked again, then signed up again: nothing changes, no new e-mail
+        assert.equal((await server.request('POST', '/api/crm/newsletter/confirm', { body: { token } })).status, 200);
+        await submitLead({ email: 'lead@clinic.example' });
+        assert.equal(mailer.sent.length, 1);
+    });
+
+    test('rejects unknown and expired confirmation links', async () => {
+        assert.equal((await server.request('POST', '/api/crm/newsletter/confirm', { body: { token: 'nope' } })).status, 404);
+
+        supabase.seed('crm_contacts', {
+            email: 'old@clinic.example', stage: 'lead', opt_in_status: 'pending', opt_in_token: 'old-token',
+            opt_in_sent_at: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString()
+        });
+        const res = await server.request('POST', '/api/crm/newsletter/confirm', { body: { token: 'old-token' } });
+        assert.equal(res.status, 410);
+        assert.equal(supabase.rows('crm_contacts')[0].opt_in_status, 'pending');
+    });
+
+    test('unsubscribes with the link from the e-mail', async () => {
+        await submitLead({ email: 'lead@clinic.example' });
+        const token = linkToken(mailer.sent[0].html, '/newsletter/unsubscribe');
+
+        const res = await server.request('POST', '/api/crm/newsletter/unsubscribe', { body: { token } });
+        assert.deepEqual(res.body, { status: 'unsubscribed' });
+
+        const [contact] = supabase.rows('crm_contacts');
+        assert.equal(contact.opt_in_status, 'unsubscribed');
+        assert.equal(contact.opt_in_token, null);
+        assert.ok(timeline(contact.id).includes('unsubscribed'));
+        assert.equal((await server.request('POST', '/api/crm/newsletter/unsubscribe', { body: { token: 'nope' } })).status, 404);
+    });
+});
+
+describe('stage pipeline', () => {
+    const subscriptionEvent = (status) => ({
+        type: 'customer.subscription.updated',
+        data: { object: { id: 'sub_1', customer: 'cus_123', status, items: { data: [{ price: { id: 'price_monthly' }, current_period_end: 1767225600 }] } } }
+    });
+
+    test('signup links the lead to the new account', async () => {
+        await submitLead({ email: 'doc@clinic.example' });
+
+        const res = await server.request('POST', '/api/auth/signup', {
+            body: { email: 'doc@clinic.example', password: 'secret123', data: { full_name: 'Dr Doc' } }
+        });
+        assert.equal(res.status, 200);
+
+        const [contact] = supabase.rows('crm_contacts');
+        assert.equal(contact.user_id, res.body.user.id);
+        assert.equal(contact.stage, 'lead');
+        assert.ok(timeline(contact.id).includes('signup'));
+    });
+
+    test('subscription events move the contact from trial to paying to churned', async () => {
+        supabase.addUser({ email: 'doc@clinic.example', profile: { stripe_customer_id: 'cus_123' } });
+        const stage = () => supabase.rows('crm_contacts')[0].stage;
+
+        await sendEvent(subscriptionEvent('trialing'));
+        assert.equal(stage(), 'trial');
+
+        await sendEvent(subscriptionEvent('active'));
+        await sendEvent(subscriptionEvent('active')); // Repeated status
+        assert.equal(stage(), 'paying');
+
+        await sendEvent(subscriptionEvent('trialing')); // Never back to trial
+        assert.equal(stage(), 'paying');
+
+        await sendEvent(subscriptionEvent('canceled'));
+        assert.equal(stage(), 'churned');
+
+        const changes = supabase.rows('crm_activities', a => a.type === 'stage_changed').map(a => `${a.data.from}>${a.data.to}`);
+        assert.deepEqual(changes, ['lead>trial', 'trial>paying', 'paying>churned']);
+    });
+
+    test('a CRM failure does not fail the webhook', async () => {
+        supabase.addUser({ email: 'doc@clinic.example', profile: { stripe_customer_id: 'cus_123' } });
+        supabase.failNext('crm_contacts', 'select');
+
+        const res = await sendEvent(subscriptionEvent('active'));
+
+        assert.equal(res.status, 200);
+        assert.equal(supabase.rows('subscriptions')[0].status, 'active');
+    });
+
+    test('a CRM failure does not fail an invoice event', async () => {
+        supabase.addUser({ email: 'doc@clinic.example', profile: { stripe_customer_id: 'cus_123' } });
+        stripe.addSubscription({ id: 'sub_1', customer: 'cus_123', priceId: 'price_monthly', status: 'past_due' });
+        supabase.failNext('crm_contacts', 'select');
+
+        const res = await sendEvent({ type: 'invoice.payment_failed', data: { object: { id: 'in_1', customer: 'cus_123', subscription: 'sub_1', attempt_count: 1 } } });
+
+        assert.equal(res.status, 200);
+        assert.equal(supabase.rows('subscriptions')[0].last_payment_status, 'failed');
+    });
+});
+
+describe('pipeline management', () => {
+    let admin;
+
+    beforeEach(() => {
+        admin = supabase.addUser({ email: 'admin@clinic.example', role: 'admin' });
+    });
+
+    const request = (method, path, body) => server.request(method, path, { token: admin.token, body });
+    const seedContact = (fields) => supabase.seed('crm_contacts', { stage: 'lead', tags: [], opt_in_status: 'none', last_activity_at: new Date().toISOString(), ...fields });
+
+    test('lists contacts by stage, tag and search term', async () => {
+        seedContact({ email: 'a@clinic.example', name: 'Alice', stage: 'paying', tags: ['cardiology'] });
+        seedContact({ email: 'b@clinic.example', name: 'Bob', tags: ['cardiology'] });
+        seedContact({ email: 'c@hospital.example', name: 'Carol' });
+
+        const ids = async (query) => (await request('GET', `/api/crm/contacts?${query}`)).body.items.map(c => c.name).sort();
+        assert.deepEqual(await ids('stage=paying'), ['Alice']);
+        assert.deepEqual(await ids('tag=cardiology'), ['Alice', 'Bob']);
+        assert.deepEqual(await ids('q=hospital'), ['Carol']);
+        assert.equal((await request('GET', '/api/crm/contacts?stage=customer')).status, 400);
+    });
+
+    test('updates stage and tags, notes calls, and shows the timeline', async () => {
+        const contact = seedContact({ email: 'a@clinic.example' });
+
+        const res = await request('PATCH', `/api/crm/contacts/${contact.id}`, { stage: 'trial', tags: ['Conference', 'cardiology', 'conference'] });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.stage, 'trial');
+        assert.deepEqual(res.body.tags, ['cardiology', 'conference']);
+
+        const note = await request('POST', `/api/crm/contacts/${contact.id}/activities`, { summary: 'Called, demo next week' });
+        assert.equal(note.status, 201);
+        assert.equal(note.body.actor_id, admin.user.id);
+
+        const detail = await request('GET', `/api/crm/contacts/${contact.id}`);
+        assert.equal(detail.body.contact.stage, 'trial');
+        assert.deepEqual(detail.body.activities.map(a => a.type).sort(), ['note', 'stage_changed', 'updated']);
+    });
+
+    test('merges a duplicate into a contact', async () => {
+        const work = seedContact({ email: 'doc@hospital.example', name: 'Dr Doc', tags: ['cardiology'] });
+        const personal = seedContact({ email: 'doc@home.example', stage: 'paying', tags: ['newsletter'], opt_in_status: 'unsubscribed' });
+        supabase.seed('crm_activities', { contact_id: personal.id, type: 'note', summary: 'Met at the conference' });
+
+        const res = await request('POST', `/api/crm/contacts/${work.id}/merge`, { sourceId: personal.id });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.stage, 'paying');
+        assert.deepEqual(res.body.tags, ['cardiology', 'newsletter']);
+        assert.equal(res.body.opt_in_status, 'unsubscribed');
+        assert.equal(supabase.rows('crm_contacts').length, 1);
+        assert.deepEqual(timeline(work.id).sort(), ['merged', 'note']);
+
+        assert.equal((await request('POST', `/api/crm/contacts/${work.id}/merge`, { sourceId: work.id })).status, 400);
+        assert.equal((await request('POST', `/api/crm/contacts/${work.id}/merge`, { sourceId: personal.id })).status, 404);
+    });
+
+    test('imports a CSV, merging known addresses and reporting bad lines', async () => {
+        seedContact({ email: 'known@clinic.example', name: 'Known' });
+
+        const csv = [
+            'Email,Name,Stage,Tags,Notes',
+            'new@clinic.example,"Dr New, MD",trial,cardiology; Conference,"Met at the ""booth"""',
+            'KNOWN@clinic.example,,paying,,',
+            'not-an-email,Someone,,,',
+            'x@clinic.example,,customer,,'
+        ].join('\r\n');
+        const res = await request('POST', '/api/crm/contacts/import', { csv, tags: ['expo-2026'] });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.created, 1);
+        assert.equal(res.body.updated, 1);
+        assert.deepEqual(res.body.skipped.map(s => s.line), [4, 5]);
+
+        const created = supabase.rows('crm_contacts', c => c.email === 'new@clinic.example')[0];
+        assert.equal(created.name, 'Dr New, MD');
+        assert.equal(created.stage, 'trial');
+        assert.deepEqual(created.tags, ['cardiology', 'conference', 'expo-2026']);
+        assert.equal(created.opt_in_status, 'none');
+        assert.equal(supabase.rows('crm_contacts', c => c.email === 'known@clinic.example')[0].stage, 'paying');
+
+        assert.equal((await request('POST', '/api/crm/contacts/import', { csv: 'name\nAlice' })).status, 400);
+    });
+
+    test('imports large files in batches, combining repeated addresses', async () => {
+        seedContact({ email: 'known@clinic.example', stage: 'lead' });
+        const lines = Array.from({ length: 1200 }, (_, i) => `doc${i}@clinic.example,Doc ${i}`);
+        const csv = ['email,name', ...lines, 'doc7@clinic.example,', 'known@clinic.example,Known'].join('\n');
+
+        const res = await request('POST', '/api/crm/contacts/import', { csv });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual([res.body.created, res.body.updated], [1200, 1]);
+        assert.equal(supabase.rows('crm_contacts').length, 1201);
+        assert.equal(supabase.rows('crm_contacts', c => c.email === 'known@clinic.example')[0].name, 'Known');
+        assert.equal(supabase.rows('crm_activities', a => a.type === 'imported').length, 1201);
+    });
+
+    test('exports the filtered contacts in the import format', async () => {
+        seedContact({ email: 'a@clinic.example', name: 'Alice', stage: 'paying', tags: ['cardiology', 'vip'] });
+        seedContact({ email: 'b@clinic.example', name: 'Bob' });
+
+        const res = await request('GET', '/api/crm/contacts/export?stage=paying');
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="mdnexa-contacts-/);
+        const [header, ...rows] = parseCsv(res.text);
+        assert.deepEqual(header.slice(0, 4), ['email', 'name', 'stage', 'tags']);
+        assert.equal(rows.length, 1);
+        assert.deepEqual(rows[0].slice(0, 4), ['a@clinic.example', 'Alice', 'paying', 'cardiology; vip']);
+    });
+
+    test('is limited to users who manage the CRM', async () => {
+        const member = supabase.addUser({ email: 'member@clinic.example' });
+        const res = await server.request('GET', '/api/crm/contacts', { token: member.token });
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('contact form', () => {
+    test('merges a repeated submission into the caller\'s contact', async () => {
+        const alice = supabase.addUser({ email: 'alice@clinic.example' });
+        const submit = (notes) => server.request('POST', '/api/crm', { token: alice.token, body: { email: 'alice@clinic.example', name: 'Alice', notes } });
+
+        assert.equal((await submit('First question')).status, 201);
+        const second = await submit('Second question');
+
+        assert.equal(second.status, 200);
+        assert.equal(second.body.notes, 'First question');
+        assert.equal(supabase.rows('crm_contacts').length, 1);
+        assert.deepEqual(supabase.rows('crm_activities').map(a => a.summary), ['First question', 'Second question']);
+        assert.equal(supabase.rows('crm_contacts')[0].owner_id, alice.user.id);
+        assert.equal(supabase.rows('crm_contacts')[0].user_id, null);
+    });
+
+    test('keeps every user\'s list apart from the pipeline and from other users\' lists', async () => {
+        await submitLead({ email: 'lead@clinic.example' });
+        const alice = supabase.addUser({ email: 'alice@clinic.example' });
+        const bob = supabase.addUser({ email: 'bob@clinic.example' });
+        const admin = supabase.addUser({ email: 'admin@clinic.example', role: 'admin' });
+        const add = (user, name) => server.request('POST', '/api/crm', { token: user.token, body: { email: 'lead@clinic.example', name } });
+
+        const alices = await add(alice, 'Lead (Alice)');
+        const bobs = await add(bob, 'Lead (Bob)');
+
+        assert.equal(alices.status, 201);
+        assert.equal(bobs.status, 201);
+        assert.notEqual(alices.body.id, bobs.body.id);
+        assert.deepEqual((await server.request('GET', '/api/crm', { token: alice.token })).body.map(c => c.name), ['Lead (Alice)']);
+        assert.deepEqual((await server.request('GET', '/api/crm', { token: bob.token })).body.map(c => c.name), ['Lead (Bob)']);
+
+        const [lead] = supabase.rows('crm_contacts', c => c.owner_id === null);
+        assert.equal(lead.name, null);
+        const pipeline = await server.request('GET', '/api/crm/contacts', { token: admin.token });
+        assert.deepEqual(pipeline.body.items.map(c => c.id), [lead.id]);
+        assert.equal((await server.request('GET', `/api/crm/contacts/${alices.body.id}`, { token: admin.token })).status, 404);
+        assert.equal((await server.request('POST', `/api/crm/contacts/${lead.id}/merge`, { token: admin.token, body: { sourceId: alices.body.id } })).status, 404);
+    });
+
+    test('never returns the opt-in and unsubscribe tokens', async () => {
+        const alice = supabase.addUser({ email: 'alice@clinic.example' });
+        const admin = supabase.addUser({ email: 'admin@clinic.example', role: 'admin' });
+        const created = await server.request('POST', '/api/crm', { token: alice.token, body: { email: 'bob@clinic.example' } });
+        await submitLead({ email: 'alice@clinic.example' });
+        const [lead] = supabase.rows('crm_contacts', c => c.owner_id === null);
+
+        const own = await server.request('GET', '/api/crm', { token: alice.token });
+        const list = await server.request('GET', '/api/crm/contacts', { token: admin.token });
+        const detail = await server.request('GET', `/api/crm/contacts/${lead.id}`, { token: admin.token });
+
+        assert.ok(lead.opt_in_token);
+        for (const contact of [created.body, own.body[0], list.body.items[0], detail.body.contact]) {
+            assert.equal('opt_in_token' in contact, false);
+            assert.equal('unsubscribe_token' in contact, false);
+        }
+    });
+});
+
+test('parseCsv reads quoted cells, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi""\nthere"\n\n1,\n'), [['a', 'b'], ['x, y', 'say "hi"\nthere'], ['1', '']]);
+});
@@ -0,0 +1,137 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+
+const { app, supabase, ai, robustGemini } = createTestApp();
+// Loaded after the harness has installed the fake Supabase
+const featureFlags = require('../utils/featureFlags');
+const featureRecovery = require('../utils/featureRecovery');
+const { recoveryDelay } = featureFlags;
+let server;
+let admin;
+let chatFlag;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    ai.reset();
+    Object.values(robustGemini.breakers).forEach(breaker => breaker.reset());
+
+    admin = supabase.addUser({ email: 'admin@example.com', role: 'admin' });
+    chatFlag = supabase.seed('feature_flags', { feature_name: 'chat', is_enabled: true, recovery_attempts: 0 });
+});
+
+const tripChatBreaker = async () => {
+    const breaker = robustGemini.breakers.Chat;
+    for (let i = 0; i < breaker.failureThreshold; i++) breaker._onFailure(new Error('[503 Service Unavailable]'));
+    await new Promise(resolve => setImmediate(resolve)); // onTrip doesn't await the flag update
+};
+
+// Pretends the backoff (and the breaker's cooldown) has passed
+const later = (ms) => new Date(Date.now() + ms + 1000);
+const passCooldown = () => { robustGemini.breakers.Chat.nextAttempt = 0; };
+
+describe('feature recovery', () => {
+    test('a tripped breaker disables its feature and schedules a probe', async () => {
+        await tripChatBreaker();
+
+        assert.equal(chatFlag.is_enabled, false);
+        assert.ok(new Date(chatFlag.auto_reenable_at) > new Date());
+
+        const [event] = supabase.rows('feature_flag_history');
+        assert.equal(event.event, 'disabled');
+        assert.equal(event.actor, 'circuit_breaker');
+        assert.equal(event.next_probe_at, chatFlag.auto_reenable_at);
+    });
+
+    test('probes only once the backoff has passed, then re-enables the feature', async () => {
+        await tripChatBreaker();
+
+        assert.deepEqual(await featureRecovery.runOnce(new Date()), []);
+        assert.equal(ai.calls.length, 0);
+
+        passCooldown();
+        const results = await featureRecovery.runOnce(later(recoveryDelay(0)));
+
+        assert.deepEqual(results, [{ feature: 'chat', recovered: true }]);
+        assert.equal(ai.calls.length, 1);
+        assert.equal(chatFlag.is_enabled, true);
+        assert.equal(chatFlag.auto_reenable_at, null);
+        assert.equal(robustGemini.breakers.Chat.state, 'CLOSED'); // The probe closed the HALF_OPEN circuit
+        assert.deepEqual(supabase.rows('feature_flag_history').map(row => [row.event, row.actor]), [['disabled', 'circuit_breaker'], ['enabled', 'recovery']]);
+    });
+
+    test('backs off exponentially while the probe keeps failing', async () => {
+        await tripChatBreaker();
+        passCooldown();
+        ai.queueError('[400 Bad Request] Still broken');
+
+        const [first] = await featureRecovery.runOnce(later(recoveryDelay(0)));
+        assert.equal(first.recovered, false);
+        assert.equal(chatFlag.is_enabled, false);
+        assert.equal(chatFlag.recovery_attempts, 1);
+
+        const delay = new Date(chatFlag.auto_reenable_at) - Date.now();
+        assert.ok(delay > recoveryDelay(0) && delay <= recoveryDelay(1));
+
+        // Not due yet at the first backoff
+        assert.deepEqual(await featureRecovery.runOnce(later(recoveryDelay(0))), []);
+
+        const probeFailed = supabase.rows('feature_flag_history', row => row.event === 'probe_failed');
+        assert.equal(probeFailed.length, 1);
+        assert.match(probeFailed[0].reason, /Still broken/);
+    });
+
+    test('a request to a feature whose probe is due runs the probe first', async () => {
+        Object.assign(chatFlag, { is_enabled: false, auto_reenable_at: new Date(Date.now() - 1000).toISOString() });
+        featureFlags.lastFetch = 0;
+
+        const res = await server.request('POST', '/api/chat/message', {
+            token: admin.token,
+            body: { message: 'Sepsis bundle?', history: [], userRole: 'doctor', language: 'English' }
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(ai.calls.length, 2); // The probe, then the answer
+        assert.equal(chatFlag.is_enabled, true);
+        assert.equal(supabase.rows('feature_flag_history').at(-1).actor, 'recovery');
+    });
+
+    test('a failed due probe keeps the feature off and pushes the next probe back', async () => {
+        Object.assign(chatFlag, { is_enabled: false, auto_reenable_at: new Date(Date.now() - 1000).toISOString() });
+        featureFlags.lastFetch = 0;
+        ai.queueError('[400 Bad Request] Still broken');
+
+        assert.equal(await featureFlags.isEnabled('chat'), false);
+        assert.equal(chatFlag.recovery_attempts, 1);
+        assert.ok(new Date(chatFlag.auto_reenable_at) > new Date());
+
+        // Not probed again until the new time
+        assert.equal(await featureFlags.isEnabled('chat'), false);
+        assert.equal(ai.calls.length, 1);
+    });
+
+    test('backoff is capped', () => {
+        assert.equal(recoveryDelay(1), 2 * recoveryDelay(0));
+        assert.equal(recoveryDelay(20), recoveryDelay(10));
+    });
+
+    test('features disabled by an admin are not auto-recovered', async () => {
+        await server.request('PUT', '/api/admin/flags/chat', { token: admin.token, body: { enabled: false } });
+
+        assert.equal(chatFlag.is_enabled, false);
+        assert.equal(chatFlag.auto_reenable_at, null);
+        assert.deepEqual(await featureRecovery.runOnce(later(recoveryDelay(10))), []);
+
+        const history = await server.request('GET', '/api/admin/flags/history?feature=chat', { token: admin.token });
+        assert.equal(history.status, 200);
+        assert.equal(history.body[0].actor, 'admin@example.com');
+    });
+});
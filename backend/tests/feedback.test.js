@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+const { toCsv } = require('../utils/csv');
+
+const { app, supabase } = createTestApp();
+let server;
+let alice;
+let bob;
+let admin;
+let session;
+let question;
+let answer;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    alice = supabase.addUser({ email: 'alice@example.com' });
+    bob = supabase.addUser({ email: 'bob@example.com' });
+    admin = supabase.addUser({ email: 'admin@example.com', role: 'admin' });
+
+    session = supabase.seed('chat_sessions', { user_id: alice.user.id, title: 'Hypertension', region: 'Asia-Pacific', country: 'India' });
+    question = supabase.seed('chat_messages', { session_id: session.id, user_id: alice.user.id, role: 'user', content: 'Amlodipine dose?', created_at: '2025-01-01T10:00:00.000Z' });
+    answer = supabase.seed('chat_messages', {
+        session_id: session.id,
+        user_id: alice.user.id,
+        role: 'model',
+        content: 'Start amlodipine 50 mg daily.',
+        model: 'mock-pro',
+        parent_message_id: question.id,
+        created_at: '2025-01-01T10:00:01.000Z'
+    });
+});
+
+const sendFeedback = (body, token = alice.token) => server.request('POST', '/api/feedback', { token, body: { messageId: answer.id, ...body } });
+
+describe('submitting feedback', () => {
+    test('stores an inaccuracy report with the answer, question, model and location', async () => {
+        const res = await sendFeedback({ category: 'dosage', comment: 'Max dose is 10 mg' });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.status, 'new');
+
+        const [report] = supabase.rows('message_feedback');
+        assert.equal(report.kind, 'report');
+        assert.equal(report.category, 'dosage');
+        assert.equal(report.comment, 'Max dose is 10 mg');
+        assert.equal(report.question, 'Amlodipine dose?');
+        assert.equal(report.answer, 'Start amlodipine 50 mg daily.');
+        assert.equal(report.model, 'mock-pro');
+        assert.equal(report.country, 'India');
+        assert.equal(report.user_id, alice.user.id);
+    });
+
+    test('keeps one thumbs rating per answer, which can be changed or removed', async () => {
+        assert.equal((await sendFeedback({ rating: 'up' })).status, 201);
+        assert.equal((await sendFeedback({ rating: 'down' })).status, 200);
+
+        const ratings = supabase.rows('message_feedback', row => row.kind === 'rating');
+        assert.equal(ratings.length, 1);
+        assert.equal(ratings[0].rating, 'down');
+
+        const cleared = await sendFeedback({ rating: null });
+        assert.equal(cleared.status, 200);
+        assert.equal(supabase.rows('message_feedback').length, 0);
+    });
+
+    test('validates the category, rating and target message', async () => {
+        assert.equal((await sendFeedback({ category: 'typo' })).status, 400);
+        assert.equal((await sendFeedback({ category: 'other' })).status, 400); // needs a description
+        assert.equal((await sendFeedback({ rating: 'meh' })).status, 400);
+        assert.equal((await sendFeedback({ rating: 'up', messageId: question.id })).status, 400);
+        assert.equal((await sendFeedback({ rating: 'up', messageId: 'missing' })).status, 400); // not a uuid
+        assert.equal((await sendFeedback({ rating: 'up', messageId: crypto.randomUUID() })).status, 404);
+        assert.equal(supabase.rows('message_feedback').length, 0);
+    });
+
+    test('cannot give feedback on another user\'s answer', async () => {
+        const res = await sendFeedback({ category: 'wrong_locale' }, bob.token);
+
+        assert.equal(res.status, 404);
+        assert.equal(supabase.rows('message_feedback').length, 0);
+    });
+});
+
+describe('admin review queue', () => {
+    beforeEach(async () => {
+        await sendFeedback({ category: 'dosage', comment: 'Max dose is 10 mg' });
+        await sendFeedback({ category: 'hallucinated_source', comment: '=HYPERLINK("http://evil")' });
+        await sendFeedback({ rating: 'up' });
+    });
+
+    test('is admin only', async () => {
+        const res = await server.request('GET', '/api/feedback/admin', { token: alice.token });
+        assert.equal(res.status, 403);
+    });
+
+    test('lists and filters feedback with the reporter', async () => {
+        const all = await server.request('GET', '/api/feedback/admin', { token: admin.token });
+        assert.equal(all.status, 200);
+        assert.equal(all.body.total, 3);
+        assert.equal(all.body.items[0].reporter_email, 'alice@example.com');
+
+        const reports = await server.request('GET', '/api/feedback/admin?kind=report&category=dosage', { token: admin.token });
+        assert.equal(reports.body.total, 1);
+        assert.equal(reports.body.items[0].comment, 'Max dose is 10 mg');
+    });
+
+    test('triages and annotates a report', async () => {
+        const [report] = supabase.rows('message_feedback', row => row.category === 'dosage');
+
+        const res = await server.request('PATCH', `/api/feedback/admin/${report.id}`, {
+            token: admin.token,
+            body: { status: 'resolved', adminNotes: 'Confirmed, prompt updated' }
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(report.status, 'resolved');
+        assert.equal(report.admin_notes, 'Confirmed, prompt updated');
+        assert.equal(report.reviewed_by, admin.user.id);
+        assert.ok(report.reviewed_at);
+
+        assert.equal((await server.request('PATCH', `/api/feedback/admin/${report.id}`, { token: admin.token, body: { status: 'done' } })).status, 400);
+        assert.equal((await server.request('PATCH', '/api/feedback/admin/missing', { token: admin.token, body: { status: 'triaged' } })).status, 400);
+        assert.equal((await server.request('PATCH', `/api/feedback/admin/${crypto.randomUUID()}`, { token: admin.token, body: { status: 'triaged' } })).status, 404);
+    });
+
+    test('exports the filtered queue as CSV', async () => {
+        const res = await server.request('GET', '/api/feedback/admin/export?kind=report', { token: admin.token });
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/csv/);
+        assert.match(res.headers.get('content-disposition'), /mdnexa-feedback-.*\.csv/);
+
+        const lines = res.text.trim().split('\r\n');
+        assert.equal(lines.length, 3);
+        assert.match(lines[0], /^Submitted,Kind,Rating,Category/);
+        assert.ok(res.text.includes('Wrong dosage'));
+        // Formula-like user text is neutralized
+        assert.ok(res.text.includes(`"'=HYPERLINK(""http://evil"")"`));
+    });
+});
+
+test('toCsv quotes cells with separators and line breaks', () => {
+    const csv = toCsv([{ header: 'A', value: row => row.a }, { header: 'B', value: row => row.b }], [{ a: 'x, y', b: 'line\nbreak' }, { a: null, b: 3 }]);
+    assert.equal(csv, 'A,B\r\n"x, y","line\nbreak"\r\n,3\r\n');
+});
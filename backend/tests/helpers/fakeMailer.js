@@ -0,0 +1,27 @@
+/**
+ * Stand-in for the nodemailer transport (utils/email.js). Nothing leaves the process:
+ * sendMail() records the message in `sent`, or throws the error queued with failNext().
+ */
+class FakeMailer {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.sent = [];
+        this.errors = [];
+    }
+
+    // The next sendMail() call rejects with this error (an SMTP outage)
+    failNext(error = new Error('Injected SMTP failure')) {
+        this.errors.push(error);
+    }
+
+    async sendMail(message) {
+        if (this.errors.length > 0) throw this.errors.shift();
+        this.sent.push(message);
+        return { messageId: `<test-${this.sent.length}@mdnexa.test>` };
+    }
+}
+
+module.exports = FakeMailer;
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+/**
+ * Stand-in for the `stripe` package. Routes call require('stripe')(key), so the harness
+ * installs createFakeStripe() as the module export and every call returns the same client.
+ *
+ * - webhooks.constructEvent accepts the signature VALID_SIGNATURE and parses the raw body
+ * - subscriptions.retrieve / update read and change subscriptions registered with addSubscription()
+ * - invoicePayments.list finds the invoice payments registered with addInvoicePayment() by PaymentIntent
+ * - customers / checkout / billing portal calls are recorded in `calls`
+ */
+
+const VALID_SIGNATURE = 'test-signature';
+
+class FakeStripe {
+    constructor() {
+        this.reset();
+
+        this.webhooks = {
+            constructEvent: (payload, signature) => {
+                if (signature !== VALID_SIGNATURE) {
+                    throw new Error('No signatures found matching the expected signature for payload.');
+                }
+                return JSON.parse(Buffer.isBuffer(payload) ? payload.toString('utf8') : payload);
+            }
+        };
+
+        this.subscriptions = {
+            retrieve: async (id) => {
+                const subscription = this.subscriptionStore[id];
+                if (!subscription) throw new Error(`No such subscription: '${id}'`);
+                return subscription;
+            },
+            update: async (id, params) => {
+                const subscription = await this.subscriptions.retrieve(id);
+                this._record('subscriptions.update', { id, ...params }, null);
+                for (const change of params.items || []) {
+                    const item = subscription.items.data.find(i => i.id === change.id);
+                    if (item && change.quantity !== undefined) item.quantity = change.quantity;
+                }
+                return subscription;
+            }
+        };
+
+        this.invoicePayments = {
+            list: async ({ payment } = {}) => ({
+                object: 'list',
+                data: this.invoicePaymentStore.filter(p => !payment?.payment_intent || p.payment.payment_intent === payment.payment_intent),
+                has_more: false
+            })
+        };
+
+        this.customers = {
+            create: async (params) => this._record('customers.create', params, { id: `cus_${crypto.randomUUID().slice(0, 8)}`, ...params })
+        };
+
+        this.checkout = {
+            sessions: {
+                create: async (params) => this._record('checkout.sessions.create', params, { id: `cs_${crypto.randomUUID().slice(0, 8)}`, url: 'https://checkout.stripe.test/session' })
+            }
+        };
+
+        this.billingPortal = {
+            sessions: {
+                create: async (params) => this._record('billingPortal.sessions.create', params, { url: 'https://billing.stripe.test/portal' })
+            }
+        };
+    }
+
+    reset() {
+        this.subscriptionStore = {};
+        this.invoicePaymentStore = [];
+        this.calls = [];
+    }
+
+    _record(method, params, result) {
+        this.calls.push({ method, params });
+        return result;
+    }
+
+    // Registers a subscription for subscriptions.retrieve, in the shape the webhook handlers read
+    addSubscription({ id = `sub_${crypto.randomUUID().slice(0, 8)}`, customer, priceId = 'price_test', quantity = 1, status = 'active', metadata = {}, currentPeriodEnd = Math.floor(Date.now() / 1000) + 30 * 24 * 3600 } = {}) {
+        const subscription = {
+            id,
+            customer,
+            status,
+            metadata,
+            // 2025-11-17.clover: the billing period is on the items, not the subscription
+            items: { data: [{ id: `si_${crypto.randomUUID().slice(0, 8)}`, price: { id: priceId }, quantity, current_period_end: currentPeriodEnd }] }
+        };
+        this.subscriptionStore[id] = subscription;
+        return subscription;
+    }
+
+    // Links an invoice to the PaymentIntent that paid it (what charges point at in 2025-11-17.clover)
+    addInvoicePayment({ invoice, paymentIntent }) {
+        const invoicePayment = {
+            id: `inpay_${crypto.randomUUID().slice(0, 8)}`,
+            object: 'invoice_payment',
+            invoice,
+            status: 'paid',
+            payment: { type: 'payment_intent', payment_intent: paymentIntent }
+        };
+        this.invoicePaymentStore.push(invoicePayment);
+        return invoicePayment;
+    }
+}
+
+const client = new FakeStripe();
+
+const createFakeStripe = () => client;
+createFakeStripe.client = client;
+createFakeStripe.VALID_SIGNATURE = VALID_SIGNATURE;
+
+module.exports = createFakeStripe;
@@ -0,0 +1,552 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the Supabase service-role client (utils/supabase.js).
+ * Implements the subset of the query builder the routes use, with PostgREST-like results:
+ * every query resolves to { data, error } (plus count for count queries) and never throws.
+ *
+ * - tables: plain arrays of rows, seeded with seed() and inspected with rows()
+ * - auth.getUser(token): tokens registered with addUser()
+ * - rpc(name, params): handlers in rpcHandlers (the functions of the SQL migrations are emulated by default)
+ */
+
+const notFoundError = () => ({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' });
+
+// Embedded selects ("*, profiles:user_id (full_name)") are not resolved: the whole row is returned
+const projectRow = (row, columns) => {
+    if (!columns || columns.trim() === '*' || columns.includes('(') || columns.includes('*')) {
+        return { ...row };
+    }
+    const projected = {};
+    for (const column of columns.split(',').map(c => c.trim()).filter(Boolean)) {
+        projected[column] = row[column];
+    }
+    return projected;
+};
+
+const likeToRegExp = (pattern, flags) => {
+    const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+    return new RegExp(`^${escaped}$`, flags);
+};
+
+const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+    return a < b ? -1 : 1;
+};
+
+class QueryBuilder {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.filters = [];
+        this.orders = [];
+        this.rowLimit = null;
+        this.rowRange = null;
+        this.mode = 'many'; // 'many' | 'single' | 'maybeSingle'
+        this.returning = false;
+        this.countOnly = false;
+    }
+
+    // --- Actions ---
+
+    select(columns = '*', options = {}) {
+        // After insert/update/upsert/delete, select() means "return the affected rows"
+        if (this.action !== 'select') {
+            this.returning = true;
+        }
+        this.columns = columns;
+        if (options.head || options.count) this.countOnly = Boolean(options.head);
+        this.countRequested = Boolean(options.count);
+        return this;
+    }
+
+    insert(values) {
+        this.action = 'insert';
+        this.values = Array.isArray(values) ? values : [values];
+        return this;
+    }
+
+    upsert(values, options = {}) {
+        this.action = 'upsert';
+        this.values = Array.isArray(values) ? values : [values];
+        this.onConflict = (options.onConflict || 'id').split(',').map(c => c.trim());
+        this.ignoreDuplicates = Boolean(options.ignoreDuplicates);
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    // --- Filters ---
+
+    _filter(fn) {
+        this.filters.push(fn);
+        return this;
+    }
+
+    eq(column, value) { return this._filter(row => row[column] === value); }
+    neq(column, value) { return this._filter(row => row[column] !== value); }
+    gt(column, value) { return this._filter(row => compare(row[column], value) > 0); }
+    gte(column, value) { return this._filter(row => compare(row[column], value) >= 0); }
+    lt(column, value) { return this._filter(row => compare(row[column], value) < 0); }
+    lte(column, value) { return this._filter(row => compare(row[column], value) <= 0); }
+    in(column, values) { return this._filter(row => values.includes(row[column])); }
+    is(column, value) { return this._filter(row => (row[column] ?? null) === value); }
+    like(column, pattern) { return this._filter(row => likeToRegExp(pattern).test(row[column] ?? '')); }
+    ilike(column, pattern) { return this._filter(row => likeToRegExp(pattern, 'i').test(row[column] ?? '')); }
+    match(query) { return this._filter(row => Object.entries(query).every(([k, v]) => row[k] === v)); }
+    contains(column, values) { return this._filter(row => values.every(value => (row[column] || []).includes(value))); }
+
+    // Only simple "col.op.value,col.op.value" expressions (eq, neq, ilike, is)
+    or(expression) {
+        const conditions = expression.split(',').map(part => {
+            const [column, op, ...rest] = part.split('.');
+            const value = rest.join('.');
+            switch (op) {
+                case 'eq': return row => String(row[column]) === value;
+                case 'neq': return row => String(row[column]) !== value;
+                case 'ilike': return row => likeToRegExp(value.replace(/\*/g, '%'), 'i').test(row[column] ?? '');
+                case 'is': return row => (row[column] ?? null) === (value === 'null' ? null : value === 'true');
+                default: throw new Error(`fakeSupabase: unsupported or() operator '${op}'`);
+            }
+        });
+        return this._filter(row => conditions.some(condition => condition(row)));
+    }
+
+    // --- Modifiers ---
+
+    order(column, options = {}) {
+        this.orders.push({ column, ascending: options.ascending !== false });
+        return this;
+    }
+
+    limit(count) {
+        this.rowLimit = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.rowRange = [from, to];
+        return this;
+    }
+
+    single() {
+        this.mode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.mode = 'maybeSingle';
+        return this;
+    }
+
+    // --- Execution ---
+
+    then(resolve, reject) {
+        let result;
+        try {
+            result = this._execute();
+        } catch (error) {
+            return Promise.reject(error).then(resolve, reject);
+        }
+        return Promise.resolve(result).then(resolve, reject);
+    }
+
+    _matches(row) {
+        return this.filters.every(filter => filter(row));
+    }
+
+    _execute() {
+        const injected = this.db._takeError(this.table, this.action);
+        if (injected) return { data: null, error: injected, count: null };
+
+        const rows = this.db._table(this.table);
+        let affected;
+
+        switch (this.action) {
+            case 'insert':
+                affected = this.values.map(value => {
+                    const row = this.db._withDefaults(value);
+                    rows.push(row);
+                    return row;
+                });
+                break;
+
+            case 'upsert':
+                affected = this.values.map(value => {
+                    const existing = rows.find(row => this.onConflict.every(column => value[column] !== undefined && row[column] === value[column]));
+                    if (existing) {
+                        if (!this.ignoreDuplicates) Object.assign(existing, value);
+                        return existing;
+                    }
+                    const row = this.db._withDefaults(value);
+                    rows.push(row);
+                    return row;
+                });
+                break;
+
+            case 'update':
+                affected = rows.filter(row => this._matches(row));
+                affected.forEach(row => Object.assign(row, this.values));
+                break;
+
+            case 'delete':
+                affected = rows.filter(row => this._matches(row));
+                this.db.tables[this.table] = rows.filter(row => !affected.includes(row));
+                break;
+
+            default:
+                affected = rows.filter(row => this._matches(row));
+        }
+
+        const isWrite = this.action !== 'select';
+        if (isWrite && !this.returning) {
+            return { data: null, error: null, count: null };
+        }
+
+        let result = [...affected];
+        for (const { column, ascending } of [...this.orders].reverse()) {
+            result.sort((a, b) => (ascending ? 1 : -1) * compare(a[column], b[column]));
+        }
+
+        const count = result.length;
+        if (this.rowRange) result = result.slice(this.rowRange[0], this.rowRange[1] + 1);
+        if (this.rowLimit !== null) result = result.slice(0, this.rowLimit);
+
+        if (this.countOnly) {
+            return { data: null, error: null, count };
+        }
+
+        const data = result.map(row => projectRow(row, this.columns));
+
+        if (this.mode === 'single') {
+            if (data.length !== 1) return { data: null, error: notFoundError(), count: null };
+            return { data: data[0], error: null, count: null };
+        }
+
+        if (this.mode === 'maybeSingle') {
+            if (data.length > 1) return { data: null, error: notFoundError(), count: null };
+            return { data: data[0] || null, error: null, count: null };
+        }
+
+        return { data, error: null, count: this.countRequested ? count : null };
+    }
+}
+
+class FakeSupabase {
+    constructor() {
+        this.reset();
+
+        this.auth = {
+            getUser: async (token) => {
+                const user = this.users[token];
+                if (!user) return { data: { user: null }, error: { message: 'Invalid JWT' } };
+                return { data: { user }, error: null };
+            },
+            admin: {
+                getUserById: async (id) => {
+                    const user = Object.values(this.users).find(u => u.id === id);
+                    return user ? { data: { user }, error: null } : { data: { user: null }, error: { message: 'User not found' } };
+                },
+                listUsers: async () => ({ data: { users: Object.values(this.users) }, error: null }),
+                // The profile row is left to the caller (no trigger here)
+                createUser: async ({ email, user_metadata = {}, app_metadata = {} }) => {
+                    if (Object.values(this.users).some(u => u.email === email)) {
+                        return { data: { user: null }, error: { status: 422, message: 'A user with this email address has already been registered' } };
+                    }
+                    const id = crypto.randomUUID();
+                    const user = { id, email, role: 'authenticated', user_metadata, app_metadata };
+                    this.users[`test-token-${id}`] = user;
+                    return { data: { user }, error: null };
+                },
+                updateUserById: async (id, attributes) => {
+                    const user = Object.values(this.users).find(u => u.id === id);
+                    if (!user) return { data: { user: null }, error: { message: 'User not found' } };
+                    Object.assign(user, attributes);
+                    return { data: { user }, error: null };
+                },
+                deleteUser: async (id) => {
+                    for (const [token, user] of Object.entries(this.users)) {
+                        if (user.id === id) delete this.users[token];
+                    }
+                    return { data: {}, error: null };
+                }
+            }
+        };
+    }
+
+    reset() {
+        this.tables = {};
+        this.users = {}; // token -> auth user
+        this.errors = []; // Queued { table, action, error }
+        this.rpcHandlers = {
+            consume_usage: (params) => this._consumeUsage(params),
+            search_chat_messages: (params) => this._searchChatMessages(params),
+            take_rate_limit_token: (params) => this._takeRateLimitToken(params),
+            assign_organization_seat: (params) => this._assignOrganizationSeat(params),
+            claim_stripe_event: (params) => this._claimStripeEvent(params),
+            redeem_referral_code: (params) => this._redeemReferralCode(params),
+            merge_crm_contacts: (params) => this._mergeCrmContacts(params),
+            record_share_view: (params) => this._recordShareView(params)
+        };
+    }
+
+    from(table) {
+        return new QueryBuilder(this, table);
+    }
+
+    async rpc(name, params = {}) {
+        const handler = this.rpcHandlers[name];
+        if (!handler) {
+            return { data: null, error: { code: 'PGRST202', message: `Could not find the function public.${name}` } };
+        }
+        try {
+            return { data: await handler(params), error: null };
+        } catch (error) {
+            return { data: null, error: { message: error.message } };
+        }
+    }
+
+    // --- Test helpers ---
+
+    seed(table, rows) {
+        const list = Array.isArray(rows) ? rows : [rows];
+        const inserted = list.map(row => this._withDefaults(row));
+        this._table(table).push(...inserted);
+        return Array.isArray(rows) ? inserted : inserted[0];
+    }
+
+    rows(table, predicate = () => true) {
+        return this._table(table).filter(predicate);
+    }
+
+    /**
+     * Registers an auth user (and its profile row). Returns { user, token, profile }.
+     * The e-mail address is only on the auth user: profiles has no e-mail column.
+     */
+    addUser({ id = crypto.randomUUID(), email, role = 'user', profile = {}, metadata = {} } = {}) {
+        const user = {
+            id,
+            email: email || `${id}@example.com`,
+            role: 'authenticated',
+            user_metadata: metadata,
+            app_metadata: {}
+        };
+        const token = `test-token-${id}`;
+        this.users[token] = user;
+        const profileRow = this.seed('profiles', { id, role, ...profile });
+        return { user, token, profile: profileRow };
+    }
+
+    // Makes the next matching query resolve with { error }
+    failNext(table, action, error = { message: 'Injected failure' }) {
+        this.errors.push({ table, action, error });
+    }
+
+    // --- Internals ---
+
+    _table(name) {
+        if (!this.tables[name]) this.tables[name] = [];
+        return this.tables[name];
+    }
+
+    _withDefaults(row) {
+        return {
+            id: crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            ...row
+        };
+    }
+
+    _takeError(table, action) {
+        const index = this.errors.findIndex(e => e.table === table && (!e.action || e.action === action));
+        if (index === -1) return null;
+        return this.errors.splice(index, 1)[0].error;
+    }
+
+    // Mirrors public.consume_usage (create_usage_quotas.sql)
+    _consumeUsage({ p_subjects, p_feature, p_window_start, p_limit }) {
+        const counters = this._table('usage_counters');
+        const find = (subject) => counters.find(c => c.subject === subject && c.feature === p_feature && c.window_start === p_window_start);
+
+        const used = Math.max(0, ...p_subjects.map(subject => find(subject)?.count || 0));
+        if (p_limit !== null && used >= p_limit) {
+            return [{ allowed: false, used }];
+        }
+
+        for (const subject of p_subjects) {
+            const counter = find(subject);
+            if (counter) {
+                counter.count += 1;
+            } else {
+                counters.push({ subject, feature: p_feature, window_start: p_window_start, count: 1 });
+            }
+        }
+
+        return [{ allowed: true, used: used + 1 }];
+    }
+
+    // Emulates public.take_rate_limit_token (create_rate_limits.sql)
+    _takeRateLimitToken({ p_key, p_capacity, p_refill_per_second, p_cost = 1 }) {
+        const now = Date.now();
+        const buckets = this._table('rate_limit_buckets');
+        let bucket = buckets.find(b => b.key === p_key);
+        if (!bucket) {
+            bucket = { key: p_key, tokens: p_capacity, updated_at: new Date(now).toISOString() };
+            buckets.push(bucket);
+        }
+
+        const elapsed = Math.max(0, now - Date.parse(bucket.updated_at)) / 1000;
+        const tokens = Math.min(p_capacity, bucket.tokens + elapsed * p_refill_per_second);
+        const allowed = tokens >= p_cost;
+        bucket.tokens = allowed ? tokens - p_cost : tokens;
+        bucket.updated_at = new Date(now).toISOString();
+        return [{ allowed, tokens: bucket.tokens }];
+    }
+
+    // Mirrors public.assign_organization_seat (create_organizations.sql)
+    _assignOrganizationSeat({ p_organization_id, p_user_id }) {
+        const organization = this._table('organizations').find(o => o.id === p_organization_id);
+        const members = this._table('organization_members').filter(m => m.organization_id === p_organization_id);
+        const member = members.find(m => m.user_id === p_user_id);
+        const used = members.filter(m => m.has_seat).length;
+        const seatCount = organization?.seat_count ?? null;
+
+        if (!member || member.has_seat || used >= seatCount) {
+            return [{ assigned: Boolean(member?.has_seat), seats_used: used, seat_count: seatCount }];
+        }
+
+        member.has_seat = true;
+        member.seat_assigned_at = new Date().toISOString();
+        return [{ assigned: true, seats_used: used + 1, seat_count: seatCount }];
+    }
+
+    // Mirrors public.claim_stripe_event (create_stripe_events.sql)
+    _claimStripeEvent({ p_event_id, p_type, p_payload, p_stale_after_seconds = 600 }) {
+        const now = new Date().toISOString();
+        const events = this._table('stripe_events');
+        const event = events.find(e => e.id === p_event_id);
+
+        if (!event) {
+            events.push({ id: p_event_id, type: p_type, status: 'processing', attempts: 1, last_error: null, payload: p_payload, received_at: now, updated_at: now, processed_at: null });
+            return [{ claimed: true, status: 'processing', attempts: 1 }];
+        }
+
+        const stale = event.status === 'processing' && Date.parse(event.updated_at) < Date.now() - p_stale_after_seconds * 1000;
+        if (event.status !== 'failed' && !stale) {
+            return [{ claimed: false, status: event.status, attempts: event.attempts }];
+        }
+
+        Object.assign(event, { status: 'processing', attempts: event.attempts + 1, updated_at: now });
+        return [{ claimed: true, status: 'processing', attempts: event.attempts }];
+    }
+
+    // Mirrors public.redeem_referral_code (create_referral_ledger.sql)
+    _redeemReferralCode({ p_code, p_user_id, p_source = 'signup' }) {
+        const code = this._table('referral_codes').find(c => c.code === String(p_code).trim().toUpperCase());
+        if (!code) return [{ status: 'not_found', code_id: null, redemption_count: null }];
+
+        const result = (status) => [{ status, code_id: code.id, redemption_count: code.redemption_count }];
+        const redemptions = this._table('referral_redemptions');
+        if (redemptions.some(r => r.user_id === p_user_id)) return result('already_redeemed');
+        if (!code.active) return result('inactive');
+        if (code.expires_at && Date.parse(code.expires_at) <= Date.now()) return result('expired');
+        if (code.max_uses > 0 && code.redemption_count >= code.max_uses) return result('exhausted');
+
+        redemptions.push(this._withDefaults({ code_id: code.id, user_id: p_user_id, source: p_source, redeemed_at: new Date().toISOString(), converted_at: null }));
+        code.redemption_count += 1;
+        return result('redeemed');
+    }
+
+    // Mirrors public.merge_crm_contacts (create_crm_pipeline.sql)
+    _mergeCrmContacts({ p_target_id, p_source_id, p_actor_id = null }) {
+        if (p_target_id === p_source_id) throw new Error('A contact cannot be merged into itself');
+        const contacts = this._table('crm_contacts');
+        const target = contacts.find(c => c.id === p_target_id);
+        const source = contacts.find(c => c.id === p_source_id);
+        if (!target || !source) return [];
+        if ((target.owner_id ?? null) !== (source.owner_id ?? null)) throw new Error('Contacts on different lists cannot be merged');
+
+        for (const activity of this._table('crm_activities')) {
+            if (activity.contact_id === source.id) activity.contact_id = target.id;
+        }
+        contacts.splice(contacts.indexOf(source), 1);
+
+        const stages = ['lead', 'trial', 'paying', 'churned'];
+        const statuses = [target.opt_in_status, source.opt_in_status];
+        Object.assign(target, {
+            user_id: target.user_id ?? source.user_id ?? null,
+            name: target.name ?? source.name ?? null,
+            source: target.source ?? source.source ?? null,
+            notes: target.notes && source.notes ? `${target.notes}\n\n${source.notes}` : target.notes ?? source.notes ?? null,
+            stage: stages.indexOf(source.stage) > stages.indexOf(target.stage) ? source.stage : target.stage,
+            tags: [...new Set([...(target.tags || []), ...(source.tags || [])])].sort(),
+            opt_in_status: ['unsubscribed', 'confirmed', 'pending'].find(status => statuses.includes(status)) || 'none',
+            unsubscribe_token: target.unsubscribe_token ?? source.unsubscribe_token ?? null,
+            updated_at: new Date().toISOString(),
+            last_activity_at: new Date().toISOString()
+        });
+
+        this._table('crm_activities').push(this._withDefaults({
+            contact_id: target.id, type: 'merged', summary: `Merged ${source.email || 'a contact without e-mail'}`,
+            data: { source_id: source.id, source_email: source.email }, actor_id: p_actor_id
+        }));
+        return [target];
+    }
+
+    // Mirrors public.record_share_view (create_session_shares.sql)
+    _recordShareView({ p_share_id }) {
+        const share = this._table('session_shares').find(s => s.id === p_share_id);
+        if (share) Object.assign(share, { view_count: (share.view_count || 0) + 1, last_viewed_at: new Date().toISOString() });
+        return null;
+    }
+
+    // Approximates public.search_chat_messages (create_message_search.sql): every term must appear as a word,
+    // rank = number of term occurrences, the snippet is the whole message with <mark> around the terms
+    _searchChatMessages({ p_user_id, p_query, p_limit = 50 }) {
+        const terms = String(p_query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        if (terms.length === 0) return [];
+        const wordPattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+        const sessions = new Map(this._table('chat_sessions').filter(s => s.user_id === p_user_id).map(s => [s.id, s]));
+
+        return this._table('chat_messages')
+            .filter(m => sessions.has(m.session_id))
+            .map(m => {
+                const found = (m.content || '').match(wordPattern) || [];
+                const lower = found.map(word => word.toLowerCase());
+                return { m, rank: found.length, matchesAll: terms.every(term => lower.includes(term)) };
+            })
+            .filter(({ matchesAll }) => matchesAll)
+            .sort((a, b) => b.rank - a.rank || compare(b.m.created_at, a.m.created_at))
+            .slice(0, p_limit)
+            .map(({ m, rank }) => {
+                const session = sessions.get(m.session_id);
+                return {
+                    message_id: m.id,
+                    session_id: m.session_id,
+                    session_title: session.title,
+                    session_updated_at: session.updated_at || session.created_at,
+                    role: m.role,
+                    created_at: m.created_at,
+                    snippet: m.content.replace(wordPattern, '<mark>$1</mark>'),
+                    rank
+                };
+            });
+    }
+}
+
+module.exports = FakeSupabase;
@@ -0,0 +1,108 @@
+const path = require('path');
+const FakeSupabase = require('./fakeSupabase');
+const createFakeStripe = require('./fakeStripe');
+const FakeMailer = require('./fakeMailer');
+const MockProvider = require('../../utils/providers/mockProvider');
+
+/**
+ * Test harness: boots the Express app from backend/index.js against
+ * - an in-memory Supabase (tests/helpers/fakeSupabase.js)
+ * - a fake Stripe client (tests/helpers/fakeStripe.js)
+ * - a mail transport that records instead of sending (tests/helpers/fakeMailer.js)
+ * - the deterministic mock AI provider (utils/providers/mockProvider.js)
+ *
+ * Fakes are swapped in through require.cache before the app is loaded, so no route code changes.
+ * node --test runs every test file in its own process, so each file gets a fresh app.
+ */
+
+const backendDir = path.resolve(__dirname, '../..');
+
+const installModule = (resolvedPath, exports) => {
+    require.cache[resolvedPath] = {
+        id: resolvedPath,
+        filename: resolvedPath,
+        loaded: true,
+        exports
+    };
+};
+
+// Route logs are noise in test output; set TEST_VERBOSE=1 to see them
+const silenceConsole = () => {
+    if (process.env.TEST_VERBOSE) return;
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        console[method] = () => { };
+    }
+};
+
+let harness = null;
+
+const createTestApp = () => {
+    if (harness) return harness;
+
+    process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fake';
+    process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_fake';
+    process.env.AI_PROVIDER = 'mock';
+    // Rate limit buckets in the fake database, so supabase.reset() refills them between tests
+    process.env.RATE_LIMIT_STORE = 'postgres';
+
+    silenceConsole();
+
+    const supabase = new FakeSupabase();
+    installModule(path.join(backendDir, 'utils/supabase.js'), supabase);
+    installModule(require.resolve('stripe', { paths: [backendDir] }), createFakeStripe);
+    const mailer = new FakeMailer();
+    installModule(path.join(backendDir, 'utils/email.js'), mailer);
+
+    const app = require(path.join(backendDir, 'index.js'));
+
+    // A local .env may override AI_PROVIDER (dotenv runs with override: true), so force the mock here
+    const robustGemini = require(path.join(backendDir, 'utils/robustGemini.js'));
+    const ai = new MockProvider();
+    robustGemini.setProvider(ai);
+
+    harness = { app, supabase, stripe: createFakeStripe.client, mailer, ai, robustGemini };
+    return harness;
+};
+
+/**
+ * Starts the app on a random port. Returns { request, close }, where
+ * request(method, path, { body, token, headers, raw }) resolves with { status, headers, body, text }.
+ */
+const startServer = async (app) => {
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, urlPath, { body, token, headers = {}, raw } = {}) => {
+        const init = { method, headers: { ...headers } };
+
+        if (token) init.headers.Authorization = `Bearer ${token}`;
+        if (raw !== undefined) {
+            init.body = raw;
+        } else if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        const res = await fetch(baseUrl + urlPath, init);
+        const text = await res.text();
+        let parsed = null;
+        try {
+            parsed = text ? JSON.parse(text) : null;
+        } catch {
+            parsed = null;
+        }
+
+        return { status: res.status, headers: res.headers, body: parsed, text };
+    };
+
+    const close = () => new Promise(resolve => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+    });
+
+    return { baseUrl, request, close };
+};
+
+module.exports = { createTestApp, startServer };
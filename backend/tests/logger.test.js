@@ -0,0 +1,149 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+const { Logger, redact } = require('../utils/logger');
+
+const { app, supabase, ai } = createTestApp();
+const { assignSessionTitle } = require('../utils/sessionTitles');
+let server;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    ai.reset();
+});
+
+// Collects what the app logs through console (silenced by the harness) during fn;
+// unstructured lines are kept as strings
+const captureLogs = async (fn) => {
+    const lines = [];
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    for (const method of Object.keys(original)) {
+        console[method] = (...args) => {
+            try { lines.push(JSON.parse(args[0])); } catch { lines.push(args.map(String).join(' ')); }
+        };
+    }
+    try {
+        await fn();
+    } finally {
+        Object.assign(console, original);
+    }
+    return lines;
+};
+
+describe('logger', () => {
+    test('writes JSON entries at or above the configured level, with child bindings', () => {
+        const entries = [];
+        const log = new Logger({ level: 'info', write: (level, entry) => entries.push(entry) });
+
+        log.debug('hidden');
+        log.child({ requestId: 'req-1' }).warn('Slow answer', { durationMs: 1200 });
+
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].level, 'warn');
+        assert.equal(entries[0].msg, 'Slow answer');
+        assert.equal(entries[0].requestId, 'req-1');
+        assert.equal(entries[0].durationMs, 1200);
+        assert.ok(entries[0].time);
+    });
+
+    test('redacts credentials, clinical text and emails', () => {
+        const redacted = redact({
+            headers: { authorization: 'Bearer abc.def', 'stripe-signature': 't=1,v1=x' },
+            access_token: 'eyJhbGciOi.eyJzdWIi.c2lnbmF0dXJl',
+            maxOutputTokens: 4096,
+            message: 'Patient is 34 weeks pregnant',
+            history: [{ role: 'user' }, { role: 'model' }],
+            note: 'Sent to jane.doe@example.com with Bearer sk_live_123'
+        });
+
+        assert.equal(redacted.headers.authorization, '[REDACTED]');
+        assert.equal(redacted.headers['stripe-signature'], '[REDACTED]');
+        assert.equal(redacted.access_token, '[REDACTED]');
+        assert.equal(redacted.maxOutputTokens, 4096);
+        assert.equal(redacted.message, '[REDACTED 28 chars]');
+        assert.equal(redacted.history, '[REDACTED 2 items]');
+        assert.equal(redacted.note, 'Sent to j***@example.com with Bearer [REDACTED]');
+    });
+
+    test('serializes errors with their stack', () => {
+        const error = new Error('Insert failed for bob@example.com');
+        error.code = '23503';
+        const { err } = redact({ err: error });
+
+        assert.equal(err.message, 'Insert failed for b***@example.com');
+        assert.equal(err.code, '23503');
+        assert.match(err.stack, /logger\.test\.js/);
+    });
+});
+
+describe('request IDs', () => {
+    test('every response carries an X-Request-Id, reusing a well-formed incoming one', async () => {
+        const generated = await server.request('GET', '/api/chat/models');
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const echoed = await server.request('GET', '/api/chat/models', { headers: { 'X-Request-Id': 'edge-1234abcd' } });
+        assert.equal(echoed.headers.get('x-request-id'), 'edge-1234abcd');
+
+        const rejected = await server.request('GET', '/api/chat/models', { headers: { 'X-Request-Id': 'bad id <script>' } });
+        assert.notEqual(rejected.headers.get('x-request-id'), 'bad id <script>');
+    });
+
+    test('error responses include the request ID', async () => {
+        const res = await server.request('GET', '/api/sessions');
+
+        assert.equal(res.status, 401);
+        assert.equal(res.body.requestId, res.headers.get('x-request-id'));
+    });
+
+    test('a failed chat request can be traced end to end by its ID', async () => {
+        ai.queueError('[400 Bad Request] Invalid argument');
+        let res;
+        const lines = await captureLogs(async () => {
+            res = await server.request('POST', '/api/chat/message', { body: { message: 'Dose of enoxaparin for a 34-week pregnant patient?' } });
+        });
+
+        assert.equal(res.status, 500);
+        const requestId = res.body.requestId;
+        assert.equal(requestId, res.headers.get('x-request-id'));
+
+        const traced = lines.filter(line => line.requestId === requestId);
+        assert.ok(traced.some(line => line.msg === 'Chat attempt failed' && line.model === 'mock-pro'));
+        assert.ok(traced.some(line => line.msg === 'Chat request failed' && line.error.message.includes('Invalid argument')));
+        assert.ok(traced.some(line => line.msg === 'Request completed' && line.status === 500 && line.route === '/api/chat/message'));
+
+        // Question text never reaches the logs
+        assert.ok(!JSON.stringify(lines).includes('enoxaparin'));
+    });
+
+    test('routes log structured lines without raw e-mail addresses', async () => {
+        let res;
+        const lines = await captureLogs(async () => {
+            res = await server.request('POST', '/api/auth/signup', { body: { email: 'new.doctor@clinic.example', password: 'correct-horse-1' } });
+        });
+
+        assert.equal(res.status, 200);
+        assert.ok(lines.every(line => typeof line === 'object'));
+        const traced = lines.filter(line => line.requestId === res.headers.get('x-request-id'));
+        assert.ok(traced.some(line => line.msg === 'User signed up' && line.userId === res.body.user.id));
+        assert.ok(!JSON.stringify(lines).includes('new.doctor@clinic.example'));
+    });
+
+    test('session titles are logged without the title text', async () => {
+        const { user } = supabase.addUser();
+        const session = supabase.seed('chat_sessions', { user_id: user.id, title: 'Oct 3, 09:14 AM', title_is_custom: false });
+
+        const lines = await captureLogs(() => assignSessionTitle({ sessionId: session.id, question: 'Sepsis bundle?', answer: 'Give fluids.' }));
+
+                assert.equal(session.title, 'Mock clinical title');
+        assert.ok(lines.some(line => line.msg === 'Session titled' && line.sessionId === session.id));
+        assert.ok(!JSON.stringify(lines).includes('Mock clinical title'));
+    });
+});
@@ -0,0 +1,124 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+const { VALID_SIGNATURE } = require('./helpers/fakeStripe');
+
+const { app, supabase, ai, robustGemini } = createTestApp();
+const { Counter, Histogram, timedSupabaseFetch } = require('../utils/metrics');
+let server;
+let alice;
+
+before(async () => {
+    server = await startServer(app);
+    process.env.METRICS_TOKEN = 'scrape-secret';
+});
+
+after(async () => {
+    await server.close();
+    delete process.env.METRICS_TOKEN;
+});
+
+beforeEach(() => {
+    supabase.reset();
+    ai.reset();
+    Object.values(robustGemini.breakers).forEach(breaker => breaker.reset());
+    alice = supabase.addUser({ email: 'alice@example.com' });
+});
+
+const scrape = async () => {
+    const res = await server.request('GET', '/api/metrics', { token: 'scrape-secret' });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    return res.text;
+};
+
+// Value of one series, e.g. sample(text, 'mdnexa_ai_attempts_total{operation="Chat",...}')
+const sample = (text, series) => {
+    const line = text.split('\n').find(l => l.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+describe('GET /api/metrics', () => {
+    test('counts requests per route pattern with latency histograms', async () => {
+        const session = supabase.seed('chat_sessions', { user_id: alice.user.id, title: 'Asthma' });
+        await server.request('GET', `/api/sessions/${session.id}/messages`, { token: alice.token });
+        await server.request('GET', '/api/does-not-exist');
+
+        const text = await scrape();
+        assert.equal(sample(text, 'mdnexa_http_requests_total{method="GET",route="/api/sessions/:id/messages",status="200"}'), 1);
+        assert.ok(sample(text, 'mdnexa_http_requests_total{method="GET",route="unmatched",status="404"}') >= 1);
+        assert.equal(sample(text, 'mdnexa_http_request_duration_seconds_count{method="GET",route="/api/sessions/:id/messages"}'), 1);
+    });
+
+    test('reports AI attempts, fallbacks and breaker state per model and key', async () => {
+        ai.queueError('[503 Service Unavailable] overloaded');
+        await server.request('POST', '/api/chat/message', { token: alice.token, body: { message: 'Asthma step-up?' } });
+
+        const text = await scrape();
+        assert.equal(sample(text, 'mdnexa_ai_attempts_total{operation="Chat",model="mock-pro",key_index="0",outcome="error"}'), 1);
+        assert.equal(sample(text, 'mdnexa_ai_attempts_total{operation="Chat",model="mock-flash",key_index="0",outcome="success"}'), 1);
+        assert.equal(sample(text, 'mdnexa_ai_model_fallbacks_total{operation="Chat",from_model="mock-pro",to_model="mock-flash"}'), 1);
+        assert.equal(sample(text, 'mdnexa_circuit_breaker_state{breaker="Chat"}'), 0);
+    });
+
+    test('reports feature flags and Stripe webhook outcomes', async () => {
+        supabase.seed('feature_flags', { feature_name: 'speech', is_enabled: false });
+        robustGemini.breakers.Content.state = 'OPEN';
+        await server.request('POST', '/api/webhooks/stripe', { raw: '{}', headers: { 'Content-Type': 'application/json', 'stripe-signature': 'forged' } });
+        await server.request('POST', '/api/webhooks/stripe', {
+            raw: JSON.stringify({ type: 'invoice.created', data: { object: {} } }),
+            headers: { 'Content-Type': 'application/json', 'stripe-signature': VALID_SIGNATURE }
+        });
+
+        const text = await scrape();
+        assert.equal(sample(text, 'mdnexa_circuit_breaker_state{breaker="Content"}'), 2);
+        assert.equal(sample(text, 'mdnexa_stripe_webhook_events_total{type="unknown",outcome="invalid_signature"}'), 1);
+        assert.equal(sample(text, 'mdnexa_stripe_webhook_events_total{type="invoice.created",outcome="ignored"}'), 1);
+    });
+
+    test('requires METRICS_TOKEN, and serves nothing without one configured', async () => {
+        assert.equal((await server.request('GET', '/api/metrics')).status, 401);
+        assert.equal((await server.request('GET', '/api/metrics', { token: 'wrong' })).status, 401);
+        assert.equal((await server.request('GET', '/api/metrics', { token: 'scrape-secret' })).status, 200);
+
+        delete process.env.METRICS_TOKEN;
+        try {
+            assert.equal((await server.request('GET', '/api/metrics')).status, 401);
+        } finally {
+            process.env.METRICS_TOKEN = 'scrape-secret';
+        }
+    });
+});
+
+describe('metrics registry', () => {
+    test('renders counters and cumulative histogram buckets in the text format', () => {
+        const counter = new Counter('test_events_total', 'Events', ['kind']);
+        counter.inc({ kind: 'a "quoted"\nvalue' });
+        counter.inc({ kind: 'a "quoted"\nvalue' }, 2);
+        assert.deepEqual(counter.render(), [
+            '# HELP test_events_total Events',
+            '# TYPE test_events_total counter',
+            'test_events_total{kind="a \\"quoted\\"\\nvalue"} 3'
+        ]);
+
+        const histogram = new Histogram('test_duration_seconds', 'Duration', [], [0.1, 1]);
+        histogram.observe({}, 0.05);
+        histogram.observe({}, 0.5);
+        histogram.observe({}, 5);
+        assert.deepEqual(histogram.render().slice(2), [
+            'test_duration_seconds_bucket{le="0.1"} 1',
+            'test_duration_seconds_bucket{le="1"} 2',
+            'test_duration_seconds_bucket{le="+Inf"} 3',
+            'test_duration_seconds_sum 5.55',
+            'test_duration_seconds_count 3'
+        ]);
+    });
+
+    test('times Supabase requests by table', async () => {
+        const fetchImpl = async () => ({ ok: true });
+        await timedSupabaseFetch(fetchImpl)('https://project.supabase.co/rest/v1/chat_messages?select=*', { method: 'get' });
+
+        const res = await server.request('GET', '/api/metrics', { token: 'scrape-secret' });
+        assert.equal(sample(res.text, 'mdnexa_supabase_request_duration_seconds_count{target="chat_messages",method="GET",outcome="ok"}'), 1);
+    });
+});
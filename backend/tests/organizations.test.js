@@ -0,0 +1,251 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+const { VALID_SIGNATURE } = require('./helpers/fakeStripe');
+
+const { app, supabase, stripe, mailer } = createTestApp();
+let server;
+let owner;
+let alice;
+let bob;
+let org;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(async () => {
+    supabase.reset();
+    stripe.reset();
+    mailer.reset();
+    process.env.STRIPE_SEAT_PRICE_ID = 'price_seat';
+
+    owner = supabase.addUser({ email: 'owner@clinic.example' });
+    alice = supabase.addUser({ email: 'alice@clinic.example' });
+    bob = supabase.addUser({ email: 'bob@clinic.example' });
+
+    org = (await server.request('POST', '/api/organizations', { token: owner.token, body: { name: 'City Clinic' } })).body;
+});
+
+const request = (method, path, token, body) => server.request(method, path, { token, body });
+
+let eventCount = 0;
+const sendEvent = (event) => server.request('POST', '/api/webhooks/stripe', {
+    raw: JSON.stringify({ id: `evt_org_${++eventCount}`, ...event }),
+    headers: { 'Content-Type': 'application/json', 'stripe-signature': VALID_SIGNATURE }
+});
+
+// Seats as if bought through checkout
+const giveSeats = (seatCount) => {
+    const [row] = supabase.rows('organizations', o => o.id === org.id);
+    Object.assign(row, { seat_count: seatCount, subscription_status: 'active' });
+};
+
+const addMember = (member, role = 'member', hasSeat = false) => supabase.seed('organization_members', {
+    organization_id: org.id,
+    user_id: member.user.id,
+    role,
+    has_seat: hasSeat,
+    seat_assigned_at: hasSeat ? new Date().toISOString() : null
+});
+
+const inviteAndAccept = async (member) => {
+    await request('POST', `/api/organizations/${org.id}/invitations`, owner.token, { email: member.user.email });
+    const [invitation] = supabase.rows('organization_invitations', i => i.email === member.user.email && !i.revoked_at);
+    return request('POST', `/api/organizations/invitations/${invitation.token}/accept`, member.token);
+};
+
+describe('organizations', () => {
+    test('the creator becomes the owner', async () => {
+        assert.equal(org.name, 'City Clinic');
+        assert.equal(org.role, 'owner');
+
+        const list = await request('GET', '/api/organizations', owner.token);
+        assert.deepEqual(list.body.map(o => [o.name, o.role]), [['City Clinic', 'owner']]);
+        assert.deepEqual((await request('GET', '/api/organizations', alice.token)).body, []);
+    });
+
+    test('is invisible to non-members and read-only for members', async () => {
+        assert.equal((await request('GET', `/api/organizations/${org.id}`, alice.token)).status, 404);
+
+        addMember(alice);
+        const detail = await request('GET', `/api/organizations/${org.id}`, alice.token);
+        assert.equal(detail.status, 200);
+        assert.equal(detail.body.members.length, 2);
+        assert.deepEqual(detail.body.invitations, []);
+
+        const invite = await request('POST', `/api/organizations/${org.id}/invitations`, alice.token, { email: 'x@clinic.example' });
+        assert.equal(invite.status, 403);
+    });
+});
+
+describe('invitations', () => {
+    test('e-mails an accept link that only the invited address can use', async () => {
+        giveSeats(2);
+        const res = await request('POST', `/api/organizations/${org.id}/invitations`, owner.token, { email: 'Alice@Clinic.example' });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.email, 'alice@clinic.example');
+        assert.equal(res.body.token, undefined);
+        assert.equal(res.body.emailSent, true);
+
+        const [invitation] = supabase.rows('organization_invitations');
+        assert.equal(mailer.sent.length, 1);
+        assert.equal(mailer.sent[0].to, 'alice@clinic.example');
+        assert.ok(mailer.sent[0].html.includes(`/invite/${invitation.token}`));
+
+        const preview = await request('GET', `/api/organizations/invitations/${invitation.token}`);
+        assert.equal(preview.body.organizationName, 'City Clinic');
+        assert.equal(preview.body.status, 'pending');
+
+        const wrongUser = await request('POST', `/api/organizations/invitations/${invitation.token}/accept`, bob.token);
+        assert.equal(wrongUser.status, 403);
+
+        const accepted = await request('POST', `/api/organizations/invitations/${invitation.token}/accept`, alice.token);
+        assert.equal(accepted.status, 200);
+        assert.deepEqual(accepted.body, { organizationId: org.id, role: 'member', hasSeat: true });
+
+        const reused = await request('POST', `/api/organizations/invitations/${invitation.token}/accept`, alice.token);
+        assert.equal(reused.status, 410);
+    });
+
+    test('revoked and expired invitations can no longer be accepted', async () => {
+        await request('POST', `/api/organizations/${org.id}/invitations`, owner.token, { email: alice.user.email });
+        const [invitation] = supabase.rows('organization_invitations');
+
+        assert.equal((await request('DELETE', `/api/organizations/${org.id}/invitations/${invitation.id}`, owner.token)).status, 200);
+        assert.equal((await request('POST', `/api/organizations/invitations/${invitation.token}/accept`, alice.token)).status, 410);
+
+        await request('POST', `/api/organizations/${org.id}/invitations`, owner.token, { email: bob.user.email });
+        const [second] = supabase.rows('organization_invitations', i => i.email === bob.user.email);
+        second.expires_at = new Date(Date.now() - 1000).toISOString();
+        assert.equal((await request('POST', `/api/organizations/invitations/${second.token}/accept`, bob.token)).status, 410);
+    });
+
+    test('only the owner invites admins', async () => {
+        addMember(alice, 'admin');
+
+        assert.equal((await request('POST', `/api/organizations/${org.id}/invitations`, alice.token, { email: bob.user.email, role: 'admin' })).status, 403);
+        assert.equal((await request('POST', `/api/organizations/${org.id}/invitations`, alice.token, { email: bob.user.email })).status, 201);
+        assert.equal((await request('POST', `/api/organizations/${org.id}/invitations`, alice.token, { email: owner.user.email })).status, 409);
+    });
+});
+
+describe('seats', () => {
+    test('members join without a seat once all are taken, and admins reassign them', async () => {
+        giveSeats(1);
+        assert.equal((await inviteAndAccept(alice)).body.hasSeat, true);
+        assert.equal((await inviteAndAccept(bob)).body.hasSeat, false);
+
+        const full = await request('PATCH', `/api/organizations/${org.id}/members/${bob.user.id}`, owner.token, { hasSeat: true });
+        assert.equal(full.status, 409);
+
+        await request('PATCH', `/api/organizations/${org.id}/members/${alice.user.id}`, owner.token, { hasSeat: false });
+        const moved = await request('PATCH', `/api/organizations/${org.id}/members/${bob.user.id}`, owner.token, { hasSeat: true });
+        assert.equal(moved.status, 200);
+        assert.equal(moved.body.member.has_seat, true);
+        assert.deepEqual(moved.body.seats, { total: 1, used: 1 });
+    });
+
+    test('a seat in an organization with a live subscription gives paid access', async () => {
+        giveSeats(1);
+        addMember(alice, 'member', true);
+
+        assert.equal((await request('GET', '/api/usage', alice.token)).body.plan, 'premium');
+
+        const [row] = supabase.rows('organizations');
+        row.subscription_status = 'canceled';
+        assert.equal((await request('GET', '/api/usage', alice.token)).body.plan, 'free');
+
+        row.subscription_status = 'active';
+        assert.equal((await request('DELETE', `/api/organizations/${org.id}/members/${alice.user.id}`, owner.token)).status, 200);
+        assert.equal((await request('GET', '/api/usage', alice.token)).body.plan, 'free');
+    });
+
+    test('the owner can not be removed and only the owner removes admins', async () => {
+        addMember(alice, 'admin');
+        addMember(bob);
+
+        assert.equal((await request('DELETE', `/api/organizations/${org.id}/members/${owner.user.id}`, alice.token)).status, 400);
+        assert.equal((await request('DELETE', `/api/organizations/${org.id}/members/${alice.user.id}`, bob.token)).status, 403);
+        assert.equal((await request('DELETE', `/api/organizations/${org.id}/members/${bob.user.id}`, alice.token)).status, 200);
+        assert.equal((await request('DELETE', `/api/organizations/${org.id}/members/${alice.user.id}`, alice.token)).status, 200); // leaves
+        assert.equal(supabase.rows('organization_members').length, 1);
+    });
+});
+
+describe('seat billing', () => {
+    test('checkout buys seats and the webhook links them, giving the owner the first seat', async () => {
+        const checkout = await request('POST', `/api/organizations/${org.id}/checkout`, owner.token, { seats: 5 });
+        assert.equal(checkout.status, 200);
+
+        const session = stripe.calls.find(call => call.method === 'checkout.sessions.create').params;
+        assert.deepEqual(session.line_items, [{ price: 'price_seat', quantity: 5 }]);
+        assert.equal(session.subscription_data.metadata.organizationId, org.id);
+
+        const subscription = stripe.addSubscription({ customer: session.customer, priceId: 'price_seat', quantity: 5, metadata: { organizationId: org.id } });
+        const res = await sendEvent({
+            type: 'checkout.session.completed',
+            data: { object: { id: 'cs_1', customer: session.customer, subscription: subscription.id, metadata: session.metadata } }
+        });
+        assert.equal(res.status, 200);
+
+        const [row] = supabase.rows('organizations');
+        assert.equal(row.seat_count, 5);
+        assert.equal(row.subscription_status, 'active');
+        assert.equal(row.stripe_subscription_id, subscription.id);
+        assert.equal(row.current_period_end, new Date(subscription.items.data[0].current_period_end * 1000).toISOString());
+        assert.equal(supabase.rows('organization_members', m => m.user_id === owner.user.id)[0].has_seat, true);
+        assert.equal(supabase.rows('subscriptions').length, 0);
+    });
+
+    test('changing the seat count updates the Stripe quantity, never below the seats in use', async () => {
+        const subscription = stripe.addSubscription({ customer: 'cus_org', quantity: 3, metadata: { organizationId: org.id } });
+        await sendEvent({ type: 'customer.subscription.created', data: { object: subscription } });
+        addMember(alice, 'member', true);
+
+        assert.equal((await request('PUT', `/api/organizations/${org.id}/seats`, owner.token, { seats: 1 })).status, 409);
+
+        const res = await request('PUT', `/api/organizations/${org.id}/seats`, owner.token, { seats: 10 });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.organization.seat_count, 10);
+        assert.ok(res.body.organization.current_period_end);
+        assert.equal(subscription.items.data[0].quantity, 10);
+    });
+
+    test('a lower quantity from Stripe takes back the most recently assigned seats', async () => {
+        const subscription = stripe.addSubscription({ customer: 'cus_org', quantity: 3, metadata: { organizationId: org.id } });
+        await sendEvent({ type: 'customer.subscription.created', data: { object: subscription } });
+        addMember(alice, 'member', true);
+        addMember(bob, 'member', true);
+        supabase.rows('organization_members', m => m.user_id === bob.user.id)[0].seat_assigned_at = new Date(Date.now() + 1000).toISOString();
+
+        subscription.items.data[0].quantity = 2;
+        await sendEvent({ type: 'customer.subscription.updated', data: { object: { ...subscription, metadata: {} } } });
+
+        const seated = supabase.rows('organization_members', m => m.has_seat).map(m => m.user_id);
+        assert.deepEqual(seated.sort(), [owner.user.id, alice.user.id].sort());
+    });
+});
+
+test('org usage sums this month\'s usage of every member', async () => {
+    addMember(alice);
+    const { start } = require('../utils/quota').getWindowBounds('month');
+    supabase.seed('usage_counters', [
+        { subject: `user:${alice.user.id}`, feature: 'chat', window_start: start.toISOString(), count: 7 },
+        { subject: `user:${owner.user.id}`, feature: 'chat', window_start: start.toISOString(), count: 2 },
+        { subject: `user:${bob.user.id}`, feature: 'chat', window_start: start.toISOString(), count: 50 }
+    ]);
+
+    const res = await request('GET', `/api/organizations/${org.id}/usage`, owner.token);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totals.chat, 9);
+    assert.equal(res.body.members.find(m => m.user_id === alice.user.id).usage.chat, 7);
+    assert.equal(res.body.members.find(m => m.user_id === alice.user.id).email, alice.user.email);
+
+    assert.equal((await request('GET', `/api/organizations/${org.id}/usage`, alice.token)).status, 403);
+});
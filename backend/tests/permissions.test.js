@@ -0,0 +1,82 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+
+const { app, supabase } = createTestApp();
+const permissions = require('../utils/permissions');
+let server;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    permissions.clearCache();
+});
+
+const getPermissions = (token) => server.request('GET', '/api/users/me/permissions', { token });
+
+describe('GET /api/users/me/permissions', () => {
+    test('maps roles to the default permissions', async () => {
+        const admin = supabase.addUser({ role: 'admin' });
+        const team = supabase.addUser({ role: 'team' });
+        const member = supabase.addUser();
+
+        assert.deepEqual((await getPermissions(admin.token)).body, {
+            roles: ['admin'],
+            permissions: ['manage_blogs', 'unlimited_chat', 'view_admin', 'manage_referrals', 'manage_crm']
+        });
+        assert.deepEqual((await getPermissions(team.token)).body.permissions, ['manage_blogs', 'unlimited_chat']);
+        assert.deepEqual((await getPermissions(member.token)).body.permissions, []);
+        assert.equal((await getPermissions()).status, 401);
+    });
+
+    test('reads the mapping from role_permissions', async () => {
+        supabase.seed('role_permissions', [
+            { role: 'editor', permission: 'manage_blogs' },
+            { role: 'admin', permission: 'view_admin' }
+        ]);
+        const editor = supabase.addUser({ role: 'Editor' });
+        const admin = supabase.addUser({ role: 'admin' });
+
+        assert.deepEqual((await getPermissions(editor.token)).body.permissions, ['manage_blogs']);
+        assert.deepEqual((await getPermissions(admin.token)).body.permissions, ['view_admin']);
+    });
+
+    test('trusts app_metadata but not the user-editable user_metadata', async () => {
+        const selfPromoted = supabase.addUser({ metadata: { role: 'admin' } });
+        const vip = supabase.addUser();
+        vip.user.app_metadata.role = 'vip';
+
+        assert.deepEqual((await getPermissions(selfPromoted.token)).body.permissions, []);
+        assert.deepEqual((await getPermissions(vip.token)).body, { roles: ['user', 'vip'], permissions: ['unlimited_chat'] });
+
+        assert.equal((await server.request('GET', '/api/usage', { token: selfPromoted.token })).body.plan, 'free');
+        assert.equal((await server.request('GET', '/api/usage', { token: vip.token })).body.plan, 'unlimited');
+    });
+});
+
+describe('authorize()', () => {
+    test('guards routes by permission, not by role name', async () => {
+        const team = supabase.addUser({ role: 'team' });
+        const blog = supabase.seed('blogs', { title: 'Old title', content: 'Body' });
+
+        const updated = await server.request('PUT', `/api/blogs/${blog.id}`, { token: team.token, body: { title: 'New title' } });
+        assert.equal(updated.status, 200);
+        assert.equal(blog.title, 'New title');
+
+        const denied = await server.request('GET', '/api/admin/ops', { token: team.token });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.error, 'Permission denied');
+        assert.equal(denied.body.permission, 'view_admin');
+    });
+
+    test('rejects unknown permission names when a route is defined', () => {
+        assert.throws(() => permissions.authorize('manage_everything'), /Unknown permission/);
+    });
+});
@@ -0,0 +1,119 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+
+const { app, supabase, ai } = createTestApp();
+const rateLimit = require('../utils/rateLimit');
+let server;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    ai.reset();
+});
+
+const submitLead = (ip, email = 'lead@example.com') => server.request('POST', '/api/crm/leads', {
+    headers: { 'X-Forwarded-For': ip },
+    body: { email, source: 'landing_page' }
+});
+
+describe('rate limited endpoints', () => {
+    test('reject a burst from one IP with 429, Retry-After and RateLimit headers', async () => {
+        for (let i = 0; i < 5; i++) {
+            const res = await submitLead('203.0.113.7', `lead${i}@example.com`);
+            assert.equal(res.status, 201);
+            assert.equal(res.headers.get('ratelimit-limit'), '5');
+            assert.equal(res.headers.get('ratelimit-remaining'), String(4 - i));
+            assert.equal(res.headers.get('ratelimit-policy'), '5;w=3600');
+        }
+
+        const blocked = await submitLead('203.0.113.7');
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.body.error, 'RATE_LIMITED');
+        assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+        assert.equal(blocked.body.retryAfter, Number(blocked.headers.get('retry-after')));
+        assert.equal(supabase.rows('crm_contacts').length, 5);
+
+        // Other IPs have their own bucket
+        assert.equal((await submitLead('198.51.100.2')).status, 201);
+    });
+
+    test('ignore X-Forwarded-For entries the client added in front of the proxy', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await submitLead(`10.0.0.${i}, 203.0.113.7`, `lead${i}@example.com`)).status, 201);
+        }
+
+        const blocked = await submitLead('10.0.0.99, 203.0.113.7');
+        assert.equal(blocked.status, 429);
+    });
+
+    test('limit signed-in users by account rather than by IP', async () => {
+        const user = supabase.addUser({ email: 'doc@example.com' });
+        const related = (token) => server.request('POST', '/api/gemini/related', {
+            token,
+            body: { lastMessage: 'Amlodipine dose?', lastResponse: '5 mg daily', userRole: 'doctor', language: 'English' }
+        });
+
+        for (let i = 0; i < 20; i++) await related();
+        assert.equal((await related()).status, 429);
+
+        const res = await related(user.token);
+        assert.notEqual(res.status, 429);
+        assert.equal(res.headers.get('ratelimit-limit'), '60');
+    });
+
+    test('limit password reset emails per address across both reset flows', async () => {
+        const reset = (path, ip) => server.request('POST', `/api/auth/${path}`, {
+            headers: { 'X-Forwarded-For': ip },
+            body: { email: 'Victim@Example.com' }
+        });
+
+        assert.notEqual((await reset('forgot-password', '203.0.113.1')).status, 429);
+        assert.notEqual((await reset('request-password-reset', '203.0.113.2')).status, 429);
+        assert.notEqual((await reset('forgot-password', '203.0.113.3')).status, 429);
+
+        const blocked = await reset('request-password-reset', '203.0.113.4');
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.headers.get('ratelimit-policy'), '3;w=3600');
+    });
+});
+
+describe('token buckets', () => {
+    test('refill continuously up to the capacity', () => {
+        const bucket = { capacity: 2, refillPerSecond: 1, cost: 1 };
+        const state = { tokens: 2, updatedAt: 0 };
+
+        assert.equal(rateLimit.takeToken(state, bucket, 0).allowed, true);
+        assert.equal(rateLimit.takeToken(state, bucket, 0).allowed, true);
+        assert.equal(rateLimit.takeToken(state, bucket, 500).allowed, false);
+        assert.equal(rateLimit.takeToken(state, bucket, 1000).allowed, true);
+        assert.equal(rateLimit.takeToken(state, bucket, 60000).tokens, 1); // Capped at 2, minus this request
+    });
+
+    test('the memory store keeps one bucket per key', async () => {
+        const store = new rateLimit.MemoryStore();
+        const bucket = { capacity: 1, refillPerSecond: 0.001, cost: 1 };
+
+        assert.equal((await store.take('a', bucket)).allowed, true);
+        assert.equal((await store.take('a', bucket)).allowed, false);
+        assert.equal((await store.take('b', bucket)).allowed, true);
+    });
+
+    test('fail open when the store is unavailable', async () => {
+        rateLimit.configure({ store: { take: async () => { throw new Error('connection refused'); } } });
+        try {
+            for (let i = 0; i < 7; i++) {
+                assert.equal((await submitLead('203.0.113.9')).status, 201);
+            }
+        } finally {
+            rateLimit.configure();
+        }
+    });
+});
@@ -0,0 +1,258 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+
+const { app, supabase } = createTestApp();
+let server;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+});
+
+const seedCode = (fields = {}) => supabase.seed('referral_codes', {
+    code: 'TEAM10', kind: 'team', active: true, redemption_count: 0, max_uses: 0,
+    promo_code: null, discount_percent: null, grants_free_access: false, expires_at: null,
+    ...fields
+});
+
+const signup = (email, referralCode) => server.request('POST', '/api/auth/signup', {
+    body: { email, password: 'secret123', data: { full_name: 'Dr Test' }, referralCode }
+});
+
+describe('referral validation', () => {
+    test('requires a code', async () => {
+        const res = await server.request('GET', '/api/referrals/validate');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'VALIDATION_ERROR');
+        assert.equal(res.body.issues[0].path, 'code');
+    });
+
+    test('rejects unknown codes', async () => {
+        const res = await server.request('GET', '/api/referrals/validate?code=NOPE');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { valid: false, message: 'Invalid referral code' });
+    });
+
+    test('accepts an active code, whatever its case', async () => {
+        seedCode({ promo_code: 'PROMO10', discount_percent: 10, grants_free_access: true });
+
+        const res = await server.request('GET', '/api/referrals/validate?code=team10');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, {
+            valid: true, code: 'TEAM10', kind: 'team',
+            promo_code: 'PROMO10', discount_percent: 10, free_access: true
+        });
+    });
+
+    test('rejects inactive, expired and used-up codes', async () => {
+        seedCode({ code: 'OLD', active: false });
+        seedCode({ code: 'PAST', expires_at: new Date(Date.now() - 1000).toISOString() });
+        seedCode({ code: 'FULL', redemption_count: 3, max_uses: 3 });
+
+        const message = async (code) => (await server.request('GET', `/api/referrals/validate?code=${code}`)).body.message;
+        assert.equal(await message('OLD'), 'Referral code is inactive');
+        assert.equal(await message('PAST'), 'Referral code has expired');
+        assert.equal(await message('FULL'), 'Referral code usage limit reached');
+    });
+});
+
+describe('signup attribution', () => {
+    test('redeems the code for the new user and records it on the profile', async () => {
+        const code = seedCode();
+
+        const res = await signup('new@clinic.example', ' team10 ');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.referral, { code: 'TEAM10', status: 'redeemed' });
+
+        const userId = res.body.user.id;
+        const [redemption] = supabase.rows('referral_redemptions');
+        assert.equal(redemption.user_id, userId);
+        assert.equal(redemption.code_id, code.id);
+        assert.equal(supabase.rows('referral_codes')[0].redemption_count, 1);
+        assert.equal(supabase.rows('profiles', p => p.id === userId)[0].ref_source, 'TEAM10');
+    });
+
+    test('stops redeeming a code at its usage limit', async () => {
+        seedCode({ max_uses: 1 });
+
+        assert.equal((await signup('first@clinic.example', 'TEAM10')).body.referral.status, 'redeemed');
+        const second = await signup('second@clinic.example', 'TEAM10');
+
+        assert.equal(second.status, 200); // The account is created anyway
+        assert.deepEqual(second.body.referral, { code: 'TEAM10', status: 'exhausted', message: 'Referral code usage limit reached' });
+        assert.equal(supabase.rows('referral_redemptions').length, 1);
+        assert.equal(supabase.rows('referral_codes')[0].redemption_count, 1);
+    });
+
+    test('an unknown code does not block the signup', async () => {
+        const res = await signup('new@clinic.example', 'NOPE');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.referral.status, 'not_found');
+        assert.equal(supabase.rows('referral_redemptions').length, 0);
+    });
+
+    test('a signup without a code has no referral', async () => {
+        const res = await signup('new@clinic.example');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.referral, null);
+    });
+});
+
+describe('ambassador dashboard', () => {
+    let ambassador, code;
+
+    beforeEach(() => {
+        ambassador = supabase.addUser({ email: 'amb@clinic.example' });
+        code = seedCode({ code: 'AMB1', kind: 'ambassador', owner_id: ambassador.user.id, commission_percent: 20 });
+    });
+
+    const commission = (fields = {}) => supabase.seed('referral_commissions', {
+        code_id: code.id, owner_id: ambassador.user.id, stripe_invoice_id: 'in_1',
+        invoice_amount: 1900, currency: 'usd', commission_percent: 20, commission_amount: 380,
+        status: 'pending', payout_reference: null, paid_at: null, created_at: '2026-03-01T10:00:00.000Z',
+        ...fields
+    });
+
+    test('counts a landing once per visitor per day', async () => {
+        const click = (deviceId) => server.request('POST', '/api/referrals/click', { body: { code: 'amb1' }, headers: { 'x-device-id': deviceId } });
+
+        assert.deepEqual((await click('device-1')).body, { counted: true });
+        await click('device-1');
+        await click('device-2');
+
+        const clicks = supabase.rows('referral_clicks');
+        assert.equal(clicks.length, 2);
+        assert.notEqual(clicks[0].visitor_hash, 'device-1');
+        assert.deepEqual((await server.request('POST', '/api/referrals/click', { body: { code: 'NOPE' } })).body, { counted: false });
+    });
+
+    test('shows the funnel, revenue and payouts of the caller\'s codes', async () => {
+        seedCode({ code: 'OTHER' });
+        supabase.seed('referral_clicks', [{ code_id: code.id, visitor_hash: 'a' }, { code_id: code.id, visitor_hash: 'b' }, { code_id: code.id, visitor_hash: 'c' }]);
+        supabase.seed('referral_redemptions', [
+            { code_id: code.id, user_id: 'u1', trial_started_at: '2026-02-01T00:00:00Z', converted_at: '2026-02-15T00:00:00Z' },
+            { code_id: code.id, user_id: 'u2', trial_started_at: '2026-02-02T00:00:00Z', converted_at: null },
+            { code_id: code.id, user_id: 'u3', trial_started_at: null, converted_at: null }
+        ]);
+        commission();
+        commission({ stripe_invoice_id: 'in_2', status: 'paid', paid_at: '2026-04-01T00:00:00Z' });
+        commission({ stripe_invoice_id: 'in_3', status: 'void' });
+        commission({ stripe_invoice_id: 'in_4', currency: 'eur', invoice_amount: 1000, commission_amount: 200 });
+
+        const res = await server.request('GET', '/api/referrals/me', { token: ambassador.token });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.codes.length, 1);
+        assert.equal(res.body.codes[0].code, 'AMB1');
+        assert.deepEqual(res.body.codes[0].stats, {
+            clicks: 3, signups: 3, trials: 2, conversions: 1,
+            revenue: { usd: 3800, eur: 1000 }, commission: { usd: 760, eur: 200 }
+        });
+        assert.deepEqual(res.body.payouts, { pending: { usd: 380, eur: 200 }, approved: {}, paid: { usd: 380 } });
+    });
+
+    test('lists and exports the caller\'s commissions only', async () => {
+        commission();
+        const other = supabase.addUser({ email: 'other@clinic.example' });
+        commission({ stripe_invoice_id: 'in_other', owner_id: other.user.id });
+
+        const list = await server.request('GET', '/api/referrals/me/commissions', { token: ambassador.token });
+        assert.equal(list.body.total, 1);
+        assert.equal(list.body.items[0].code, 'AMB1');
+
+        const csv = await server.request('GET', '/api/referrals/me/commissions/export', { token: ambassador.token });
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-type'), /text\/csv/);
+        const lines = csv.text.trim().split(/\r?\n/);
+        assert.equal(lines.length, 2);
+        assert.match(lines[1], /AMB1,in_1,USD,19\.00,20,3\.80,pending/);
+    });
+
+    test('requires a signed-in user', async () => {
+        assert.equal((await server.request('GET', '/api/referrals/me')).status, 401);
+    });
+});
+
+describe('referral code administration', () => {
+    let admin, ambassador;
+
+    beforeEach(() => {
+        admin = supabase.addUser({ email: 'admin@clinic.example', role: 'admin' });
+        ambassador = supabase.addUser({ email: 'amb@clinic.example' });
+    });
+
+    test('creates a code for an ambassador, generating it when none is given', async () => {
+        const res = await server.request('POST', '/api/referrals/codes', {
+            token: admin.token,
+            body: { code: 'dr-smith', ownerEmail: 'amb@clinic.example', commissionPercent: 15, discountPercent: 10 }
+        });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.code, 'DR-SMITH');
+        assert.equal(res.body.owner_id, ambassador.user.id);
+        assert.equal(res.body.commission_percent, 15);
+
+        const generated = await server.request('POST', '/api/referrals/codes', { token: admin.token, body: { kind: 'partner' } });
+        assert.equal(generated.status, 201);
+        assert.match(generated.body.code, /^[A-Z2-9]{8}$/);
+
+        const list = await server.request('GET', '/api/referrals/codes', { token: admin.token });
+        assert.equal(list.body.length, 2);
+        assert.equal(list.body.find(code => code.code === 'DR-SMITH').owner_email, 'amb@clinic.example');
+    });
+
+    test('rejects taken codes and unknown owners', async () => {
+        seedCode();
+
+        const taken = await server.request('POST', '/api/referrals/codes', { token: admin.token, body: { code: 'team10' } });
+        assert.equal(taken.status, 409);
+
+        const unknown = await server.request('POST', '/api/referrals/codes', { token: admin.token, body: { ownerEmail: 'nobody@clinic.example' } });
+        assert.equal(unknown.status, 404);
+    });
+
+    test('updates a code', async () => {
+        const code = seedCode();
+
+        const res = await server.request('PATCH', `/api/referrals/codes/${code.id}`, { token: admin.token, body: { active: false, commissionPercent: 25 } });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.active, false);
+        assert.equal(res.body.commission_percent, 25);
+    });
+
+    test('marks a commission as paid with its payout reference', async () => {
+        const code = seedCode({ owner_id: ambassador.user.id });
+        const row = supabase.seed('referral_commissions', {
+            code_id: code.id, owner_id: ambassador.user.id, stripe_invoice_id: 'in_1', invoice_amount: 1900,
+            currency: 'usd', commission_percent: 20, commission_amount: 380, status: 'approved', paid_at: null
+        });
+
+        const list = await server.request('GET', '/api/referrals/commissions?status=approved', { token: admin.token });
+        assert.equal(list.body.total, 1);
+
+        const res = await server.request('PATCH', `/api/referrals/commissions/${row.id}`, { token: admin.token, body: { status: 'paid', payoutReference: 'SEPA-2026-04' } });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'paid');
+        assert.equal(res.body.payout_reference, 'SEPA-2026-04');
+        assert.ok(res.body.paid_at);
+    });
+
+    test('is limited to users who manage referrals', async () => {
+        const res = await server.request('GET', '/api/referrals/codes', { token: ambassador.token });
+        assert.equal(res.status, 403);
+    });
+});
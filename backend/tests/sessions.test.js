@@ -0,0 +1,282 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+
+const { app, supabase } = createTestApp();
+let server;
+let alice;
+let bob;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    alice = supabase.addUser({ email: 'alice@example.com' });
+    bob = supabase.addUser({ email: 'bob@example.com' });
+});
+
+describe('sessions ownership', () => {
+    test('requires authentication', async () => {
+        const res = await server.request('GET', '/api/sessions');
+        assert.equal(res.status, 401);
+    });
+
+    test('lists only the caller\'s sessions', async () => {
+        supabase.seed('chat_sessions', [
+            { user_id: alice.user.id, title: 'Alice chat' },
+            { user_id: bob.user.id, title: 'Bob chat' }
+        ]);
+
+        const res = await server.request('GET', '/api/sessions', { token: alice.token });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(s => s.title), ['Alice chat']);
+    });
+
+    test('creates sessions for the caller, ignoring a user_id in the body', async () => {
+        const res = await server.request('POST', '/api/sessions', {
+            token: alice.token,
+            body: { title: 'New', region: 'Europe', country: 'Germany', user_id: bob.user.id }
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.user_id, alice.user.id);
+        assert.equal(supabase.rows('chat_sessions').length, 1);
+    });
+
+    test('renames a session and marks the title as custom', async () => {
+        const session = supabase.seed('chat_sessions', { user_id: alice.user.id, title: 'Oct 3, 09:14 AM', title_is_custom: false });
+
+        const res = await server.request('PATCH', `/api/sessions/${session.id}`, { token: alice.token, body: { title: '  Sepsis   bundle ' } });
+
+        assert.equal(res.status, 200);
+        assert.equal(session.title, 'Sepsis bundle');
+        assert.equal(session.title_is_custom, true);
+    });
+
+    test('rejects empty titles and renaming another user\'s session', async () => {
+        const session = supabase.seed('chat_sessions', { user_id: bob.user.id, title: 'Bob chat' });
+
+        assert.equal((await server.request('PATCH', `/api/sessions/${session.id}`, { token: alice.token, body: { title: ' ' } })).status, 400);
+        assert.equal((await server.request('PATCH', `/api/sessions/${session.id}`, { token: alice.token, body: { title: 'Mine now' } })).status, 404);
+        assert.equal(session.title, 'Bob chat');
+    });
+
+    test('denies reading messages of another user\'s session', async () => {
+        const session = supabase.seed('chat_sessions', { user_id: bob.user.id, title: 'Bob chat' });
+        supabase.seed('chat_messages', { session_id: session.id, user_id: bob.user.id, role: 'user', content: 'secret' });
+
+        const res = await server.request('GET', `/api/sessions/${session.id}/messages`, { token: alice.token });
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.error, 'Access denied');
+    });
+
+    test('returns messages of an owned session in order', async () => {
+        const session = supabase.seed('chat_sessions', { user_id: alice.user.id });
+        supabase.seed('chat_messages', [
+            { session_id: session.id, role: 'model', content: 'second', created_at: '2025-01-01T00:00:02Z' },
+            { session_id: session.id, role: 'user', content: 'first', created_at: '2025-01-01T00:00:01Z' }
+        ]);
+
+        const res = await server.request('GET', `/api/sessions/${session.id}/messages`, { token: alice.token });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(m => m.content), ['first', 'second']);
+    });
+
+    test('cannot delete another user\'s session', async () => {
+        const session = supabase.seed('chat_sessions', { user_id: bob.user.id });
+
+        const res = await server.request('DELETE', `/api/sessions/${session.id}`, { token: alice.token });
+
+        assert.equal(res.status, 200); // Delete is scoped to the caller, so it is a no-op
+        assert.equal(supabase.rows('chat_sessions').length, 1);
+    });
+
+    test('delete all only removes the caller\'s sessions', async () => {
+        supabase.seed('chat_sessions', [
+            { user_id: alice.user.id },
+            { user_id: alice.user.id },
+            { user_id: bob.user.id }
+        ]);
+
+        const res = await server.request('DELETE', '/api/sessions/all', { token: alice.token });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(supabase.rows('chat_sessions').map(s => s.user_id), [bob.user.id]);
+    });
+});
+
+describe('session export', () => {
+    const seedConversation = (owner) => {
+        const session = supabase.seed('chat_sessions', { user_id: owner.user.id, title: 'Hypertension case', region: 'Asia-Pacific', country: 'India' });
+        supabase.seed('chat_messages', [
+            { session_id: session.id, role: 'user', content: 'First-line treatment?', created_at: '2025-01-01T00:00:01Z' },
+            {
+                session_id: session.id, role: 'model', created_at: '2025-01-01T00:00:02Z',
+                content: 'Start **amlodipine**.\n\n### Sources\n- ICMR STW Hypertension, 2019',
+                citations: [{ raw: 'ICMR STW Hypertension, 2019', issuingBody: 'ICMR', guidelineName: 'STW Hypertension', year: 2019, country: 'India' }]
+            }
+        ]);
+        return session;
+    };
+
+    test('exports markdown with context, disclaimer and sources', async () => {
+        const session = seedConversation(alice);
+
+        const res = await server.request('GET', `/api/sessions/${session.id}/export?format=md`, { token: alice.token });
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/markdown/);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="mdnexa-hypertension-case-.*\.md"/);
+        assert.match(res.text, /# Hypertension case/);
+        assert.match(res.text, /\*\*Country\*\*: India/);
+        assert.match(res.text, /Educational Use Only/);
+        assert.match(res.text, /- ICMR STW Hypertension \(2019\) - India/);
+    });
+
+    test('exports PDF and DOCX files', async () => {
+        const session = seedConversation(alice);
+
+        const pdf = await server.request('GET', `/api/sessions/${session.id}/export?format=pdf`, { token: alice.token });
+        assert.equal(pdf.status, 200);
+        assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+        assert.ok(pdf.text.startsWith('%PDF'));
+
+        const docx = await server.request('GET', `/api/sessions/${session.id}/export?format=docx`, { token: alice.token });
+        assert.equal(docx.status, 200);
+        assert.ok(docx.text.startsWith('PK')); // Zip container
+    });
+
+    test('exports JSON with the structured messages', async () => {
+        const session = seedConversation(alice);
+
+        const res = await server.request('GET', `/api/sessions/${session.id}/export?format=json`, { token: alice.token });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.country, 'India');
+        assert.deepEqual(res.body.messages.map(m => m.role), ['user', 'model']);
+        assert.equal(res.body.messages[1].text, 'Start **amlodipine**.');
+        assert.deepEqual(res.body.messages[1].sources, ['ICMR STW Hypertension (2019) - India']);
+    });
+
+    test('rejects unknown formats', async () => {
+        const session = seedConversation(alice);
+
+        const res = await server.request('GET', `/api/sessions/${session.id}/export?format=xls`, { token: alice.token });
+
+        assert.equal(res.status, 400);
+    });
+
+    test('denies exporting another user\'s session', async () => {
+        const session = seedConversation(bob);
+
+        const res = await server.request('GET', `/api/sessions/${session.id}/export?format=md`, { token: alice.token });
+
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('session search', () => {
+    const seedHistory = () => {
+        const older = supabase.seed('chat_sessions', { user_id: alice.user.id, title: 'Oct 3, 09:12 AM' });
+        const newer = supabase.seed('chat_sessions', { user_id: alice.user.id, title: 'Nov 8, 02:40 PM' });
+        const bobs = supabase.seed('chat_sessions', { user_id: bob.user.id, title: 'Bob chat' });
+        supabase.seed('chat_messages', [
+            { session_id: older.id, role: 'user', content: 'Warfarin and amiodarone interaction?' },
+            { session_id: older.id, role: 'model', content: 'Amiodarone inhibits warfarin metabolism; reduce the warfarin dose.' },
+            { session_id: newer.id, role: 'model', content: 'Warfarin bridging is rarely needed.' },
+            { session_id: bobs.id, role: 'model', content: 'Warfarin and amiodarone, Bob\'s notes.' }
+        ]);
+        return { older, newer };
+    };
+
+    test('returns the caller\'s matching sessions with highlighted snippets and message ids', async () => {
+        const { older } = seedHistory();
+
+        const res = await server.request('GET', '/api/sessions/search?q=warfarin%20amiodarone', { token: alice.token });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.results.map(r => r.sessionId), [older.id]);
+        const [best] = res.body.results[0].matches;
+        assert.equal(best.role, 'model');
+        assert.match(best.snippet, /<mark>Amiodarone<\/mark> inhibits <mark>warfarin<\/mark>/);
+        assert.ok(supabase.rows('chat_messages', m => m.id === best.messageId).length === 1);
+    });
+
+    test('groups matches by session, best session first', async () => {
+        const { older, newer } = seedHistory();
+
+        const res = await server.request('GET', '/api/sessions/search?q=warfarin', { token: alice.token });
+
+        assert.deepEqual(res.body.results.map(r => r.sessionId), [older.id, newer.id]);
+        assert.equal(res.body.results[0].matches.length, 2);
+    });
+
+    test('rejects queries that are too short', async () => {
+        const res = await server.request('GET', '/api/sessions/search?q=a', { token: alice.token });
+        assert.equal(res.status, 400);
+    });
+});
+
+
+describe('message branches', () => {
+    // Q1 -> A1 -> (Q2 -> A2 | Q2' -> A2'), the edited Q2' being the newest
+    const seedBranches = (owner) => {
+        const session = supabase.seed('chat_sessions', { user_id: owner.user.id });
+        const at = (s) => `2025-01-01T00:00:${String(s).padStart(2, '0')}Z`;
+        const [q1] = supabase.seed('chat_messages', [{ session_id: session.id, role: 'user', content: 'Q1', created_at: at(1) }]);
+        const [a1] = supabase.seed('chat_messages', [{ session_id: session.id, role: 'model', content: 'A1', parent_message_id: q1.id, created_at: at(2) }]);
+        const [q2, q2b] = supabase.seed('chat_messages', [
+            { session_id: session.id, role: 'user', content: 'Q2', parent_message_id: a1.id, created_at: at(3) },
+            { session_id: session.id, role: 'user', content: 'Q2 edited', parent_message_id: a1.id, created_at: at(5) }
+        ]);
+        const [a2, a2b] = supabase.seed('chat_messages', [
+            { session_id: session.id, role: 'model', content: 'A2', parent_message_id: q2.id, created_at: at(4) },
+            { session_id: session.id, role: 'model', content: 'A2 edited', parent_message_id: q2b.id, created_at: at(6) }
+        ]);
+        session.active_message_id = a2b.id;
+        return { session, q2, q2b, a2 };
+    };
+
+    test('returns only the active branch, with sibling versions', async () => {
+        const { session, q2, q2b } = seedBranches(alice);
+
+        const res = await server.request('GET', `/api/sessions/${session.id}/messages`, { token: alice.token });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(m => m.content), ['Q1', 'A1', 'Q2 edited', 'A2 edited']);
+        assert.deepEqual(res.body[2].sibling_ids, [q2.id, q2b.id]);
+    });
+
+    test('switches the active branch to another version', async () => {
+        const { session, q2, a2 } = seedBranches(alice);
+
+        const res = await server.request('PUT', `/api/sessions/${session.id}/active`, { token: alice.token, body: { messageId: q2.id } });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(m => m.content), ['Q1', 'A1', 'Q2', 'A2']);
+        assert.equal(session.active_message_id, a2.id);
+
+        const exported = await server.request('GET', `/api/sessions/${session.id}/export?format=json`, { token: alice.token });
+        assert.deepEqual(exported.body.messages.map(m => m.text), ['Q1', 'A1', 'Q2', 'A2']);
+    });
+
+    test('rejects switching to unknown messages or in another user\'s session', async () => {
+        const { session, q2 } = seedBranches(bob);
+        const own = supabase.seed('chat_sessions', { user_id: alice.user.id });
+
+        const foreign = await server.request('PUT', `/api/sessions/${session.id}/active`, { token: alice.token, body: { messageId: q2.id } });
+        assert.equal(foreign.status, 403);
+
+        const unknown = await server.request('PUT', `/api/sessions/${own.id}/active`, { token: alice.token, body: { messageId: q2.id } });
+        assert.equal(unknown.status, 404);
+    });
+});
@@ -0,0 +1,76 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+
+const { app, supabase } = createTestApp();
+let server;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+});
+
+describe('preferences', () => {
+    test('returns an empty object when nothing is saved', async () => {
+        const { token } = supabase.addUser();
+
+        const res = await server.request('GET', '/api/settings/preferences', { token });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, {});
+    });
+
+    test('merges updates into the saved preferences', async () => {
+        const { token, user } = supabase.addUser({
+            profile: { preferences: { language: 'de-DE', region: 'Europe', theme: 'dark' } }
+        });
+
+        const res = await server.request('PUT', '/api/settings/preferences', {
+            token,
+            body: { language: 'fr-FR', isShortAnswer: true }
+        });
+
+        const expected = { language: 'fr-FR', region: 'Europe', theme: 'dark', isShortAnswer: true };
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.preferences, expected);
+
+        const [profile] = supabase.rows('profiles', p => p.id === user.id);
+        assert.deepEqual(profile.preferences, expected);
+    });
+
+    test('starts from an empty object when the profile has no preferences', async () => {
+        const { token } = supabase.addUser();
+
+        const res = await server.request('PUT', '/api/settings/preferences', { token, body: { region: 'Asia-Pacific' } });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.preferences, { region: 'Asia-Pacific' });
+    });
+
+    test('only touches the caller\'s profile', async () => {
+        const alice = supabase.addUser({ profile: { preferences: { language: 'en-US' } } });
+        const bob = supabase.addUser({ profile: { preferences: { language: 'es-ES' } } });
+
+        await server.request('PUT', '/api/settings/preferences', { token: alice.token, body: { language: 'it-IT' } });
+
+        const [bobProfile] = supabase.rows('profiles', p => p.id === bob.user.id);
+        assert.deepEqual(bobProfile.preferences, { language: 'es-ES' });
+    });
+
+    test('reports database errors', async () => {
+        const { token } = supabase.addUser();
+        supabase.failNext('profiles', 'update', { message: 'update failed' });
+
+        const res = await server.request('PUT', '/api/settings/preferences', { token, body: { language: 'en-US' } });
+
+        assert.equal(res.status, 500);
+        assert.equal(res.body.error, 'update failed');
+    });
+});
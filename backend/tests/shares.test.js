@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+
+const { app, supabase } = createTestApp();
+let server;
+let alice;
+let bob;
+let session;
+let answer;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    alice = supabase.addUser({ email: 'alice@example.com' });
+    bob = supabase.addUser({ email: 'bob@example.com' });
+
+    session = supabase.seed('chat_sessions', { user_id: alice.user.id, title: 'Sepsis', region: 'Europe', country: 'Germany' });
+    supabase.seed('chat_messages', [
+        { session_id: session.id, user_id: alice.user.id, role: 'user', content: 'First question', created_at: '2025-01-01T10:00:00.000Z' },
+        { session_id: session.id, user_id: alice.user.id, role: 'model', content: 'First answer', created_at: '2025-01-01T10:00:01.000Z' },
+        { session_id: session.id, user_id: alice.user.id, role: 'user', content: 'Patient reachable at jane.doe@example.com or +49 151 2345 6789', created_at: '2025-01-01T10:01:00.000Z' },
+        { session_id: session.id, user_id: alice.user.id, role: 'model', content: 'Second answer', citations: [{ raw: 'WHO Sepsis, 2024' }], created_at: '2025-01-01T10:01:01.000Z' }
+    ]);
+    answer = supabase.rows('chat_messages', m => m.content === 'Second answer')[0];
+});
+
+const share = (body = {}, token = alice.token) => server.request('POST', `/api/sessions/${session.id}/share`, { token, body });
+
+describe('creating share links', () => {
+    test('only the session owner can share it', async () => {
+        const res = await share({}, bob.token);
+
+        assert.equal(res.status, 403);
+        assert.equal(supabase.rows('session_shares').length, 0);
+    });
+
+    test('creates a token-only link with an optional expiry', async () => {
+        const res = await share({ expiresInDays: 7 });
+
+        assert.equal(res.status, 201);
+        assert.ok(res.body.token.length >= 32);
+        assert.ok(new Date(res.body.expires_at) > new Date());
+        assert.equal(supabase.rows('session_shares')[0].user_id, alice.user.id);
+    });
+
+    test('rejects invalid expiries and messages from other sessions', async () => {
+        assert.equal((await share({ expiresInDays: 0 })).status, 400);
+        assert.equal((await share({ messageId: 'not-in-session' })).status, 400); // not a uuid
+        assert.equal((await share({ messageId: crypto.randomUUID() })).status, 404);
+
+        const question = supabase.rows('chat_messages', m => m.role === 'user')[0];
+        assert.equal((await share({ messageId: question.id })).status, 400);
+    });
+});
+
+describe('public snapshots', () => {
+    test('serves a redacted snapshot without authentication', async () => {
+        const { body: created } = await share();
+
+        const res = await server.request('GET', `/api/shared/${created.token}`);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('cache-control'), 'no-store');
+        assert.equal(res.body.scope, 'session');
+        assert.equal(res.body.title, 'Sepsis');
+        assert.equal(res.body.messages.length, 4);
+        assert.equal(res.body.messages[2].text, 'Patient reachable at [email removed] or [phone removed]');
+        assert.ok(!res.text.includes(alice.user.id));
+        assert.ok(!res.text.includes(session.id));
+        assert.equal(supabase.rows('session_shares')[0].view_count, 1);
+    });
+
+    test('a single-answer share contains the answer and its question only', async () => {
+        const { body: created } = await share({ messageId: answer.id });
+
+        const res = await server.request('GET', `/api/shared/${created.token}`);
+
+        assert.equal(res.body.scope, 'message');
+        assert.deepEqual(res.body.messages.map(m => m.role), ['user', 'model']);
+        assert.equal(res.body.messages[1].text, 'Second answer');
+        assert.equal(res.body.messages[1].citations.length, 1);
+    });
+
+    test('a session share leaves out messages written after it was created', async () => {
+        const { body: created } = await share();
+        const later = new Date(Date.now() + 60 * 1000).toISOString();
+        supabase.seed('chat_messages', [
+            { session_id: session.id, user_id: alice.user.id, role: 'user', content: 'Private follow-up', parent_message_id: answer.id, created_at: later },
+            { session_id: session.id, user_id: alice.user.id, role: 'model', content: 'Private answer', created_at: later }
+        ]);
+
+        const res = await server.request('GET', `/api/shared/${created.token}`);
+
+        assert.equal(res.body.messages.length, 4);
+        assert.ok(!res.text.includes('Private'));
+    });
+
+    test('every view is counted', async () => {
+        const { body: created } = await share();
+
+        await Promise.all([1, 2, 3].map(() => server.request('GET', `/api/shared/${created.token}`)));
+
+        assert.equal(supabase.rows('session_shares')[0].view_count, 3);
+    });
+
+    test('unknown, expired and revoked links are not served', async () => {
+        assert.equal((await server.request('GET', '/api/shared/unknown')).status, 404);
+
+        supabase.seed('session_shares', { token: 'expired-token', session_id: session.id, user_id: alice.user.id, expires_at: '2020-01-01T00:00:00.000Z' });
+        const expired = await server.request('GET', '/api/shared/expired-token');
+        assert.equal(expired.status, 410);
+        assert.equal(expired.body.code, 'SHARE_EXPIRED');
+    });
+});
+
+describe('managing share links', () => {
+    test('lists active links with the session title and revokes them', async () => {
+        const { body: created } = await share();
+        supabase.seed('session_shares', { token: 'bob-token', session_id: session.id, user_id: bob.user.id });
+
+        const list = await server.request('GET', '/api/sessions/shares', { token: alice.token });
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.body.map(s => s.token), [created.token]);
+        assert.equal(list.body[0].session_title, 'Sepsis');
+
+        // Another user cannot revoke it
+        assert.equal((await server.request('DELETE', `/api/sessions/shares/${created.id}`, { token: bob.token })).status, 404);
+
+        const revoke = await server.request('DELETE', `/api/sessions/shares/${created.id}`, { token: alice.token });
+        assert.equal(revoke.status, 200);
+
+        const res = await server.request('GET', `/api/shared/${created.token}`);
+        assert.equal(res.status, 410);
+        assert.equal(res.body.code, 'SHARE_REVOKED');
+
+        const after = await server.request('GET', '/api/sessions/shares', { token: alice.token });
+        assert.deepEqual(after.body, []);
+    });
+});
@@ -0,0 +1,121 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { z } = require('zod');
+const { createTestApp, startServer } = require('./helpers/testApp');
+const { validate } = require('../utils/validate');
+
+const { app, supabase } = createTestApp();
+let server;
+let alice;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    alice = supabase.addUser({ email: 'alice@example.com' });
+});
+
+describe('validation errors', () => {
+    test('list every field issue with its location', async () => {
+        const res = await server.request('POST', '/api/crm', { token: alice.token, body: { email: 'not-an-email', notes: 42 } });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'VALIDATION_ERROR');
+        assert.deepEqual(res.body.issues.map(issue => [issue.location, issue.path]), [['body', 'email'], ['body', 'notes']]);
+        assert.match(res.body.message, /^email: Invalid email address; notes: /);
+        assert.ok(res.body.requestId);
+        assert.equal(supabase.rows('crm_contacts').length, 0);
+    });
+
+    test('check query strings after coercion', async () => {
+        const admin = supabase.addUser({ email: 'admin@example.com', role: 'admin' });
+
+        assert.equal((await server.request('GET', '/api/feedback/admin?limit=10&offset=0', { token: admin.token })).status, 200);
+
+        const res = await server.request('GET', '/api/feedback/admin?limit=ten&status=open', { token: admin.token });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.issues.map(issue => [issue.location, issue.path]), [['query', 'status'], ['query', 'limit']]);
+    });
+
+    test('reject chat requests without a question before anything is counted', async () => {
+        const res = await server.request('POST', '/api/chat/message', { body: { history: [], country: 'India' } });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.issues[0].path, 'message');
+        assert.equal(supabase.rows('usage_counters').length, 0);
+    });
+
+    test('reject ids that are not uuids before they reach the database', async () => {
+        for (const [method, path] of [['PUT', '/api/crm/42'], ['GET', '/api/organizations/acme'], ['DELETE', '/api/sessions/not-a-session']]) {
+            const res = await server.request(method, path, { token: alice.token, body: method === 'PUT' ? { stage: 'paying' } : undefined });
+            assert.equal(res.status, 400, `${method} ${path}`);
+            assert.deepEqual(res.body.issues.map(issue => [issue.location, issue.path]), [['params', 'id']]);
+        }
+    });
+});
+
+describe('update bodies', () => {
+    test('cannot reassign a CRM contact to another user', async () => {
+        const contact = supabase.seed('crm_contacts', { owner_id: alice.user.id, email: 'lead@example.com', stage: 'lead' });
+
+        const res = await server.request('PUT', `/api/crm/${contact.id}`, {
+            token: alice.token,
+            body: { stage: 'paying', owner_id: 'someone-else' }
+        });
+
+        assert.equal(res.status, 400);
+        assert.match(res.body.message, /Unrecognized key: "owner_id"/);
+        assert.equal(contact.owner_id, alice.user.id);
+        assert.equal(contact.stage, 'lead');
+
+        const ok = await server.request('PUT', `/api/crm/${contact.id}`, { token: alice.token, body: { stage: 'paying' } });
+        assert.equal(ok.status, 200);
+        assert.equal(contact.stage, 'paying');
+    });
+
+    test('only whitelisted blog fields can be updated', () => {
+        const { blogUpdate } = require('../schemas/blogs');
+
+        assert.equal(blogUpdate.safeParse({ user_id: alice.user.id }).success, false);
+        assert.equal(blogUpdate.safeParse({ status: 'archived' }).success, false);
+        assert.equal(blogUpdate.safeParse({}).success, false);
+        assert.deepEqual(blogUpdate.parse({ title: ' New title ', status: 'published' }), { title: 'New title', status: 'published' });
+    });
+
+    test('preferences only accept known settings', async () => {
+        const res = await server.request('PUT', '/api/settings/preferences', {
+            token: alice.token,
+            body: { language: 'fr-FR', role: 'admin', theme: 'neon' }
+        });
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.issues.map(issue => issue.path).sort(), ['', 'theme']); // unknown keys are reported on the object
+        const [profile] = supabase.rows('profiles', p => p.id === alice.user.id);
+        assert.equal(profile.preferences?.role, undefined);
+    });
+});
+
+test('handlers receive the parsed values', async () => {
+    const express = require('express');
+    const probe = express();
+    probe.use(express.json());
+    probe.post('/items/:id', validate({
+        params: z.object({ id: z.string() }),
+        query: z.object({ page: z.coerce.number().default(1) }),
+        body: z.object({ name: z.string().trim() })
+    }), (req, res) => res.json({ params: req.params, query: req.query, body: req.body }));
+
+    const probeServer = await startServer(probe);
+    try {
+        const res = await probeServer.request('POST', '/items/7?page=2', { body: { name: '  Aspirin ', extra: true } });
+        assert.deepEqual(res.body, { params: { id: '7' }, query: { page: 2 }, body: { name: 'Aspirin' } });
+    } finally {
+        await probeServer.close();
+    }
+});
@@ -0,0 +1,343 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, startServer } = require('./helpers/testApp');
+const { VALID_SIGNATURE } = require('./helpers/fakeStripe');
+
+const { app, supabase, stripe, mailer } = createTestApp();
+const emailOutbox = require('../utils/emailOutbox');
+let server;
+
+// Events get a fresh ID unless the test sets one (redeliveries)
+let eventCount = 0;
+const sendEvent = (event, signature = VALID_SIGNATURE) => server.request('POST', '/api/webhooks/stripe', {
+    raw: JSON.stringify({ id: `evt_${++eventCount}`, ...event }),
+    headers: { 'Content-Type': 'application/json', 'stripe-signature': signature }
+});
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    supabase.reset();
+    stripe.reset();
+    mailer.reset();
+});
+
+describe('stripe webhooks', () => {
+    test('rejects events with an invalid signature', async () => {
+        const res = await sendEvent({ type: 'checkout.session.completed', data: { object: {} } }, 'forged');
+
+        assert.equal(res.status, 400);
+        assert.match(res.text, /Webhook Error/);
+    });
+
+    test('checkout.session.completed links the subscription and customer to the profile', async () => {
+        const { user } = supabase.addUser();
+        const subscription = stripe.addSubscription({ customer: 'cus_123', priceId: 'price_monthly' });
+
+        const res = await sendEvent({
+            type: 'checkout.session.completed',
+            data: { object: { id: 'cs_1', customer: 'cus_123', subscription: subscription.id, client_reference_id: user.id } }
+        });
+
+        assert.equal(res.status, 200);
+
+        const rows = supabase.rows('subscriptions');
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].user_id, user.id);
+        assert.equal(rows[0].stripe_subscription_id, subscription.id);
+        assert.equal(rows[0].plan_id, 'price_monthly');
+        assert.equal(rows[0].status, 'active');
+
+        const [profile] = supabase.rows('profiles', p => p.id === user.id);
+        assert.equal(profile.stripe_customer_id, 'cus_123');
+    });
+
+    test('the first paid invoice converts the referral that brought the user', async () => {
+        const { user } = supabase.addUser({ profile: { stripe_customer_id: 'cus_123', ref_source: 'AMB1' } });
+        supabase.seed('referral_redemptions', { code_id: 'code_1', user_id: user.id, converted_at: null });
+        stripe.addSubscription({ id: 'sub_1', customer: 'cus_123' });
+        const paid = (id, amount) => ({ id, customer: 'cus_123', subscription: 'sub_1', amount_paid: amount, currency: 'usd', attempt_count: 1 });
+
+        await sendEvent({ type: 'invoice.paid', data: { object: paid('in_trial', 0) } });
+        assert.equal(supabase.rows('referral_redemptions')[0].converted_at, null);
+
+        await sendEvent({ type: 'invoice.paid', data: { object: paid('in_1', 1900) } });
+        await sendEvent({ type: 'invoice.paid', data: { object: paid('in_2', 1900) } });
+
+        const [redemption] = supabase.rows('referral_redemptions');
+        assert.ok(redemption.converted_at);
+        assert.equal(redemption.stripe_invoice_id, 'in_1');
+        assert.equal(redemption.amount_paid, 1900);
+    });
+
+    test('paid invoices of a referred user earn its ambassador a commission, voided by a full refund', async () => {
+        const { user } = supabase.addUser({ profile: { stripe_customer_id: 'cus_123' } });
+        const ambassador = supabase.addUser({ email: 'amb@clinic.example' });
+        const code = supabase.seed('referral_codes', { code: 'AMB1', owner_id: ambassador.user.id, commission_percent: 20 });
+        supabase.seed('referral_redemptions', { code_id: code.id, user_id: user.id, converted_at: null, trial_started_at: null });
+
+        const trialing = stripe.addSubscription({ id: 'sub_1', customer: 'cus_123', status: 'trialing' });
+        await sendEvent({ type: 'customer.subscription.created', data: { object: trialing } });
+        assert.ok(supabase.rows('referral_redemptions')[0].trial_started_at);
+
+        stripe.addSubscription({ id: 'sub_1', customer: 'cus_123' });
+        const paid = { id: 'in_1', customer: 'cus_123', subscription: 'sub_1', amount_paid: 1900, currency: 'usd', attempt_count: 1 };
+        await sendEvent({ type: 'invoice.paid', data: { object: paid } });
+        await sendEvent({ type: 'invoice.paid', data: { object: paid } }); // Replayed under a new event ID
+
+        const commissions = supabase.rows('referral_commissions');
+        assert.equal(commissions.length, 1);
+        assert.equal(commissions[0].owner_id, ambassador.user.id);
+        assert.equal(commissions[0].invoice_amount, 1900);
+        assert.equal(commissions[0].commission_amount, 380);
+        assert.equal(commissions[0].status, 'pending');
+
+        // Charges only point at their PaymentIntent; the invoice is found through its InvoicePayment
+        stripe.addInvoicePayment({ invoice: 'in_1', paymentIntent: 'pi_1' });
+        await sendEvent({ type: 'charge.refunded', data: { object: { id: 'ch_1', customer: 'cus_123', payment_intent: 'pi_1', currency: 'usd', amount_refunded: 1900, refunded: true } } });
+        assert.equal(supabase.rows('referral_commissions')[0].status, 'void');
+    });
+
+    test('checkout.session.completed without a known profile changes nothing', async () => {
+        const res = await sendEvent({
+            type: 'checkout.session.completed',
+            data: { object: { id: 'cs_1', customer: 'cus_unknown' } }
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(supabase.rows('subscriptions').length, 0);
+    });
+
+    test('customer.subscription.updated upserts on the Stripe subscription id', async () => {
+        const { user } = supabase.addUser({ profile: { stripe_customer_id: 'cus_123' } });
+        supabase.seed('subscriptions', {
+            user_id: user.id, stripe_customer_id: 'cus_123', stripe_subscription_id: 'sub_1',
+            plan_id: 'price_monthly', status: 'active'
+        });
+
+        const update = {
+            id: 'sub_1', customer: 'cus_123', status: 'past_due',
+            items: { data: [{ price: { id: 'price_yearly' }, current_period_end: 1767225600 }] }
+        };
+
+        const res = await sendEvent({ type: 'customer.subscription.updated', data: { object: update } });
+
+        assert.equal(res.status, 200);
+        const rows = supabase.rows('subscriptions');
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].status, 'past_due');
+        assert.equal(rows[0].plan_id, 'price_yearly');
+        assert.equal(rows[0].current_period_end, '2026-01-01T00:00:00.000Z');
+    });
+
+    test('customer.subscription.created inserts a row for a new subscription', async () => {
+        const { user } = supabase.addUser({ profile: { stripe_customer_id: 'cus_456' } });
+
+        await sendEvent({
+            type: 'customer.subscription.created',
+            data: { object: { id: 'sub_2', customer: 'cus_456', status: 'trialing', items: { data: [{ price: { id: 'price_monthly' }, current_period_end: 1767225600 }] } } }
+        });
+
+        const rows = supabase.rows('subscriptions');
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].user_id, user.id);
+        assert.equal(rows[0].status, 'trialing');
+    });
+
+    test('ignores unhandled event types', async () => {
+        const res = await sendEvent({ type: 'invoice.created', data: { object: {} } });
+        assert.equal(res.status, 200);
+    });
+});
+
+describe('event ledger', () => {
+    const checkoutEvent = (userId, subscriptionId) => ({
+        id: 'evt_checkout',
+        type: 'checkout.session.completed',
+        data: { object: { id: 'cs_1', customer: 'cus_123', subscription: subscriptionId, client_reference_id: userId } }
+    });
+
+    test('a redelivered event is processed once', async () => {
+        const { user } = supabase.addUser();
+        const subscription = stripe.addSubscription({ customer: 'cus_123' });
+
+        assert.equal((await sendEvent(checkoutEvent(user.id, subscription.id))).status, 200);
+        supabase.rows('subscriptions')[0].status = 'canceled'; // Changed since; a second run would overwrite it
+        assert.equal((await sendEvent(checkoutEvent(user.id, subscription.id))).status, 200);
+
+        assert.equal(supabase.rows('subscriptions')[0].status, 'canceled');
+        const [event] = supabase.rows('stripe_events');
+        assert.equal(event.status, 'processed');
+        assert.equal(event.attempts, 1);
+    });
+
+    test('a failed event is recorded and processed by the next delivery', async () => {
+        const { user } = supabase.addUser();
+
+        const failed = await sendEvent(checkoutEvent(user.id, 'sub_missing'));
+        assert.equal(failed.status, 500);
+        let [event] = supabase.rows('stripe_events');
+        assert.equal(event.status, 'failed');
+        assert.match(event.last_error, /No such subscription/);
+
+        stripe.addSubscription({ id: 'sub_missing', customer: 'cus_123' });
+        assert.equal((await sendEvent(checkoutEvent(user.id, 'sub_missing'))).status, 200);
+        [event] = supabase.rows('stripe_events');
+        assert.equal(event.status, 'processed');
+        assert.equal(event.attempts, 2);
+        assert.equal(supabase.rows('subscriptions').length, 1);
+    });
+
+    test('a delivery of an event another delivery is processing gets 409', async () => {
+        supabase.seed('stripe_events', { id: 'evt_busy', type: 'invoice.paid', status: 'processing', attempts: 1, updated_at: new Date().toISOString() });
+
+        const res = await sendEvent({ id: 'evt_busy', type: 'invoice.paid', data: { object: {} } });
+        assert.equal(res.status, 409);
+    });
+
+    test('unhandled event types are recorded as ignored', async () => {
+        await sendEvent({ id: 'evt_created', type: 'invoice.created', data: { object: {} } });
+        assert.equal(supabase.rows('stripe_events')[0].status, 'ignored');
+    });
+
+    test('admins list and replay failed events', async () => {
+        const admin = supabase.addUser({ role: 'admin' });
+        const member = supabase.addUser();
+        await sendEvent(checkoutEvent(member.user.id, 'sub_missing'));
+
+        assert.equal((await server.request('GET', '/api/admin/stripe-events', { token: member.token })).status, 403);
+
+        const failed = await server.request('GET', '/api/admin/stripe-events?status=failed', { token: admin.token });
+        assert.deepEqual(failed.body.map(e => e.id), ['evt_checkout']);
+        assert.equal(failed.body[0].payload, undefined);
+
+        stripe.addSubscription({ id: 'sub_missing', customer: 'cus_123' });
+        const replay = await server.request('POST', '/api/admin/stripe-events/evt_checkout/replay', { token: admin.token });
+        assert.equal(replay.status, 200);
+        assert.equal(replay.body.outcome, 'processed');
+        assert.equal(replay.body.event.status, 'processed');
+        assert.equal(supabase.rows('subscriptions').length, 1);
+
+        const again = await server.request('POST', '/api/admin/stripe-events/evt_checkout/replay', { token: admin.token });
+        assert.equal(again.status, 409);
+        assert.equal((await server.request('POST', '/api/admin/stripe-events/evt_nope/replay', { token: admin.token })).status, 404);
+    });
+});
+
+describe('billing notices', () => {
+    let user;
+
+    beforeEach(() => {
+        ({ user } = supabase.addUser({ email: 'doctor@clinic.example', profile: { stripe_customer_id: 'cus_123' } }));
+        supabase.seed('subscriptions', { user_id: user.id, stripe_customer_id: 'cus_123', stripe_subscription_id: 'sub_1', plan_id: 'price_monthly', status: 'active' });
+    });
+
+    const invoice = (fields = {}) => ({
+        id: 'in_1', customer: 'cus_123', subscription: 'sub_1', currency: 'usd',
+        amount_due: 1900, amount_paid: 0, attempt_count: 1,
+        hosted_invoice_url: 'https://invoice.stripe.test/in_1', next_payment_attempt: 1767225600,
+        ...fields
+    });
+
+    test('invoice.payment_failed syncs the subscription and e-mails the user once', async () => {
+        stripe.addSubscription({ id: 'sub_1', customer: 'cus_123', priceId: 'price_monthly', status: 'past_due' });
+
+        const res = await sendEvent({ type: 'invoice.payment_failed', data: { object: invoice() } });
+        assert.equal(res.status, 200);
+
+        const [row] = supabase.rows('subscriptions');
+        assert.equal(row.status, 'past_due');
+        assert.equal(row.last_payment_status, 'failed');
+
+        // Queued only: the webhook answers without waiting for SMTP
+        assert.equal(mailer.sent.length, 0);
+        await emailOutbox.runOnce();
+        assert.equal(mailer.sent.length, 1);
+        assert.equal(mailer.sent[0].to, 'doctor@clinic.example');
+        assert.match(mailer.sent[0].subject, /payment failed/);
+        assert.ok(mailer.sent[0].html.includes('$19.00'));
+        assert.ok(mailer.sent[0].html.includes('https://invoice.stripe.test/in_1'));
+
+        // The same failed attempt reported again (e.g. a replay under a new event ID)
+        await sendEvent({ type: 'invoice.payment_failed', data: { object: invoice() } });
+        await emailOutbox.runOnce();
+        assert.equal(mailer.sent.length, 1);
+    });
+
+    test('invoice.paid records the payment and only e-mails when it follows failed attempts', async () => {
+        stripe.addSubscription({ id: 'sub_1', customer: 'cus_123', priceId: 'price_monthly' });
+
+        await sendEvent({ type: 'invoice.paid', data: { object: invoice({ amount_paid: 1900 }) } });
+        await emailOutbox.runOnce();
+        assert.equal(supabase.rows('subscriptions')[0].last_payment_status, 'paid');
+        assert.equal(mailer.sent.length, 0);
+
+        await sendEvent({ type: 'invoice.paid', data: { object: invoice({ id: 'in_2', amount_paid: 1900, attempt_count: 3 }) } });
+        await emailOutbox.runOnce();
+        assert.equal(mailer.sent.length, 1);
+        assert.match(mailer.sent[0].subject, /went through/);
+    });
+
+    test('customer.subscription.trial_will_end stores the trial end and e-mails the user', async () => {
+        const trialing = stripe.addSubscription({ id: 'sub_1', customer: 'cus_123', priceId: 'price_monthly', status: 'trialing' });
+
+        await sendEvent({ type: 'customer.subscription.trial_will_end', data: { object: { ...trialing, trial_end: 1767225600 } } });
+        await emailOutbox.runOnce();
+
+        assert.equal(supabase.rows('subscriptions')[0].trial_end, new Date(1767225600 * 1000).toISOString());
+        assert.equal(mailer.sent.length, 1);
+        assert.ok(mailer.sent[0].html.includes('January 1, 2026'));
+    });
+
+    test('charge.refunded records a partial or full refund', async () => {
+        const charge = { id: 'ch_1', customer: 'cus_123', currency: 'eur', amount: 1900, amount_refunded: 500, refunded: false };
+
+        await sendEvent({ type: 'charge.refunded', data: { object: charge } });
+        await emailOutbox.runOnce();
+        assert.equal(supabase.rows('subscriptions')[0].last_payment_status, 'partially_refunded');
+        assert.ok(mailer.sent[0].html.includes('€5.00'));
+
+        await sendEvent({ type: 'charge.refunded', data: { object: { ...charge, amount_refunded: 1900, refunded: true } } });
+        await emailOutbox.runOnce();
+        assert.equal(supabase.rows('subscriptions')[0].last_payment_status, 'refunded');
+        assert.equal(mailer.sent.length, 2);
+    });
+
+    test('an SMTP failure leaves the e-mail queued for the next run', async () => {
+        mailer.failNext();
+
+        const res = await sendEvent({ type: 'charge.refunded', data: { object: { id: 'ch_1', customer: 'cus_123', currency: 'usd', amount_refunded: 1900, refunded: true } } });
+        assert.equal(res.status, 200);
+        assert.equal(supabase.rows('stripe_events')[0].status, 'processed');
+        assert.deepEqual(await emailOutbox.runOnce(), { sent: 0, failed: 1 });
+
+        const [queued] = supabase.rows('email_outbox');
+        assert.equal(queued.status, 'pending');
+        assert.equal(queued.attempts, 1);
+        assert.match(queued.last_error, /Injected SMTP failure/);
+
+        const later = new Date(Date.now() + 60 * 60 * 1000);
+        assert.deepEqual(await emailOutbox.runOnce(later), { sent: 1, failed: 0 });
+        assert.equal(supabase.rows('email_outbox')[0].status, 'sent');
+        assert.equal(mailer.sent.length, 1);
+    });
+
+    test('GET /api/cron sends queued notices with the cron secret', async () => {
+        process.env.CRON_SECRET = 'cron-test-secret';
+        await sendEvent({ type: 'charge.refunded', data: { object: { id: 'ch_1', customer: 'cus_123', currency: 'usd', amount_refunded: 1900, refunded: true } } });
+
+        assert.equal((await server.request('GET', '/api/cron', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+        assert.equal(mailer.sent.length, 0);
+
+        const res = await server.request('GET', '/api/cron', { headers: { Authorization: 'Bearer cron-test-secret' } });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.outbox, { sent: 1, failed: 0 });
+        assert.equal(mailer.sent.length, 1);
+    });
+});
@@ -0,0 +1,43 @@
+const supabase = require('./supabase');
+
+/**
+ * Accounts
+ * E-mail addresses live on the auth users, not in profiles (supabase_schema.sql), so they are
+ * looked up through the auth admin API.
+ */
+
+const PAGE_SIZE = 1000;
+
+/** The account's e-mail address, or null when there is no such user */
+const emailOf = async (userId) => {
+    const { data, error } = await supabase.auth.admin.getUserById(userId);
+    if (error || !data?.user) return null;
+    return data.user.email || null;
+};
+
+/** E-mail addresses of several accounts: Map of user id -> address (missing users left out) */
+const emailsOf = async (userIds) => {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    const emails = await Promise.all(ids.map(emailOf));
+    return new Map(ids.map((id, index) => [id, emails[index]]).filter(([, email]) => email));
+};
+
+/** The auth user with this e-mail address (any case), or null */
+const findByEmail = async (email) => {
+    const address = String(email).trim().toLowerCase();
+    for (let page = 1; ; page++) {
+        const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: PAGE_SIZE });
+        if (error) throw error;
+
+        const users = data?.users || [];
+        const user = users.find(u => (u.email || '').toLowerCase() === address);
+        if (user) return user;
+        if (users.length < PAGE_SIZE) return null;
+    }
+};
+
+module.exports = {
+    emailOf,
+    emailsOf,
+    findByEmail
+};
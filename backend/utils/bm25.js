@@ -0,0 +1,85 @@
+/**
+ * BM25 Ranking
+ * Small, dependency-free Okapi BM25 used by the guideline library.
+ * Chunks store their term frequencies at ingestion time, so building an index
+ * only needs document frequencies and the average length.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has',
+    'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'may', 'no', 'not', 'of', 'on', 'or',
+    'should', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+    'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your', 'we', 'our', 'than', 'also'
+]);
+
+const tokenize = (text) => {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Strip accents
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 1 && !STOPWORDS.has(token));
+};
+
+const termFrequencies = (tokens) => {
+    const freqs = {};
+    for (const token of tokens) {
+        freqs[token] = (freqs[token] || 0) + 1;
+    }
+    return freqs;
+};
+
+/**
+ * docs: [{ id, termFreqs, length, ... }] — extra fields are kept on the results.
+ */
+const buildIndex = (docs) => {
+    const docFreqs = {};
+    let totalLength = 0;
+
+    for (const doc of docs) {
+        totalLength += doc.length;
+        for (const term of Object.keys(doc.termFreqs || {})) {
+            docFreqs[term] = (docFreqs[term] || 0) + 1;
+        }
+    }
+
+    return {
+        docs,
+        docFreqs,
+        avgLength: docs.length > 0 ? totalLength / docs.length : 0
+    };
+};
+
+/**
+ * Returns [{ doc, score }] sorted by score, only for docs matching at least one query term.
+ */
+const search = (index, query, limit = 5) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    const total = index.docs.length;
+    if (total === 0 || queryTerms.length === 0) return [];
+
+    const results = [];
+
+    for (const doc of index.docs) {
+        let score = 0;
+
+        for (const term of queryTerms) {
+            const tf = doc.termFreqs?.[term];
+            if (!tf) continue;
+
+            const df = index.docFreqs[term] || 0;
+            const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+            const norm = tf + K1 * (1 - B + B * (doc.length / (index.avgLength || 1)));
+            score += idf * (tf * (K1 + 1)) / norm;
+        }
+
+        if (score > 0) results.push({ doc, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+module.exports = { tokenize, termFrequencies, buildIndex, search };
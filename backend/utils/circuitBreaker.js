@@ -1,3 +1,8 @@
+const { breakerState, breakerFailures, breakerTrips } = require('./metrics');
+const logger = require('./logger');
+
+const STATE_VALUES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 }; // mdnexa_circuit_breaker_state
+
 /**
  * Circuit Breaker Pattern Implementation
  * Prevents cascading failures by stopping execution after a threshold of failures.
@@ -14,11 +19,21 @@ class CircuitBreaker {
         this.nextAttempt = 0; // Timestamp when we can try again
     }
 
+    get state() {
+        return this._state;
+    }
+
+    // Every transition is mirrored to the state gauge
+    set state(value) {
+        this._state = value;
+        breakerState.set({ breaker: this.name }, STATE_VALUES[value]);
+    }
+
     async execute(action) {
         if (this.state === 'OPEN') {
             if (Date.now() >= this.nextAttempt) {
                 this.state = 'HALF_OPEN';
-                console.log(`[CircuitBreaker] ${this.name} entering HALF_OPEN state. Testing...`);
+                logger.info('Circuit breaker half-open, testing', { breaker: this.name });
             } else {
                 const remaining = Math.ceil((this.nextAttempt - Date.now()) / 1000);
                 throw new Error(`Circuit Breaker '${this.name}' is OPEN. Cooling down. Retry in ${remaining}s.`);
@@ -31,14 +46,17 @@ class CircuitBreaker {
             this._onSuccess();
             return result;
         } catch (error) {
-            this._onFailure(error);
+            // A caller cancelling the request says nothing about the health of the upstream
+            if (error.name !== 'AbortError') {
+                this._onFailure(error);
+            }
             throw error;
         }
     }
 
     _onSuccess() {
         if (this.state === 'HALF_OPEN') {
-            console.log(`[CircuitBreaker] ${this.name} recovery successful. Closing circuit.`);
+            logger.info('Circuit breaker recovered, closing', { breaker: this.name });
             this.state = 'CLOSED';
             this.failures = [];
         }
@@ -47,13 +65,15 @@ class CircuitBreaker {
 
     _onFailure(error) {
         const now = Date.now();
-        console.warn(`[CircuitBreaker] ${this.name} failure recorded: ${error.message}`);
+        logger.warn('Circuit breaker failure recorded', { breaker: this.name, error });
+        breakerFailures.inc({ breaker: this.name });
 
         if (this.state === 'HALF_OPEN') {
             // Failed immediately in trial -> Re-open
-            console.error(`[CircuitBreaker] ${this.name} recovery FAILED. Re-opening circuit.`);
+            logger.error('Circuit breaker recovery failed, re-opening', { breaker: this.name });
             this.state = 'OPEN';
             this.nextAttempt = now + this.cooldownPeriod;
+            breakerTrips.inc({ breaker: this.name });
             return;
         }
 
@@ -64,7 +84,8 @@ class CircuitBreaker {
         if (this.failures.length >= this.failureThreshold) {
             this.state = 'OPEN';
             this.nextAttempt = now + this.cooldownPeriod;
-            console.error(`[CircuitBreaker] ${this.name} threshold reached (${this.failures.length} fails). OPENING circuit for ${this.cooldownPeriod}ms.`);
+            breakerTrips.inc({ breaker: this.name });
+            logger.error('Circuit breaker threshold reached, opening', { breaker: this.name, failures: this.failures.length, cooldownMs: this.cooldownPeriod });
 
             // TODO: Trigger Feature Flag disable here if needed via callback
             if (this.onTrip) {
@@ -73,6 +94,28 @@ class CircuitBreaker {
         }
     }
 
+    // Snapshot for the admin ops console
+    getState() {
+        const now = Date.now();
+        this._cleanOldFailures(now);
+        return {
+            name: this.name,
+            state: this.state,
+            failures: this.failures.length,
+            failureThreshold: this.failureThreshold,
+            cooldownPeriod: this.cooldownPeriod,
+            nextAttempt: this.state === 'OPEN' ? new Date(this.nextAttempt).toISOString() : null
+        };
+    }
+
+    // Manual recovery (admin): close the circuit and forget recorded failures
+    reset() {
+        logger.info('Circuit breaker reset, closing', { breaker: this.name });
+        this.state = 'CLOSED';
+        this.failures = [];
+        this.nextAttempt = 0;
+    }
+
     _cleanOldFailures(now) {
         // Remove failures older than the window
         this.failures = this.failures.filter(timestamp => now - timestamp <= this.failureWindow);
@@ -0,0 +1,229 @@
+const { REGIONS_DATA, getRegionForCountry } = require('./regions');
+
+/**
+ * Citation Extraction & Verification
+ * The system prompt (routes/chat.js) requires a "Sources" list and forbids bracketed placeholders.
+ * This post-processing stage checks that the model obeyed:
+ * - Parses the Sources section into structured citations (issuing body, guideline name, year, country)
+ * - Flags placeholders like "[Insert guideline name]"
+ * - Flags national guidelines from a country other than the one requested
+ */
+
+// Known issuing bodies -> the country (or region) they publish for.
+// 'International' bodies are always an acceptable fallback.
+const ISSUING_BODIES = {
+    // International
+    'WHO': 'International', 'KDIGO': 'International', 'GINA': 'International', 'GOLD': 'International',
+    'IDF': 'International', 'ISH': 'International', 'SSC': 'International', 'ILAE': 'International',
+    'ILCOR': 'International', 'FIGO': 'International', 'UNAIDS': 'International',
+    // Regional
+    'ESC': 'Europe', 'ESH': 'Europe', 'EASL': 'Europe', 'ERS': 'Europe', 'EAU': 'Europe', 'ESMO': 'Europe',
+    'EULAR': 'Europe', 'ECDC': 'Europe', 'EASD': 'Europe', 'ESCMID': 'Europe', 'EAN': 'Europe', 'ERC': 'Europe',
+    'APASL': 'Asia-Pacific', 'PAHO': 'South America',
+    // United States
+    'AHA': 'United States', 'ACC': 'United States', 'ADA': 'United States', 'ACOG': 'United States',
+    'CDC': 'United States', 'USPSTF': 'United States', 'IDSA': 'United States', 'ATS': 'United States',
+    'ACR': 'United States', 'ACP': 'United States', 'NCCN': 'United States', 'AAP': 'United States',
+    'AASLD': 'United States', 'ACG': 'United States', 'FDA': 'United States', 'NIH': 'United States',
+    'AUA': 'United States', 'ASCO': 'United States', 'APA': 'United States',
+    // United Kingdom
+    'NICE': 'United Kingdom', 'SIGN': 'United Kingdom', 'BTS': 'United Kingdom', 'BSG': 'United Kingdom',
+    'MHRA': 'United Kingdom', 'RCOG': 'United Kingdom', 'BNF': 'United Kingdom', 'BHIVA': 'United Kingdom',
+    'NHS': 'United Kingdom',
+    // Europe (national)
+    'AWMF': 'Germany', 'DGK': 'Germany', 'RKI': 'Germany', 'DEGAM': 'Germany', 'STIKO': 'Germany',
+    'HAS': 'France', 'SFC': 'France', 'AIFA': 'Italy', 'SEC': 'Spain', 'NHG': 'Netherlands',
+    // Asia-Pacific
+    'ICMR': 'India', 'FOGSI': 'India', 'API': 'India', 'CSI': 'India', 'RSSDI': 'India', 'IAP': 'India',
+    'JCS': 'Japan', 'JSH': 'Japan', 'JDS': 'Japan', 'MHLW': 'Japan',
+    'NHMRC': 'Australia', 'RACGP': 'Australia', 'TGA': 'Australia',
+    'KSC': 'South Korea', 'CSC': 'China', 'MOH': null, // MOH is ambiguous, country comes from the text
+    // Americas
+    'CCS': 'Canada', 'SOGC': 'Canada', 'PHAC': 'Canada', 'SBC': 'Brazil', 'SBD': 'Brazil',
+    // Middle East & Africa
+    'SAHS': 'South Africa', 'SEMDSA': 'South Africa', 'SHA': 'Saudi Arabia', 'SCFHS': 'Saudi Arabia'
+};
+
+// Bracketed text that is an unresolved instruction rather than a real reference.
+// "[1]"-style numeric references and markdown links "[text](url)" are not placeholders.
+const PLACEHOLDER_PATTERN = /\[([^\]\n]*\b(insert|specific|if available|relevant|guideline name|name of|source|citation|country|year|placeholder|tbd)\b[^\]\n]*)\](?!\()/gi;
+
+const SOURCES_HEADING_PATTERN = /^\s*(?:#{1,6}\s*)?(?:\*\*|__)?\s*(?:sources|references|bibliography)\s*:?\s*(?:\*\*|__)?\s*:?\s*$/im;
+
+const ALL_COUNTRIES = Object.values(REGIONS_DATA).flat();
+
+const COUNTRY_ALIASES = {
+    'USA': 'United States', 'US': 'United States', 'U.S.': 'United States', 'American': 'United States',
+    'UK': 'United Kingdom', 'British': 'United Kingdom', 'England': 'United Kingdom',
+    'Indian': 'India', 'German': 'Germany', 'French': 'France', 'Japanese': 'Japan', 'Canadian': 'Canada',
+    'Australian': 'Australia', 'Brazilian': 'Brazil', 'Chinese': 'China', 'Korean': 'South Korea',
+    'Emirates': 'UAE', 'Saudi': 'Saudi Arabia'
+};
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns the lines of the trailing "Sources" section, or null if the answer has none.
+ */
+const extractSourcesSection = (text) => {
+    if (!text) return null;
+
+    const match = SOURCES_HEADING_PATTERN.exec(text);
+    let body;
+
+    if (match) {
+        body = text.slice(match.index + match[0].length);
+    } else {
+        // Inline form: "Sources: ICMR 2019; ESC 2023"
+        const inline = /^\s*(?:\*\*)?(?:sources|references)(?:\*\*)?\s*:\s*(?:\*\*)?\s*(.+)$/im.exec(text);
+        if (!inline) return null;
+        body = inline[1].split(';').join('\n');
+    }
+
+    const lines = [];
+    for (const line of body.split('\n')) {
+        // Stop at the next heading (the section is expected last, but don't swallow trailing notes)
+        if (/^\s*#{1,6}\s/.test(line) && lines.length > 0) break;
+        const cleaned = line
+            .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/, '')
+            .replace(/\*\*|__/g, '')
+            .trim();
+        if (cleaned) lines.push(cleaned);
+    }
+
+    return lines;
+};
+
+const detectCountry = (raw) => {
+    for (const country of ALL_COUNTRIES) {
+        if (new RegExp(`\\b${escapeRegExp(country)}\\b`, 'i').test(raw)) return country;
+    }
+    for (const [alias, country] of Object.entries(COUNTRY_ALIASES)) {
+        if (new RegExp(`(^|[^A-Za-z])${escapeRegExp(alias)}([^A-Za-z]|$)`).test(raw)) return country;
+    }
+    for (const region of Object.keys(REGIONS_DATA)) {
+        if (new RegExp(`\\b${escapeRegExp(region)}\\b`, 'i').test(raw)) return region;
+    }
+    if (/\b(international|global|world)\b/i.test(raw)) return 'International';
+    return null;
+};
+
+/**
+ * Parses one reference line, e.g. "ICMR Standard Treatment Workflow for Hypertension (India), 2019"
+ * into { raw, issuingBody, guidelineName, year, country }.
+ */
+const parseCitation = (raw) => {
+    const years = raw.match(/\b(19|20)\d{2}\b/g);
+    const year = years ? parseInt(years[years.length - 1], 10) : null;
+
+    // Issuing body: first known acronym (handles joint bodies like "AHA/ACC")
+    const acronyms = (raw.match(/\b[A-Z][A-Za-z]*[A-Z]\b/g) || []).filter(token => token in ISSUING_BODIES);
+    const issuingBody = acronyms.length > 0 ? [...new Set(acronyms)].join('/') : null;
+
+    let country = null;
+    for (const acronym of acronyms) {
+        if (ISSUING_BODIES[acronym]) {
+            country = ISSUING_BODIES[acronym];
+            break;
+        }
+    }
+    // The text wins over the lookup table when it names a country explicitly
+    country = detectCountry(raw) || country;
+
+    let guidelineName = raw;
+    if (issuingBody) {
+        for (const acronym of issuingBody.split('/')) {
+            guidelineName = guidelineName.replace(new RegExp(`\\b${acronym}\\b`, 'g'), '');
+        }
+    }
+    if (year) guidelineName = guidelineName.replace(new RegExp(`\\b${year}\\b`, 'g'), '');
+    guidelineName = guidelineName
+        .replace(/\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\(\s*\)/g, '')
+        .replace(/^[\s/:,.;–-]+|[\s/:,.;–-]+$/g, '')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+
+    return {
+        raw,
+        issuingBody,
+        guidelineName: guidelineName || null,
+        year,
+        country
+    };
+};
+
+// The prompt's mandated disclosure when no local guideline exists
+// ("No specific guideline for Japan found; referencing ESC 2023.")
+const FALLBACK_STATEMENT_PATTERN = /no specific guideline|guideline (?:is )?unavailable|specific [\w\s]+ guideline unavailable/i;
+
+// A citation is acceptable if it's international, from the requested country,
+// or a regional guideline covering that country. Regional guidelines from elsewhere
+// are tolerated only when the answer states the fallback explicitly.
+const matchesRequestedCountry = (citationCountry, { requestedCountry, requestedRegion, hasFallbackStatement }) => {
+    if (!citationCountry || citationCountry === 'International') return true;
+    if (citationCountry === requestedCountry) return true;
+
+    if (REGIONS_DATA[citationCountry]) {
+        return hasFallbackStatement || citationCountry === (getRegionForCountry(requestedCountry) || requestedRegion);
+    }
+
+    return false;
+};
+
+/**
+ * Runs extraction + verification on a finished answer.
+ * Returns { citations, verification: { passed, issues } }, where each issue is
+ * { type: 'MISSING_SOURCES' | 'PLACEHOLDER' | 'COUNTRY_MISMATCH', message, citation? }.
+ */
+const verifyCitations = (text, { country, region } = {}) => {
+    const issues = [];
+
+    const lines = extractSourcesSection(text);
+    const citations = (lines || []).map(parseCitation);
+
+    if (!lines || citations.length === 0) {
+        issues.push({ type: 'MISSING_SOURCES', message: 'The answer does not include a Sources list.' });
+    }
+
+    const placeholders = new Set();
+    for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+        placeholders.add(match[0]);
+    }
+    for (const placeholder of placeholders) {
+        issues.push({ type: 'PLACEHOLDER', message: `Unresolved placeholder: ${placeholder}` });
+    }
+
+    const requestedCountry = country && country !== 'International' ? country : null;
+    if (requestedCountry) {
+        const context = {
+            requestedCountry,
+            requestedRegion: region,
+            hasFallbackStatement: FALLBACK_STATEMENT_PATTERN.test(text || '')
+        };
+
+        for (const citation of citations) {
+            if (!matchesRequestedCountry(citation.country, context)) {
+                issues.push({
+                    type: 'COUNTRY_MISMATCH',
+                    message: `${citation.issuingBody || citation.raw} is a guideline for ${citation.country}, but the question was asked for ${requestedCountry}.`,
+                    citation: citation.raw
+                });
+            }
+        }
+    }
+
+    return {
+        citations,
+        verification: {
+            passed: issues.length === 0,
+            issues
+        }
+    };
+};
+
+module.exports = {
+    extractSourcesSection,
+    parseCitation,
+    verifyCitations
+};
@@ -0,0 +1,203 @@
+const supabase = require('./supabase');
+const robustGemini = require('./robustGemini');
+const logger = require('./logger');
+
+/**
+ * Conversation History
+ * Builds the history sent to the model for a chat turn.
+ * - Saved sessions: history is loaded from chat_messages (the client's copy is ignored).
+ * - Guests: the client-sent history is used, but trimmed the same way.
+ * - History is kept within a per-model token budget. For saved sessions, turns that no longer fit
+ *   are folded into a rolling summary stored on chat_sessions (history_summary), which is passed to
+ *   the model in the system instruction instead of the old turns.
+ */
+
+// History budget (tokens) per model: a cost/latency guard, well below the models' context windows.
+// CHAT_HISTORY_TOKEN_BUDGET overrides it for every model.
+const HISTORY_TOKEN_BUDGETS = {
+    'gemini-2.0-flash-exp': 24000,
+    'gemini-1.5-pro': 32000,
+    'gemini-1.5-flash': 24000
+};
+const DEFAULT_HISTORY_TOKEN_BUDGET = 16000;
+
+// After summarizing, keep the newest turns within this share of the budget, so the next few turns
+// fit without summarizing again
+const KEEP_RATIO = 0.6;
+
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const MAX_SUMMARY_INPUT_CHARS = 60000;
+
+// Rough estimate (~4 characters per token); good enough for budgeting, no tokenizer round trip
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const messageTokens = (message) => estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+
+/**
+ * Budget for a model hierarchy: the history must fit every model the client may fall back to.
+ */
+function historyTokenBudget(models = []) {
+    const override = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10);
+    if (override > 0) return override;
+
+    const budgets = models.map(model => HISTORY_TOKEN_BUDGETS[model] || DEFAULT_HISTORY_TOKEN_BUDGET);
+    return budgets.length > 0 ? Math.min(...budgets) : DEFAULT_HISTORY_TOKEN_BUDGET;
+}
+
+/**
+ * Newest messages that fit in the budget, in chronological order.
+ */
+function trimToBudget(messages, budget) {
+    const kept = [];
+    let used = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = messageTokens(messages[i]);
+        if (used + cost > budget) break;
+        kept.unshift(messages[i]);
+        used += cost;
+    }
+    return kept;
+}
+
+// Client history ({ role, text }) -> the { role, content } shape of chat_messages rows
+const fromClientHistory = (history) => (Array.isArray(history) ? history : [])
+    .filter(message => message && typeof message.text === 'string')
+    .map(message => ({ role: message.role === 'user' ? 'user' : 'model', content: message.text }));
+
+/**
+ * Loads a saved session and all its messages (every branch, see utils/messageTree.js) for the given user.
+ * Sessions stored before branching are linked into a single branch on the way.
+ * Returns { session, messages } (session null if it doesn't exist yet) or { forbidden: true }.
+ */
+async function loadSessionHistory({ sessionId, userId }) {
+    const { data: session, error } = await supabase
+        .from('chat_sessions')
+        .select('id, user_id, active_message_id, history_summary, history_summary_through')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!session) return { session: null, messages: [] };
+    if (session.user_id !== userId) return { forbidden: true };
+
+    const { data: messages, error: messagesError } = await supabase
+        .from('chat_messages')
+        .select('id, role, content, parent_message_id, created_at')
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: true });
+
+    if (messagesError) throw messagesError;
+    await linkLegacyMessages(messages || []);
+    return { session, messages: messages || [] };
+}
+
+// Messages stored before branching have no parent ids: link each to the one before it, once,
+// so new turns (which do set a parent) extend the same branch
+async function linkLegacyMessages(messages) {
+    if (messages.length < 2 || messages.some(message => message.parent_message_id)) return;
+
+    for (let i = 1; i < messages.length; i++) {
+        const { error } = await supabase
+            .from('chat_messages')
+            .update({ parent_message_id: messages[i - 1].id })
+            .eq('id', messages[i].id);
+        if (error) throw error;
+        messages[i].parent_message_id = messages[i - 1].id;
+    }
+}
+
+async function summarize({ previousSummary, messages, language }) {
+    let transcript = messages
+        .map(message => `${message.role === 'user' ? 'CLINICIAN' : 'MDNEXA'}: ${String(message.content || '').substring(0, 2000)}`)
+        .join('\n\n');
+    if (transcript.length > MAX_SUMMARY_INPUT_CHARS) {
+        transcript = transcript.slice(-MAX_SUMMARY_INPUT_CHARS);
+    }
+
+    const { result } = await robustGemini.generateContent({
+        featureName: 'history_summary',
+        generationConfig: { temperature: 0.2, maxOutputTokens: 512 },
+        contents: [{
+            role: 'user',
+            parts: [{
+                text: `Summarize the earlier part of this clinical consultation so it can replace the full transcript.
+            LANGUAGE: ${language || 'English'}.
+            ${previousSummary ? `SUMMARY SO FAR:\n${previousSummary}\n` : ''}
+            TRANSCRIPT TO ADD:
+            ${transcript}
+
+            RULES:
+            1. Keep every clinically relevant fact: patient age/sex, conditions, medications, allergies, findings, questions asked and the key recommendations given.
+            2. Merge with the summary so far; drop greetings and repetition.
+            3. Max 200 words, bullet points. No preamble.`
+            }]
+        }]
+    });
+
+    const summary = result.response.text().trim();
+    if (!summary) throw new Error('Empty summary');
+    return summary;
+}
+
+/**
+ * History for a saved session within the budget. Messages already covered by the stored summary are
+ * skipped; if the rest still doesn't fit, the oldest of them are folded into the summary.
+ * Returns { history: [{ role, content }], summary }.
+ */
+async function fitHistory({ session, messages, budget, language }) {
+    let summary = session?.history_summary || null;
+
+    // Messages after the last summarized one (all of them if the marker isn't in this history)
+    let live = messages;
+    if (summary && session.history_summary_through) {
+        const index = messages.findIndex(message => message.id === session.history_summary_through);
+        if (index !== -1) {
+            live = messages.slice(index + 1);
+        } else {
+            summary = null;
+        }
+    }
+
+    const liveTokens = live.reduce((sum, message) => sum + messageTokens(message), 0);
+    if (liveTokens + estimateTokens(summary) <= budget) {
+        return { history: live, summary };
+    }
+
+    const kept = trimToBudget(live, Math.floor(budget * KEEP_RATIO));
+    const overflow = live.slice(0, live.length - kept.length);
+    if (overflow.length === 0) {
+        return { history: kept, summary };
+    }
+
+    try {
+        summary = await summarize({ previousSummary: summary, messages: overflow, language });
+
+        const { error } = await supabase
+            .from('chat_sessions')
+            .update({
+                history_summary: summary,
+                history_summary_through: overflow[overflow.length - 1].id,
+                history_summary_updated_at: new Date().toISOString()
+            })
+            .eq('id', session.id);
+        if (error) throw error;
+
+        logger.info('Summarized older messages', { sessionId: session.id, messages: overflow.length });
+    } catch (error) {
+        // The old turns are dropped either way; the previous summary (if any) still covers the earliest ones
+        logger.warn('Summarization failed, trimming only', { sessionId: session.id, error });
+    }
+
+    return { history: kept, summary };
+}
+
+module.exports = {
+    HISTORY_TOKEN_BUDGETS,
+    DEFAULT_HISTORY_TOKEN_BUDGET,
+    estimateTokens,
+    historyTokenBudget,
+    trimToBudget,
+    fromClientHistory,
+    loadSessionHistory,
+    fitHistory
+};
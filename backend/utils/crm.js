@@ -0,0 +1,487 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const emailOutbox = require('./emailOutbox');
+const { parseCsv } = require('./csv');
+
+/**
+ * CRM
+ * Contacts of MDnexa (crm_contacts, create_crm_pipeline.sql): leads from the public forms,
+ * users who signed up and customers.
+ *
+ * - One contact per e-mail address (stored lowercased) in each list: the pipeline (owner_id null:
+ *   leads, signups, imports) and every user's own contact-form list (owner_id). A submission,
+ *   signup or import for an address already on its list is merged into that contact (capture)
+ *   instead of adding a row; lists never share or merge contacts.
+ * - Stages follow the pipeline lead -> trial -> paying -> churned. Signups link the contact
+ *   to the account (user_id); subscription webhooks move it along (recordSubscription). Admins
+ *   can set any stage by hand.
+ * - owner_id is the signed-in user whose contact-form list holds the contact; the /api/crm
+ *   contact-form endpoints only see that list. It is never the contact's own account.
+ * - The opt-in and unsubscribe tokens are secrets of the e-mailed links: responses go through
+ *   publicContact().
+ * - Everything that happens to a contact is added to its timeline (crm_activities).
+ * - Newsletter leads confirm their address first (double opt-in) and can unsubscribe with
+ *   the link in every e-mail.
+ */
+
+const STAGES = /** @type {const} */ (['lead', 'trial', 'paying', 'churned']);
+const OPT_IN_STATUSES = /** @type {const} */ (['none', 'pending', 'confirmed', 'unsubscribed']);
+
+/** @typedef {typeof STAGES[number]} Stage */
+
+const OPT_IN_EXPIRY_DAYS = 7;
+const OPT_IN_RESEND_AFTER_MS = 60 * 60 * 1000; // A repeated sign-up within the hour doesn't e-mail again
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_BATCH_SIZE = 500; // Addresses per lookup / insert / upsert of an import
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Stripe subscription status -> stage. Statuses not listed (incomplete) leave the stage alone.
+const SUBSCRIPTION_STAGES = {
+    trialing: 'trial',
+    active: 'paying',
+    past_due: 'paying',
+    canceled: 'churned',
+    unpaid: 'churned',
+    incomplete_expired: 'churned'
+};
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const generateToken = () => crypto.randomBytes(24).toString('base64url');
+
+const confirmUrl = (token) => `${process.env.FRONTEND_URL}/newsletter/confirm?token=${encodeURIComponent(token)}`;
+const unsubscribeUrl = (token) => `${process.env.FRONTEND_URL}/newsletter/unsubscribe?token=${encodeURIComponent(token)}`;
+
+/**
+ * Whether an event may move a contact from one stage to another on its own: only forward
+ * through the pipeline, and from churned back to trial or paying when a customer returns.
+ * Admins are not bound by this.
+ */
+const canAdvance = (from, to) => {
+    if (from === to) return false;
+    if (from === 'churned') return to === 'trial' || to === 'paying';
+    return STAGES.indexOf(to) > STAGES.indexOf(from);
+};
+
+const unionTags = (current = [], added = []) => [...new Set([...(current || []), ...added])].sort();
+
+const SECRET_COLUMNS = ['opt_in_token', 'unsubscribe_token'];
+
+/** A contact as any API response may show it: without the tokens of the e-mailed links */
+const publicContact = (contact) => contact && Object.fromEntries(Object.entries(contact).filter(([column]) => !SECRET_COLUMNS.includes(column)));
+
+/** The contact with this e-mail address on the pipeline (ownerId null) or a user's own list, or null */
+const findByEmail = async (email, ownerId = null) => {
+    const query = supabase.from('crm_contacts').select('*').eq('email', normalizeEmail(email));
+    const { data, error } = await (ownerId ? query.eq('owner_id', ownerId) : query.is('owner_id', null)).maybeSingle();
+    if (error) throw error;
+    return data;
+};
+
+/** Adds an entry to a contact's timeline. Returns the activity row. */
+const logActivity = async (contactId, type, { summary = null, data = {}, actorId = null } = {}) => {
+    const now = new Date().toISOString();
+    const { data: activity, error } = await supabase
+        .from('crm_activities')
+        .insert({ contact_id: contactId, type, summary, data, actor_id: actorId, created_at: now })
+        .select()
+        .single();
+    if (error) throw error;
+
+    await supabase.from('crm_contacts').update({ last_activity_at: now }).eq('id', contactId);
+    return activity;
+};
+
+/**
+ * Creates the contact for an address, or merges into the existing one: blank fields are filled,
+ * tags are added, nothing is overwritten. The submission is logged as `activity`
+ * (its notes as the summary). Returns { contact, created }.
+ * userId links the contact to its own account: only pass it for the account holder (signup,
+ * subscriptions). ownerId (contact form) captures into that user's own list instead of the pipeline.
+ */
+const capture = async ({ email, name, source, notes, userId, ownerId, tags = [], stage }, { activity = 'form', actorId = null } = {}) => {
+    const address = normalizeEmail(email);
+    let contact = await findByEmail(address, ownerId);
+    let created = false;
+
+    if (!contact) {
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('crm_contacts')
+            .insert({
+                email: address,
+                name: name || null,
+                source: source || null,
+                notes: notes || null,
+                user_id: userId || null,
+                owner_id: ownerId || null,
+                stage: stage || 'lead',
+                tags: unionTags([], tags),
+                opt_in_status: 'none',
+                created_at: now,
+                updated_at: now,
+                last_activity_at: now
+            })
+            .select()
+            .single();
+
+        // Lost a race with another submission for the same address: merge into theirs
+        if (error?.code === '23505') return capture({ email, name, source, notes, userId, ownerId, tags, stage }, { activity, actorId });
+        if (error) throw error;
+        contact = data;
+        created = true;
+    } else {
+        const updates = {};
+        if (!contact.name && name) updates.name = name;
+        if (!contact.source && source) updates.source = source;
+        if (!contact.user_id && userId) updates.user_id = userId;
+        const mergedTags = unionTags(contact.tags, tags);
+        if (mergedTags.length !== (contact.tags || []).length) updates.tags = mergedTags;
+
+        if (Object.keys(updates).length > 0) {
+            const { data, error } = await supabase
+                .from('crm_contacts')
+                .update({ ...updates, updated_at: new Date().toISOString() })
+                .eq('id', contact.id)
+                .select()
+                .single();
+            if (error) throw error;
+            contact = data;
+        }
+    }
+
+    await logActivity(contact.id, created && activity === 'form' ? 'created' : activity, {
+        summary: notes || null,
+        data: { source: source || null },
+        actorId
+    });
+    return { contact, created };
+};
+
+/**
+ * Moves a contact to a stage and logs it. Returns the updated contact (unchanged when it
+ * already was in that stage).
+ */
+const setStage = async (contact, stage, { reason = 'manual', actorId = null, data = {} } = {}) => {
+    if (contact.stage === stage) return contact;
+
+    const { data: updated, error } = await supabase
+        .from('crm_contacts')
+        .update({ stage, updated_at: new Date().toISOString() })
+        .eq('id', contact.id)
+        .select()
+        .single();
+    if (error) throw error;
+
+    await logActivity(contact.id, 'stage_changed', {
+        summary: `${contact.stage} → ${stage}`,
+        data: { from: contact.stage, to: stage, reason, ...data },
+        actorId
+    });
+    return updated;
+};
+
+/** Signup (/api/auth/signup): links the account to its contact, creating it if needed */
+const recordSignup = async ({ userId, email, name }) => {
+    const { contact } = await capture({ email, name, userId, source: 'signup' }, { activity: 'signup' });
+    return contact;
+};
+
+/**
+ * Subscription webhooks: moves the contact of the user's address along the pipeline
+ * (SUBSCRIPTION_STAGES). Replays and repeated statuses change nothing.
+ */
+const recordSubscription = async ({ userId, email, status, subscriptionId }) => {
+    const stage = SUBSCRIPTION_STAGES[status];
+    if (!stage || !email) return null;
+
+    let contact = await findByEmail(email);
+    if (!contact) ({ contact } = await capture({ email, userId, source: 'signup' }, { activity: 'signup' }));
+
+    if (!canAdvance(contact.stage, stage)) return contact;
+    return setStage(contact, stage, { reason: 'subscription', data: { status, subscription_id: subscriptionId } });
+};
+
+/**
+ * Double opt-in: e-mails a confirmation link, unless the address already confirmed or was sent
+ * one within the hour. Returns the contact's opt-in status.
+ */
+const requestOptIn = async (contact) => {
+    if (contact.opt_in_status === 'confirmed') return 'confirmed';
+    if (contact.opt_in_status === 'pending' && contact.opt_in_sent_at
+        && Date.now() - new Date(contact.opt_in_sent_at).getTime() < OPT_IN_RESEND_AFTER_MS) {
+        return 'pending';
+    }
+
+    const token = generateToken();
+    const unsubscribeToken = contact.unsubscribe_token || generateToken();
+    const { error } = await supabase
+        .from('crm_contacts')
+        .update({
+            opt_in_status: 'pending',
+            opt_in_token: token,
+            opt_in_sent_at: new Date().toISOString(),
+            unsubscribe_token: unsubscribeToken,
+            unsubscribed_at: null,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', contact.id);
+    if (error) throw error;
+
+    await emailOutbox.queue({
+        userId: contact.user_id,
+        to: contact.email,
+        template: 'newsletter_confirm',
+        data: { confirmUrl: confirmUrl(token), unsubscribeUrl: unsubscribeUrl(unsubscribeToken) },
+        dedupeKey: `newsletter_confirm:${token}`
+    });
+    await logActivity(contact.id, 'opt_in_requested');
+    return 'pending';
+};
+
+/**
+ * The confirmation link. Returns 'confirmed' (also when clicked again), 'expired' or 'not_found'.
+ */
+const confirmOptIn = async (token, now = new Date()) => {
+    const { data: contact, error } = await supabase.from('crm_contacts').select('*').eq('opt_in_token', token).maybeSingle();
+    if (error) throw error;
+    if (!contact) return 'not_found';
+    if (contact.opt_in_status === 'confirmed') return 'confirmed';
+
+    const expiresAt = new Date(contact.opt_in_sent_at).getTime() + OPT_IN_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+    if (contact.opt_in_status !== 'pending' || expiresAt <= now.getTime()) return 'expired';
+
+    const { error: updateError } = await supabase
+        .from('crm_contacts')
+        .update({ opt_in_status: 'confirmed', confirmed_at: now.toISOString(), updated_at: now.toISOString() })
+        .eq('id', contact.id);
+    if (updateError) throw updateError;
+
+    await logActivity(contact.id, 'opt_in_confirmed');
+    return 'confirmed';
+};
+
+/** The unsubscribe link. Returns 'unsubscribed' (also when clicked again) or 'not_found'. */
+const unsubscribe = async (token) => {
+    const { data: contact, error } = await supabase.from('crm_contacts').select('*').eq('unsubscribe_token', token).maybeSingle();
+    if (error) throw error;
+    if (!contact) return 'not_found';
+    if (contact.opt_in_status === 'unsubscribed') return 'unsubscribed';
+
+    const now = new Date().toISOString();
+    const { error: updateError } = await supabase
+        .from('crm_contacts')
+        .update({ opt_in_status: 'unsubscribed', opt_in_token: null, unsubscribed_at: now, updated_at: now })
+        .eq('id', contact.id);
+    if (updateError) throw updateError;
+
+    await logActivity(contact.id, 'unsubscribed');
+    return 'unsubscribed';
+};
+
+/** Merges a duplicate into a contact (merge_crm_contacts). Returns the merged contact, or null if either is gone. */
+const merge = async (targetId, sourceId, actorId = null) => {
+    const { data, error } = await supabase.rpc('merge_crm_contacts', {
+        p_target_id: targetId,
+        p_source_id: sourceId,
+        p_actor_id: actorId
+    });
+    if (error) throw error;
+    return (Array.isArray(data) ? data[0] : data) || null;
+};
+
+// Export columns; import reads the same headers
+const CSV_COLUMNS = [
+    { header: 'email', value: row => row.email },
+    { header: 'name', value: row => row.name },
+    { header: 'stage', value: row => row.stage },
+    { header: 'tags', value: row => (row.tags || []).join('; ') },
+    { header: 'source', value: row => row.source },
+    { header: 'notes', value: row => row.notes },
+    { header: 'newsletter', value: row => row.opt_in_status },
+    { header: 'created_at', value: row => row.created_at },
+    { header: 'last_activity_at', value: row => row.last_activity_at }
+];
+
+/**
+ * Reads an import file: CSV with a header line, email required; name, stage, tags (separated
+ * by ; or |), source and notes optional. Returns { error } for an unusable file, else
+ * { rows, skipped: [{ line, reason }] }.
+ */
+const parseImport = (text) => {
+    const [header = [], ...records] = parseCsv(text);
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('email')) return { error: 'The CSV needs an "email" column' };
+    if (records.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows per import` };
+
+    const column = (record, name) => {
+        const index = columns.indexOf(name);
+        return index === -1 ? '' : (record[index] || '').trim();
+    };
+
+    const rows = [];
+    const skipped = [];
+    records.forEach((record, index) => {
+        const line = index + 2;
+        const email = column(record, 'email');
+        const stage = column(record, 'stage').toLowerCase();
+
+        if (!EMAIL_PATTERN.test(email)) {
+            skipped.push({ line, reason: email ? `Invalid e-mail: ${email}` : 'Missing e-mail' });
+        } else if (stage && !STAGES.includes(stage)) {
+            skipped.push({ line, reason: `Unknown stage: ${stage}` });
+        } else {
+            rows.push({
+                line,
+                email,
+                name: column(record, 'name') || undefined,
+                stage: stage || undefined,
+                tags: column(record, 'tags').split(/[;|]/).map(tag => tag.trim().toLowerCase()).filter(Boolean),
+                source: column(record, 'source') || 'import',
+                notes: column(record, 'notes') || undefined
+            });
+        }
+    });
+    return { rows, skipped };
+};
+
+/**
+ * Imports parsed rows into the pipeline, a batch of addresses at a time (a handful of queries per
+ * batch, not per row). Known addresses are merged like any other capture (a stage given for them
+ * is applied like an admin edit), rows repeating an address are combined, and an import never
+ * subscribes anyone to the newsletter. Returns { created, updated }.
+ */
+const importContacts = async (rows, { actorId = null, tags = [] } = {}) => {
+    const byEmail = new Map();
+    for (const { line, ...row } of rows) {
+        const email = normalizeEmail(row.email);
+        const earlier = byEmail.get(email);
+        byEmail.set(email, earlier
+            ? { ...earlier, name: earlier.name || row.name, notes: earlier.notes || row.notes, stage: row.stage || earlier.stage, tags: [...earlier.tags, ...row.tags] }
+            : { ...row, email, tags: [...row.tags, ...tags] });
+    }
+
+    const entries = [...byEmail.values()];
+    const result = { created: 0, updated: 0 };
+    for (let start = 0; start < entries.length; start += IMPORT_BATCH_SIZE) {
+        const batch = await importBatch(entries.slice(start, start + IMPORT_BATCH_SIZE), actorId);
+        result.created += batch.created;
+        result.updated += batch.updated;
+    }
+    return result;
+};
+
+const importBatch = async (rows, actorId) => {
+    const now = new Date().toISOString();
+    const { data: existing, error } = await supabase
+        .from('crm_contacts')
+        .select('*')
+        .is('owner_id', null)
+        .in('email', rows.map(row => row.email));
+    if (error) throw error;
+    const known = new Map((existing || []).map(contact => [contact.email, contact]));
+
+    let created = [];
+    const newRows = rows.filter(row => !known.has(row.email));
+    if (newRows.length > 0) {
+        const { data, error: insertError } = await supabase
+            .from('crm_contacts')
+            .insert(newRows.map(row => ({
+                email: row.email,
+                name: row.name || null,
+                source: row.source || null,
+                notes: row.notes || null,
+                stage: row.stage || 'lead',
+                tags: unionTags([], row.tags),
+                opt_in_status: 'none',
+                created_at: now,
+                updated_at: now,
+                last_activity_at: now
+            })))
+            .select();
+
+        // Another write added one of these addresses meanwhile: this batch goes through capture instead
+        if (insertError?.code === '23505') return importOneByOne(rows, actorId);
+        if (insertError) throw insertError;
+        created = data;
+    }
+
+    // Known contacts: blank fields filled, tags added, the file's stage applied
+    const merged = rows.filter(row => known.has(row.email)).map(row => {
+        const contact = known.get(row.email);
+        return {
+            contact,
+            row,
+            update: {
+                id: contact.id,
+                email: contact.email,
+                name: contact.name || row.name || null,
+                source: contact.source || row.source || null,
+                stage: row.stage || contact.stage,
+                tags: unionTags(contact.tags, row.tags),
+                updated_at: now,
+                last_activity_at: now
+            }
+        };
+    });
+    if (merged.length > 0) {
+        const { error: upsertError } = await supabase.from('crm_contacts').upsert(merged.map(({ update }) => update), { onConflict: 'id' });
+        if (upsertError) throw upsertError;
+    }
+
+    const rowsByEmail = new Map(rows.map(row => [row.email, row]));
+    const imported = (contactId, row) => ({
+        contact_id: contactId, type: 'imported', summary: row.notes || null, data: { source: row.source || null }, actor_id: actorId, created_at: now
+    });
+    const activities = [
+        ...created.map(contact => imported(contact.id, rowsByEmail.get(contact.email))),
+        ...merged.flatMap(({ contact, row, update }) => [
+            imported(contact.id, row),
+            ...(update.stage !== contact.stage ? [{
+                contact_id: contact.id,
+                type: 'stage_changed',
+                summary: `${contact.stage} → ${update.stage}`,
+                data: { from: contact.stage, to: update.stage, reason: 'import' },
+                actor_id: actorId,
+                created_at: now
+            }] : [])
+        ])
+    ];
+    const { error: activityError } = await supabase.from('crm_activities').insert(activities);
+    if (activityError) throw activityError;
+
+    return { created: created.length, updated: merged.length };
+};
+
+const importOneByOne = async (rows, actorId) => {
+    const result = { created: 0, updated: 0 };
+    for (const row of rows) {
+        const { contact, created } = await capture(row, { activity: 'imported', actorId });
+        if (!created && row.stage) await setStage(contact, row.stage, { reason: 'import', actorId });
+        result[created ? 'created' : 'updated']++;
+    }
+    return result;
+};
+
+module.exports = {
+    STAGES,
+    OPT_IN_STATUSES,
+    SUBSCRIPTION_STAGES,
+    OPT_IN_EXPIRY_DAYS,
+    CSV_COLUMNS,
+    normalizeEmail,
+    canAdvance,
+    publicContact,
+    findByEmail,
+    logActivity,
+    capture,
+    setStage,
+    recordSignup,
+    recordSubscription,
+    requestOptIn,
+    confirmOptIn,
+    unsubscribe,
+    merge,
+    parseImport,
+    importContacts
+};
@@ -0,0 +1,77 @@
+/**
+ * CSV
+ * RFC 4180 output for admin exports (opens in Excel / Google Sheets), and the matching parser for imports.
+ * Cells starting with = + - @ are prefixed with ' so spreadsheets don't run user text as a formula.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value)
+            : String(value);
+
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * columns: [{ header, value: (row) => any }]
+ * Returns the CSV text, header line first, CRLF line endings.
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.map(column => formatCell(column.header))];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatCell(column.value(row))));
+    }
+    return lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted cells, "" escapes, CRLF or LF line endings, optional BOM).
+ * Returns the records as arrays of strings; blank lines are skipped.
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+
+    const input = String(text).replace(/^\uFEFF/, '');
+    const endRecord = () => {
+        record.push(cell);
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || record.length > 0) endRecord();
+    return records;
+}
+
+module.exports = { toCsv, formatCell, parseCsv };
@@ -1,13 +1,14 @@
 const nodemailer = require('nodemailer');
+const logger = require('./logger');
 
 const port = parseInt(process.env.SMTP_PORT || '587');
 const secure = port === 465; // true for 465, false for 587/25
 
-console.log('[SMTP Config] Initializing transport with:', {
+logger.debug('Initializing SMTP transport', {
     host: process.env.SMTP_HOST,
     port,
     secure,
-    user: process.env.SMTP_USER ? '***' : 'missing'
+    user: process.env.SMTP_USER ? 'set' : 'missing'
 });
 
 const transporter = nodemailer.createTransport({
@@ -0,0 +1,216 @@
+const supabase = require('./supabase');
+const transporter = require('./email');
+const { escapeHtml } = require('./html');
+const logger = require('./logger');
+
+/**
+ * EmailOutbox
+ * User-facing e-mails queued by the Stripe webhook handlers and the newsletter sign-up
+ * (email_outbox, create_stripe_events.sql).
+ * Queuing happens inside event processing, sending happens afterwards with retries, so an SMTP
+ * outage never fails a webhook and a replayed event never e-mails twice (dedupe_key).
+ *
+ * runOnce() sends what is due: on an interval on long-lived servers (start), from Vercel Cron on
+ * serverless deployments (GET /api/cron), after a newsletter sign-up and an admin replay, and from
+ * POST /api/admin/email-outbox/run.
+ */
+
+const CHECK_INTERVAL = 60 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 6;
+const SEND_LEASE_MS = 5 * 60 * 1000; // A claimed row is due again after this if the sender dies
+const retryDelay = (attempts) => Math.min(2 ** attempts, 60) * 60 * 1000; // 2, 4, 8 ... 60 minutes
+
+// Stripe amounts are in the smallest unit, except for zero-decimal currencies
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+const formatAmount = (amount, currency = 'usd') => {
+    const code = String(currency).toLowerCase();
+    const value = ZERO_DECIMAL_CURRENCIES.includes(code) ? amount : amount / 100;
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: code.toUpperCase() }).format(value);
+    } catch {
+        return `${value} ${code.toUpperCase()}`;
+    }
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+const button = (href, label) =>
+    `<a href="${escapeHtml(href)}" style="display: inline-block; padding: 10px 20px; background-color: #0ea5e9; color: white; text-decoration: none; border-radius: 5px;">${label}</a>`;
+
+const SUBSCRIPTION_FOOTER = 'You receive this e-mail because you have an MDnexa subscription.';
+
+const layout = (title, body, footer = SUBSCRIPTION_FOOTER) => `
+    <div style="font-family: sans-serif; padding: 20px;">
+        <h2>${title}</h2>
+        ${body}
+        <p style="margin-top: 20px; font-size: 12px; color: #666;">${footer}</p>
+    </div>
+`;
+
+// template -> data -> { subject, html }. Data is stored with the row, so fixes apply to queued mail too.
+const TEMPLATES = {
+    payment_failed: ({ amount, currency, invoiceUrl, nextAttemptAt }) => ({
+        subject: 'Your MDnexa payment failed',
+        html: layout('We couldn\'t process your payment', `
+            <p>The payment of ${escapeHtml(formatAmount(amount, currency))} for your MDnexa subscription was declined.</p>
+            <p>${nextAttemptAt ? `We will try again on ${escapeHtml(formatDate(nextAttemptAt))}. ` : ''}Please update your payment method to keep your access.</p>
+            ${button(invoiceUrl || `${process.env.FRONTEND_URL}/pricing`, 'Update payment')}
+        `)
+    }),
+    payment_recovered: ({ amount, currency }) => ({
+        subject: 'Your MDnexa payment went through',
+        html: layout('Payment received', `
+            <p>Thanks! The payment of ${escapeHtml(formatAmount(amount, currency))} went through and your subscription is active again.</p>
+        `)
+    }),
+    trial_will_end: ({ trialEnd }) => ({
+        subject: 'Your MDnexa trial ends soon',
+        html: layout('Your trial ends soon', `
+            <p>Your MDnexa trial ends on ${escapeHtml(formatDate(trialEnd))}. Your subscription continues automatically unless you cancel it before then.</p>
+            ${button(`${process.env.FRONTEND_URL}/pricing`, 'Manage subscription')}
+        `)
+    }),
+    refund_issued: ({ amount, currency, full }) => ({
+        subject: 'Your MDnexa refund',
+        html: layout(full ? 'Your payment was refunded' : 'Part of your payment was refunded', `
+            <p>We refunded ${escapeHtml(formatAmount(amount, currency))} to your original payment method. It can take 5 to 10 business days to appear on your statement.</p>
+        `)
+    }),
+    // Double opt-in (utils/crm.js): nothing else is sent to a lead until they click
+    newsletter_confirm: ({ confirmUrl, unsubscribeUrl }) => ({
+        subject: 'Confirm your MDnexa newsletter subscription',
+        html: layout('Please confirm your subscription', `
+            <p>Thanks for your interest in MDnexa! Click below to confirm that you want to receive our newsletter and product updates.</p>
+            ${button(confirmUrl, 'Confirm subscription')}
+            <p style="margin-top: 20px;">If you didn't sign up, ignore this e-mail and you won't hear from us.</p>
+        `, `This address was entered on mdnexa.com. <a href="${escapeHtml(unsubscribeUrl)}" style="color: #666;">Unsubscribe</a>`)
+    })
+};
+
+class EmailOutbox {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    start(intervalMs = CHECK_INTERVAL) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), intervalMs);
+        this.timer.unref(); // Never keeps the process alive on its own
+        logger.info('Sending queued e-mails on an interval', { intervalSeconds: intervalMs / 1000 });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queues an e-mail. A row with the same dedupeKey is left as it is, so handlers can queue
+     * unconditionally and replays don't send the notice again. Throws on database errors,
+     * which fails (and later retries) the event being processed.
+     */
+    async queue({ userId = null, to, template, data = {}, dedupeKey = null }) {
+        if (!TEMPLATES[template]) throw new Error(`Unknown e-mail template: ${template}`);
+        if (!to) {
+            logger.warn('E-mail has no recipient, not queued', { template, userId });
+            return;
+        }
+
+        const { error } = await supabase
+            .from('email_outbox')
+            .upsert({
+                user_id: userId,
+                to_email: to,
+                template,
+                data,
+                dedupe_key: dedupeKey,
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: new Date().toISOString()
+            }, { onConflict: 'dedupe_key', ignoreDuplicates: true });
+        if (error) throw error;
+    }
+
+    /**
+     * Sends due e-mails. Returns { sent, failed } (failed = attempts that will be retried or gave up).
+     * Overlapping runs are skipped; across instances each row is claimed by bumping its attempt
+     * count, so only one instance sends it.
+     */
+    async runOnce(now = new Date()) {
+        const result = { sent: 0, failed: 0 };
+        if (this.running) return result;
+        this.running = true;
+
+        try {
+            const { data: due, error } = await supabase
+                .from('email_outbox')
+                .select('*')
+                .eq('status', 'pending')
+                .lte('next_attempt_at', now.toISOString())
+                .order('next_attempt_at', { ascending: true })
+                .limit(BATCH_SIZE);
+            if (error) throw error;
+
+            for (const row of due || []) {
+                const outcome = await this._send(row, now);
+                if (outcome) result[outcome]++;
+            }
+        } catch (error) {
+            logger.error('Failed to load queued e-mails', { error });
+        } finally {
+            this.running = false;
+        }
+        return result;
+    }
+
+    // Returns 'sent' or 'failed', or null when another instance claimed the row first
+    async _send(row, now) {
+        const attempts = (row.attempts || 0) + 1;
+        const { data: claimed } = await supabase
+            .from('email_outbox')
+            .update({ attempts, next_attempt_at: new Date(now.getTime() + SEND_LEASE_MS).toISOString() })
+            .eq('id', row.id)
+            .eq('attempts', row.attempts || 0)
+            .select('id');
+        if (!claimed?.length) return null;
+
+        try {
+            const render = TEMPLATES[row.template];
+            if (!render) throw new Error(`Unknown e-mail template: ${row.template}`);
+            const { subject, html } = render(row.data || {});
+
+            await transporter.sendMail({
+                from: process.env.MAIL_FROM || '"MDnexa Support" <noreply@mdnexa.com>',
+                to: row.to_email,
+                subject,
+                html
+            });
+
+            await supabase
+                .from('email_outbox')
+                .update({ status: 'sent', sent_at: new Date().toISOString(), last_error: null })
+                .eq('id', row.id);
+            return 'sent';
+        } catch (error) {
+            const gaveUp = attempts >= MAX_ATTEMPTS;
+            logger.error('Failed to send queued e-mail', { outboxId: row.id, template: row.template, userId: row.user_id, attempts, gaveUp, error });
+            await supabase
+                .from('email_outbox')
+                .update({
+                    status: gaveUp ? 'failed' : 'pending',
+                    last_error: String(error.message).slice(0, 2000),
+                    next_attempt_at: new Date(now.getTime() + retryDelay(attempts)).toISOString()
+                })
+                .eq('id', row.id);
+            return 'failed';
+        }
+    }
+}
+
+module.exports = new EmailOutbox();
+module.exports.EmailOutbox = EmailOutbox;
+module.exports.TEMPLATES = TEMPLATES;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
@@ -1,4 +1,12 @@
 const supabase = require('./supabase');
+const { featureFlagEnabled, onCollect } = require('./metrics');
+const logger = require('./logger');
+
+// Recovery probes of auto-disabled features back off exponentially: 1 min (the breakers' cooldown), 2, 4 ... capped at 30 min
+const RECOVERY_BASE_DELAY = 60 * 1000;
+const RECOVERY_MAX_DELAY = 30 * 60 * 1000;
+
+const recoveryDelay = (attempts) => Math.min(RECOVERY_BASE_DELAY * 2 ** attempts, RECOVERY_MAX_DELAY);
 
 /**
  * FeatureFlags Utility
@@ -9,6 +17,7 @@ class FeatureFlags {
         this.cache = {}; // Simple in-memory cache to avoid DB hits on every request
         this.cacheTTL = 30000; // 30 seconds
         this.lastFetch = 0;
+        this.recoveryHandler = null; // Runs due recovery probes, see onRecoveryDue()
     }
 
     async _refreshCache() {
@@ -23,53 +32,155 @@ class FeatureFlags {
             this.cache = {};
             data.forEach(flag => {
                 this.cache[flag.feature_name] = flag;
+                featureFlagEnabled.set({ feature: flag.feature_name }, flag.is_enabled ? 1 : 0);
             });
             this.lastFetch = Date.now();
-            console.log("Refreshed feature flags cache.");
+            logger.debug('Refreshed feature flags cache');
         } catch (error) {
-            console.error("Failed to refresh feature flags:", error.message);
+            logger.error('Failed to refresh feature flags', { error });
             // Don't blow up, just use stale or default
         }
     }
 
     async isEnabled(featureName) {
         await this._refreshCache();
-        const flag = this.cache[featureName];
+        let flag = this.cache[featureName];
+
+        // An auto-disabled feature whose probe is due is probed by the request asking for it, so
+        // recovery also happens where no scheduler runs (serverless). The probe decides the answer.
+        if (flag && !flag.is_enabled && flag.auto_reenable_at && new Date(flag.auto_reenable_at) <= new Date() && this.recoveryHandler) {
+            await this.recoveryHandler();
+            await this._refreshCache();
+            flag = this.cache[featureName];
+        }
+
         // Default to true if flag missing (fail open)
         return flag ? flag.is_enabled : true;
     }
 
-    async disableFeature(featureName, reason) {
-        console.warn(`[FeatureFlags] Auto-disabling feature: ${featureName} Reason: ${reason}`);
+    // Registered by utils/featureRecovery.js (it depends on this module, not the other way round)
+    onRecoveryDue(handler) {
+        this.recoveryHandler = handler;
+    }
+
+    // All flags, read straight from the DB (admin ops console)
+    async listFlags() {
+        const { data, error } = await supabase.from('feature_flags').select('*').order('feature_name', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Turns a feature off. With autoRecover (circuit breaker trips) the recovery scheduler
+     * (utils/featureRecovery.js) probes it once the first backoff has passed; flags disabled
+     * by an admin stay off until someone re-enables them.
+     */
+    async disableFeature(featureName, reason, { actor = 'system', autoRecover = false } = {}) {
+        logger.warn('Disabling feature', { feature: featureName, reason, actor });
+
+        const nextProbeAt = autoRecover ? new Date(Date.now() + recoveryDelay(0)).toISOString() : null;
 
         // Update DB
         const { error } = await supabase.from('feature_flags')
             .update({
                 is_enabled: false,
-                last_disabled_at: new Date(),
-                disabled_reason: reason
+                last_disabled_at: new Date().toISOString(),
+                disabled_reason: reason,
+                auto_reenable_at: nextProbeAt,
+                recovery_attempts: 0,
+                updated_at: new Date().toISOString()
             })
             .eq('feature_name', featureName);
 
-        if (error) console.error("Failed to update feature flag in DB:", error);
+        if (error) logger.error('Failed to disable feature flag', { feature: featureName, error });
+        else {
+            featureFlagEnabled.set({ feature: featureName }, 0);
+            await this._recordHistory(featureName, 'disabled', { reason, actor, nextProbeAt });
+        }
 
         // Invalidate cache
         this.lastFetch = 0;
+        return !error;
     }
 
-    async enableFeature(featureName) {
-        console.log(`[FeatureFlags] Re-enabling feature: ${featureName}`);
+    async enableFeature(featureName, { actor = 'system', reason = null } = {}) {
+        logger.info('Re-enabling feature', { feature: featureName, actor });
 
         const { error } = await supabase.from('feature_flags')
             .update({
                 is_enabled: true,
-                disabled_reason: null
+                disabled_reason: null,
+                auto_reenable_at: null,
+                recovery_attempts: 0,
+                updated_at: new Date().toISOString()
             })
             .eq('feature_name', featureName);
 
-        if (error) console.error("Failed to enable feature flag:", error);
+        if (error) logger.error('Failed to enable feature flag', { feature: featureName, error });
+        else {
+            featureFlagEnabled.set({ feature: featureName }, 1);
+            await this._recordHistory(featureName, 'enabled', { reason, actor });
+        }
+
         this.lastFetch = 0;
+        return !error;
+    }
+
+    // Auto-disabled flags whose next recovery probe is due
+    async dueForRecovery(now = new Date()) {
+        const { data, error } = await supabase.from('feature_flags')
+            .select('*')
+            .eq('is_enabled', false)
+            .lte('auto_reenable_at', now.toISOString());
+
+        if (error) throw error;
+        return (data || []).filter(flag => flag.auto_reenable_at);
+    }
+
+    // A failed recovery probe pushes the next one back (exponential backoff)
+    async recordProbeFailure(flag, reason) {
+        const attempts = (flag.recovery_attempts || 0) + 1;
+        const nextProbeAt = new Date(Date.now() + recoveryDelay(attempts)).toISOString();
+
+        const { error } = await supabase.from('feature_flags')
+            .update({ auto_reenable_at: nextProbeAt, recovery_attempts: attempts, updated_at: new Date().toISOString() })
+            .eq('feature_name', flag.feature_name);
+
+        if (error) logger.error('Failed to reschedule feature recovery', { feature: flag.feature_name, error });
+        else await this._recordHistory(flag.feature_name, 'probe_failed', { reason, actor: 'recovery', nextProbeAt });
+
+        this.lastFetch = 0; // isEnabled() must see the new probe time, not the due one
+        return nextProbeAt;
+    }
+
+    // Flag transitions (feature_flag_history), newest first: the outage timeline
+    async history({ featureName, limit = 50 } = {}) {
+        let query = supabase.from('feature_flag_history').select('*');
+        if (featureName) query = query.eq('feature_name', featureName);
+
+        const { data, error } = await query.order('created_at', { ascending: false }).limit(limit);
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Logged on failure, never blocks the state change itself
+    async _recordHistory(featureName, event, { reason = null, actor = 'system', nextProbeAt = null } = {}) {
+        const { error } = await supabase.from('feature_flag_history').insert({
+            feature_name: featureName,
+            event,
+            reason,
+            actor,
+            next_probe_at: nextProbeAt,
+            created_at: new Date().toISOString()
+        });
+        if (error) logger.error('Failed to record feature flag history', { feature: featureName, event, error });
     }
 }
 
-module.exports = new FeatureFlags();
+const featureFlags = new FeatureFlags();
+
+// Scrapes report flag state at most cacheTTL old
+onCollect(() => featureFlags._refreshCache());
+
+module.exports = featureFlags;
+module.exports.recoveryDelay = recoveryDelay;
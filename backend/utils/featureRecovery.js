@@ -0,0 +1,81 @@
+const featureFlags = require('./featureFlags');
+const robustGemini = require('./robustGemini');
+const logger = require('./logger');
+
+/**
+ * FeatureRecovery
+ * Brings auto-disabled features back after an outage. A tripped circuit breaker turns its
+ * feature flag off (robustGemini -> featureFlags.disableFeature with autoRecover) and schedules
+ * a probe; due probes re-enable the flag on success and back off exponentially on failure.
+ * Every transition lands in feature_flag_history.
+ *
+ * Probes run from featureFlags.isEnabled() as soon as a request asks for a due feature, which
+ * works on serverless deployments (Vercel). Long-lived servers also poll with start(), so a
+ * feature nobody asks for comes back too.
+ */
+
+// Feature flag -> cheap request proving the feature works again
+const PROBES = {
+    chat: () => robustGemini.probe('Chat'),
+    content: () => robustGemini.probe('Content')
+};
+
+const CHECK_INTERVAL = 30 * 1000;
+
+class FeatureRecovery {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    start(intervalMs = CHECK_INTERVAL) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), intervalMs);
+        this.timer.unref(); // Never keeps the process alive on its own
+        logger.info('Probing auto-disabled features on an interval', { intervalSeconds: intervalMs / 1000 });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Probes every flag whose backoff has passed. Returns [{ feature, recovered, nextProbeAt? }].
+     * Overlapping runs are skipped, so a slow probe can't pile up behind the interval.
+     */
+    async runOnce(now = new Date()) {
+        if (this.running) return [];
+        this.running = true;
+
+        const results = [];
+        try {
+            for (const flag of await featureFlags.dueForRecovery(now)) {
+                const probe = PROBES[flag.feature_name];
+                if (!probe) continue; // Only breaker-backed features are auto-disabled
+
+                try {
+                    await probe();
+                    await featureFlags.enableFeature(flag.feature_name, { actor: 'recovery', reason: 'Recovery probe succeeded' });
+                    logger.info('Feature recovered', { feature: flag.feature_name, probes: (flag.recovery_attempts || 0) + 1 });
+                    results.push({ feature: flag.feature_name, recovered: true });
+                } catch (error) {
+                    const nextProbeAt = await featureFlags.recordProbeFailure(flag, error.message);
+                    logger.warn('Feature still failing', { feature: flag.feature_name, nextProbeAt, error });
+                    results.push({ feature: flag.feature_name, recovered: false, nextProbeAt });
+                }
+            }
+        } catch (error) {
+            logger.error('Failed to check disabled features', { error });
+        } finally {
+            this.running = false;
+        }
+        return results;
+    }
+}
+
+const featureRecovery = new FeatureRecovery();
+featureFlags.onRecoveryDue(() => featureRecovery.runOnce());
+
+module.exports = featureRecovery;
+module.exports.FeatureRecovery = FeatureRecovery;
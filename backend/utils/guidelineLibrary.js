@@ -0,0 +1,175 @@
+const supabase = require('./supabase');
+const bm25 = require('./bm25');
+const { REGIONS_DATA, getRegionForCountry } = require('./regions');
+const logger = require('./logger');
+
+/**
+ * GuidelineLibrary
+ * Locally stored guideline corpus used to ground chat answers.
+ * - Documents are tagged with country/region/specialty/year and split into overlapping chunks.
+ * - Each chunk is scoped to its country, else its region, else 'International'.
+ * - Retrieval ranks the chunks of the user's country, region and 'International' with BM25,
+ *   preferring local over regional over international passages (same hierarchy as the prompt).
+ */
+
+const CHUNK_WORDS = 220;
+const CHUNK_OVERLAP = 40;
+
+const SCOPE_WEIGHTS = { country: 1.5, region: 1.2, international: 1.0 };
+
+class GuidelineLibrary {
+    constructor() {
+        this.cache = {}; // scopeKey -> { index, fetchedAt }
+        this.cacheTTL = 5 * 60 * 1000; // 5 minutes, invalidated on ingestion
+    }
+
+    // A document's scope: its country, else its region, else International
+    getScope({ country, region }) {
+        return country || region || 'International';
+    }
+
+    chunkText(content) {
+        const paragraphs = content
+            .replace(/\r\n/g, '\n')
+            .split(/\n\s*\n/)
+            .map(p => p.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+
+        const chunks = [];
+        let current = [];
+
+        const flush = () => {
+            if (current.length > 0) chunks.push(current.join(' '));
+            current = current.slice(-CHUNK_OVERLAP); // Overlap so passages don't lose context at the boundary
+        };
+
+        for (const paragraph of paragraphs) {
+            for (const word of paragraph.split(' ')) {
+                current.push(word);
+                if (current.length >= CHUNK_WORDS) flush();
+            }
+        }
+
+        // Last partial chunk (skip if it is only the overlap of the previous one)
+        if (current.length > (chunks.length > 0 ? CHUNK_OVERLAP : 0)) {
+            chunks.push(current.join(' '));
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Stores a document and its chunks. Returns the document row with chunk_count.
+     */
+    async ingest({ title, issuingBody, country, region, specialty, year, sourceUrl, content, createdBy }) {
+        const resolvedRegion = region || getRegionForCountry(country) || null;
+        const scope = this.getScope({ country, region: resolvedRegion });
+
+        const { data: document, error } = await supabase
+            .from('guideline_documents')
+            .insert({
+                title,
+                issuing_body: issuingBody || null,
+                country: country || null,
+                region: resolvedRegion,
+                specialty: specialty || null,
+                year: year || null,
+                source_url: sourceUrl || null,
+                created_by: createdBy || null
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const rows = this.chunkText(content).map((text, chunkIndex) => {
+            const tokens = bm25.tokenize(text);
+            return {
+                document_id: document.id,
+                chunk_index: chunkIndex,
+                content: text,
+                scope,
+                term_freqs: bm25.termFrequencies(tokens),
+                token_count: tokens.length
+            };
+        });
+
+        if (rows.length > 0) {
+            const { error: chunkError } = await supabase.from('guideline_chunks').insert(rows);
+            if (chunkError) {
+                // Don't leave a document without chunks behind
+                await supabase.from('guideline_documents').delete().eq('id', document.id);
+                throw chunkError;
+            }
+        }
+
+        this.invalidate();
+        logger.info('Guideline ingested', { documentId: document.id, scope, chunks: rows.length });
+
+        return { ...document, chunk_count: rows.length };
+    }
+
+    async remove(documentId) {
+        const { error } = await supabase.from('guideline_documents').delete().eq('id', documentId);
+        if (error) throw error;
+        this.invalidate();
+    }
+
+    invalidate() {
+        this.cache = {};
+    }
+
+    async _getIndex(scopes) {
+        const key = scopes.join('|');
+        const cached = this.cache[key];
+        if (cached && Date.now() - cached.fetchedAt < this.cacheTTL) {
+            return cached.index;
+        }
+
+        const { data, error } = await supabase
+            .from('guideline_chunks')
+            .select('id, document_id, chunk_index, content, scope, term_freqs, token_count, guideline_documents(id, title, issuing_body, country, region, specialty, year, source_url)')
+            .in('scope', scopes);
+
+        if (error) throw error;
+
+        const index = bm25.buildIndex((data || []).map(chunk => ({
+            ...chunk,
+            termFreqs: chunk.term_freqs,
+            length: chunk.token_count
+        })));
+
+        this.cache[key] = { index, fetchedAt: Date.now() };
+        return index;
+    }
+
+    /**
+     * Top passages for a question, limited to the user's country, its region and International.
+     * Returns [{ content, score, document }]. Fails soft (empty list) so chat keeps working.
+     */
+    async retrieve({ query, country, region, limit = 4 }) {
+        const localCountry = country && country !== 'International' ? country : null;
+        const localRegion = getRegionForCountry(localCountry) || (REGIONS_DATA[region] ? region : null);
+        const scopes = [localCountry, localRegion, 'International'].filter(Boolean);
+
+        try {
+            const index = await this._getIndex(scopes);
+
+            // Over-fetch, then re-rank with the local > regional > international preference
+            return bm25.search(index, query, limit * 3)
+                .map(({ doc, score }) => {
+                    const weight = doc.scope === localCountry
+                        ? SCOPE_WEIGHTS.country
+                        : doc.scope === localRegion ? SCOPE_WEIGHTS.region : SCOPE_WEIGHTS.international;
+                    return { content: doc.content, score: score * weight, document: doc.guideline_documents };
+                })
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit);
+        } catch (error) {
+            logger.error('Guideline retrieval failed, answering without the library', { error });
+            return [];
+        }
+    }
+}
+
+module.exports = new GuidelineLibrary();
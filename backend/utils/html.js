@@ -0,0 +1,8 @@
+// Escapes text interpolated into HTML e-mails (element content and double-quoted attributes)
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+module.exports = { escapeHtml };
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+/**
+ * Logger
+ * Structured logging: one JSON object per line (LOG_FORMAT=pretty for local reading),
+ * levels (LOG_LEVEL: debug | info | warn | error | silent, default info), child loggers
+ * carrying bindings such as the request ID, and redaction of anything sensitive:
+ * - credentials (authorization, token, password, secret, api key, cookie, signature fields) are dropped
+ * - clinical text (message, content, question, answer, history, prompt ... fields) is reduced to its length
+ * - emails, bearer tokens and JWTs inside any string are masked
+ * Output goes through console, so the test harness can silence it.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const SECRET_KEY = /authorization|token(?!s)|password|secret|api_?key|cookie|signature/i;
+const BODY_KEY = /^(message|content|text|question|answer|comment|prompt|history|contents|systemInstruction|body|summary)$/i;
+const MAX_DEPTH = 5;
+
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const BEARER = /Bearer\s+[A-Za-z0-9._~+/=-]+/gi;
+const JWT = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+
+function redactString(value) {
+    return value
+        .replace(BEARER, 'Bearer [REDACTED]')
+        .replace(JWT, '[REDACTED_JWT]')
+        .replace(EMAIL, '$1***@$2');
+}
+
+function serializeError(error, depth) {
+    return {
+        name: error.name,
+        message: redactString(error.message || ''),
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.status !== undefined && { status: error.status }),
+        ...(error.stack && { stack: redactString(error.stack) }),
+        ...(error.cause && depth < MAX_DEPTH && { cause: redact(error.cause, depth + 1) })
+    };
+}
+
+function redact(value, depth = 0, key = '') {
+    if (key && SECRET_KEY.test(key)) return '[REDACTED]';
+    if (key && BODY_KEY.test(key) && value !== null && value !== undefined) {
+        if (typeof value === 'string') return `[REDACTED ${value.length} chars]`;
+        if (Array.isArray(value)) return `[REDACTED ${value.length} items]`;
+        return '[REDACTED]';
+    }
+
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) return serializeError(value, depth);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, depth + 1, k)]));
+}
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+function defaultWrite(level, entry) {
+    const line = process.env.LOG_FORMAT === 'pretty'
+        ? prettyLine(entry)
+        : JSON.stringify(entry);
+    console[CONSOLE_METHODS[level]](line);
+}
+
+function prettyLine({ time, level, msg, ...fields }) {
+    const rest = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest}`;
+}
+
+class Logger {
+    constructor({ level = process.env.LOG_LEVEL || 'info', bindings = {}, write = defaultWrite } = {}) {
+        this.level = LEVELS[level] !== undefined ? level : 'info';
+        this.bindings = bindings;
+        this.write = write;
+    }
+
+    // Same output and level, with extra fields on every entry (e.g. { requestId })
+    child(bindings) {
+        return new Logger({ level: this.level, bindings: { ...this.bindings, ...bindings }, write: this.write });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    /**
+     * log.info('Chat answered', { model }). An Error can be passed as the fields
+     * (log.error('Chat failed', error)) or under `error`.
+     */
+    _log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+        const extra = fields instanceof Error ? { error: fields } : fields;
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: redactString(String(msg)),
+            ...redact({ ...this.bindings, ...extra })
+        };
+        this.write(level, entry);
+    }
+
+    debug(msg, fields) { this._log('debug', msg, fields); }
+    info(msg, fields) { this._log('info', msg, fields); }
+    warn(msg, fields) { this._log('warn', msg, fields); }
+    error(msg, fields) { this._log('error', msg, fields); }
+}
+
+const logger = new Logger();
+
+// Incoming IDs (from a proxy or the frontend) are kept when they look safe to echo back
+const REQUEST_ID = /^[A-Za-z0-9._-]{8,64}$/;
+
+/**
+ * Express middleware: gives each request an ID (req.id, X-Request-Id response header) and a child
+ * logger (req.log), adds the ID to JSON error responses, and logs one line per completed request.
+ * Requests are identified by their route pattern, never the raw URL (paths can carry share tokens).
+ */
+function requestContext(baseLogger = logger) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = baseLogger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.requestId) {
+                return json({ ...body, requestId: req.id });
+            }
+            return json(body);
+        };
+
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            const status = res.statusCode;
+            const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+            req.log[level]('Request completed', {
+                method: req.method,
+                route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+                status,
+                durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+                ...(req.user?.id && { userId: req.user.id })
+            });
+        });
+
+        next();
+    };
+}
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.redact = redact;
+module.exports.requestContext = requestContext;
@@ -0,0 +1,43 @@
+/**
+ * Message Feedback
+ * Thumbs up/down and inaccuracy reports on answers (message_feedback table), and the admin review queue.
+ * Request bodies are validated by backend/schemas/feedback.js.
+ * Each entry snapshots the answer, its question, the model and the session's location, so reports stay
+ * reviewable after the answer is regenerated or the session deleted.
+ */
+
+const FEEDBACK_CATEGORIES = {
+    dosage: 'Wrong dosage',
+    outdated_guideline: 'Outdated guideline',
+    wrong_locale: "Wrong country's guideline",
+    hallucinated_source: 'Hallucinated source',
+    other: 'Other'
+};
+
+const FEEDBACK_STATUSES = /** @type {const} */ (['new', 'triaged', 'resolved', 'dismissed']);
+
+// Columns of GET /api/feedback/admin/export
+const EXPORT_COLUMNS = [
+    { header: 'Submitted', value: row => row.created_at },
+    { header: 'Kind', value: row => row.kind },
+    { header: 'Rating', value: row => row.rating },
+    { header: 'Category', value: row => (row.category ? FEEDBACK_CATEGORIES[row.category] : '') },
+    { header: 'Status', value: row => row.status },
+    { header: 'Comment', value: row => row.comment },
+    { header: 'Reporter', value: row => row.reporter_email },
+    { header: 'Model', value: row => row.model },
+    { header: 'Country', value: row => row.country },
+    { header: 'Region', value: row => row.region },
+    { header: 'Question', value: row => row.question },
+    { header: 'Answer', value: row => row.answer },
+    { header: 'Admin notes', value: row => row.admin_notes },
+    { header: 'Reviewed', value: row => row.reviewed_at },
+    { header: 'Message ID', value: row => row.message_id },
+    { header: 'Session ID', value: row => row.session_id }
+];
+
+module.exports = {
+    FEEDBACK_CATEGORIES,
+    FEEDBACK_STATUSES,
+    EXPORT_COLUMNS
+};
@@ -0,0 +1,78 @@
+/**
+ * Message Tree
+ * Messages of a session form a tree through chat_messages.parent_message_id:
+ * - a question's parent is the answer it follows (null for the first question)
+ * - an answer's parent is its question
+ * Regenerating an answer adds a sibling answer; editing a question adds a sibling question
+ * (with its own answer below it). chat_sessions.active_message_id is the leaf of the branch
+ * the user last looked at. Sessions stored before branching (no parent ids) read as one branch.
+ */
+
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+const parentOf = (message) => message.parent_message_id || null;
+
+const isLinear = (messages) => messages.every(message => !parentOf(message));
+
+// Messages sharing the same parent, oldest first (the versions the user can switch between)
+function siblingsOf(messages, message) {
+    return messages
+        .filter(other => parentOf(other) === parentOf(message) && other.role === message.role)
+        .sort(byCreatedAt);
+}
+
+// Follows the newest child down to a leaf
+function latestLeaf(messages, messageId) {
+    let current = messages.find(message => message.id === messageId);
+    if (!current) return null;
+
+    for (;;) {
+        const children = messages.filter(message => parentOf(message) === current.id).sort(byCreatedAt);
+        if (children.length === 0) return current;
+        current = children[children.length - 1];
+    }
+}
+
+// Root -> messageId, in order
+function pathTo(messages, messageId) {
+    if (isLinear(messages)) {
+        const ordered = [...messages].sort(byCreatedAt);
+        return ordered.slice(0, ordered.findIndex(message => message.id === messageId) + 1);
+    }
+
+    const byId = new Map(messages.map(message => [message.id, message]));
+    const path = [];
+    const seen = new Set();
+
+    let current = byId.get(messageId);
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        path.unshift(current);
+        current = byId.get(parentOf(current));
+    }
+    return path;
+}
+
+/**
+ * The branch shown for a session: the path to the active leaf (or to the newest message if the
+ * active one is gone), continued down to the newest leaf below it.
+ */
+function activeBranch(messages, activeMessageId) {
+    if (messages.length === 0) return [];
+    if (isLinear(messages)) return [...messages].sort(byCreatedAt);
+
+    const newest = [...messages].sort(byCreatedAt)[messages.length - 1];
+    const leaf = latestLeaf(messages, activeMessageId) || newest;
+    return pathTo(messages, leaf.id);
+}
+
+// Path messages with the ids of their sibling versions (sibling_ids, oldest first, includes itself)
+function describeBranch(messages, branch) {
+    const linear = isLinear(messages);
+    return branch.map(message => ({
+        ...message,
+        sibling_ids: linear ? [message.id] : siblingsOf(messages, message).map(sibling => sibling.id)
+    }));
+}
+
+module.exports = { siblingsOf, latestLeaf, pathTo, activeBranch, describeBranch };
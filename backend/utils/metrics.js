@@ -0,0 +1,219 @@
+const logger = require('./logger');
+
+/**
+ * Metrics
+ * In-process Prometheus registry (counters, gauges, histograms) rendered in the text
+ * exposition format by GET /api/metrics. Instrumented modules import the metric they
+ * update from here, so every metric name is declared in one place (bottom of this file).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map(); // name -> metric
+const collectors = []; // Run before each render, to refresh gauges that are read rather than pushed
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        if (registry.has(name)) throw new Error(`Metric ${name} is already registered`);
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+        registry.set(name, this);
+    }
+
+    // Only declared labels are kept, in declaration order; missing ones are exported as ""
+    _series(labels = {}, create) {
+        const picked = {};
+        for (const name of this.labelNames) picked[name] = labels[name] ?? '';
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) this.series.set(key, create(picked));
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    _header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, value = 1) {
+        this._series(labels, picked => ({ labels: picked, value: 0 })).value += value;
+    }
+
+    render() {
+        const lines = this._header();
+        for (const { labels, value } of this.series.values()) lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        return lines;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this._series(labels, picked => ({ labels: picked, value: 0 })).value = value;
+    }
+
+    render() {
+        const lines = this._header();
+        for (const { labels, value } of this.series.values()) lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, seconds) {
+        const series = this._series(labels, picked => ({ labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (seconds <= bound) series.counts[index]++;
+        });
+        series.sum += seconds;
+        series.count++;
+    }
+
+    // Returns end(extraLabels?), which records the elapsed time
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    render() {
+        const lines = this._header();
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+function onCollect(collector) {
+    collectors.push(collector);
+}
+
+// All metrics in the Prometheus text format. A failing collector leaves its gauges stale rather than failing the scrape.
+async function render() {
+    for (const collector of collectors) {
+        try {
+            await collector();
+        } catch (error) {
+            logger.error('Metrics collector failed', { error });
+        }
+    }
+    return [...registry.values()].map(metric => metric.render().join('\n')).join('\n') + '\n';
+}
+
+/**
+ * fetch wrapper timing Supabase REST calls by table (or rpc function) and method.
+ * Passed to createClient as global.fetch.
+ */
+function timedSupabaseFetch(fetchImpl = fetch) {
+    return async (input, init = {}) => {
+        const url = new URL(typeof input === 'string' ? input : input.url);
+        const [, api, resource] = url.pathname.match(/^\/(\w+)\/v1\/(.*)$/) || [];
+        const target = api === 'rest' ? resource.replace(/\/.*$/, '') || 'unknown' : api || 'unknown';
+        const end = supabaseQueryDuration.startTimer({ target, method: (init.method || 'GET').toUpperCase() });
+
+        try {
+            const response = await fetchImpl(input, init);
+            end({ outcome: response.ok ? 'ok' : 'error' });
+            return response;
+        } catch (error) {
+            end({ outcome: 'network_error' });
+            throw error;
+        }
+    };
+}
+
+// --- Application metrics ---
+
+const AI_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const httpRequests = new Counter('mdnexa_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpRequestDuration = new Histogram('mdnexa_http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+
+const aiAttempts = new Counter('mdnexa_ai_attempts_total', 'AI provider calls by operation, model, API key index and outcome', ['operation', 'model', 'key_index', 'outcome']);
+const aiAttemptDuration = new Histogram('mdnexa_ai_attempt_duration_seconds', 'AI provider call latency by operation and model', ['operation', 'model'], AI_BUCKETS);
+const aiFallbacks = new Counter('mdnexa_ai_model_fallbacks_total', 'Falls back from one model to the next', ['operation', 'from_model', 'to_model']);
+const aiKeyRotations = new Counter('mdnexa_ai_key_rotations_total', 'API key rotations after rate limits', ['from_key_index', 'to_key_index']);
+const aiTimeouts = new Counter('mdnexa_ai_timeouts_total', 'AI provider calls that timed out', ['operation', 'model']);
+
+const breakerState = new Gauge('mdnexa_circuit_breaker_state', 'Circuit breaker state (0 closed, 1 half open, 2 open)', ['breaker']);
+const breakerFailures = new Counter('mdnexa_circuit_breaker_failures_total', 'Failures recorded by a circuit breaker', ['breaker']);
+const breakerTrips = new Counter('mdnexa_circuit_breaker_trips_total', 'Times a circuit breaker opened', ['breaker']);
+
+const featureFlagEnabled = new Gauge('mdnexa_feature_flag_enabled', 'Feature flag state (1 enabled, 0 disabled)', ['feature']);
+
+const supabaseQueryDuration = new Histogram('mdnexa_supabase_request_duration_seconds', 'Supabase request latency by table (or auth/storage) and method', ['target', 'method', 'outcome']);
+
+const stripeWebhookEvents = new Counter('mdnexa_stripe_webhook_events_total', 'Stripe webhook deliveries by event type and outcome', ['type', 'outcome']);
+
+const rateLimitRejections = new Counter('mdnexa_rate_limit_rejections_total', 'Requests rejected by a rate limit policy', ['policy']);
+
+const processResidentMemory = new Gauge('mdnexa_process_resident_memory_bytes', 'Resident memory size');
+const processHeapUsed = new Gauge('mdnexa_process_heap_used_bytes', 'V8 heap in use');
+const processUptime = new Gauge('mdnexa_process_uptime_seconds', 'Process uptime');
+
+onCollect(() => {
+    const memory = process.memoryUsage();
+    processResidentMemory.set({}, memory.rss);
+    processHeapUsed.set({}, memory.heapUsed);
+    processUptime.set({}, Math.round(process.uptime()));
+});
+
+module.exports = {
+    CONTENT_TYPE,
+    Counter,
+    Gauge,
+    Histogram,
+    onCollect,
+    render,
+    timedSupabaseFetch,
+    httpRequests,
+    httpRequestDuration,
+    aiAttempts,
+    aiAttemptDuration,
+    aiFallbacks,
+    aiKeyRotations,
+    aiTimeouts,
+    breakerState,
+    breakerFailures,
+    breakerTrips,
+    featureFlagEnabled,
+    supabaseQueryDuration,
+    stripeWebhookEvents,
+    rateLimitRejections
+};
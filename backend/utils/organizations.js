@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const accounts = require('./accounts');
+const transporter = require('./email');
+const { escapeHtml } = require('./html');
+const logger = require('./logger');
+
+/**
+ * Organizations
+ * Hospitals and clinics buy seats for their members (create_organizations.sql).
+ *
+ * - Roles inside an organization: one owner, admins and members. Owners and admins
+ *   invite, remove members and (re)assign seats.
+ * - seat_count is the quantity of the organization's Stripe subscription, synced from the
+ *   webhooks (syncSubscription). Members holding a seat of an organization with a live
+ *   subscription get paid access (quota.js).
+ * - Invitations are e-mailed as an accept link carrying a random token; only the invited
+ *   address can accept.
+ */
+
+const ORG_ROLES = /** @type {const} */ (['owner', 'admin', 'member']);
+const INVITABLE_ROLES = /** @type {const} */ (['admin', 'member']);
+const MANAGER_ROLES = ['owner', 'admin'];
+
+const INVITATION_EXPIRY_DAYS = 14;
+
+// Same generosity as individual plans: past_due keeps access while Stripe retries the payment
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+const generateInvitationToken = () => crypto.randomBytes(24).toString('base64url');
+
+// 'pending' | 'accepted' | 'revoked' | 'expired'
+const invitationStatus = (invitation, now = new Date()) => {
+    if (invitation.accepted_at) return 'accepted';
+    if (invitation.revoked_at) return 'revoked';
+    if (new Date(invitation.expires_at) <= now) return 'expired';
+    return 'pending';
+};
+
+const hasActiveSubscription = (organization) => ACTIVE_SUBSCRIPTION_STATUSES.includes(organization?.subscription_status);
+
+const getMembership = async (organizationId, userId) => {
+    const { data, error } = await supabase
+        .from('organization_members')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+// Members with their e-mail (from the auth user) and name, owner first, then admins, then by join date
+const listMembers = async (organizationId) => {
+    const { data: members, error } = await supabase
+        .from('organization_members')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    if (!members || members.length === 0) return [];
+
+    const userIds = members.map(member => member.user_id);
+    const { data: profiles, error: profileError } = await supabase
+        .from('profiles')
+        .select('id, full_name')
+        .in('id', userIds);
+    if (profileError) throw profileError;
+
+    const names = new Map((profiles || []).map(profile => [profile.id, profile.full_name]));
+    const emails = await accounts.emailsOf(userIds);
+
+    return members
+        .map(member => ({
+            ...member,
+            email: emails.get(member.user_id) || null,
+            full_name: names.get(member.user_id) || null
+        }))
+        .sort((a, b) => ORG_ROLES.indexOf(a.role) - ORG_ROLES.indexOf(b.role));
+};
+
+/**
+ * Whether the user holds a seat in an organization with a live subscription.
+ */
+const hasSeatAccess = async (userId) => {
+    const { data: seats, error } = await supabase
+        .from('organization_members')
+        .select('organization_id')
+        .eq('user_id', userId)
+        .eq('has_seat', true);
+
+    if (error) throw error;
+    if (!seats || seats.length === 0) return false;
+
+    const { data: organizations, error: orgError } = await supabase
+        .from('organizations')
+        .select('id, subscription_status')
+        .in('id', seats.map(seat => seat.organization_id));
+
+    if (orgError) throw orgError;
+    return (organizations || []).some(hasActiveSubscription);
+};
+
+/**
+ * Gives a member a free seat (atomic, see assign_organization_seat).
+ * Resolves with { assigned, seatsUsed, seatCount }.
+ */
+const assignSeat = async (organizationId, userId) => {
+    const { data, error } = await supabase.rpc('assign_organization_seat', {
+        p_organization_id: organizationId,
+        p_user_id: userId
+    });
+
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    return { assigned: Boolean(row?.assigned), seatsUsed: row?.seats_used || 0, seatCount: row?.seat_count || 0 };
+};
+
+const releaseSeat = async (organizationId, userId) => {
+    const { error } = await supabase
+        .from('organization_members')
+        .update({ has_seat: false, seat_assigned_at: null })
+        .eq('organization_id', organizationId)
+        .eq('user_id', userId);
+
+    if (error) throw error;
+};
+
+/**
+ * After the seat count drops, takes seats back until the assigned ones fit:
+ * the most recently assigned first, the owner's and admins' last. Returns the user ids released.
+ */
+const releaseExcessSeats = async (organization) => {
+    const members = await listMembers(organization.id);
+    const seated = members
+        .filter(member => member.has_seat)
+        .sort((a, b) => ORG_ROLES.indexOf(a.role) - ORG_ROLES.indexOf(b.role) ||
+            String(a.seat_assigned_at || '').localeCompare(String(b.seat_assigned_at || '')));
+
+    const released = seated.slice(Math.max(organization.seat_count, 0)).map(member => member.user_id);
+    for (const userId of released) {
+        await releaseSeat(organization.id, userId);
+    }
+    if (released.length > 0) {
+        logger.info('Released seats after the seat count dropped', { organizationId: organization.id, seatCount: organization.seat_count, released: released.length });
+    }
+    return released;
+};
+
+/**
+ * End of the subscription's current billing period as an ISO string, or null. The pinned Stripe API
+ * (2025-11-17.clover) only has it on the subscription items; older payloads had it on the subscription.
+ */
+const subscriptionPeriodEnd = (subscription) => {
+    const seconds = subscription.items?.data?.[0]?.current_period_end ?? subscription.current_period_end;
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+};
+
+/**
+ * Applies a Stripe subscription to its organization (checkout and customer.subscription.* webhooks).
+ * The organization is found by id (checkout / subscription metadata) or by subscription id.
+ * The owner gets the first seat when the subscription is linked. Resolves with the updated row, or null.
+ */
+const syncSubscription = async (subscription, organizationId = subscription.metadata?.organizationId) => {
+    let query = supabase.from('organizations').select('*');
+    query = organizationId ? query.eq('id', organizationId) : query.eq('stripe_subscription_id', subscription.id);
+    const { data: organization, error } = await query.maybeSingle();
+
+    if (error) throw error;
+    if (!organization) return null;
+
+    const item = subscription.items?.data?.[0];
+    const periodEnd = subscriptionPeriodEnd(subscription);
+    const changes = {
+        stripe_customer_id: subscription.customer,
+        stripe_subscription_id: subscription.id,
+        subscription_status: subscription.status,
+        plan_id: item?.price?.id || null,
+        seat_count: item?.quantity || 0, // Kept when canceled: seats only grant access while the subscription is live
+        ...(periodEnd && { current_period_end: periodEnd }),
+        updated_at: new Date().toISOString()
+    };
+
+    const { data: updated, error: updateError } = await supabase
+        .from('organizations')
+        .update(changes)
+        .eq('id', organization.id)
+        .select('*')
+        .single();
+
+    if (updateError) throw updateError;
+
+    await releaseExcessSeats(updated);
+    if (organization.stripe_subscription_id !== subscription.id) {
+        await assignSeat(updated.id, updated.owner_id);
+    }
+    return updated;
+};
+
+const sendInvitationEmail = async ({ invitation, organization, inviterName }) => {
+    const acceptLink = `${process.env.FRONTEND_URL}/invite/${encodeURIComponent(invitation.token)}`;
+
+    await transporter.sendMail({
+        from: process.env.MAIL_FROM || '"MDnexa Support" <noreply@mdnexa.com>',
+        to: invitation.email,
+        subject: `You're invited to join ${organization.name} on MDnexa`,
+        html: `
+            <div style="font-family: sans-serif; padding: 20px;">
+                <h2>Join ${escapeHtml(organization.name)} on MDnexa</h2>
+                <p>${escapeHtml(inviterName || 'A colleague')} invited you to join ${escapeHtml(organization.name)}'s MDnexa workspace.</p>
+                <a href="${acceptLink}" style="display: inline-block; padding: 10px 20px; background-color: #0ea5e9; color: white; text-decoration: none; border-radius: 5px;">Accept invitation</a>
+                <p style="margin-top: 20px; font-size: 12px; color: #666;">Sign in or create an account with this e-mail address to accept. The link expires in ${INVITATION_EXPIRY_DAYS} days.</p>
+            </div>
+        `
+    });
+};
+
+module.exports = {
+    ORG_ROLES,
+    INVITABLE_ROLES,
+    MANAGER_ROLES,
+    INVITATION_EXPIRY_DAYS,
+    generateInvitationToken,
+    invitationStatus,
+    hasActiveSubscription,
+    getMembership,
+    listMembers,
+    hasSeatAccess,
+    assignSeat,
+    releaseSeat,
+    releaseExcessSeats,
+    subscriptionPeriodEnd,
+    syncSubscription,
+    sendInvitationEmail
+};
@@ -0,0 +1,151 @@
+const supabase = require('./supabase');
+const logger = require('./logger');
+
+/**
+ * Permissions
+ * Single source of truth for what a user may do (replaces the separate admin checks and
+ * privileged role lists of the routes, the quota engine and App.tsx).
+ *
+ * - A user's roles come from profiles.role and app_metadata.role. user_metadata is ignored:
+ *   users can edit it themselves.
+ * - Roles map to named permissions in the role_permissions table (create_role_permissions.sql).
+ *   Until that table is readable, DEFAULT_ROLE_PERMISSIONS (the same seed) applies.
+ * - Routes check a permission with authorize(permission); the frontend reads
+ *   GET /api/users/me/permissions instead of keeping its own role lists.
+ */
+
+const PERMISSIONS = /** @type {const} */ (['manage_blogs', 'unlimited_chat', 'view_admin', 'manage_referrals', 'manage_crm']);
+
+/** @typedef {typeof PERMISSIONS[number]} Permission */
+
+/**
+ * GET /api/users/me/permissions
+ * @typedef {{ roles: string[], permissions: Permission[] }} UserPermissions
+ */
+
+const UNLIMITED_ROLES = [
+    'superuser', 'owner', 'developer', 'support',
+    'friends_and_family', 'family_and_friends', 'friend', 'friends', 'family',
+    'ambassador', 'ambassadors', 'partner', 'vip'
+];
+
+/** @type {Record<string, Permission[]>} */
+const DEFAULT_ROLE_PERMISSIONS = {
+    admin: ['view_admin', 'manage_blogs', 'manage_referrals', 'manage_crm', 'unlimited_chat'],
+    team: ['manage_blogs', 'unlimited_chat'],
+    ...Object.fromEntries(UNLIMITED_ROLES.map(role => [role, ['unlimited_chat']]))
+};
+
+const CACHE_TTL = 60 * 1000;
+
+let cache = null; // { map: Map<role, Set<permission>>, fetchedAt }
+
+const toMap = (entries) => {
+    const map = new Map();
+    for (const [role, permission] of entries) {
+        if (!map.has(role)) map.set(role, new Set());
+        map.get(role).add(permission);
+    }
+    return map;
+};
+
+const defaultMap = () => toMap(Object.entries(DEFAULT_ROLE_PERMISSIONS).flatMap(([role, list]) => list.map(permission => [role, permission])));
+
+// role -> permissions, cached like feature flags. Keeps the stale (or default) mapping if the table can't be read.
+const loadRolePermissions = async () => {
+    if (cache && Date.now() - cache.fetchedAt < CACHE_TTL) return cache.map;
+
+    try {
+        const { data, error } = await supabase.from('role_permissions').select('role, permission');
+        if (error) throw error;
+
+        const map = data && data.length > 0
+            ? toMap(data.map(row => [String(row.role).toLowerCase(), row.permission]))
+            : defaultMap();
+        cache = { map, fetchedAt: Date.now() };
+    } catch (error) {
+        logger.error('Failed to load role permissions', { error });
+        if (!cache) return defaultMap();
+    }
+    return cache.map;
+};
+
+const clearCache = () => {
+    cache = null;
+};
+
+/**
+ * Roles of an auth user. Pass the profile row when the caller already has it.
+ * @returns {Promise<string[]>}
+ */
+const getRoles = async (user, profile) => {
+    if (!user) return [];
+
+    if (profile === undefined) {
+        const { data, error } = await supabase.from('profiles').select('role').eq('id', user.id).maybeSingle();
+        if (error) throw error;
+        profile = data;
+    }
+
+    const roles = [profile?.role, user.app_metadata?.role]
+        .filter(Boolean)
+        .map(role => String(role).toLowerCase());
+    return [...new Set(roles)];
+};
+
+/**
+ * Everything a user may do.
+ * @returns {Promise<UserPermissions>}
+ */
+const getPermissions = async (user, profile) => {
+    const roles = await getRoles(user, profile);
+    const map = await loadRolePermissions();
+
+    const granted = new Set(roles.flatMap(role => [...(map.get(role) || [])]));
+    return { roles, permissions: PERMISSIONS.filter(permission => granted.has(permission)) };
+};
+
+// Per request, so several checks in one request read the profile once
+const requestPermissions = new WeakMap();
+
+const getRequestPermissions = (req) => {
+    if (!requestPermissions.has(req)) {
+        const pending = getPermissions(req.user);
+        pending.catch(() => requestPermissions.delete(req));
+        requestPermissions.set(req, pending);
+    }
+    return requestPermissions.get(req);
+};
+
+/**
+ * Route guard, after requireAuth: 403 unless the user's roles grant the permission.
+ * @param {Permission} permission
+ */
+const authorize = (permission) => {
+    if (!PERMISSIONS.includes(permission)) throw new Error(`Unknown permission: ${permission}`);
+
+    return async (req, res, next) => {
+        if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+
+        try {
+            const { permissions } = await getRequestPermissions(req);
+            if (!permissions.includes(permission)) {
+                return res.status(403).json({ error: 'Permission denied', permission });
+            }
+            next();
+        } catch (error) {
+            (req.log || logger).error('Permission check failed', { permission, error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+};
+
+module.exports = {
+    PERMISSIONS,
+    DEFAULT_ROLE_PERMISSIONS,
+    getRoles,
+    getPermissions,
+    getRequestPermissions,
+    authorize,
+    clearCache
+};
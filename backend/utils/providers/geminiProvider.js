@@ -0,0 +1,73 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * GeminiProvider
+ * Adapter for @google/generative-ai. Stateless: RobustGeminiClient passes the key and model
+ * for every call, so key rotation and model fallback stay in the client.
+ *
+ * Provider interface (see utils/providers/index.js):
+ * - name, keys, models
+ * - generateMessage({ apiKey, model, message, history, systemInstruction, temperature, maxOutputTokens }) -> text
+ * - streamMessage({ ...same, signal }) -> async iterable of text deltas
+ * - generateContent({ apiKey, model, contents, systemInstruction, generationConfig }) -> { response }
+ */
+class GeminiProvider {
+    constructor() {
+        this.name = 'gemini';
+
+        this.keys = [process.env.GEMINI_API_KEY, process.env.GEMINI_API_KEY_SECONDARY].filter(Boolean);
+
+        // Model Priority Queue
+        this.models = [
+            process.env.MODEL_NAME || 'gemini-2.0-flash-exp',
+            'gemini-1.5-pro',
+            'gemini-1.5-flash'
+        ];
+    }
+
+    _startChat({ apiKey, model, history, systemInstruction, temperature, maxOutputTokens }) {
+        const genAI = new GoogleGenerativeAI(apiKey);
+        const generativeModel = genAI.getGenerativeModel({
+            model,
+            systemInstruction: { parts: [{ text: systemInstruction }] }
+        });
+
+        return generativeModel.startChat({
+            history: history,
+            generationConfig: { maxOutputTokens, temperature }
+        });
+    }
+
+    async generateMessage(params) {
+        const chat = this._startChat(params);
+        const result = await chat.sendMessage(params.message);
+        return result.response.text();
+    }
+
+    async streamMessage(params) {
+        const chat = this._startChat(params);
+        const streamResult = await chat.sendMessageStream(params.message, { signal: params.signal });
+
+        return (async function* () {
+            for await (const chunk of streamResult.stream) {
+                yield chunk.text();
+            }
+        })();
+    }
+
+    async generateContent({ apiKey, model, contents, systemInstruction, generationConfig }) {
+        const genAI = new GoogleGenerativeAI(apiKey);
+
+        const modelParams = { model };
+        if (systemInstruction) modelParams.systemInstruction = systemInstruction;
+
+        const generativeModel = genAI.getGenerativeModel(modelParams);
+
+        return generativeModel.generateContent({
+            contents: contents,
+            generationConfig: { ...generationConfig }
+        });
+    }
+}
+
+module.exports = GeminiProvider;
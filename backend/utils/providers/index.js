@@ -0,0 +1,22 @@
+const GeminiProvider = require('./geminiProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * AI provider registry. AI_PROVIDER selects the adapter used by RobustGeminiClient:
+ * - 'gemini' (default): Google Generative AI
+ * - 'mock': deterministic canned fixtures, for tests and offline development
+ */
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    mock: MockProvider
+};
+
+const createProvider = (name = process.env.AI_PROVIDER || 'gemini') => {
+    const Provider = PROVIDERS[String(name).toLowerCase()];
+    if (!Provider) {
+        throw new Error(`Unknown AI_PROVIDER '${name}'. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider();
+};
+
+module.exports = { createProvider, PROVIDERS };
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const logger = require('../logger');
+
+/**
+ * MockProvider
+ * Deterministic local provider for tests and offline development (AI_PROVIDER=mock).
+ * - Answers come from canned fixtures: the first fixture whose `match` (case-insensitive substring)
+ *   appears in the prompt wins. Extra fixtures can be loaded from MOCK_AI_FIXTURES (JSON array).
+ * - Results have the same shape as the Gemini SDK ({ response: { text(), candidates } }),
+ *   so routes don't need to know which provider is active.
+ * - Failures can be queued (queueError) to exercise key rotation, model fallback and circuit breakers.
+ */
+
+const DEFAULT_FIXTURES = [
+    { match: "Say 'OK'", text: 'OK' },
+    {
+        match: 'follow-up questions',
+        text: JSON.stringify(['What is the first-line treatment?', 'Which red flags need urgent referral?'])
+    },
+    { match: 'short title for this clinical conversation', text: 'Mock clinical title' },
+    { match: 'Summarize the earlier part of this clinical consultation', text: '- Mock summary of the earlier turns' },
+    { match: 'Transcribe the audio', text: 'Patient reports chest pain radiating to the left arm.' },
+    {
+        match: 'Define the medical term',
+        text: '## Term\n**Definition**: Mock definition.\n\n**Clinical Context**: Mock context.\n\n**Key Points**:\n- Point one\n- Point two'
+    }
+];
+
+const DEFAULT_TEXT = 'This is a mock clinical answer.\n\n### Sources\n- WHO Mock Guideline, 2024';
+
+// 0.1s of 24kHz 16-bit silence, enough for the speech route's "audio present" check
+const SILENT_AUDIO = Buffer.alloc(4800).toString('base64');
+
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.keys = ['mock-key-primary', 'mock-key-secondary'];
+        this.models = ['mock-pro', 'mock-flash'];
+
+        this.fixtures = [...this._loadFixtures(), ...DEFAULT_FIXTURES];
+        this.errorQueue = [];
+        this.calls = []; // Recorded requests, for assertions in tests
+        this.chunkSize = 16;
+    }
+
+    _loadFixtures() {
+        const file = process.env.MOCK_AI_FIXTURES;
+        if (!file) return [];
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            logger.error('Failed to load mock AI fixtures', { file, error });
+            return [];
+        }
+    }
+
+    /**
+     * Makes the next call(s) fail with the given error (Error instance or message string).
+     * Messages follow the Gemini SDK format, e.g. '[429 Too Many Requests]' to trigger key rotation.
+     */
+    queueError(error) {
+        this.errorQueue.push(typeof error === 'string' ? new Error(error) : error);
+    }
+
+    reset() {
+        this.errorQueue = [];
+        this.calls = [];
+    }
+
+    _record(type, params) {
+        this.calls.push({ type, apiKey: params.apiKey, model: params.model, params });
+
+        const error = this.errorQueue.shift();
+        if (error) throw error;
+    }
+
+    _reply(prompt) {
+        const haystack = (prompt || '').toLowerCase();
+        const fixture = this.fixtures.find(f => haystack.includes(String(f.match).toLowerCase()));
+        return fixture ? fixture.text : DEFAULT_TEXT;
+    }
+
+    _textOf(contents) {
+        return (contents || [])
+            .flatMap(content => content.parts || [])
+            .map(part => part.text || '')
+            .join('\n');
+    }
+
+    async generateMessage(params) {
+        this._record('message', params);
+        return this._reply(params.message);
+    }
+
+    async streamMessage(params) {
+        this._record('stream', params);
+
+        const text = this._reply(params.message);
+        const chunkSize = this.chunkSize;
+        const { signal } = params;
+
+        return (async function* () {
+            for (let i = 0; i < text.length; i += chunkSize) {
+                if (signal?.aborted) {
+                    const abortError = new Error('The operation was aborted');
+                    abortError.name = 'AbortError';
+                    throw abortError;
+                }
+                yield text.slice(i, i + chunkSize);
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        })();
+    }
+
+    async generateContent(params) {
+        this._record('content', params);
+
+        const wantsAudio = params.generationConfig?.responseModalities?.includes('AUDIO');
+        const text = wantsAudio ? '' : this._reply(this._textOf(params.contents));
+        const part = wantsAudio
+            ? { inlineData: { mimeType: 'audio/pcm', data: SILENT_AUDIO } }
+            : { text };
+
+        return {
+            response: {
+                text: () => text,
+                candidates: [{ content: { role: 'model', parts: [part] } }]
+            }
+        };
+    }
+}
+
+module.exports = MockProvider;
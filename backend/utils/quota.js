@@ -0,0 +1,235 @@
+const supabase = require('./supabase');
+const { getPermissions } = require('./permissions');
+const { hasSeatAccess } = require('./organizations');
+const logger = require('./logger');
+
+/**
+ * Quota Engine
+ * Single source of truth for usage limits (replaces the hardcoded 5-question check
+ * in chat.js and the localStorage counters in App.tsx).
+ *
+ * - Limits are defined per plan and feature, with a daily or monthly window.
+ * - Users with the unlimited_chat permission (see permissions.js) get the 'unlimited' plan,
+ *   paying users and holders of an organization seat (organizations.js) 'premium'.
+ * - Guests are counted by IP address AND device id (X-Device-Id header); either one
+ *   running out blocks the request.
+ * - Counting is atomic in Postgres (consume_usage, see create_usage_quotas.sql).
+ */
+
+const FEATURES = ['chat', 'lookup', 'speech', 'transcribe'];
+
+// limit: null = unlimited. window: 'day' | 'month' (UTC)
+const PLAN_LIMITS = {
+    guest: {
+        chat: { limit: 5, window: 'day' },
+        lookup: { limit: 10, window: 'day' },
+        speech: { limit: 5, window: 'day' },
+        transcribe: { limit: 5, window: 'day' }
+    },
+    free: {
+        chat: { limit: 5, window: 'month' },
+        lookup: { limit: 30, window: 'month' },
+        speech: { limit: 20, window: 'month' },
+        transcribe: { limit: 20, window: 'month' }
+    },
+    premium: {
+        chat: { limit: null, window: 'month' },
+        lookup: { limit: null, window: 'month' },
+        speech: { limit: 1000, window: 'month' },
+        transcribe: { limit: 1000, window: 'month' }
+    },
+    unlimited: {
+        chat: { limit: null, window: 'month' },
+        lookup: { limit: null, window: 'month' },
+        speech: { limit: null, window: 'month' },
+        transcribe: { limit: null, window: 'month' }
+    }
+};
+
+// Subscription statuses and plans that count as paying (past_due included: be generous while Stripe retries)
+const PAID_STATUSES = ['active', 'trial', 'past_due'];
+const PAID_PLANS = ['pro', 'premium', 'enterprise', 'standard'];
+
+const hasPaidAccess = (profile, subscription) =>
+    profile?.has_lifetime_access === true ||
+    profile?.plan === 'lifetime' ||
+    PAID_STATUSES.includes(subscription?.status) ||
+    PAID_PLANS.includes(subscription?.plan_id);
+
+// A failed lookup (e.g. organizations not migrated yet) counts as no seat
+const holdsOrganizationSeat = async (userId) => {
+    try {
+        return await hasSeatAccess(userId);
+    } catch (error) {
+        logger.error('Organization seat lookup failed, counting as no seat', { userId, error });
+        return false;
+    }
+};
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// req.ip honours the app's 'trust proxy' setting (index.js); never read X-Forwarded-For directly
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
+
+const getWindowBounds = (window, now = new Date()) => {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+
+    if (window === 'day') {
+        const day = now.getUTCDate();
+        return {
+            start: new Date(Date.UTC(year, month, day)),
+            resetsAt: new Date(Date.UTC(year, month, day + 1))
+        };
+    }
+
+    return {
+        start: new Date(Date.UTC(year, month, 1)),
+        resetsAt: new Date(Date.UTC(year, month + 1, 1))
+    };
+};
+
+/**
+ * Resolves who is asking and which plan applies.
+ * Returns { user, profile, plan, subjects } — profile is returned so callers (chat) don't fetch it twice.
+ */
+const resolveAccess = async (req, user) => {
+    if (!user) {
+        const subjects = [`ip:${getClientIp(req)}`];
+        const deviceId = req.headers['x-device-id'];
+        if (deviceId && DEVICE_ID_PATTERN.test(deviceId)) {
+            subjects.push(`device:${deviceId}`);
+        }
+        return { user: null, profile: null, plan: 'guest', subjects };
+    }
+
+    const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('id', user.id)
+        .maybeSingle();
+
+    if (profileError) {
+        logger.error('Profile lookup failed', { userId: user.id, error: profileError.message, code: profileError.code });
+    }
+
+    const { data: subscription } = await supabase
+        .from('subscriptions')
+        .select('status, plan_id')
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+    const { permissions } = await getPermissions(user, profile || null);
+
+    let plan = 'free';
+    if (permissions.includes('unlimited_chat')) {
+        plan = 'unlimited';
+    } else if (hasPaidAccess(profile, subscription) || await holdsOrganizationSeat(user.id)) {
+        plan = 'premium';
+    }
+
+    return { user, profile, plan, subjects: [`user:${user.id}`] };
+};
+
+/**
+ * Counts one use of a feature. Resolves with
+ * { allowed, feature, plan, limit, used, remaining, window, resetsAt }.
+ * Fails open if the counter can't be reached (same policy as feature flags).
+ */
+const consume = async (access, feature) => {
+    const rule = PLAN_LIMITS[access.plan][feature];
+    const { start, resetsAt } = getWindowBounds(rule.window);
+
+    const result = {
+        allowed: true,
+        feature,
+        plan: access.plan,
+        limit: rule.limit,
+        used: 0,
+        remaining: null,
+        window: rule.window,
+        resetsAt
+    };
+
+    try {
+        const { data, error } = await supabase.rpc('consume_usage', {
+            p_subjects: access.subjects,
+            p_feature: feature,
+            p_window_start: start.toISOString(),
+            p_limit: rule.limit
+        });
+
+        if (error) throw error;
+
+        const row = Array.isArray(data) ? data[0] : data;
+        result.allowed = row ? row.allowed !== false : true;
+        result.used = row?.used || 0;
+    } catch (error) {
+        logger.error('Failed to count usage, failing open', { feature, error });
+    }
+
+    if (rule.limit !== null) {
+        result.remaining = Math.max(rule.limit - result.used, 0);
+    }
+
+    return result;
+};
+
+/**
+ * Current usage for every feature, without counting anything.
+ */
+const getUsage = async (access) => {
+    const features = {};
+
+    for (const feature of FEATURES) {
+        const rule = PLAN_LIMITS[access.plan][feature];
+        const { start, resetsAt } = getWindowBounds(rule.window);
+
+        let used = 0;
+        const { data, error } = await supabase
+            .from('usage_counters')
+            .select('count')
+            .in('subject', access.subjects)
+            .eq('feature', feature)
+            .eq('window_start', start.toISOString());
+
+        if (error) {
+            logger.error('Failed to read usage', { feature, error });
+        } else if (data) {
+            used = data.reduce((max, row) => Math.max(max, row.count || 0), 0);
+        }
+
+        features[feature] = {
+            limit: rule.limit,
+            used,
+            remaining: rule.limit === null ? null : Math.max(rule.limit - used, 0),
+            window: rule.window,
+            resetsAt
+        };
+    }
+
+    return { plan: access.plan, features };
+};
+
+const limitReachedBody = (result) => ({
+    error: 'LIMIT_REACHED',
+    message: result.plan === 'guest'
+        ? 'You have reached the guest limit. Please log in or create an account to continue.'
+        : `You have reached your ${result.window === 'day' ? 'daily' : 'monthly'} ${result.feature} limit. Please upgrade your plan to continue.`,
+    feature: result.feature,
+    plan: result.plan,
+    limit: result.limit,
+    used: result.used,
+    resetsAt: result.resetsAt
+});
+
+module.exports = {
+    FEATURES,
+    PLAN_LIMITS,
+    getClientIp,
+    getWindowBounds,
+    resolveAccess,
+    consume,
+    getUsage,
+    limitReachedBody
+};
@@ -0,0 +1,203 @@
+const supabase = require('./supabase');
+const logger = require('./logger');
+const { getClientIp } = require('./quota');
+const { rateLimitRejections } = require('./metrics');
+
+/**
+ * Rate Limiting
+ * Token buckets that throttle bursts on public and expensive endpoints (the quota engine in
+ * utils/quota.js caps daily/monthly usage; this stops anyone burning through it in seconds,
+ * or enumerating referral codes and accounts).
+ *
+ * - A rule { limit, window } allows bursts of `limit` requests, refilled evenly over `window` seconds.
+ * - A policy has rules per subject: `user` (signed-in callers), `ip` (guests, or everyone when
+ *   there is no user rule) and `email` (the email in the request body, e.g. password resets).
+ *   Every applicable bucket must have a token left.
+ * - Buckets live in a store: MemoryStore (per process, default) or PostgresStore (shared across
+ *   instances, RATE_LIMIT_STORE=postgres). Anything with the same take() works, e.g. a Redis script.
+ * - Responses carry RateLimit-Limit / -Remaining / -Reset / -Policy of the tightest bucket, and
+ *   Retry-After when rejected (429).
+ * - Policies can be overridden with RATE_LIMITS (JSON, merged over the defaults below).
+ */
+
+const DEFAULT_POLICIES = {
+    // Guest and signed-in chat (quota counts answers, this throttles bursts)
+    chat: { ip: { limit: 10, window: 60 }, user: { limit: 30, window: 60 } },
+    // /api/gemini/*: speech, transcribe, lookup, related questions
+    ai: { ip: { limit: 20, window: 60 }, user: { limit: 60, window: 60 } },
+    // Public lead capture form
+    leads: { ip: { limit: 5, window: 3600 } },
+    // Referral code checks (enumeration)
+    referralValidate: { ip: { limit: 20, window: 600 } },
+    // ?ref= landings counted for the ambassador dashboard (inflated stats)
+    referralClick: { ip: { limit: 30, window: 600 } },
+    // Password reset emails (account enumeration, mail bombing)
+    passwordReset: { ip: { limit: 5, window: 3600 }, email: { limit: 3, window: 3600 } }
+};
+
+const loadPolicies = () => {
+    const policies = structuredClone(DEFAULT_POLICIES);
+    if (!process.env.RATE_LIMITS) return policies;
+
+    try {
+        const overrides = JSON.parse(process.env.RATE_LIMITS);
+        for (const [name, rules] of Object.entries(overrides)) {
+            policies[name] = { ...policies[name], ...rules };
+        }
+    } catch (error) {
+        logger.error('Invalid RATE_LIMITS, using the default rate limits', error);
+    }
+    return policies;
+};
+
+/**
+ * Refills and takes from a bucket state { tokens, updatedAt } (mutated).
+ * Returns { allowed, tokens } — tokens left after this request.
+ */
+function takeToken(state, { capacity, refillPerSecond, cost }, now) {
+    const elapsed = Math.max(0, now - state.updatedAt) / 1000;
+    state.tokens = Math.min(capacity, state.tokens + elapsed * refillPerSecond);
+    state.updatedAt = now;
+
+    if (state.tokens < cost) return { allowed: false, tokens: state.tokens };
+    state.tokens -= cost;
+    return { allowed: true, tokens: state.tokens };
+}
+
+// Per-process buckets. Idle (full) buckets are swept so the map doesn't grow with every IP seen.
+class MemoryStore {
+    constructor({ sweepEvery = 1000 } = {}) {
+        this.buckets = new Map();
+        this.sweepEvery = sweepEvery;
+        this.takes = 0;
+    }
+
+    async take(key, bucket) {
+        const now = Date.now();
+        if (++this.takes % this.sweepEvery === 0) this._sweep(now);
+
+        let state = this.buckets.get(key);
+        if (!state) {
+            state = { tokens: bucket.capacity, updatedAt: now, capacity: bucket.capacity, refillPerSecond: bucket.refillPerSecond };
+            this.buckets.set(key, state);
+        }
+        return takeToken(state, bucket, now);
+    }
+
+    _sweep(now) {
+        for (const [key, state] of this.buckets) {
+            if (state.tokens + ((now - state.updatedAt) / 1000) * state.refillPerSecond >= state.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    reset() {
+        this.buckets.clear();
+    }
+}
+
+// Shared buckets in Postgres (take_rate_limit_token, see create_rate_limits.sql)
+class PostgresStore {
+    async take(key, { capacity, refillPerSecond, cost }) {
+        const { data, error } = await supabase.rpc('take_rate_limit_token', {
+            p_key: key,
+            p_capacity: capacity,
+            p_refill_per_second: refillPerSecond,
+            p_cost: cost
+        });
+        if (error) throw new Error(error.message);
+
+        const row = Array.isArray(data) ? data[0] : data;
+        return { allowed: Boolean(row?.allowed), tokens: Number(row?.tokens) || 0 };
+    }
+}
+
+const createStore = () => (process.env.RATE_LIMIT_STORE === 'postgres' ? new PostgresStore() : new MemoryStore());
+
+let store = createStore();
+let policies = loadPolicies();
+
+// Swaps the store (tests, or a Redis-backed one) and reloads RATE_LIMITS
+function configure({ store: newStore } = {}) {
+    store = newStore || createStore();
+    policies = loadPolicies();
+}
+
+// Buckets that apply to this request: [{ key, rule }]
+function bucketsFor(name, policy, req, user) {
+    const buckets = [];
+    if (user && policy.user) {
+        buckets.push({ key: `${name}:user:${user.id}`, rule: policy.user });
+    } else if (policy.ip) {
+        // The proxy-reported IP (req.ip), not a client-supplied X-Forwarded-For
+        buckets.push({ key: `${name}:ip:${getClientIp(req)}`, rule: policy.ip });
+    }
+
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (policy.email && email) {
+        buckets.push({ key: `${name}:email:${email}`, rule: policy.email });
+    }
+    return buckets;
+}
+
+/**
+ * Express middleware enforcing the named policy.
+ * `resolveUser(req)` identifies signed-in callers on routes without requireAuth (defaults to req.user).
+ * Store failures fail open: throttling must never take the API down.
+ */
+function rateLimit(name, { resolveUser = (req) => req.user || null, cost = 1 } = {}) {
+    return async (req, res, next) => {
+        const policy = policies[name];
+        if (!policy) {
+            logger.warn(`Unknown rate limit policy '${name}', not limiting`);
+            return next();
+        }
+
+        try {
+            const user = await resolveUser(req);
+            const results = [];
+            for (const { key, rule } of bucketsFor(name, policy, req, user)) {
+                const bucket = { capacity: rule.limit, refillPerSecond: rule.limit / rule.window, cost };
+                results.push({ rule, bucket, ...(await store.take(key, bucket)) });
+            }
+            if (results.length === 0) return next();
+
+            // Headers describe the bucket closest to running out
+            const tightest = results.reduce((min, r) => (r.tokens / r.rule.limit < min.tokens / min.rule.limit ? r : min));
+            const denied = results.find(r => !r.allowed);
+            const shown = denied || tightest;
+
+            res.set({
+                'RateLimit-Limit': String(shown.rule.limit),
+                'RateLimit-Remaining': String(Math.max(0, Math.floor(shown.tokens))),
+                'RateLimit-Reset': String(Math.ceil((shown.rule.limit - shown.tokens) / shown.bucket.refillPerSecond)),
+                'RateLimit-Policy': `${shown.rule.limit};w=${shown.rule.window}`
+            });
+
+            if (denied) {
+                const retryAfter = Math.max(1, Math.ceil((cost - denied.tokens) / denied.bucket.refillPerSecond));
+                res.set('Retry-After', String(retryAfter));
+                rateLimitRejections.inc({ policy: name });
+                (req.log || logger).warn('Rate limit exceeded', { policy: name, userId: user?.id, retryAfter });
+                return res.status(429).json({
+                    error: 'RATE_LIMITED',
+                    message: 'Too many requests. Please wait a moment and try again.',
+                    retryAfter
+                });
+            }
+        } catch (error) {
+            (req.log || logger).error(`Rate limit check '${name}' failed, allowing request`, error);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    DEFAULT_POLICIES,
+    MemoryStore,
+    PostgresStore,
+    takeToken,
+    configure,
+    rateLimit
+};
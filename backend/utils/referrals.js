@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+
+/**
+ * Referral codes and their redemption ledger (create_referral_ledger.sql).
+ *
+ * - A code is redeemed once per user, at signup (/api/auth/signup), through the
+ *   redeem_referral_code function, which enforces active / expires_at / max_uses under a row lock.
+ * - The redemption is converted when the referred user's first paid invoice lands (webhooks).
+ * - Every paid invoice of a referred user adds a row to the commission ledger (create_referral_commissions.sql):
+ *   the revenue attributed to the code and the commission owed to its owner, with its payout status.
+ * Codes are matched case-insensitively and stored uppercased.
+ */
+
+/** @typedef {'redeemed' | 'already_redeemed' | 'not_found' | 'inactive' | 'expired' | 'exhausted'} RedemptionStatus */
+/** @typedef {Record<string, number>} Amounts  Smallest currency unit by currency */
+
+/**
+ * @typedef {Object} CodeStats
+ * @property {number} clicks       ?ref= landings (one per browser per day)
+ * @property {number} signups      Redemptions
+ * @property {number} trials       Referred users who started a trial
+ * @property {number} conversions  Referred users who paid an invoice
+ * @property {Amounts} revenue     Paid invoices of referred users, refunds excluded
+ * @property {Amounts} commission  Commission on that revenue
+ */
+
+const CODE_KINDS = /** @type {const} */ (['ambassador', 'team', 'family', 'partner']);
+const COMMISSION_STATUSES = /** @type {const} */ (['pending', 'approved', 'paid', 'void']);
+
+// No 0/O or 1/I: codes get read out and typed by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateCode = (length = 8) => Array.from(crypto.randomBytes(length), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Why a code can't be used (validate and signup), by status
+const STATUS_MESSAGES = {
+    not_found: 'Invalid referral code',
+    inactive: 'Referral code is inactive',
+    expired: 'Referral code has expired',
+    exhausted: 'Referral code usage limit reached'
+};
+
+/** The code row, or null */
+const findCode = async (code) => {
+    const { data, error } = await supabase.from('referral_codes').select('*').eq('code', normalizeCode(code)).maybeSingle();
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Whether a code can be redeemed right now: 'valid', or the reason it can't
+ * (same checks as redeem_referral_code, without locking)
+ */
+const codeStatus = (row, now = new Date()) => {
+    if (!row) return 'not_found';
+    if (!row.active) return 'inactive';
+    if (row.expires_at && new Date(row.expires_at) <= now) return 'expired';
+    if (row.max_uses > 0 && row.redemption_count >= row.max_uses) return 'exhausted';
+    return 'valid';
+};
+
+/**
+ * Attributes a user to a code. Returns { status, codeId }; only 'redeemed' created a redemption.
+ * @returns {Promise<{ status: RedemptionStatus, codeId: string | null }>}
+ */
+const redeem = async (code, userId, source = 'signup') => {
+    const { data, error } = await supabase.rpc('redeem_referral_code', {
+        p_code: normalizeCode(code),
+        p_user_id: userId,
+        p_source: source
+    });
+    if (error) throw error;
+
+    const row = Array.isArray(data) ? data[0] : data;
+    return { status: row.status, codeId: row.code_id || null };
+};
+
+/**
+ * Marks a referred user as converted by their first paid invoice. Later invoices leave the
+ * redemption as it is. Returns the converted redemption, or null (not referred, already converted).
+ */
+const recordConversion = async (userId, invoice) => {
+    const { data, error } = await supabase
+        .from('referral_redemptions')
+        .update({
+            converted_at: new Date().toISOString(),
+            stripe_invoice_id: invoice.id,
+            amount_paid: invoice.amount_paid,
+            currency: invoice.currency
+        })
+        .eq('user_id', userId)
+        .is('converted_at', null)
+        .select();
+    if (error) throw error;
+    return data?.[0] || null;
+};
+
+/**
+ * Counts a ?ref= landing. visitorKey (device id or IP) is hashed and counted once per code per day.
+ * Returns false for unknown codes.
+ */
+const recordClick = async (code, visitorKey) => {
+    const row = await findCode(code);
+    if (!row) return false;
+
+    const { error } = await supabase
+        .from('referral_clicks')
+        .upsert({
+            code_id: row.id,
+            visitor_hash: crypto.createHash('sha256').update(String(visitorKey)).digest('hex'),
+            click_date: new Date().toISOString().slice(0, 10)
+        }, { onConflict: 'code_id,visitor_hash,click_date', ignoreDuplicates: true });
+    if (error) throw error;
+    return true;
+};
+
+/** Notes the first trial of a referred user (no-op for users without a redemption) */
+const recordTrial = async (userId) => {
+    const { error } = await supabase
+        .from('referral_redemptions')
+        .update({ trial_started_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('trial_started_at', null);
+    if (error) throw error;
+};
+
+/**
+ * Adds a paid invoice of a referred user to the commission ledger, once per invoice, at the
+ * code's current commission_percent. Returns the ledger row, or null for users who weren't referred.
+ */
+const recordCommission = async (userId, invoice) => {
+    const { data: redemption, error: redemptionError } = await supabase
+        .from('referral_redemptions')
+        .select('id, code_id')
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (redemptionError) throw redemptionError;
+    if (!redemption) return null;
+
+    const { data: code, error: codeError } = await supabase
+        .from('referral_codes')
+        .select('id, owner_id, commission_percent')
+        .eq('id', redemption.code_id)
+        .maybeSingle();
+    if (codeError) throw codeError;
+
+    const percent = Number(code?.commission_percent || 0);
+    const row = {
+        code_id: redemption.code_id,
+        owner_id: code?.owner_id || null,
+        redemption_id: redemption.id,
+        stripe_invoice_id: invoice.id,
+        invoice_amount: invoice.amount_paid,
+        currency: invoice.currency,
+        commission_percent: percent,
+        commission_amount: Math.round(invoice.amount_paid * percent / 100),
+        status: 'pending'
+    };
+
+    const { error } = await supabase
+        .from('referral_commissions')
+        .upsert(row, { onConflict: 'stripe_invoice_id', ignoreDuplicates: true });
+    if (error) throw error;
+    return row;
+};
+
+/** A refunded invoice owes no commission, unless it was already paid out (left for the admins) */
+const voidCommission = async (invoiceId) => {
+    const { error } = await supabase
+        .from('referral_commissions')
+        .update({ status: 'void', updated_at: new Date().toISOString() })
+        .eq('stripe_invoice_id', invoiceId)
+        .in('status', ['pending', 'approved']);
+    if (error) throw error;
+};
+
+const addAmount = (amounts, currency, amount) => {
+    amounts[currency] = (amounts[currency] || 0) + amount;
+};
+
+/**
+ * Funnel and revenue of each code.
+ * @returns {Promise<Map<string, CodeStats>>} by code id
+ */
+const codeStats = async (codeIds) => {
+    const stats = new Map(codeIds.map(id => [id, { clicks: 0, signups: 0, trials: 0, conversions: 0, revenue: {}, commission: {} }]));
+    if (codeIds.length === 0) return stats;
+
+    const [clickCounts, redemptions, commissions] = await Promise.all([
+        Promise.all(codeIds.map(id => supabase.from('referral_clicks').select('id', { count: 'exact', head: true }).eq('code_id', id))),
+        supabase.from('referral_redemptions').select('code_id, trial_started_at, converted_at').in('code_id', codeIds),
+        supabase.from('referral_commissions').select('code_id, invoice_amount, commission_amount, currency, status').in('code_id', codeIds)
+    ]);
+
+    for (const result of [...clickCounts, redemptions, commissions]) {
+        if (result.error) throw result.error;
+    }
+
+    codeIds.forEach((id, index) => { stats.get(id).clicks = clickCounts[index].count || 0; });
+    for (const redemption of redemptions.data || []) {
+        const entry = stats.get(redemption.code_id);
+        entry.signups++;
+        if (redemption.trial_started_at) entry.trials++;
+        if (redemption.converted_at) entry.conversions++;
+    }
+    for (const commission of commissions.data || []) {
+        if (commission.status === 'void') continue;
+        const entry = stats.get(commission.code_id);
+        addAmount(entry.revenue, commission.currency, commission.invoice_amount);
+        addAmount(entry.commission, commission.currency, commission.commission_amount);
+    }
+    return stats;
+};
+
+/**
+ * Commission totals by payout status (void left out), for the codes' owner
+ * @returns {Promise<Record<'pending' | 'approved' | 'paid', Amounts>>}
+ */
+const payoutTotals = async (ownerId) => {
+    const { data, error } = await supabase
+        .from('referral_commissions')
+        .select('commission_amount, currency, status')
+        .eq('owner_id', ownerId);
+    if (error) throw error;
+
+    const totals = { pending: {}, approved: {}, paid: {} };
+    for (const commission of data || []) {
+        if (totals[commission.status]) addAmount(totals[commission.status], commission.currency, commission.commission_amount);
+    }
+    return totals;
+};
+
+module.exports = {
+    CODE_KINDS,
+    COMMISSION_STATUSES,
+    STATUS_MESSAGES,
+    normalizeCode,
+    generateCode,
+    findCode,
+    codeStatus,
+    redeem,
+    recordConversion,
+    recordClick,
+    recordTrial,
+    recordCommission,
+    voidCommission,
+    codeStats,
+    payoutTotals
+};
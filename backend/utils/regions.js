@@ -0,0 +1,38 @@
+// Region -> countries, mirrors REGIONS_DATA in the frontend constants.ts (keep in sync).
+const REGIONS_DATA = {
+    "North America": ["United States", "Canada", "Mexico"],
+    "Europe": [
+        "United Kingdom", "Germany", "France", "Spain", "Italy", "Netherlands", "Switzerland", "Belgium",
+        "Portugal", "Sweden", "Norway", "Denmark", "Finland", "Poland", "Austria", "Ireland", "Greece",
+        "Russia", "Ukraine", "Belarus", "Czech Republic", "Hungary", "Romania", "Bulgaria", "Serbia", "Croatia",
+        "Slovakia", "Slovenia", "Estonia", "Latvia", "Lithuania", "Moldova", "Bosnia and Herzegovina",
+        "Albania", "North Macedonia", "Montenegro", "Iceland", "Luxembourg", "Malta", "Cyprus", "Kosovo"
+    ],
+    "Central Asia & Caucasus": [
+        "Kazakhstan", "Uzbekistan", "Azerbaijan", "Georgia", "Armenia", "Kyrgyzstan", "Tajikistan", "Turkmenistan"
+    ],
+    "Asia-Pacific": [
+        "Australia", "New Zealand", "Japan", "South Korea", "Singapore", "India", "China", "Taiwan",
+        "Hong Kong", "Thailand", "Vietnam", "Indonesia", "Malaysia", "Philippines", "Pakistan", "Bangladesh",
+        "Sri Lanka", "Nepal", "Mongolia"
+    ],
+    "Middle East & Africa": [
+        "UAE", "Saudi Arabia", "Qatar", "Turkey", "Egypt", "South Africa", "Nigeria", "Kenya", "Morocco",
+        "Algeria", "Ethiopia", "Ghana", "Tanzania", "Uganda", "Palestine"
+    ],
+    "South America": [
+        "Brazil", "Argentina", "Chile", "Colombia", "Peru", "Venezuela", "Ecuador", "Bolivia",
+        "Uruguay", "Paraguay", "Guyana", "Suriname"
+    ],
+    "Central America & Caribbean": [
+        "Costa Rica", "Panama", "Dominican Republic", "Puerto Rico", "Guatemala", "Honduras",
+        "El Salvador", "Nicaragua", "Cuba", "Jamaica", "Haiti", "Bahamas", "Belize", "Trinidad and Tobago"
+    ]
+};
+
+const getRegionForCountry = (country) => {
+    if (!country) return null;
+    return Object.keys(REGIONS_DATA).find(region => REGIONS_DATA[region].includes(country)) || null;
+};
+
+module.exports = { REGIONS_DATA, getRegionForCountry };
@@ -1,27 +1,25 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const CircuitBreaker = require('./circuitBreaker');
 const featureFlags = require('./featureFlags');
+const { createProvider } = require('./providers');
+const { aiAttempts, aiAttemptDuration, aiFallbacks, aiKeyRotations, aiTimeouts } = require('./metrics');
+const logger = require('./logger');
 
 /**
  * RobustGeminiClient - Bulletproof Edition
- * Wraps GoogleGenerativeAI with:
+ * Wraps an AI provider (Gemini by default, see utils/providers) with:
  * 1. Circuit Breakers (Fast Fail)
  * 2. Feature Flags (Auto-Disable)
  * 3. Multi-Key Rotation
  * 4. Multi-Stage Fallback
  * 5. Retries & Timeouts
+ * The provider only performs single calls; all of the above is provider-independent.
+ * Public methods take an optional `log` (a request's child logger) so retries and fallbacks
+ * show up under the request ID that caused them.
  */
 class RobustGeminiClient {
-    constructor() {
-        this.keys = [];
-        this.currentKeyIndex = 0;
-
-        // Model Priority Queue
-        this.models = [
-            process.env.MODEL_NAME || 'gemini-2.0-flash-exp',
-            'gemini-1.5-pro',
-            'gemini-1.5-flash'
-        ];
+    constructor(provider = createProvider()) {
+        this.log = logger.child({ component: 'ai' });
+        this._useProvider(provider);
 
         // Circuit Breakers per feature type
         this.breakers = {
@@ -33,45 +31,92 @@ class RobustGeminiClient {
         Object.values(this.breakers).forEach(breaker => {
             breaker.onTrip = (name) => {
                 const featureName = name.toLowerCase(); // 'chat' or 'content'
-                featureFlags.disableFeature(featureName, 'Circuit Breaker Tripped (Too many failures)');
+                featureFlags.disableFeature(featureName, 'Circuit Breaker Tripped (Too many failures)', { actor: 'circuit_breaker', autoRecover: true });
             };
         });
 
-        // Load keys
-        if (process.env.GEMINI_API_KEY) this.keys.push(process.env.GEMINI_API_KEY);
-        if (process.env.GEMINI_API_KEY_SECONDARY) this.keys.push(process.env.GEMINI_API_KEY_SECONDARY);
-
         if (this.keys.length === 0) {
-            console.warn("RobustGeminiClient: No API Keys found!");
+            this.log.warn(`No API keys found for provider '${provider.name}'`);
         } else {
-            console.log(`RobustGeminiClient: Initialized with ${this.keys.length} key(s). Model Hierarchy: ${this.models.join(' -> ')}`);
+            this.log.info(`Initialized provider '${provider.name}' with ${this.keys.length} key(s)`, { models: this.models });
+        }
+    }
+
+    // Keys and model priority queue come from the provider
+    _useProvider(provider) {
+        this.provider = provider;
+        this.currentKeyIndex = 0;
+        this.keys = [...provider.keys];
+        this.models = [...provider.models];
+        this.forcedModel = null;
+    }
+
+    /**
+     * Swaps the provider at runtime (e.g. the test harness forcing the mock provider,
+     * regardless of what AI_PROVIDER a local .env sets). Breakers keep their state.
+     */
+    setProvider(provider) {
+        this._useProvider(provider);
+        this.log.info(`Switched to provider '${provider.name}'`, { models: this.models });
+    }
+
+    /**
+     * Pins every call to one model of the hierarchy (admin ops console), or restores
+     * the fallback hierarchy with null. In-memory, so it lasts until restart or provider switch.
+     */
+    forceModel(model) {
+        if (model !== null && !this.models.includes(model)) {
+            throw new Error(`Unknown model: ${model}`);
         }
+        this.forcedModel = model;
+        this.log.warn(model ? `Model forced to ${model}` : 'Model hierarchy restored', { models: this._activeModels() });
+    }
+
+    // Models tried in order when the caller doesn't ask for one
+    _activeModels() {
+        return this.forcedModel ? [this.forcedModel] : this.models;
     }
 
-    _getClient() {
+    // Live state for the admin ops console
+    getStatus() {
+        return {
+            provider: this.provider.name,
+            keyCount: this.keys.length,
+            currentKeyIndex: this.currentKeyIndex,
+            models: this.models,
+            forcedModel: this.forcedModel,
+            breakers: Object.values(this.breakers).map(breaker => breaker.getState())
+        };
+    }
+
+    _getKey() {
         if (this.keys.length === 0) throw new Error("No API Keys available");
-        const key = this.keys[this.currentKeyIndex];
-        return new GoogleGenerativeAI(key);
+        return this.keys[this.currentKeyIndex];
     }
 
-    _rotateKey() {
+    _rotateKey(log = this.log) {
         if (this.keys.length <= 1) return false;
 
         const oldIndex = this.currentKeyIndex;
         this.currentKeyIndex = (this.currentKeyIndex + 1) % this.keys.length;
-        console.warn(`[Gemini] Switching API Key from index ${oldIndex} to ${this.currentKeyIndex}`);
+        log.warn(`Switching API key from index ${oldIndex} to ${this.currentKeyIndex}`);
+        aiKeyRotations.inc({ from_key_index: oldIndex, to_key_index: this.currentKeyIndex });
         return true;
     }
 
     /**
      * Master Execution Wrapper
      * Layers: Feature Flag -> Circuit Breaker -> Retry Loop (Keys/Models)
+     * `models` narrows the fallback hierarchy (e.g. a single model the user asked for),
+     * `log` is the caller's logger.
      */
-    async _executeWithRetry(operationName, operationFn, featureFlagName) {
-        // 1. Check Feature Flag
-        const isEnabled = await featureFlags.isEnabled(featureFlagName);
-        if (!isEnabled) {
-            throw new Error(`Feature '${featureFlagName}' is currently disabled due to high error rates.`);
+    async _executeWithRetry(operationName, operationFn, featureFlagName, { models = this._activeModels(), log = this.log } = {}) {
+        // 1. Check Feature Flag (skipped by recovery probes, see probe())
+        if (featureFlagName) {
+            const isEnabled = await featureFlags.isEnabled(featureFlagName);
+            if (!isEnabled) {
+                throw new Error(`Feature '${featureFlagName}' is currently disabled due to high error rates.`);
+            }
         }
 
         // 2. Circuit Breaker
@@ -88,25 +133,39 @@ class RobustGeminiClient {
 
             while (attempts < maxAttemptsTotal) {
                 attempts++;
-                const currentModelName = this.models[currentModelIndex];
+                const currentModelName = models[currentModelIndex];
+                const attemptLabels = { operation: operationName, model: currentModelName, key_index: this.currentKeyIndex };
+                const endTimer = aiAttemptDuration.startTimer({ operation: operationName, model: currentModelName });
 
                 try {
                     // Execute the specific operation (chat or content)
-                    return await operationFn(currentModelName);
+                    const result = await operationFn(currentModelName);
+                    endTimer();
+                    aiAttempts.inc({ ...attemptLabels, outcome: 'success' });
+                    return result;
 
                 } catch (error) {
-                    console.error(`[Gemini ${operationName} Error] (Model: ${currentModelName}):`, error.message);
+                    endTimer();
+                    aiAttempts.inc({ ...attemptLabels, outcome: error.name === 'AbortError' ? 'aborted' : 'error' });
+
+                    // Client aborts and half-delivered streams can't be replayed safely
+                    if (error.name === 'AbortError' || error.partialOutput) {
+                        throw error;
+                    }
+
+                    log.error(`${operationName} attempt failed`, { model: currentModelName, keyIndex: this.currentKeyIndex, attempt: attempts, error });
 
                     const isRateLimit = error.message.includes('429') || error.message.includes('403') || error.status === 429;
                     const isModelError = error.message.includes('503') || error.message.includes('overloaded') || error.message.includes('404') || error.message.includes('not found');
                     const isTimeout = error.message.includes('timed out');
+                    if (isTimeout) aiTimeouts.inc({ operation: operationName, model: currentModelName });
                     const isNetworkError = this._isRetryableError(error);
 
                     // STRATEGY 1: API KEY ROTATION (For Rate Limits)
                     if (isRateLimit) {
-                        const rotated = this._rotateKey();
+                        const rotated = this._rotateKey(log);
                         if (rotated) {
-                            console.log("[Gemini] Rate limit hit. Retrying with NEW KEY immediately...");
+                            log.info('Rate limit hit. Retrying with the next key');
                             continue;
                         }
                         // If no key to rotate, we might fall through to model switch or retry wait
@@ -115,9 +174,10 @@ class RobustGeminiClient {
                     // STRATEGY 2: MODEL FALLBACK (For Overload, NotFound, or persistent 500s)
                     if (isModelError || isTimeout || (isRateLimit && this.keys.length === 1)) {
                         // Try next model if available
-                        if (currentModelIndex < this.models.length - 1) {
+                        if (currentModelIndex < models.length - 1) {
                             currentModelIndex++;
-                            console.warn(`[Gemini] Model ${currentModelName} failing. FALLING BACK to: ${this.models[currentModelIndex]}`);
+                            log.warn(`Model ${currentModelName} failing. Falling back to ${models[currentModelIndex]}`);
+                            aiFallbacks.inc({ operation: operationName, from_model: currentModelName, to_model: models[currentModelIndex] });
                             continue;
                         }
                     }
@@ -128,7 +188,7 @@ class RobustGeminiClient {
                         const waitTime = Math.pow(2, attempts) * 1000; // 2s, 4s...
                         if (waitTime > 10000) break; // Don't wait too long
 
-                        console.log(`[Gemini] Waiting ${waitTime}ms before retry...`);
+                        log.info(`Waiting ${waitTime}ms before retry`);
                         await new Promise(r => setTimeout(r, waitTime));
                         continue;
                     }
@@ -141,52 +201,126 @@ class RobustGeminiClient {
         });
     }
 
+    // Fallback hierarchy for a chat call: only the requested model if one is given
+    _chatModels(model) {
+        return model ? [model] : this._activeModels();
+    }
+
     // --- PUBLIC METHODS ---
 
-    async generateMessage({ message, history, systemInstruction, temperature = 0.7, maxOutputTokens = 4096 }) {
+    async generateMessage({ message, history, systemInstruction, temperature = 0.7, maxOutputTokens = 4096, model, log }) {
         return this._executeWithRetry('Chat', async (modelName) => {
-            const genAI = this._getClient();
-            const model = genAI.getGenerativeModel({
-                model: modelName,
-                systemInstruction: { parts: [{ text: systemInstruction }] }
-            });
-
-            const chat = model.startChat({
-                history: history,
-                generationConfig: { maxOutputTokens, temperature }
-            });
-
-            const result = await this._withTimeout(
-                chat.sendMessage(message),
+            const text = await this._withTimeout(
+                this.provider.generateMessage({
+                    apiKey: this._getKey(),
+                    model: modelName,
+                    message,
+                    history,
+                    systemInstruction,
+                    temperature,
+                    maxOutputTokens
+                }),
                 30000,
                 'Chat generation timed out'
             );
 
-            return { text: result.response.text(), model: modelName };
-        }, 'chat');
+            return { text, model: modelName };
+        }, 'chat', { models: this._chatModels(model), log });
     }
 
-    async generateContent({ contents, systemInstruction, generationConfig, featureName = 'dictionary' }) {
-        return this._executeWithRetry('Content', async (modelName) => { // Using 'Content' breaker
-            const genAI = this._getClient();
-            const config = { ...generationConfig };
-
-            const modelParams = { model: modelName };
-            if (systemInstruction) modelParams.systemInstruction = systemInstruction;
+    /**
+     * Streaming variant of generateMessage.
+     * Calls onChunk for every partial text delta and resolves with the full text once the stream ends.
+     * Retries/fallbacks only happen before the first chunk is emitted; after that a failure is final.
+     */
+    async generateMessageStream({ message, history, systemInstruction, temperature = 0.7, maxOutputTokens = 4096, onChunk, signal, model, log }) {
+        return this._executeWithRetry('Chat', async (modelName) => {
+            let fullText = '';
+
+            try {
+                // Only the time to first response is bounded; long answers may legitimately stream for a while
+                const stream = await this._withTimeout(
+                    this.provider.streamMessage({
+                        apiKey: this._getKey(),
+                        model: modelName,
+                        message,
+                        history,
+                        systemInstruction,
+                        temperature,
+                        maxOutputTokens,
+                        signal
+                    }),
+                    30000,
+                    'Chat generation timed out'
+                );
+
+                for await (const text of stream) {
+                    if (!text) continue;
+
+                    fullText += text;
+                    if (onChunk) onChunk(text);
+                }
+            } catch (error) {
+                if (signal?.aborted) {
+                    const abortError = new Error('Generation aborted by client');
+                    abortError.name = 'AbortError';
+                    throw abortError;
+                }
+                if (fullText) error.partialOutput = true;
+                throw error;
+            }
 
-            const model = genAI.getGenerativeModel(modelParams);
+            return { text: fullText, model: modelName };
+        }, 'chat', { models: this._chatModels(model), log });
+    }
 
+    async generateContent({ contents, systemInstruction, generationConfig, featureName = 'dictionary', log }) {
+        return this._executeWithRetry('Content', async (modelName) => { // Using 'Content' breaker
+            // Result keeps the Gemini SDK shape ({ response: { text(), candidates } }) for every provider
             const result = await this._withTimeout(
-                model.generateContent({
-                    contents: contents,
-                    generationConfig: config
+                this.provider.generateContent({
+                    apiKey: this._getKey(),
+                    model: modelName,
+                    contents,
+                    systemInstruction,
+                    generationConfig
                 }),
                 30000,
                 'Content generation timed out'
             );
 
             return { result, model: modelName };
-        }, featureName);
+        }, featureName, { log });
+    }
+
+    /**
+     * Cheap smoke call ('Chat' or 'Content') for the recovery scheduler (utils/featureRecovery.js).
+     * Skips the feature flag, since that is what is being recovered, but goes through the breaker:
+     * a probe during the cooldown fails fast, and a success closes a HALF_OPEN circuit.
+     */
+    async probe(operationName) {
+        return this._executeWithRetry(operationName, async (modelName) => {
+            const call = operationName === 'Chat'
+                ? this.provider.generateMessage({
+                    apiKey: this._getKey(),
+                    model: modelName,
+                    message: "Say 'OK'",
+                    history: [],
+                    systemInstruction: "Reply with strictly 'OK'.",
+                    temperature: 0,
+                    maxOutputTokens: 5
+                })
+                : this.provider.generateContent({
+                    apiKey: this._getKey(),
+                    model: modelName,
+                    contents: [{ role: 'user', parts: [{ text: "Say 'OK'" }] }],
+                    systemInstruction: "Reply with strictly 'OK'.",
+                    generationConfig: { maxOutputTokens: 5 }
+                });
+
+            await this._withTimeout(call, 15000, `${operationName} probe timed out`);
+            return { model: modelName };
+        }, null);
     }
 
     // --- HELPERS ---
@@ -216,3 +350,4 @@ class RobustGeminiClient {
 }
 
 module.exports = new RobustGeminiClient();
+module.exports.RobustGeminiClient = RobustGeminiClient;
@@ -0,0 +1,280 @@
+const PDFDocument = require('pdfkit');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+
+/**
+ * Session Export
+ * Renders a chat session (chat_sessions + chat_messages) as Markdown, JSON, PDF or DOCX
+ * for case files and teaching material. Answers keep their Sources: structured citations
+ * (see utils/citations.js) when stored, otherwise the Sources section inside the answer text.
+ *
+ * Note: PDFs use the built-in Helvetica font, so non-Latin scripts (e.g. Arabic) are better
+ * exported as DOCX or Markdown.
+ */
+
+const EXPORT_FORMATS = {
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' }
+};
+
+const DISCLAIMER = 'Educational Use Only: Information provided is not a substitute for professional medical reasoning. ' +
+    'Answers are AI-generated by MDnexa™ and must be verified against the current local guidelines before clinical use.';
+
+// Same heading the citation parser looks for
+const SOURCES_HEADING = /^\s*(?:#{1,6}\s*)?(?:\*\*|__)?\s*(?:sources|references|bibliography)\s*:?\s*(?:\*\*|__)?\s*:?\s*$/im;
+
+const formatTimestamp = (value) => new Date(value).toLocaleString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC', timeZoneName: 'short'
+});
+
+const formatCitation = (citation) => {
+    const parts = [citation.issuingBody, citation.guidelineName || (!citation.issuingBody ? citation.raw : null)].filter(Boolean);
+    let line = parts.join(' ') || citation.raw;
+    if (citation.year) line += ` (${citation.year})`;
+    if (citation.country) line += ` - ${citation.country}`;
+    return line;
+};
+
+/**
+ * Normalizes the DB rows into the structure every renderer uses.
+ */
+const buildExport = ({ session, messages, profile }) => ({
+    title: session.title || 'MDnexa Consultation',
+    region: session.region || 'International',
+    country: session.country || 'International',
+    professionalRole: profile?.professional_role || profile?.specialty || 'Healthcare Professional',
+    createdAt: session.created_at,
+    exportedAt: new Date().toISOString(),
+    disclaimer: DISCLAIMER,
+    messages: messages.map(message => {
+        const citations = Array.isArray(message.citations) && message.citations.length > 0 ? message.citations : null;
+        let text = message.content || '';
+
+        // Structured citations replace the raw Sources section (rendered separately)
+        if (citations) {
+            const match = SOURCES_HEADING.exec(text);
+            if (match) text = text.slice(0, match.index).trimEnd();
+        }
+
+        return {
+            role: message.role === 'user' ? 'user' : 'model',
+            text,
+            timestamp: message.created_at,
+            sources: citations ? citations.map(formatCitation) : null,
+            verified: message.verification ? message.verification.passed !== false : null
+        };
+    })
+});
+
+const speakerLabel = (message, data) => (message.role === 'user' ? `Question (${data.professionalRole})` : 'MDnexa™ Clinical Response');
+
+// --- Markdown ---
+
+const renderMarkdown = (data) => {
+    const lines = [
+        `# ${data.title}`,
+        '',
+        `- **Country**: ${data.country}`,
+        `- **Region**: ${data.region}`,
+        `- **Role**: ${data.professionalRole}`,
+        `- **Exported**: ${formatTimestamp(data.exportedAt)}`,
+        '',
+        `> ${data.disclaimer}`,
+        ''
+    ];
+
+    for (const message of data.messages) {
+        lines.push('---', '', `### ${speakerLabel(message, data)}`, `*${formatTimestamp(message.timestamp)}*`, '', message.text, '');
+
+        if (message.sources) {
+            lines.push('**Sources**', '', ...message.sources.map(source => `- ${source}`), '');
+        }
+        if (message.verified === false) {
+            lines.push('> ⚠ The sources of this answer could not be fully verified.', '');
+        }
+    }
+
+    return Buffer.from(lines.join('\n'), 'utf8');
+};
+
+// --- JSON ---
+
+const renderJson = (data) => Buffer.from(JSON.stringify(data, null, 2), 'utf8');
+
+// --- Shared markdown parsing for PDF / DOCX ---
+
+// Line-level structure: headings, bullets, numbered items and paragraphs
+const parseBlocks = (text) => {
+    const blocks = [];
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trimEnd();
+        if (!line.trim()) continue;
+
+        let match;
+        if ((match = /^(#{1,6})\s+(.*)$/.exec(line))) {
+            blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+        } else if ((match = /^(\s*)[-*+•]\s+(.*)$/.exec(line))) {
+            blocks.push({ type: 'bullet', indent: Math.floor(match[1].length / 2), text: match[2] });
+        } else if ((match = /^(\s*)(\d+)[.)]\s+(.*)$/.exec(line))) {
+            blocks.push({ type: 'numbered', indent: Math.floor(match[1].length / 2), number: match[2], text: match[3] });
+        } else {
+            blocks.push({ type: 'paragraph', text: line.trim() });
+        }
+    }
+    return blocks;
+};
+
+// Inline **bold** runs; other markdown markers are dropped
+const parseRuns = (text) => text
+    .split(/(\*\*[^*]+\*\*|__[^_]+__)/)
+    .filter(Boolean)
+    .map(part => {
+        const bold = /^(\*\*|__).*(\*\*|__)$/.test(part);
+        const clean = (bold ? part.slice(2, -2) : part)
+            .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+            .replace(/`/g, '')
+            .replace(/(^|\s)[*_]([^*_]+)[*_](?=\s|$|[.,;:])/g, '$1$2');
+        return { text: clean, bold };
+    });
+
+// --- PDF ---
+
+const renderPdf = (data) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: data.title, Author: 'MDnexa' } });
+    const buffers = [];
+    doc.on('data', chunk => buffers.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    const writeRuns = (runs, options = {}) => {
+        runs.forEach((run, i) => {
+            doc.font(run.bold ? 'Helvetica-Bold' : 'Helvetica')
+                .text(run.text, { ...options, continued: i < runs.length - 1 });
+        });
+    };
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#0f172a').text(data.title);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(9).fillColor('#475569')
+        .text(`Country: ${data.country}   |   Region: ${data.region}   |   Role: ${data.professionalRole}`)
+        .text(`Exported: ${formatTimestamp(data.exportedAt)}`);
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Oblique').fontSize(8).fillColor('#1e40af').text(data.disclaimer);
+
+    for (const message of data.messages) {
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(message.role === 'user' ? '#0369a1' : '#0f172a')
+            .text(speakerLabel(message, data), { continued: true })
+            .font('Helvetica').fontSize(8).fillColor('#94a3b8')
+            .text(`   ${formatTimestamp(message.timestamp)}`);
+        doc.moveDown(0.3);
+        doc.fillColor('#1e293b');
+
+        for (const block of parseBlocks(message.text)) {
+            if (block.type === 'heading') {
+                doc.moveDown(0.3).fontSize(block.level <= 2 ? 12 : 11);
+                writeRuns(parseRuns(block.text).map(run => ({ ...run, bold: true })));
+            } else if (block.type === 'bullet' || block.type === 'numbered') {
+                doc.fontSize(10);
+                const marker = block.type === 'bullet' ? '•' : `${block.number}.`;
+                writeRuns([{ text: `${marker} `, bold: false }, ...parseRuns(block.text)], { indent: 12 + block.indent * 12 });
+            } else {
+                doc.fontSize(10);
+                writeRuns(parseRuns(block.text));
+            }
+        }
+
+        if (message.sources) {
+            doc.moveDown(0.4).font('Helvetica-Bold').fontSize(9).text('Sources');
+            doc.font('Helvetica').fontSize(9);
+            message.sources.forEach((source, i) => doc.text(`${i + 1}. ${source}`, { indent: 12 }));
+        }
+        if (message.verified === false) {
+            doc.moveDown(0.2).font('Helvetica-Oblique').fontSize(8).fillColor('#b45309')
+                .text('Warning: the sources of this answer could not be fully verified.');
+        }
+    }
+
+    doc.end();
+});
+
+// --- DOCX ---
+
+const renderDocx = async (data) => {
+    const toRuns = (text, extra = {}) => parseRuns(text).map(run => new TextRun({ text: run.text, bold: run.bold || extra.bold, ...extra }));
+    const children = [
+        new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(data.title)] }),
+        new Paragraph({ children: [new TextRun({ text: 'Country: ', bold: true }), new TextRun(`${data.country}    `), new TextRun({ text: 'Region: ', bold: true }), new TextRun(data.region)] }),
+        new Paragraph({ children: [new TextRun({ text: 'Role: ', bold: true }), new TextRun(data.professionalRole)] }),
+        new Paragraph({ children: [new TextRun({ text: 'Exported: ', bold: true }), new TextRun(formatTimestamp(data.exportedAt))] }),
+        new Paragraph({ spacing: { before: 200, after: 200 }, children: [new TextRun({ text: data.disclaimer, italics: true, size: 18, color: '1E40AF' })] })
+    ];
+
+    for (const message of data.messages) {
+        children.push(new Paragraph({
+            heading: HeadingLevel.HEADING_2,
+            spacing: { before: 300 },
+            children: [
+                new TextRun(speakerLabel(message, data)),
+                new TextRun({ text: `   ${formatTimestamp(message.timestamp)}`, size: 16, color: '94A3B8' })
+            ]
+        }));
+
+        for (const block of parseBlocks(message.text)) {
+            if (block.type === 'heading') {
+                children.push(new Paragraph({ heading: block.level <= 2 ? HeadingLevel.HEADING_3 : HeadingLevel.HEADING_4, children: toRuns(block.text) }));
+            } else if (block.type === 'bullet') {
+                children.push(new Paragraph({ bullet: { level: Math.min(block.indent, 8) }, children: toRuns(block.text) }));
+            } else if (block.type === 'numbered') {
+                children.push(new Paragraph({ indent: { left: 360 * (block.indent + 1) }, children: [new TextRun(`${block.number}. `), ...toRuns(block.text)] }));
+            } else {
+                children.push(new Paragraph({ children: toRuns(block.text) }));
+            }
+        }
+
+        if (message.sources) {
+            children.push(new Paragraph({ spacing: { before: 120 }, children: [new TextRun({ text: 'Sources', bold: true })] }));
+            message.sources.forEach((source, i) => {
+                children.push(new Paragraph({ indent: { left: 360 }, children: [new TextRun({ text: `${i + 1}. ${source}`, size: 18 })] }));
+            });
+        }
+        if (message.verified === false) {
+            children.push(new Paragraph({ children: [new TextRun({ text: 'Warning: the sources of this answer could not be fully verified.', italics: true, size: 16, color: 'B45309' })] }));
+        }
+    }
+
+    const doc = new Document({
+        creator: 'MDnexa',
+        title: data.title,
+        sections: [{ children }]
+    });
+
+    return Packer.toBuffer(doc);
+};
+
+const RENDERERS = {
+    md: renderMarkdown,
+    json: renderJson,
+    pdf: renderPdf,
+    docx: renderDocx
+};
+
+/**
+ * Renders a session. Resolves with { buffer, contentType, filename }.
+ */
+const exportSession = async ({ session, messages, profile, format }) => {
+    const data = buildExport({ session, messages, profile });
+    const buffer = await RENDERERS[format](data);
+
+    const slug = data.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'consultation';
+    const date = data.exportedAt.slice(0, 10);
+
+    return {
+        buffer,
+        contentType: EXPORT_FORMATS[format].contentType,
+        filename: `mdnexa-${slug}-${date}.${EXPORT_FORMATS[format].extension}`
+    };
+};
+
+module.exports = { EXPORT_FORMATS, buildExport, exportSession };
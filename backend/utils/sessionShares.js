@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+/**
+ * Session Shares
+ * Public read-only links to a chat session or a single answer (session_shares table).
+ * The link only carries a random token; GET /api/shared/:token serves a redacted snapshot:
+ * no user/session/message ids, and e-mail addresses and phone numbers masked in the text.
+ */
+
+const MAX_EXPIRY_DAYS = 365;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// 9+ digits, optionally with a leading + and spaces/dashes/dots/brackets in between
+const PHONE_PATTERN = /\+?\(?\d(?:[\s().-]?\d){8,}/g;
+
+const generateShareToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * expires_at for the expiresInDays of POST /api/sessions/:id/share (validated by schemas/sessions.js,
+ * 1 to MAX_EXPIRY_DAYS). Without it the link never expires (null).
+ */
+const resolveExpiry = (expiresInDays) => expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+
+// 'active' | 'revoked' | 'expired'
+const shareStatus = (share, now = new Date()) => {
+    if (share.revoked_at) return 'revoked';
+    if (share.expires_at && new Date(share.expires_at) <= now) return 'expired';
+    return 'active';
+};
+
+const redactText = (text) => String(text || '')
+    .replace(EMAIL_PATTERN, '[email removed]')
+    .replace(PHONE_PATTERN, '[phone removed]');
+
+/**
+ * Builds the public snapshot. For a single-answer share, `messages` is narrowed to that answer
+ * and the question right before it.
+ */
+const buildSharedSnapshot = ({ share, session, messages }) => {
+    let shared = messages;
+
+    if (share.message_id) {
+        const index = messages.findIndex(message => message.id === share.message_id);
+        shared = index === -1 ? [] : messages.slice(index > 0 && messages[index - 1].role === 'user' ? index - 1 : index, index + 1);
+    }
+
+    return {
+        scope: share.message_id ? 'message' : 'session',
+        title: redactText(session.title || 'MDnexa Consultation'),
+        region: session.region || 'International',
+        country: session.country || 'International',
+        createdAt: session.created_at,
+        sharedAt: share.created_at,
+        expiresAt: share.expires_at || null,
+        messages: shared.map(message => ({
+            role: message.role,
+            text: redactText(message.content),
+            timestamp: message.created_at,
+            citations: Array.isArray(message.citations) ? message.citations : [],
+            verification: message.verification || null
+        }))
+    };
+};
+
+module.exports = {
+    MAX_EXPIRY_DAYS,
+    generateShareToken,
+    resolveExpiry,
+    shareStatus,
+    redactText,
+    buildSharedSnapshot
+};
@@ -0,0 +1,86 @@
+const supabase = require('./supabase');
+const robustGemini = require('./robustGemini');
+const logger = require('./logger');
+
+/**
+ * Session Titles
+ * Generates a short clinical title for a new session from its first exchange
+ * (e.g. "CAP antibiotic choice – elderly"), in the language of the conversation.
+ * Runs through robustGemini's Content breaker under the 'session_titles' feature flag.
+ * Titles the user set themselves (title_is_custom) are never overwritten.
+ */
+
+const MAX_TITLE_LENGTH = 60;
+
+// First line only, without markdown, wrapping quotes, a "Title:" prefix or a trailing period
+const sanitizeTitle = (raw) => {
+    let title = String(raw || '').split('\n').map(line => line.trim()).find(Boolean) || '';
+    title = title
+        .replace(/^#+\s*/, '')
+        .replace(/^(?:\*\*|__)(.*)(?:\*\*|__)$/, '$1')
+        .replace(/^title\s*:\s*/i, '')
+        .replace(/^["'“”«»]+|["'“”«».]+$/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (title.length > MAX_TITLE_LENGTH) {
+        const cut = title.slice(0, MAX_TITLE_LENGTH);
+        const lastSpace = cut.lastIndexOf(' ');
+        title = `${(lastSpace > 20 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+    }
+
+    return title || null;
+};
+
+async function generateSessionTitle({ question, answer, language }) {
+    const { result } = await robustGemini.generateContent({
+        featureName: 'session_titles',
+        generationConfig: { temperature: 0.2, maxOutputTokens: 32 },
+        contents: [{
+            role: 'user',
+            parts: [{
+                text: `Write a short title for this clinical conversation, as shown in a chat history list.
+            LANGUAGE: ${language || 'English'} (the title must be in this language).
+            QUESTION: "${String(question || '').substring(0, 500)}"
+            ANSWER: "${String(answer || '').substring(0, 500)}"
+
+            RULES:
+            1. 3 to 7 words, max ${MAX_TITLE_LENGTH} characters. Name the condition/drug and the clinical angle, e.g. "CAP antibiotic choice – elderly".
+            2. Common clinical abbreviations are fine. No patient names or identifiers.
+            3. OUTPUT: Only the title. No quotes, no trailing period.`
+            }]
+        }]
+    });
+
+    return sanitizeTitle(result.response.text());
+}
+
+/**
+ * Titles a session after its first exchange. Never throws: on failure the session keeps its
+ * creation timestamp title. Resolves with the new title, or null if none was set.
+ */
+async function assignSessionTitle({ sessionId, question, answer, language }) {
+    try {
+        const title = await generateSessionTitle({ question, answer, language });
+        if (!title) return null;
+
+        // Skip sessions the user renamed in the meantime
+        const { data, error } = await supabase
+            .from('chat_sessions')
+            .update({ title })
+            .eq('id', sessionId)
+            .eq('title_is_custom', false)
+            .select('id');
+
+        if (error) throw error;
+        if (!data || data.length === 0) return null;
+
+        logger.info('Session titled', { sessionId });
+        return title;
+    } catch (error) {
+        logger.warn('Failed to title session', { sessionId, error });
+        return null;
+    }
+}
+
+module.exports = { MAX_TITLE_LENGTH, sanitizeTitle, generateSessionTitle, assignSessionTitle };
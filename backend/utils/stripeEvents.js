@@ -0,0 +1,93 @@
+const supabase = require('./supabase');
+const logger = require('./logger');
+
+/**
+ * Ledger of Stripe webhook events (stripe_events, create_stripe_events.sql).
+ * Every delivery claims its event ID before the handlers run, so retried or duplicated
+ * deliveries are processed once; failures are recorded with their error and can be replayed.
+ */
+
+/** @typedef {'processing' | 'processed' | 'ignored' | 'failed'} StripeEventStatus */
+
+/**
+ * @typedef {Object} StripeEventClaim
+ * @property {boolean} claimed   This delivery should run the handlers
+ * @property {StripeEventStatus | null} status  Current status when not claimed
+ * @property {boolean} recorded  false when the ledger is unavailable (migration not run)
+ */
+
+// A 'processing' row older than this belongs to a crashed instance and may be claimed again
+const STALE_AFTER_SECONDS = 10 * 60;
+
+/**
+ * Claims an event for processing (claim_stripe_event). Without the ledger the event is
+ * processed anyway, as before the ledger existed, so payments keep being linked.
+ * The ledger functions log through `log` (the event's logger when called from the webhook).
+ * @returns {Promise<StripeEventClaim>}
+ */
+const claim = async (event, log = logger) => {
+    const { data, error } = await supabase.rpc('claim_stripe_event', {
+        p_event_id: event.id,
+        p_type: event.type,
+        p_payload: event,
+        p_stale_after_seconds: STALE_AFTER_SECONDS
+    });
+
+    if (error) {
+        log.error('Stripe event ledger unavailable, processing without idempotency', { error });
+        return { claimed: true, status: null, recorded: false };
+    }
+
+    const row = Array.isArray(data) ? data[0] : data;
+    return { claimed: Boolean(row?.claimed), status: row?.claimed ? null : row?.status || null, recorded: true };
+};
+
+/** Marks a claimed event as done ('processed', or 'ignored' for types without a handler) */
+const complete = async (eventId, status, log = logger) => {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+        .from('stripe_events')
+        .update({ status, last_error: null, processed_at: now, updated_at: now })
+        .eq('id', eventId);
+    if (error) log.error('Failed to mark the Stripe event', { eventId, status, error });
+};
+
+/** Records a handler failure; the event is claimed again by Stripe's next retry or an admin replay */
+const fail = async (eventId, handlerError, log = logger) => {
+    const { error } = await supabase
+        .from('stripe_events')
+        .update({ status: 'failed', last_error: String(handlerError?.message || handlerError).slice(0, 2000), updated_at: new Date().toISOString() })
+        .eq('id', eventId);
+    if (error) log.error('Failed to record the Stripe event failure', { eventId, error });
+};
+
+/** Events for the admin list, newest first, without their payload */
+const list = async ({ status, type, limit = 50 } = {}) => {
+    let query = supabase
+        .from('stripe_events')
+        .select('id, type, status, attempts, last_error, received_at, updated_at, processed_at')
+        .order('received_at', { ascending: false })
+        .limit(limit);
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+};
+
+/** One event with its payload, or null */
+const get = async (eventId) => {
+    const { data, error } = await supabase.from('stripe_events').select('*').eq('id', eventId).maybeSingle();
+    if (error) throw error;
+    return data;
+};
+
+module.exports = {
+    STALE_AFTER_SECONDS,
+    claim,
+    complete,
+    fail,
+    list,
+    get
+};
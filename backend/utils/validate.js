@@ -0,0 +1,67 @@
+/**
+ * Request Validation
+ * Checks a route's params, query and body against zod schemas (backend/schemas/) before the handler runs:
+ *
+ *   router.put('/:id', requireAuth, validate({ params: idParams, body: contactUpdate }), handler)
+ *
+ * - Parsed values replace the raw ones, so handlers only see known fields: strings trimmed, query
+ *   numbers coerced, defaults applied and unknown body keys dropped (strict schemas reject them).
+ * - Failures answer 400 { error: 'VALIDATION_ERROR', message, issues: [{ location, path, message }] },
+ *   `message` summing up the issues for clients that only display one string.
+ */
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/** @typedef {{ location: 'params' | 'query' | 'body', path: string, message: string }} ValidationIssue */
+/** @typedef {{ error: 'VALIDATION_ERROR', message: string, issues: ValidationIssue[] }} ValidationErrorBody */
+
+// 'history.0.text' (or '' for the whole object)
+const formatPath = (path) => path.map(String).join('.');
+
+/** @returns {ValidationIssue[]} */
+function toIssues(location, error) {
+    return error.issues.map(issue => ({
+        location,
+        path: formatPath(issue.path),
+        message: issue.message
+    }));
+}
+
+/** @returns {ValidationErrorBody} */
+function validationErrorBody(issues) {
+    return {
+        error: 'VALIDATION_ERROR',
+        message: issues.map(issue => (issue.path ? `${issue.path}: ${issue.message}` : issue.message)).join('; '),
+        issues
+    };
+}
+
+function validate(schemas) {
+    return (req, res, next) => {
+        const issues = [];
+        const parsed = {};
+
+        for (const location of LOCATIONS) {
+            if (!schemas[location]) continue;
+
+            const result = schemas[location].safeParse(req[location] ?? {});
+            if (result.success) {
+                parsed[location] = result.data;
+            } else {
+                issues.push(...toIssues(location, result.error));
+            }
+        }
+
+        if (issues.length > 0) {
+            return res.status(400).json(validationErrorBody(issues));
+        }
+
+        // req.query is a getter in Express 5, so it's redefined rather than assigned
+        for (const [location, value] of Object.entries(parsed)) {
+            Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+        }
+        next();
+    };
+}
+
+module.exports = { validate, validationErrorBody };
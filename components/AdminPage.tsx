@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Logo } from './Logo';
+import { FeedbackQueue } from './FeedbackQueue';
+import { OpsPanel } from './OpsPanel';
+import { BillingEventsPanel } from './BillingEventsPanel';
+import { ReferralCodesPanel } from './ReferralCodesPanel';
+import { CrmPanel } from './CrmPanel';
+
+type AdminTab = 'feedback' | 'ops' | 'billing' | 'referrals' | 'crm';
+
+const TABS: { id: AdminTab; label: string; description: string }[] = [
+    {
+        id: 'feedback',
+        label: 'Answer feedback',
+        description: 'Inaccuracy reports and ratings from clinicians. Triage, annotate and export them for the clinical team.'
+    },
+    {
+        id: 'ops',
+        label: 'Operations',
+        description: 'Feature flags and the AI client. Tripped breakers disable their feature and recover it automatically once a probe succeeds; re-enable, reset or pin a model by hand here.'
+    },
+    {
+        id: 'billing',
+        label: 'Billing events',
+        description: 'Stripe webhook deliveries. Each event runs once; failed events are retried by Stripe and can be replayed here once the cause is fixed.'
+    },
+    {
+        id: 'referrals',
+        label: 'Referrals',
+        description: 'Referral codes with their funnel, and the commissions owed to ambassadors. Approve commissions, then mark them paid with the payout reference.'
+    },
+    {
+        id: 'crm',
+        label: 'CRM',
+        description: 'One contact per e-mail address, moved from lead to trial, paying and churned by signups and subscriptions. Tag, annotate, merge duplicates and import or export contacts as CSV.'
+    }
+];
+
+interface AdminPageProps {
+    onBack: () => void;
+}
+
+// Admin area (/admin). The backend enforces the admin role on every endpoint used here.
+export const AdminPage: React.FC<AdminPageProps> = ({ onBack }) => {
+    const [tab, setTab] = useState<AdminTab>('feedback');
+    const current = TABS.find(t => t.id === tab)!;
+
+    return (
+        <div className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-900 dark:text-white font-sans flex flex-col">
+            {/* Navigation */}
+            <nav className="sticky top-0 z-40 w-full bg-white/80 dark:bg-slate-900/80 backdrop-blur-md border-b border-slate-200 dark:border-slate-800">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+                    <button onClick={onBack} className="flex items-center gap-2 group">
+                        <Logo className="w-8 h-8 text-medical-600" />
+                        <span className="text-xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-medical-600 to-medical-500">
+                            MDnexa Admin
+                        </span>
+                    </button>
+                    <button onClick={onBack} className="text-sm font-semibold text-medical-600 dark:text-medical-400 hover:underline">
+                        Back to chat
+                    </button>
+                </div>
+            </nav>
+
+            <div className="flex-1 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 w-full">
+                <div className="flex gap-1 mb-6 border-b border-slate-200 dark:border-slate-800">
+                    {TABS.map(t => (
+                        <button
+                            key={t.id}
+                            onClick={() => setTab(t.id)}
+                            className={`px-4 py-2.5 text-sm font-semibold border-b-2 -mb-px transition-colors ${tab === t.id
+                                ? 'border-medical-600 text-medical-700 dark:text-medical-300'
+                                : 'border-transparent text-slate-500 hover:text-slate-800 dark:hover:text-slate-200'}`}
+                        >
+                            {t.label}
+                        </button>
+                    ))}
+                </div>
+                <header className="mb-6">
+                    <h1 className="text-2xl font-bold text-slate-900 dark:text-white">{current.label}</h1>
+                    <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">{current.description}</p>
+                </header>
+                {tab === 'feedback' && <FeedbackQueue />}
+                {tab === 'ops' && <OpsPanel />}
+                {tab === 'billing' && <BillingEventsPanel />}
+                {tab === 'referrals' && <ReferralCodesPanel />}
+                {tab === 'crm' && <CrmPanel />}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { Logo } from './Logo';
+import { apiRequest, apiDownload } from '../services/api';
+import { AmbassadorDashboard, ReferralCommission, CurrencyAmounts } from '../types';
+
+// "$38.00 · €10.00"; amounts are in the smallest currency unit
+export const formatAmounts = (amounts: CurrencyAmounts): string => {
+    const entries = Object.entries(amounts);
+    if (entries.length === 0) return '—';
+    return entries
+        .map(([currency, amount]) => new Intl.NumberFormat(undefined, { style: 'currency', currency: currency.toUpperCase() }).format(amount / 100))
+        .join(' · ');
+};
+
+export const COMMISSION_STATUS_STYLES: Record<ReferralCommission['status'], string> = {
+    pending: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+    approved: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+    paid: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+    void: 'bg-slate-100 text-slate-600 dark:bg-slate-800 dark:text-slate-300'
+};
+
+const PAYOUT_LABELS: Record<keyof AmbassadorDashboard['payouts'], string> = {
+    pending: 'Pending review',
+    approved: 'Approved, awaiting payout',
+    paid: 'Paid out'
+};
+
+interface AmbassadorPageProps {
+    onBack: () => void;
+}
+
+// Ambassador dashboard (/ambassador): the caller's referral codes, their funnel and commissions (GET /api/referrals/me)
+export const AmbassadorPage: React.FC<AmbassadorPageProps> = ({ onBack }) => {
+    const [dashboard, setDashboard] = useState<AmbassadorDashboard | null>(null);
+    const [commissions, setCommissions] = useState<ReferralCommission[]>([]);
+    const [error, setError] = useState<string | null>(null);
+    const [copied, setCopied] = useState<string | null>(null);
+
+    useEffect(() => {
+        (async () => {
+            try {
+                const [data, ledger] = await Promise.all([
+                    apiRequest<AmbassadorDashboard>('/referrals/me'),
+                    apiRequest<{ items: ReferralCommission[]; total: number }>('/referrals/me/commissions?limit=100')
+                ]);
+                setDashboard(data);
+                setCommissions(ledger.items || []);
+            } catch (err: any) {
+                setError(err.message || 'Failed to load your referral stats');
+            }
+        })();
+    }, []);
+
+    const referralLink = (code: string) => `${window.location.origin}/?ref=${encodeURIComponent(code)}`;
+
+    const copyLink = async (code: string) => {
+        try {
+            await navigator.clipboard.writeText(referralLink(code));
+            setCopied(code);
+            setTimeout(() => setCopied(null), 2000);
+        } catch {
+            window.prompt('Copy your referral link', referralLink(code));
+        }
+    };
+
+    const exportCsv = async () => {
+        try {
+            await apiDownload('/referrals/me/commissions/export', 'mdnexa-commissions.csv');
+        } catch (err: any) {
+            alert(`Export failed: ${err.message}`);
+        }
+    };
+
+    const cardClass = 'bg-white dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-800 shadow-sm p-5';
+    const headingClass = 'text-[10px] font-bold uppercase tracking-wider text-slate-500 mb-3';
+    const smallButton = 'px-3 py-1.5 rounded-lg text-xs font-semibold border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors disabled:opacity-40';
+
+    return (
+        <div className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-900 dark:text-white font-sans flex flex-col">
+            {/* Navigation */}
+            <nav className="sticky top-0 z-40 w-full bg-white/80 dark:bg-slate-900/80 backdrop-blur-md border-b border-slate-200 dark:border-slate-800">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+                    <button onClick={onBack} className="flex items-center gap-2 group">
+                        <Logo className="w-8 h-8 text-medical-600" />
+                        <span className="text-xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-medical-600 to-medical-500">
+                            MDnexa Referrals
+                        </span>
+                    </button>
+                    <button onClick={onBack} className="text-sm font-semibold text-medical-600 dark:text-medical-400 hover:underline">
+                        Back to chat
+                    </button>
+                </div>
+            </nav>
+
+            <div className="flex-1 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 w-full space-y-6">
+                {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+                {!dashboard && !error && <p className="text-sm text-slate-500 dark:text-slate-400 py-10 text-center">Loading...</p>}
+
+                {dashboard && dashboard.codes.length === 0 && (
+                    <div className={`${cardClass} max-w-xl`}>
+                        <h1 className="text-2xl font-bold text-slate-900 dark:text-white">No referral code yet</h1>
+                        <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">
+                            Referral codes are issued by the MDnexa team to our ambassadors and partners. Contact us to join the program.
+                        </p>
+                    </div>
+                )}
+
+                {dashboard && dashboard.codes.length > 0 && (
+                    <>
+                        {/* Payouts */}
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                            {(Object.keys(PAYOUT_LABELS) as (keyof AmbassadorDashboard['payouts'])[]).map(status => (
+                                <div key={status} className={cardClass}>
+                                    <h3 className={headingClass}>{PAYOUT_LABELS[status]}</h3>
+                                    <p className="text-2xl font-bold tabular-nums">{formatAmounts(dashboard.payouts[status])}</p>
+                                </div>
+                            ))}
+                        </div>
+
+                        {/* Codes */}
+                        <div className={cardClass}>
+                            <h3 className={headingClass}>Your codes</h3>
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+                                            <th className="py-2 pr-4 font-semibold">Code</th>
+                                            <th className="py-2 pr-4 font-semibold text-right">Clicks</th>
+                                            <th className="py-2 pr-4 font-semibold text-right">Signups</th>
+                                            <th className="py-2 pr-4 font-semibold text-right">Trials</th>
+                                            <th className="py-2 pr-4 font-semibold text-right">Paying</th>
+                                            <th className="py-2 pr-4 font-semibold text-right">Revenue</th>
+                                            <th className="py-2 pr-4 font-semibold text-right">Commission</th>
+                                            <th className="py-2 font-semibold" />
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                                        {dashboard.codes.map(code => (
+                                            <tr key={code.id}>
+                                                <td className="py-2 pr-4">
+                                                    <span className="font-mono font-semibold text-slate-900 dark:text-white">{code.code}</span>
+                                                    <span className="block text-xs text-slate-400">
+                                                        {code.commission_percent}% commission
+                                                        {code.discount_percent ? ` · ${code.discount_percent}% off for your referrals` : ''}
+                                                        {!code.active && ' · inactive'}
+                                                    </span>
+                                                </td>
+                                                <td className="py-2 pr-4 text-right tabular-nums">{code.stats.clicks}</td>
+                                                <td className="py-2 pr-4 text-right tabular-nums">{code.stats.signups}</td>
+                                                <td className="py-2 pr-4 text-right tabular-nums">{code.stats.trials}</td>
+                                                <td className="py-2 pr-4 text-right tabular-nums">{code.stats.conversions}</td>
+                                                <td className="py-2 pr-4 text-right tabular-nums">{formatAmounts(code.stats.revenue)}</td>
+                                                <td className="py-2 pr-4 text-right tabular-nums">{formatAmounts(code.stats.commission)}</td>
+                                                <td className="py-2 text-right">
+                                                    <button onClick={() => copyLink(code.code)} disabled={!code.active} className={smallButton}>
+                                                        {copied === code.code ? 'Copied' : 'Copy link'}
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+
+                        {/* Commissions */}
+                        <div className={cardClass}>
+                            <div className="flex items-center justify-between gap-3 mb-3">
+                                <h3 className="text-[10px] font-bold uppercase tracking-wider text-slate-500">Commissions</h3>
+                                <button onClick={exportCsv} disabled={commissions.length === 0} className={smallButton}>Export CSV</button>
+                            </div>
+                            {commissions.length === 0 && <p className="text-sm text-slate-500 dark:text-slate-400">No commissions yet. They appear here when your referrals pay an invoice.</p>}
+                            <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+                                {commissions.map(commission => (
+                                    <li key={commission.id} className="flex flex-wrap items-center gap-3 py-2 text-sm">
+                                        <span className="w-28 text-xs text-slate-400">{new Date(commission.created_at).toLocaleDateString()}</span>
+                                        <span className="font-mono text-xs text-slate-600 dark:text-slate-300">{commission.code}</span>
+                                        <span className="flex-1 text-right tabular-nums font-semibold">{formatAmounts({ [commission.currency]: commission.commission_amount })}</span>
+                                        <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${COMMISSION_STATUS_STYLES[commission.status]}`}>
+                                            {commission.status}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../services/supabaseClient';
 import { apiRequest } from '../services/api';
+import { ReferralValidation, SignupRequest, SignupResponse } from '../types';
 import { Logo } from './Logo';
 
 interface AuthPageProps {
@@ -23,7 +24,7 @@ export const AuthPage: React.FC<AuthPageProps> = ({ onBack, onSuccess, initialVi
 
     // Referral State
     const [referralCode, setReferralCode] = useState<string | null>(null);
-    const [referralData, setReferralData] = useState<any>(null); // { valid, promo_code, discount_percent, table }
+    const [referralData, setReferralData] = useState<ReferralValidation | null>(null);
 
     // Check for referral on mount
     useEffect(() => {
@@ -37,17 +38,12 @@ export const AuthPage: React.FC<AuthPageProps> = ({ onBack, onSuccess, initialVi
 
     const validateReferral = async (code: string) => {
         try {
-            const data = await apiRequest(`/referrals/validate?code=${code}`);
-            if (data && data.valid) {
-                // Normalize for easier checking
-                if (!data.table && data.category) {
-                    // logical guess if table is missing, but usually API returns it. 
-                    // We will rely on category or API fix.
-                }
+            const data: ReferralValidation = await apiRequest(`/referrals/validate?code=${encodeURIComponent(code)}`);
+            if (data.valid) {
                 setReferralData(data);
             } else {
                 // Invalid or inactive, ignore or clear? keeping quiet is usually better UX than erroring unless user typed it manually
-                console.log("Referral code invalid:", data?.message);
+                console.log("Referral code invalid:", data.message);
                 localStorage.removeItem('mdnexa_ref'); // Clear invalid code
             }
         } catch (err) {
@@ -124,9 +120,7 @@ export const AuthPage: React.FC<AuthPageProps> = ({ onBack, onSuccess, initialVi
                 targetUrl = STRIPE_LINKS[pendingSubscriptionPriceId];
             }
         } else {
-            const isFreeAccess = referralData && ['team_referrals', 'family_referrals', 'ambassador_referrals', 'ambassador', 'team', 'family'].includes(referralData.table || referralData.category);
-
-            if (isFreeAccess) {
+            if (referralData?.free_access) {
                 targetUrl = undefined;
             } else {
                 const priceIdToUse = pendingSubscriptionPriceId || 'price_1SYuANFvNzuNoc9FLyLTf8ny';
@@ -160,67 +154,39 @@ export const AuthPage: React.FC<AuthPageProps> = ({ onBack, onSuccess, initialVi
 
             } else {
 
-                // Use Supabase Direct Signup
+                // Created by the backend (confirmed right away), which also redeems the referral code
                 try {
-                    console.log("Attempting Supabase signup...");
-                    const { data: authData, error: authError } = await supabase.auth.signUp({
+                    const result: SignupResponse = await apiRequest('/auth/signup', 'POST', {
                         email,
                         password,
-                        options: {
-                            data: {
-                                full_name: name,
-                                ref_source: referralCode || undefined,
-                            }
-                        }
-                    });
-
-                    if (authError) throw authError;
-
-                    // Track Usage (existing logic)
-                    if (referralData) {
-                        try {
-                            apiRequest('/referrals/track', 'POST', {
-                                code: referralData.code,
-                                table: referralData.table
-                            }).catch(err => console.warn("Referral tracking schema check", err));
-                        } catch (e) { }
-                    }
+                        data: { full_name: name },
+                        referralCode: referralCode || undefined
+                    } satisfies SignupRequest);
 
+                    if (result.referral && result.referral.status !== 'redeemed') {
+                        console.warn("Referral code not applied:", result.referral.status);
+                    }
                     localStorage.removeItem('mdnexa_ref');
 
-                    const session = authData.session;
-                    const user = authData.user;
-
-                    if (session) {
-                        // Success - Auto Confirmed
-                        localStorage.setItem('token', session.access_token);
-                        localStorage.setItem('user', JSON.stringify(session.user));
-
-                        if (targetUrl) {
-                            window.location.href = targetUrl;
-                            return;
-                        }
-                        onSuccess();
-                    } else if (user) {
-                        // User created but no session -> Email confirmation required
-                        console.log("User created, waiting for email confirmation.");
-                        setSuccessMessage("Account created! Please check your email inbox (and spam) to confirm your account.");
-
-                        // It is possible the user was ALREADY created but unverified, capturing that case here too:
-                        if (user.identities && user.identities.length === 0) {
-                            // This actually means user existed? No, identities length 0 usually means existing user in some contexts,
-                            // but generally Supabase throws error for "User already registered".
-                            // If we get here, it's usually a fresh success or a resend trigger logic.
-                        }
-                    } else {
-                        throw new Error("Signup successful but no user returned.");
+                    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+                    if (error) throw error;
+
+                    if (data.session) {
+                        localStorage.setItem('token', data.session.access_token);
+                        localStorage.setItem('user', JSON.stringify(data.session.user));
+                    }
+
+                    if (targetUrl) {
+                        window.location.href = targetUrl;
+                        return;
                     }
+                    onSuccess();
 
                 } catch (signupErr: any) {
                     console.error("Signup failed:", signupErr);
 
                     // Handle "User already registered"
-                    if (signupErr.message.includes("User already registered")) {
+                    if (/already (been )?registered/i.test(signupErr.message || '')) {
                         setError("Account already exists. Please log in.");
                         setView('login');
                         // Optionally auto-submit login? No, simpler to just switch view.
@@ -281,9 +247,9 @@ export const AuthPage: React.FC<AuthPageProps> = ({ onBack, onSuccess, initialVi
                             <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-4 h-4">
                                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.857-9.809a.75.75 0 00-1.214-.882l-3.483 4.79-1.88-1.88a.75.75 0 10-1.06 1.061l2.5 2.5a.75.75 0 001.137-.089l4-5.5z" clipRule="evenodd" />
                             </svg>
-                            {referralData.category && ['team_referrals', 'family_referrals', 'ambassador_referrals', 'ambassador', 'team', 'family'].includes(referralData.table || referralData.category)
+                            {referralData.free_access
                                 ? 'Unlimited Access Unlocked (Free)'
-                                : `${referralData.category ? referralData.category + ' ' : ''}Referral Applied: ${referralData.discount_percent}% Off`
+                                : `${referralData.kind} Referral Applied: ${referralData.discount_percent || 0}% Off`
                             }
                         </div>
                     )}
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../services/api';
+import { StripeEvent } from '../types';
+
+const STATUS_STYLES: Record<StripeEvent['status'], string> = {
+    processed: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+    ignored: 'bg-slate-100 text-slate-600 dark:bg-slate-800 dark:text-slate-300',
+    processing: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+    failed: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+type Filter = 'failed' | 'all';
+
+// Stripe webhook ledger (GET /api/admin/stripe-events) with replay of failed events
+export const BillingEventsPanel: React.FC = () => {
+    const [filter, setFilter] = useState<Filter>('failed');
+    const [events, setEvents] = useState<StripeEvent[]>([]);
+    const [error, setError] = useState<string | null>(null);
+    const [busy, setBusy] = useState<string | null>(null); // Action in flight
+
+    const fetchEvents = async () => {
+        try {
+            const data = await apiRequest(`/admin/stripe-events?limit=100${filter === 'failed' ? '&status=failed' : ''}`);
+            setEvents(data || []);
+            setError(null);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load Stripe events');
+        }
+    };
+
+    useEffect(() => {
+        fetchEvents();
+    }, [filter]);
+
+    const replay = async (event: StripeEvent) => {
+        setBusy(event.id);
+        try {
+            await apiRequest(`/admin/stripe-events/${encodeURIComponent(event.id)}/replay`, 'POST');
+        } catch (err: any) {
+            alert(`Replay failed: ${err.message}`);
+        } finally {
+            setBusy(null);
+            fetchEvents();
+        }
+    };
+
+    const runOutbox = async () => {
+        setBusy('outbox');
+        try {
+            const result = await apiRequest('/admin/email-outbox/run', 'POST');
+            alert(`Queued e-mails: ${result.sent} sent, ${result.failed} failed`);
+        } catch (err: any) {
+            alert(`Action failed: ${err.message}`);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const cardClass = 'bg-white dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-800 shadow-sm p-5';
+    const headingClass = 'text-[10px] font-bold uppercase tracking-wider text-slate-500';
+
+    return (
+        <div className={cardClass}>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                <div className="flex items-center gap-2">
+                    <h3 className={headingClass}>Webhook events</h3>
+                    {(['failed', 'all'] as Filter[]).map(f => (
+                        <button
+                            key={f}
+                            onClick={() => setFilter(f)}
+                            className={`px-2.5 py-1 rounded-full text-xs font-semibold transition-colors ${filter === f
+                                ? 'bg-medical-600 text-white'
+                                : 'text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800'}`}
+                        >
+                            {f === 'failed' ? 'Failed' : 'All'}
+                        </button>
+                    ))}
+                </div>
+                <button
+                    onClick={runOutbox}
+                    disabled={busy === 'outbox'}
+                    className="px-3 py-1.5 rounded-lg border border-slate-200 dark:border-slate-700 text-xs font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-50"
+                >
+                    Send queued e-mails
+                </button>
+            </div>
+
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+            {events.length === 0 && !error && (
+                <p className="text-sm text-slate-500 dark:text-slate-400">{filter === 'failed' ? 'No failed events.' : 'No events recorded yet.'}</p>
+            )}
+            <div className="divide-y divide-slate-100 dark:divide-slate-800">
+                {events.map(event => (
+                    <div key={event.id} className="flex flex-wrap items-center gap-3 py-3 text-xs">
+                        <span className="w-36 text-slate-400">{new Date(event.received_at).toLocaleString()}</span>
+                        <span className="w-56 font-semibold text-slate-800 dark:text-slate-200">{event.type}</span>
+                        <span className={`px-2 py-0.5 rounded-full font-bold uppercase tracking-wider ${STATUS_STYLES[event.status]}`}>{event.status}</span>
+                        <span className="flex-1 min-w-0 text-slate-500 dark:text-slate-400 truncate" title={event.last_error || undefined}>
+                            {event.id}{event.attempts > 1 && ` · ${event.attempts} attempts`}{event.last_error && ` · ${event.last_error}`}
+                        </span>
+                        {event.status === 'failed' && (
+                            <button
+                                onClick={() => replay(event)}
+                                disabled={busy === event.id}
+                                className="px-3 py-1.5 rounded-lg bg-medical-600 text-white font-semibold hover:bg-medical-700 transition-colors disabled:opacity-50"
+                            >
+                                {busy === event.id ? 'Replaying...' : 'Replay'}
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
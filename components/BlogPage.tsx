@@ -7,7 +7,7 @@ interface BlogPageProps {
     onBack: () => void;
     onStart: () => void;
     isAuthenticated: boolean;
-    userRole?: string;
+    canManageBlogs?: boolean; // manage_blogs permission
     userName?: string;
 }
 
@@ -23,7 +23,7 @@ interface BlogPost {
     };
 }
 
-export const BlogPage: React.FC<BlogPageProps> = ({ onBack, onStart, isAuthenticated, userRole }) => {
+export const BlogPage: React.FC<BlogPageProps> = ({ onBack, onStart, isAuthenticated, canManageBlogs }) => {
     const [blogs, setBlogs] = useState<BlogPost[]>([]);
     const [searchQuery, setSearchQuery] = useState('');
     const [loading, setLoading] = useState(false);
@@ -144,7 +144,7 @@ export const BlogPage: React.FC<BlogPageProps> = ({ onBack, onStart, isAuthentic
             <div className="flex-1 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 w-full">
 
                 {/* Admin Create Section */}
-                {isAuthenticated && userRole === 'admin' && (
+                {canManageBlogs && (
                     <div className="mb-12 bg-white dark:bg-slate-900 rounded-2xl p-6 shadow-sm border border-slate-200 dark:border-slate-800">
                         <div className="flex items-center gap-3 mb-6">
                             <div className="p-2 bg-purple-100 dark:bg-purple-900/30 rounded-lg text-purple-600 dark:text-purple-400">
@@ -222,7 +222,7 @@ export const BlogPage: React.FC<BlogPageProps> = ({ onBack, onStart, isAuthentic
                     </div>
                 ) : filteredBlogs.length === 0 ? (
                     <div className="text-center py-20 text-slate-500">
-                        No blogs found. {isAuthenticated && userRole === 'admin' ? 'Try creating one!' : ''}
+                        No blogs found. {canManageBlogs ? 'Try creating one!' : ''}
                     </div>
                 ) : (
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest, apiDownload } from '../services/api';
+import { CrmContact, CrmActivity, CrmImportResult, PipelineUpdate, ContactImport } from '../types';
+
+const STAGES: CrmContact['stage'][] = ['lead', 'trial', 'paying', 'churned'];
+
+const STAGE_STYLES: Record<CrmContact['stage'], string> = {
+    lead: 'bg-slate-100 text-slate-600 dark:bg-slate-800 dark:text-slate-300',
+    trial: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+    paying: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400',
+    churned: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+};
+
+const PAGE_SIZE = 50;
+
+const parseTags = (value: string) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Contact pipeline (GET/PATCH /api/crm/contacts), with the timeline, merge and CSV import/export
+export const CrmPanel: React.FC = () => {
+    const [contacts, setContacts] = useState<CrmContact[]>([]);
+    const [total, setTotal] = useState(0);
+    const [offset, setOffset] = useState(0);
+    const [filters, setFilters] = useState({ stage: '', tag: '', q: '' });
+    const [selected, setSelected] = useState<{ contact: CrmContact; activities: CrmActivity[] } | null>(null);
+    const [tagsDraft, setTagsDraft] = useState('');
+    const [note, setNote] = useState('');
+    const [mergeQuery, setMergeQuery] = useState('');
+    const [mergeMatches, setMergeMatches] = useState<CrmContact[]>([]);
+    const [importTags, setImportTags] = useState('');
+    const [importResult, setImportResult] = useState<CrmImportResult | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [busy, setBusy] = useState<string | null>(null); // Action in flight
+
+    const queryString = () => {
+        const params = new URLSearchParams();
+        if (filters.stage) params.set('stage', filters.stage);
+        if (filters.tag.trim()) params.set('tag', filters.tag.trim());
+        if (filters.q.trim()) params.set('q', filters.q.trim());
+        return params.toString();
+    };
+
+    const fetchContacts = async () => {
+        try {
+            const data = await apiRequest<{ items: CrmContact[]; total: number }>(`/crm/contacts?${queryString()}&limit=${PAGE_SIZE}&offset=${offset}`);
+            setContacts(data.items || []);
+            setTotal(data.total || 0);
+            setError(null);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load contacts');
+        }
+    };
+
+    const openContact = async (id: string) => {
+        try {
+            const data = await apiRequest<{ contact: CrmContact; activities: CrmActivity[] }>(`/crm/contacts/${id}`);
+            setSelected(data);
+            setTagsDraft(data.contact.tags.join(', '));
+            setMergeQuery('');
+            setMergeMatches([]);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load the contact');
+        }
+    };
+
+    useEffect(() => {
+        fetchContacts();
+    }, [filters.stage, offset]);
+
+    const run = async (key: string, action: () => Promise<any>) => {
+        setBusy(key);
+        try {
+            await action();
+        } catch (err: any) {
+            alert(`Action failed: ${err.message}`);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const search = (e: React.FormEvent) => {
+        e.preventDefault();
+        if (offset === 0) fetchContacts();
+        else setOffset(0);
+    };
+
+    const update = (changes: PipelineUpdate) =>
+        run('update', async () => {
+            await apiRequest(`/crm/contacts/${selected!.contact.id}`, 'PATCH', changes);
+            await Promise.all([openContact(selected!.contact.id), fetchContacts()]);
+        });
+
+    const addNote = (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!note.trim()) return;
+        run('note', async () => {
+            await apiRequest(`/crm/contacts/${selected!.contact.id}/activities`, 'POST', { summary: note.trim() });
+            setNote('');
+            await openContact(selected!.contact.id);
+        });
+    };
+
+    const findDuplicates = (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!mergeQuery.trim()) return;
+        run('find', async () => {
+            const data = await apiRequest<{ items: CrmContact[] }>(`/crm/contacts?q=${encodeURIComponent(mergeQuery.trim())}&limit=10`);
+            setMergeMatches((data.items || []).filter(c => c.id !== selected!.contact.id));
+        });
+    };
+
+    const merge = (source: CrmContact) => {
+        if (!window.confirm(`Merge ${source.email} into ${selected!.contact.email}? ${source.email} is deleted and its timeline moves over.`)) return;
+        run('merge', async () => {
+            await apiRequest(`/crm/contacts/${selected!.contact.id}/merge`, 'POST', { sourceId: source.id });
+            await Promise.all([openContact(selected!.contact.id), fetchContacts()]);
+        });
+    };
+
+    const importFile = (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        run('import', async () => {
+            const body: ContactImport = { csv: await file.text(), tags: parseTags(importTags) };
+            setImportResult(await apiRequest<CrmImportResult>('/crm/contacts/import', 'POST', body));
+            await fetchContacts();
+        });
+    };
+
+    const exportCsv = () =>
+        run('export', () => apiDownload(`/crm/contacts/export?${queryString()}`, 'mdnexa-contacts.csv'));
+
+    const cardClass = 'bg-white dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-800 shadow-sm p-5';
+    const headingClass = 'text-[10px] font-bold uppercase tracking-wider text-slate-500';
+    const inputClass = 'px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 text-sm text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-medical-300';
+    const smallButton = 'px-3 py-1.5 rounded-lg text-xs font-semibold border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors disabled:opacity-40';
+    const stageBadge = (stage: CrmContact['stage']) => (
+        <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${STAGE_STYLES[stage]}`}>{stage}</span>
+    );
+
+    return (
+        <div className="space-y-6">
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+            <div className={cardClass}>
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                    {['', ...STAGES].map(stage => (
+                        <button
+                            key={stage || 'all'}
+                            onClick={() => { setFilters({ ...filters, stage }); setOffset(0); }}
+                            className={`px-2.5 py-1 rounded-full text-xs font-semibold capitalize transition-colors ${filters.stage === stage
+                                ? 'bg-medical-600 text-white'
+                                : 'text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800'}`}
+                        >
+                            {stage || 'All'}
+                        </button>
+                    ))}
+                    <form onSubmit={search} className="flex flex-1 flex-wrap gap-2 justify-end">
+                        <input value={filters.q} onChange={(e) => setFilters({ ...filters, q: e.target.value })} placeholder="E-mail or name" className={`${inputClass} w-48`} />
+                        <input value={filters.tag} onChange={(e) => setFilters({ ...filters, tag: e.target.value })} placeholder="Tag" className={`${inputClass} w-32`} />
+                        <button type="submit" className={smallButton}>Search</button>
+                    </form>
+                </div>
+
+                {contacts.length === 0 && <p className="text-sm text-slate-500 dark:text-slate-400">No contacts.</p>}
+                <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+                    {contacts.map(contact => (
+                        <li key={contact.id}>
+                            <button
+                                onClick={() => openContact(contact.id)}
+                                className={`w-full flex flex-wrap items-center gap-3 py-2 text-sm text-left hover:bg-slate-50 dark:hover:bg-slate-800/50 ${selected?.contact.id === contact.id ? 'bg-medical-50 dark:bg-medical-900/20' : ''}`}
+                            >
+                                <span className="flex-1 min-w-[200px]">
+                                    <span className="font-semibold">{contact.email}</span>
+                                    {contact.name && <span className="text-slate-400"> · {contact.name}</span>}
+                                </span>
+                                {contact.tags.map(tag => <span key={tag} className="text-xs text-slate-500">#{tag}</span>)}
+                                {contact.opt_in_status === 'confirmed' && <span className="text-xs text-slate-400">newsletter</span>}
+                                {stageBadge(contact.stage)}
+                                <span className="w-24 text-right text-xs text-slate-400">{new Date(contact.last_activity_at).toLocaleDateString()}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="flex items-center justify-between mt-4 text-xs text-slate-500">
+                    <span>{total} contacts</span>
+                    <div className="flex gap-2">
+                        <button onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))} disabled={offset === 0} className={smallButton}>Previous</button>
+                        <button onClick={() => setOffset(offset + PAGE_SIZE)} disabled={offset + PAGE_SIZE >= total} className={smallButton}>Next</button>
+                    </div>
+                </div>
+            </div>
+
+            {selected && (
+                <div className={cardClass}>
+                    <div className="flex flex-wrap items-center gap-3 mb-4">
+                        <h3 className="text-base font-bold text-slate-900 dark:text-white flex-1">
+                            {selected.contact.email}
+                            <span className="block text-xs font-normal text-slate-400">
+                                {selected.contact.name || 'No name'} · {selected.contact.source || 'unknown source'} · newsletter: {selected.contact.opt_in_status}
+                            </span>
+                        </h3>
+                        <select
+                            value={selected.contact.stage}
+                            onChange={(e) => update({ stage: e.target.value as CrmContact['stage'] })}
+                            disabled={busy === 'update'}
+                            className={inputClass}
+                        >
+                            {STAGES.map(stage => <option key={stage} value={stage}>{stage}</option>)}
+                        </select>
+                    </div>
+
+                    <div className="flex flex-wrap gap-2 mb-6">
+                        <input value={tagsDraft} onChange={(e) => setTagsDraft(e.target.value)} placeholder="Tags, separated by commas" className={`${inputClass} flex-1 min-w-[200px]`} />
+                        <button onClick={() => update({ tags: parseTags(tagsDraft) })} disabled={busy === 'update'} className={smallButton}>Save tags</button>
+                    </div>
+
+                    <h4 className={`${headingClass} mb-2`}>Timeline</h4>
+                    <form onSubmit={addNote} className="flex gap-2 mb-3">
+                        <input value={note} onChange={(e) => setNote(e.target.value)} placeholder="Add a note (call, meeting...)" maxLength={5000} className={`${inputClass} flex-1`} />
+                        <button type="submit" disabled={busy === 'note' || !note.trim()} className={smallButton}>Add</button>
+                    </form>
+                    <ul className="space-y-2 mb-6">
+                        {selected.activities.map(activity => (
+                            <li key={activity.id} className="flex gap-3 text-sm">
+                                <span className="w-36 shrink-0 text-xs text-slate-400">{new Date(activity.created_at).toLocaleString()}</span>
+                                <span className="w-32 shrink-0 text-xs font-semibold text-slate-500">{activity.type.replace(/_/g, ' ')}</span>
+                                <span className="flex-1 text-slate-700 dark:text-slate-300 whitespace-pre-wrap">
+                                    {activity.summary || (activity.type === 'stage_changed' ? `${activity.data.from} → ${activity.data.to}` : '')}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <h4 className={`${headingClass} mb-2`}>Merge a duplicate into this contact</h4>
+                    <form onSubmit={findDuplicates} className="flex gap-2 mb-2">
+                        <input value={mergeQuery} onChange={(e) => setMergeQuery(e.target.value)} placeholder="E-mail or name of the duplicate" className={`${inputClass} flex-1`} />
+                        <button type="submit" disabled={busy === 'find'} className={smallButton}>Find</button>
+                    </form>
+                    <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+                        {mergeMatches.map(match => (
+                            <li key={match.id} className="flex items-center gap-3 py-2 text-sm">
+                                <span className="flex-1">{match.email}{match.name ? ` · ${match.name}` : ''}</span>
+                                {stageBadge(match.stage)}
+                                <button onClick={() => merge(match)} disabled={busy === 'merge'} className={smallButton}>Merge</button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <div className={cardClass}>
+                <h3 className={`${headingClass} mb-3`}>Import and export</h3>
+                <div className="flex flex-wrap items-center gap-3">
+                    <input value={importTags} onChange={(e) => setImportTags(e.target.value)} placeholder="Tags for imported contacts" className={`${inputClass} w-64`} />
+                    <label className={`${smallButton} cursor-pointer ${busy === 'import' ? 'opacity-40 pointer-events-none' : ''}`}>
+                        Import CSV
+                        <input type="file" accept=".csv,text/csv" onChange={importFile} className="hidden" />
+                    </label>
+                    <button onClick={exportCsv} disabled={busy === 'export'} className={smallButton}>Export CSV</button>
+                </div>
+                <p className="text-xs text-slate-400 mt-2">Columns: email (required), name, stage, tags, source, notes. Imported contacts are never subscribed to the newsletter.</p>
+                {importResult && (
+                    <div className="mt-3 text-sm text-slate-600 dark:text-slate-300">
+                        {importResult.created} created, {importResult.updated} updated, {importResult.skipped.length} skipped
+                        {importResult.skipped.length > 0 && (
+                            <ul className="mt-1 text-xs text-slate-400">
+                                {importResult.skipped.slice(0, 20).map(row => <li key={row.line}>Line {row.line}: {row.reason}</li>)}
+                            </ul>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,90 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { apiDownload } from '../services/api';
+
+export type ExportFormat = 'pdf' | 'docx' | 'md' | 'json';
+
+const EXPORT_OPTIONS: { format: ExportFormat; label: string }[] = [
+  { format: 'pdf', label: 'PDF Document' },
+  { format: 'docx', label: 'Word (DOCX)' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'json', label: 'JSON' }
+];
+
+interface ExportMenuProps {
+  sessionId: string;
+  variant?: 'sidebar' | 'header';
+  onError?: (message: string) => void;
+}
+
+// Downloads a saved session via GET /api/sessions/:id/export (logged-in users only)
+export const ExportMenu: React.FC<ExportMenuProps> = ({ sessionId, variant = 'sidebar', onError }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [exporting, setExporting] = useState<ExportFormat | null>(null);
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  // Close on outside click
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e: MouseEvent) => {
+      if (menuRef.current && !menuRef.current.contains(e.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleExport = async (format: ExportFormat) => {
+    setExporting(format);
+    try {
+      await apiDownload(`/sessions/${sessionId}/export?format=${format}`, `mdnexa-consultation.${format}`);
+      setIsOpen(false);
+    } catch (err: any) {
+      console.error('Export failed', err);
+      onError?.(err.message || 'Export failed');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const isHeader = variant === 'header';
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={(e) => { e.stopPropagation(); setIsOpen(!isOpen); }}
+        className={isHeader
+          ? 'flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors'
+          : 'p-1 text-slate-500 hover:text-medical-400'}
+        title="Export"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className={isHeader ? 'w-4 h-4' : 'w-3.5 h-3.5'}>
+          <path strokeLinecap="round" strokeLinejoin="round" d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" />
+        </svg>
+        {isHeader && <span className="hidden sm:inline">Export</span>}
+      </button>
+
+      {isOpen && (
+        <div
+          className={`absolute z-50 mt-1 w-40 rounded-lg border shadow-floating py-1 ${isHeader
+            ? 'right-0 bg-white dark:bg-slate-800 border-slate-200 dark:border-slate-700'
+            : 'right-0 bg-slate-900 border-slate-700'}`}
+          onClick={(e) => e.stopPropagation()}
+        >
+          {EXPORT_OPTIONS.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={exporting !== null}
+              className={`w-full text-left px-3 py-1.5 text-xs transition-colors disabled:opacity-50 ${isHeader
+                ? 'text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-700'
+                : 'text-slate-300 hover:bg-slate-800 hover:text-white'}`}
+            >
+              {exporting === format ? 'Preparing...' : label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest, apiDownload } from '../services/api';
+import { FeedbackItem, FeedbackStatus, FeedbackTriage } from '../types';
+import { FEEDBACK_CATEGORIES } from '../constants';
+
+const STATUSES: FeedbackStatus[] = ['new', 'triaged', 'resolved', 'dismissed'];
+const PAGE_SIZE = 25;
+
+const STATUS_STYLES: Record<FeedbackStatus, string> = {
+    new: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+    triaged: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+    resolved: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+    dismissed: 'bg-slate-100 text-slate-600 dark:bg-slate-800 dark:text-slate-400'
+};
+
+interface Filters {
+    status: string;
+    kind: string;
+    category: string;
+}
+
+// Admin review queue for answer feedback (GET/PATCH /api/feedback/admin, CSV export)
+export const FeedbackQueue: React.FC = () => {
+    const [filters, setFilters] = useState<Filters>({ status: 'new', kind: 'report', category: '' });
+    const [items, setItems] = useState<FeedbackItem[]>([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [expandedId, setExpandedId] = useState<string | null>(null);
+    const [notesDraft, setNotesDraft] = useState<Record<string, string>>({});
+    const [savingId, setSavingId] = useState<string | null>(null);
+
+    const queryString = (extra: Record<string, string> = {}) => {
+        const params = new URLSearchParams();
+        Object.entries({ ...filters, ...extra }).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return params.toString();
+    };
+
+    const fetchItems = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const data = await apiRequest(`/feedback/admin?${queryString({ limit: String(PAGE_SIZE), offset: String(page * PAGE_SIZE) })}`);
+            setItems(data?.items || []);
+            setTotal(data?.total || 0);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load feedback');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchItems();
+    }, [filters, page]);
+
+    const updateFilter = (key: keyof Filters, value: string) => {
+        setPage(0);
+        setFilters(prev => ({ ...prev, [key]: value }));
+    };
+
+    const updateItem = async (item: FeedbackItem, changes: FeedbackTriage) => {
+        setSavingId(item.id);
+        try {
+            const updated = await apiRequest<FeedbackItem>(`/feedback/admin/${item.id}`, 'PATCH', changes);
+            setItems(prev => prev.map(i => i.id === item.id ? updated : i));
+        } catch (err: any) {
+            alert(`Failed to update: ${err.message}`);
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    const handleExport = async () => {
+        try {
+            await apiDownload(`/feedback/admin/export?${queryString()}`, 'mdnexa-feedback.csv');
+        } catch (err: any) {
+            alert(`Export failed: ${err.message}`);
+        }
+    };
+
+    const selectClass = 'px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 text-sm text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-medical-300';
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+    return (
+        <div>
+            {/* Filters */}
+            <div className="flex flex-wrap items-center gap-3 mb-6">
+                <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className={selectClass}>
+                    <option value="">All statuses</option>
+                    {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                </select>
+                <select value={filters.kind} onChange={(e) => updateFilter('kind', e.target.value)} className={selectClass}>
+                    <option value="">Reports and ratings</option>
+                    <option value="report">Inaccuracy reports</option>
+                    <option value="rating">Thumbs ratings</option>
+                </select>
+                <select value={filters.category} onChange={(e) => updateFilter('category', e.target.value)} className={selectClass}>
+                    <option value="">All categories</option>
+                    {Object.entries(FEEDBACK_CATEGORIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <div className="flex-1" />
+                <span className="text-sm text-slate-500 dark:text-slate-400">{total} item{total === 1 ? '' : 's'}</span>
+                <button
+                    onClick={handleExport}
+                    className="px-4 py-2 rounded-lg bg-medical-600 text-white text-sm font-medium hover:bg-medical-700 transition-colors"
+                >
+                    Export CSV
+                </button>
+            </div>
+
+            {error && <p className="mb-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+            {loading && items.length === 0 && <p className="text-sm text-slate-500 dark:text-slate-400 py-10 text-center">Loading...</p>}
+            {!loading && !error && items.length === 0 && (
+                <p className="text-sm text-slate-500 dark:text-slate-400 py-10 text-center">Nothing in this queue.</p>
+            )}
+
+            <div className="space-y-3">
+                {items.map(item => {
+                    const isExpanded = expandedId === item.id;
+                    const notes = notesDraft[item.id] ?? item.admin_notes ?? '';
+                    return (
+                        <div key={item.id} className="bg-white dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-800 shadow-sm">
+                            <button
+                                onClick={() => setExpandedId(isExpanded ? null : item.id)}
+                                className="w-full flex flex-wrap items-center gap-3 px-5 py-4 text-left"
+                            >
+                                <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${STATUS_STYLES[item.status]}`}>{item.status}</span>
+                                <span className="text-sm font-semibold text-slate-900 dark:text-white">
+                                    {item.kind === 'report'
+                                        ? FEEDBACK_CATEGORIES[item.category || 'other']
+                                        : item.rating === 'up' ? 'Thumbs up' : 'Thumbs down'}
+                                </span>
+                                <span className="flex-1 min-w-0 truncate text-sm text-slate-500 dark:text-slate-400">{item.comment || item.question}</span>
+                                <span className="text-xs text-slate-400">{item.country || 'International'} · {item.model || 'unknown model'} · {new Date(item.created_at).toLocaleDateString()}</span>
+                            </button>
+
+                            {isExpanded && (
+                                <div className="px-5 pb-5 space-y-4 border-t border-slate-100 dark:border-slate-800 pt-4">
+                                    <p className="text-xs text-slate-500 dark:text-slate-400">
+                                        Reported by {item.reporter_email || 'deleted user'} · Region {item.region || 'International'} · Message {item.message_id || 'deleted'}
+                                    </p>
+                                    {item.comment && (
+                                        <div>
+                                            <h4 className="text-[10px] font-bold uppercase tracking-wider text-slate-500 mb-1">Comment</h4>
+                                            <p className="text-sm text-slate-800 dark:text-slate-200 whitespace-pre-wrap">{item.comment}</p>
+                                        </div>
+                                    )}
+                                    <div>
+                                        <h4 className="text-[10px] font-bold uppercase tracking-wider text-slate-500 mb-1">Question</h4>
+                                        <p className="text-sm text-slate-800 dark:text-slate-200 whitespace-pre-wrap">{item.question || '—'}</p>
+                                    </div>
+                                    <div>
+                                        <h4 className="text-[10px] font-bold uppercase tracking-wider text-slate-500 mb-1">Answer</h4>
+                                        <p className="max-h-72 overflow-y-auto p-3 rounded-lg bg-slate-50 dark:bg-slate-800 text-sm text-slate-700 dark:text-slate-300 whitespace-pre-wrap">{item.answer || '—'}</p>
+                                    </div>
+
+                                    <div>
+                                        <h4 className="text-[10px] font-bold uppercase tracking-wider text-slate-500 mb-1">Admin notes</h4>
+                                        <textarea
+                                            value={notes}
+                                            onChange={(e) => setNotesDraft(prev => ({ ...prev, [item.id]: e.target.value }))}
+                                            rows={3}
+                                            className="w-full px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 text-sm text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-medical-300"
+                                        />
+                                    </div>
+
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        {STATUSES.map(status => (
+                                            <button
+                                                key={status}
+                                                onClick={() => updateItem(item, { status, adminNotes: notes })}
+                                                disabled={savingId === item.id}
+                                                className={`px-3 py-1.5 rounded-lg text-xs font-semibold border transition-colors disabled:opacity-50 ${item.status === status
+                                                    ? 'border-medical-500 bg-medical-50 dark:bg-medical-900/20 text-medical-700 dark:text-medical-300'
+                                                    : 'border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800'}`}
+                                            >
+                                                {status === item.status ? `Save notes (${status})` : `Mark ${status}`}
+                                            </button>
+                                        ))}
+                                        {item.reviewed_at && (
+                                            <span className="text-xs text-slate-400 ml-auto">Last reviewed {new Date(item.reviewed_at).toLocaleString()}</span>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {pageCount > 1 && (
+                <div className="flex items-center justify-center gap-3 mt-6 text-sm">
+                    <button onClick={() => setPage(p => p - 1)} disabled={page === 0} className="px-3 py-1.5 rounded-lg border border-slate-200 dark:border-slate-700 disabled:opacity-40">Previous</button>
+                    <span className="text-slate-500 dark:text-slate-400">Page {page + 1} of {pageCount}</span>
+                    <button onClick={() => setPage(p => p + 1)} disabled={page >= pageCount - 1} className="px-3 py-1.5 rounded-lg border border-slate-200 dark:border-slate-700 disabled:opacity-40">Next</button>
+                </div>
+            )}
+        </div>
+    );
+};
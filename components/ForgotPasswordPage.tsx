@@ -2,6 +2,7 @@ import React, { useState } from "react";
 import { supabase } from "../services/supabaseClient";
 import { Logo } from "./Logo";
 import { apiFetch } from "../services/api";
+import { PasswordResetRequest } from "../types";
 
 const ForgotPasswordPage: React.FC = () => {
     const [email, setEmail] = useState("");
@@ -22,7 +23,7 @@ const ForgotPasswordPage: React.FC = () => {
             const data = await apiFetch('/auth/forgot-password', {
                 method: "POST",
                 headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ email }),
+                body: JSON.stringify({ email } satisfies PasswordResetRequest),
             });
             console.log("[PW_RESET_CLIENT] response", data);
 
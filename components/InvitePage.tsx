@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { Logo } from './Logo';
+import { apiFetch, apiRequest } from '../services/api';
+import { InvitationPreview } from '../types';
+
+interface InvitePageProps {
+    token: string;
+    isAuthenticated: boolean;
+    onSignIn: () => void;
+    onDone: (joined: boolean) => void;
+}
+
+const GONE_MESSAGES: Record<Exclude<InvitationPreview['status'], 'pending'>, string> = {
+    accepted: 'This invitation has already been used.',
+    revoked: 'This invitation was withdrawn. Ask your organization for a new one.',
+    expired: 'This invitation has expired. Ask your organization for a new one.'
+};
+
+// Accept page of an organization invitation (/invite/:token, link from the invitation e-mail)
+export const InvitePage: React.FC<InvitePageProps> = ({ token, isAuthenticated, onSignIn, onDone }) => {
+    const [invitation, setInvitation] = useState<InvitationPreview | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [accepting, setAccepting] = useState(false);
+
+    useEffect(() => {
+        apiFetch<InvitationPreview>(`/organizations/invitations/${encodeURIComponent(token)}`)
+            .then(setInvitation)
+            .catch((err: any) => setError(err.status === 404 ? 'This invitation does not exist.' : err.message || 'Failed to load the invitation.'));
+    }, [token]);
+
+    const accept = async () => {
+        setAccepting(true);
+        setError(null);
+        try {
+            await apiRequest(`/organizations/invitations/${encodeURIComponent(token)}/accept`, 'POST');
+            onDone(true);
+        } catch (err: any) {
+            setError(err.message || 'Failed to accept the invitation.');
+        } finally {
+            setAccepting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-800 dark:text-white font-sans flex flex-col items-center justify-center px-6">
+            <div className="w-full max-w-md bg-white dark:bg-slate-900 rounded-2xl border border-slate-200 dark:border-slate-800 shadow-sm p-8 text-center">
+                <Logo className="w-12 h-12 text-medical-600 mx-auto mb-4" />
+                {!invitation && !error && <p className="text-sm text-slate-500 dark:text-slate-400">Loading invitation...</p>}
+                {invitation && (
+                    <>
+                        <h1 className="text-xl font-bold text-slate-900 dark:text-white">
+                            Join {invitation.organizationName || 'your organization'} on MDnexa
+                        </h1>
+                        <p className="text-sm text-slate-500 dark:text-slate-400 mt-2">
+                            Invitation for <span className="font-semibold">{invitation.email}</span> as {invitation.role === 'admin' ? 'an admin' : 'a member'}.
+                        </p>
+                        {invitation.status !== 'pending' ? (
+                            <p className="text-sm text-amber-700 dark:text-amber-400 mt-6">{GONE_MESSAGES[invitation.status]}</p>
+                        ) : isAuthenticated ? (
+                            <button
+                                onClick={accept}
+                                disabled={accepting}
+                                className="mt-6 w-full px-5 py-2.5 rounded-lg bg-medical-600 text-white text-sm font-medium hover:bg-medical-700 transition-colors disabled:opacity-50"
+                            >
+                                {accepting ? 'Joining...' : 'Accept invitation'}
+                            </button>
+                        ) : (
+                            <button
+                                onClick={onSignIn}
+                                className="mt-6 w-full px-5 py-2.5 rounded-lg bg-medical-600 text-white text-sm font-medium hover:bg-medical-700 transition-colors"
+                            >
+                                Sign in or create an account to accept
+                            </button>
+                        )}
+                    </>
+                )}
+                {error && <p className="text-sm text-red-600 dark:text-red-400 mt-4">{error}</p>}
+                <button onClick={() => onDone(false)} className="mt-4 text-sm font-semibold text-medical-600 dark:text-medical-400 hover:underline">
+                    Go to MDnexa
+                </button>
+            </div>
+        </div>
+    );
+};
@@ -1,13 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Message, Role } from '../types';
+import { Message, Role, FeedbackInput, FeedbackCategory } from '../types';
 import MarkdownRenderer from './MarkdownRenderer';
 import { Logo } from './Logo';
-import { isWelcomeMessage, isArabic } from '../constants';
+import { isWelcomeMessage, isArabic, FEEDBACK_CATEGORIES } from '../constants';
 
 interface MessageBubbleProps {
   message: Message;
   language?: string;
-  onShare?: (title: string, text: string) => void;
+  onShare?: (title: string, text: string, messageId?: string) => void;
+  // Branching: switch between versions (message.siblingIds), regenerate an answer, edit a question
+  onSwitchVersion?: (messageId: string) => void;
+  onRegenerate?: (model?: string) => void;
+  models?: string[];
+  onEdit?: (text: string) => void;
+  // Thumbs up/down and inaccuracy reports on answers (POST /api/feedback)
+  onFeedback?: (feedback: FeedbackInput) => Promise<void>;
 }
 
 // --- GLOBAL AUDIO MANAGER ---
@@ -27,10 +34,41 @@ const cleanMarkdownForSpeech = (text: string): string => {
     .trim();
 };
 
-export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, language = 'en-US', onShare }) => {
+// Matches the "Sources" heading the backend parses (backend/utils/citations.js)
+const SOURCES_HEADING = /^\s*(?:#{1,6}\s*)?(?:\*\*|__)?\s*(?:sources|references|bibliography)\s*:?\s*(?:\*\*|__)?\s*:?\s*$/im;
+
+// When structured citations are available they're rendered as a separate list,
+// so the raw Sources section is cut from the markdown body to avoid showing it twice.
+const stripSourcesSection = (text: string): string => {
+  const match = SOURCES_HEADING.exec(text);
+  return match ? text.slice(0, match.index).trimEnd() : text;
+};
+
+export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, language = 'en-US', onShare, onSwitchVersion, onRegenerate, models = [], onEdit, onFeedback }) => {
   const isUser = message.role === Role.USER;
   const isRTL = isArabic(language);
   const [isCopied, setIsCopied] = useState(false);
+  const [showIssues, setShowIssues] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState(message.text);
+  const [showModelMenu, setShowModelMenu] = useState(false);
+
+  // Feedback State
+  const [rating, setRating] = useState<'up' | 'down' | null>(null);
+  const [showReport, setShowReport] = useState(false);
+  const [reportCategory, setReportCategory] = useState<FeedbackCategory | null>(null);
+  const [reportComment, setReportComment] = useState('');
+  const [reportState, setReportState] = useState<'idle' | 'sending' | 'sent'>('idle');
+  const [reportError, setReportError] = useState<string | null>(null);
+
+  const siblingIds = message.siblingIds || [];
+  const versionIndex = siblingIds.indexOf(message.id);
+  const hasVersions = onSwitchVersion && siblingIds.length > 1 && versionIndex !== -1;
+
+  const citations = message.citations || [];
+  const guidelines = message.guidelines || [];
+  const verificationFailed = !isUser && message.verification?.passed === false;
+  const bodyText = citations.length > 0 ? stripSourcesSection(message.text) : message.text;
 
   // Audio State
   const [isPlaying, setIsPlaying] = useState(false);
@@ -88,6 +126,45 @@ export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, language
     };
   }, [message.id]);
 
+  const startEditing = () => {
+    setEditText(message.text);
+    setIsEditing(true);
+  };
+
+  const submitEdit = () => {
+    const text = editText.trim();
+    if (!text || !onEdit) return;
+    setIsEditing(false);
+    if (text !== message.text.trim()) onEdit(text);
+  };
+
+  // Clicking the active thumb again removes the rating
+  const handleRate = async (value: 'up' | 'down') => {
+    if (!onFeedback) return;
+    const previous = rating;
+    const next = rating === value ? null : value;
+    setRating(next);
+    try {
+      await onFeedback({ rating: next });
+    } catch (err) {
+      console.error('Failed to save rating: ', err);
+      setRating(previous);
+    }
+  };
+
+  const submitReport = async () => {
+    if (!onFeedback || !reportCategory) return;
+    setReportState('sending');
+    setReportError(null);
+    try {
+      await onFeedback({ category: reportCategory, comment: reportComment.trim() || undefined });
+      setReportState('sent');
+    } catch (err: any) {
+      setReportError(err.message || 'Failed to send the report');
+      setReportState('idle');
+    }
+  };
+
   const handleCopy = async () => {
     try {
       await navigator.clipboard.writeText(message.text);
@@ -114,14 +191,69 @@ export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, language
                 <Logo className="w-3 h-3" />
               </div>
               <span className="text-xs font-bold text-slate-700 dark:text-slate-300 uppercase tracking-wide">MDnexa™ Clinical Response</span>
+              {verificationFailed && (
+                <button
+                  onClick={() => setShowIssues(!showIssues)}
+                  className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400 text-[10px] font-bold uppercase tracking-wider"
+                  title="The sources in this answer could not be fully verified"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-3 h-3">
+                    <path fillRule="evenodd" d="M8.485 2.495c.673-1.167 2.357-1.167 3.03 0l6.28 10.875c.673 1.167-.17 2.625-1.516 2.625H3.72c-1.347 0-2.189-1.458-1.515-2.625L8.485 2.495zM10 5a.75.75 0 01.75.75v3.5a.75.75 0 01-1.5 0v-3.5A.75.75 0 0110 5zm0 9a1 1 0 100-2 1 1 0 000 2z" clipRule="evenodd" />
+                  </svg>
+                  <span>Unverified Sources</span>
+                </button>
+              )}
             </div>
             <span className="text-[10px] font-mono text-slate-400">ID: {message.id.substring(0, 6)}</span>
           </div>
         )}
 
+        {verificationFailed && showIssues && (
+          <ul className="px-5 py-2.5 space-y-1 bg-amber-50 dark:bg-amber-900/10 border-b border-amber-100 dark:border-amber-900/30 text-xs text-amber-800 dark:text-amber-300">
+            {message.verification!.issues.map((issue, index) => (
+              <li key={index}>• {issue.message}</li>
+            ))}
+          </ul>
+        )}
+
         <div className={`p-5 ${isUser ? 'py-4' : 'py-6'} ${isRTL && !isUser ? 'text-right' : ''}`}>
           {isUser ? (
-            <p className="whitespace-pre-wrap leading-relaxed text-[15px]">{message.text}</p>
+            isEditing ? (
+              <div className="space-y-2">
+                <textarea
+                  autoFocus
+                  value={editText}
+                  onChange={(e) => setEditText(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.shiftKey) {
+                      e.preventDefault();
+                      submitEdit();
+                    } else if (e.key === 'Escape') {
+                      setIsEditing(false);
+                    }
+                  }}
+                  rows={Math.min(8, Math.max(2, editText.split('\n').length))}
+                  className="w-full min-w-[16rem] px-3 py-2 rounded-lg bg-white text-slate-800 text-[15px] leading-relaxed focus:outline-none focus:ring-2 focus:ring-medical-300 resize-none"
+                />
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => setIsEditing(false)}
+                    className="px-3 py-1 rounded-md text-xs font-medium text-blue-100 hover:bg-medical-700 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={submitEdit}
+                    disabled={!editText.trim()}
+                    className="px-3 py-1 rounded-md text-xs font-bold bg-white text-medical-700 hover:bg-blue-50 disabled:opacity-50 transition-colors"
+                  >
+                    Send
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="whitespace-pre-wrap leading-relaxed text-[15px]">{message.text}</p>
+            )
           ) : (
             message.text === '' ? (
               <div className="flex items-center gap-1.5 h-6">
@@ -131,21 +263,194 @@ export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, language
               </div>
             ) : (
               <div className={isRTL ? "rtl-content" : ""}>
-                <MarkdownRenderer content={message.text} className={`prose-sm md:prose-base ${isRTL ? 'text-right' : ''}`} isRTL={isRTL} />
+                <MarkdownRenderer content={bodyText} className={`prose-sm md:prose-base ${isRTL ? 'text-right' : ''}`} isRTL={isRTL} />
               </div>
             )
           )}
+
+          {/* REFERENCE LIST (structured citations) */}
+          {!isUser && citations.length > 0 && (
+            <div className="mt-5 pt-4 border-t border-slate-100 dark:border-slate-700/50">
+              <h4 className="text-[10px] font-bold uppercase tracking-wider text-slate-500 dark:text-slate-400 mb-2">References</h4>
+              <ol className="space-y-1.5 list-decimal list-inside text-xs text-slate-600 dark:text-slate-300">
+                {citations.map((citation, index) => {
+                  const mismatched = message.verification?.issues.some(
+                    (issue) => issue.type === 'COUNTRY_MISMATCH' && issue.citation === citation.raw
+                  );
+                  return (
+                    <li key={index} className={mismatched ? 'text-amber-700 dark:text-amber-400' : ''}>
+                      {citation.issuingBody && <span className="font-semibold">{citation.issuingBody} </span>}
+                      <span>{citation.guidelineName || citation.raw}</span>
+                      {citation.year && <span> ({citation.year})</span>}
+                      {citation.country && (
+                        <span className="ml-1.5 px-1.5 py-0.5 rounded bg-slate-100 dark:bg-slate-700 text-[10px] text-slate-500 dark:text-slate-400">{citation.country}</span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+
+          {/* GUIDELINE LIBRARY DOCUMENTS the answer was grounded on */}
+          {!isUser && guidelines.length > 0 && (
+            <div className="mt-4 pt-3 border-t border-slate-100 dark:border-slate-700/50">
+              <h4 className="text-[10px] font-bold uppercase tracking-wider text-slate-500 dark:text-slate-400 mb-2">Grounded in MDnexa Guideline Library</h4>
+              <ul className="flex flex-wrap gap-1.5">
+                {guidelines.map((doc) => {
+                  const label = [doc.issuingBody, doc.title, doc.year].filter(Boolean).join(' · ');
+                  const className = `inline-flex items-center gap-1 px-2 py-1 rounded-md text-[11px] border ${doc.cited
+                    ? 'border-medical-200 dark:border-medical-800 bg-medical-50 dark:bg-medical-900/20 text-medical-700 dark:text-medical-300'
+                    : 'border-slate-200 dark:border-slate-700 text-slate-500 dark:text-slate-400'}`;
+                  return (
+                    <li key={doc.id}>
+                      {doc.sourceUrl ? (
+                        <a href={doc.sourceUrl} target="_blank" rel="noopener noreferrer" className={`${className} hover:underline`}>{label}</a>
+                      ) : (
+                        <span className={className}>{label}</span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
         </div>
 
+        {/* INACCURACY REPORT */}
+        {!isUser && showReport && onFeedback && (
+          <div className="mx-5 mb-4 p-4 rounded-lg border border-amber-200 dark:border-amber-900/40 bg-amber-50/60 dark:bg-amber-900/10" dir="ltr">
+            {reportState === 'sent' ? (
+              <div className="flex items-center justify-between gap-3">
+                <p className="text-xs text-amber-800 dark:text-amber-300">Thank you. The clinical team will review this answer.</p>
+                <button onClick={() => setShowReport(false)} className="text-[10px] uppercase font-bold tracking-wider text-amber-700 dark:text-amber-400 hover:underline">Close</button>
+              </div>
+            ) : (
+              <>
+                <p className="text-[10px] font-bold uppercase tracking-wider text-amber-800 dark:text-amber-300 mb-2">Report inaccuracy</p>
+                <div className="flex flex-wrap gap-1.5 mb-3">
+                  {Object.entries(FEEDBACK_CATEGORIES).map(([value, label]) => (
+                    <button
+                      key={value}
+                      onClick={() => setReportCategory(value as FeedbackCategory)}
+                      className={`px-2 py-1 rounded-md text-[11px] border transition-colors ${reportCategory === value
+                        ? 'border-amber-500 bg-amber-100 dark:bg-amber-900/40 text-amber-900 dark:text-amber-200 font-semibold'
+                        : 'border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-600 dark:text-slate-300 hover:border-amber-300'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <textarea
+                  value={reportComment}
+                  onChange={(e) => setReportComment(e.target.value)}
+                  placeholder="What is wrong? E.g. the correct dose and where it comes from."
+                  rows={3}
+                  maxLength={2000}
+                  className="w-full px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 text-sm text-slate-800 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-amber-300 resize-none"
+                />
+                {reportError && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{reportError}</p>}
+                <div className="flex justify-end gap-2 mt-2">
+                  <button
+                    onClick={() => setShowReport(false)}
+                    className="px-3 py-1 rounded-md text-xs font-medium text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={submitReport}
+                    disabled={!reportCategory || reportState === 'sending' || (reportCategory === 'other' && !reportComment.trim())}
+                    className="px-3 py-1 rounded-md text-xs font-bold bg-amber-600 text-white hover:bg-amber-700 disabled:opacity-50 transition-colors"
+                  >
+                    {reportState === 'sending' ? 'Sending...' : 'Send report'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
         <div className={`flex items-center justify-between px-5 pb-3 ${isUser ? 'pt-0' : 'pt-2 border-t border-slate-50 dark:border-slate-700/30'}`}>
-          <div className={`text-[10px] font-medium ${isUser ? 'text-blue-100' : 'text-slate-400 dark:text-slate-500'}`}>
-            {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          <div className={`flex items-center gap-3 text-[10px] font-medium ${isUser ? 'text-blue-100' : 'text-slate-400 dark:text-slate-500'}`}>
+            <span>{message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+
+            {/* VERSION NAVIGATION (regenerated answers / edited questions) */}
+            {hasVersions && (
+              <div className="flex items-center gap-1 font-bold">
+                <button
+                  onClick={() => onSwitchVersion!(siblingIds[versionIndex - 1])}
+                  disabled={versionIndex === 0}
+                  className={`px-1 rounded disabled:opacity-30 ${isUser ? 'hover:bg-medical-700' : 'hover:text-medical-600 dark:hover:text-medical-400'}`}
+                  title="Previous version"
+                >
+                  &lsaquo;
+                </button>
+                <span>{versionIndex + 1}/{siblingIds.length}</span>
+                <button
+                  onClick={() => onSwitchVersion!(siblingIds[versionIndex + 1])}
+                  disabled={versionIndex === siblingIds.length - 1}
+                  className={`px-1 rounded disabled:opacity-30 ${isUser ? 'hover:bg-medical-700' : 'hover:text-medical-600 dark:hover:text-medical-400'}`}
+                  title="Next version"
+                >
+                  &rsaquo;
+                </button>
+              </div>
+            )}
           </div>
 
+          {isUser && onEdit && !isEditing && (
+            <button
+              onClick={startEditing}
+              className="flex items-center gap-1.5 text-[10px] uppercase font-bold tracking-wider text-blue-100 hover:text-white transition-colors"
+              title="Edit and resend"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-3.5 h-3.5">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M16.862 4.487l1.687-1.688a1.875 1.875 0 112.652 2.652L10.582 16.07a4.5 4.5 0 01-1.897 1.13L6 18l.8-2.685a4.5 4.5 0 011.13-1.897l8.932-8.931zm0 0L19.5 7.125" />
+              </svg>
+              <span>Edit</span>
+            </button>
+          )}
+
           {/* ACTION BUTTONS (Share, Copy, Read Aloud) */}
           {/* HIDE ALL ACTIONS FOR WELCOME MESSAGE */}
           {!isUser && !message.isError && !isWelcomeMessage(message.text) && (
             <div className="flex items-center gap-4">
+              {onFeedback && (
+                <>
+                  <div className="flex items-center gap-2.5">
+                    <button
+                      onClick={() => handleRate('up')}
+                      className={`transition-colors ${rating === 'up' ? 'text-medical-600 dark:text-medical-400' : 'text-slate-400 dark:text-slate-500 hover:text-medical-600 dark:hover:text-medical-400'}`}
+                      title="Helpful"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" fill={rating === 'up' ? 'currentColor' : 'none'} viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-3.5 h-3.5">
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M6.633 10.5c.806 0 1.533-.446 2.031-1.08a9.041 9.041 0 012.861-2.4c.723-.384 1.35-.956 1.653-1.715a4.498 4.498 0 00.322-1.672V3a.75.75 0 01.75-.75A2.25 2.25 0 0116.5 4.5c0 1.152-.26 2.243-.723 3.218-.266.558.107 1.282.725 1.282h3.126c1.026 0 1.945.694 2.054 1.715.045.422.068.85.068 1.285a11.95 11.95 0 01-2.649 7.521c-.388.482-.987.729-1.605.729H13.48c-.483 0-.964-.078-1.423-.23l-3.114-1.04a4.501 4.501 0 00-1.423-.23H5.904M14.25 9h2.25M5.904 18.75c.083.205.173.405.27.602.197.4-.078.898-.523.898h-.908c-.889 0-1.713-.518-1.972-1.368a12 12 0 01-.521-3.507c0-1.553.295-3.036.831-4.398C3.387 10.203 4.167 9.75 5 9.75h1.053c.472 0 .745.556.5.96a8.958 8.958 0 00-1.302 4.665c0 1.194.232 2.333.654 3.375z" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => handleRate('down')}
+                      className={`transition-colors ${rating === 'down' ? 'text-red-500 dark:text-red-400' : 'text-slate-400 dark:text-slate-500 hover:text-red-500 dark:hover:text-red-400'}`}
+                      title="Not helpful"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" fill={rating === 'down' ? 'currentColor' : 'none'} viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-3.5 h-3.5">
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M7.5 15h2.25m8.024-9.75c.011.05.028.1.052.148.591 1.2.924 2.55.924 3.977a8.96 8.96 0 01-.999 4.125m.023-8.25c-.076-.365.183-.75.575-.75h.908c.889 0 1.713.518 1.972 1.368.339 1.11.521 2.287.521 3.507 0 1.553-.295 3.036-.831 4.398C20.613 14.547 19.833 15 19 15h-1.053c-.472 0-.745-.556-.5-.96a8.95 8.95 0 00.303-.54m.023-8.25H16.48a4.5 4.5 0 01-1.423-.23l-3.114-1.04a4.5 4.5 0 00-1.423-.23H6.504c-.618 0-1.217.247-1.605.729A11.95 11.95 0 002.25 12c0 .434.023.863.068 1.285C2.427 14.306 3.346 15 4.372 15h3.126c.618 0 .991.724.725 1.282A7.471 7.471 0 007.5 19.5a2.25 2.25 0 002.25 2.25.75.75 0 00.75-.75v-.633c0-.573.11-1.14.322-1.672.304-.76.93-1.33 1.653-1.715a9.04 9.04 0 002.86-2.4c.498-.634 1.226-1.08 2.032-1.08h.384" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => setShowReport(!showReport)}
+                      className={`flex items-center gap-1.5 text-[10px] uppercase font-bold tracking-wider transition-colors ${showReport ? 'text-amber-600 dark:text-amber-400' : 'text-slate-400 dark:text-slate-500 hover:text-amber-600 dark:hover:text-amber-400'}`}
+                      title="Report an inaccuracy"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-3.5 h-3.5">
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M3 3v1.5M3 21v-6m0 0l2.77-.693a9 9 0 016.208.682l.108.054a9 9 0 006.086.71l3.114-.732a48.524 48.524 0 01-.005-10.499l-3.11.732a9 9 0 01-6.085-.711l-.108-.054a9 9 0 00-6.208-.682L3 4.5M3 15V4.5" />
+                      </svg>
+                      <span>Report</span>
+                    </button>
+                  </div>
+                  <div className="w-px h-3 bg-slate-200 dark:bg-slate-700"></div>
+                </>
+              )}
+
               {/* Play Button - STRICTLY VISIBLE ONLY WHEN FULL AUDIO IS READY */}
               {isAudioReady && (
                 <>
@@ -182,7 +487,7 @@ export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, language
               {onShare && (
                 <>
                   <button
-                    onClick={() => onShare("MDnexa Clinical Response", message.text)}
+                    onClick={() => onShare("MDnexa Clinical Response", message.text, message.id)}
                     className="flex items-center gap-1.5 text-[10px] uppercase font-bold tracking-wider text-slate-400 dark:text-slate-500 hover:text-medical-600 dark:hover:text-medical-400 transition-colors"
                   >
                     <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-3.5 h-3.5">
@@ -194,6 +499,52 @@ export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, language
                 </>
               )}
 
+              {onRegenerate && (
+                <>
+                  <div className="relative flex items-center gap-1">
+                    <button
+                      onClick={() => onRegenerate()}
+                      className="flex items-center gap-1.5 text-[10px] uppercase font-bold tracking-wider text-slate-400 dark:text-slate-500 hover:text-medical-600 dark:hover:text-medical-400 transition-colors"
+                      title="Regenerate this answer"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-3.5 h-3.5">
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M16.023 9.348h4.992v-.001M2.985 19.644v-4.992m0 0h4.992m-4.993 0l3.181 3.183a8.25 8.25 0 0013.803-3.7M4.031 9.865a8.25 8.25 0 0113.803-3.7l3.181 3.182m0-4.991v4.99" />
+                      </svg>
+                      <span>Regenerate</span>
+                    </button>
+                    {models.length > 1 && (
+                      <button
+                        onClick={() => setShowModelMenu(!showModelMenu)}
+                        className="px-0.5 text-slate-400 dark:text-slate-500 hover:text-medical-600 dark:hover:text-medical-400 transition-colors"
+                        title="Regenerate with a specific model"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-3 h-3">
+                          <path fillRule="evenodd" d="M5.23 7.21a.75.75 0 011.06.02L10 11.168l3.71-3.938a.75.75 0 111.08 1.04l-4.25 4.5a.75.75 0 01-1.08 0l-4.25-4.5a.75.75 0 01.02-1.06z" clipRule="evenodd" />
+                        </svg>
+                      </button>
+                    )}
+                    {showModelMenu && (
+                      <div className="absolute bottom-full right-0 mb-2 z-20 min-w-[11rem] py-1 rounded-lg bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 shadow-lg">
+                        <p className="px-3 py-1 text-[10px] font-bold uppercase tracking-wider text-slate-400">Regenerate with</p>
+                        {models.map((model) => (
+                          <button
+                            key={model}
+                            onClick={() => {
+                              setShowModelMenu(false);
+                              onRegenerate(model);
+                            }}
+                            className="block w-full text-left px-3 py-1.5 text-xs font-mono text-slate-700 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-700"
+                          >
+                            {model}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <div className="w-px h-3 bg-slate-200 dark:bg-slate-700"></div>
+                </>
+              )}
+
               <button
                 onClick={handleCopy}
                 className="flex items-center gap-1.5 text-[10px] uppercase font-bold tracking-wider text-slate-400 dark:text-slate-500 hover:text-medical-600 dark:hover:text-medical-400 transition-colors"
@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { Logo } from './Logo';
+import { apiFetch } from '../services/api';
+import { NewsletterToken } from '../types';
+
+interface NewsletterPageProps {
+    action: 'confirm' | 'unsubscribe';
+    token: string;
+    onDone: () => void;
+}
+
+const DONE_MESSAGES: Record<NewsletterPageProps['action'], { title: string; text: string }> = {
+    confirm: { title: 'Subscription confirmed', text: 'Thanks! You will now receive the MDnexa newsletter.' },
+    unsubscribe: { title: 'You are unsubscribed', text: 'You will not receive the MDnexa newsletter anymore.' }
+};
+
+// Links of the newsletter e-mails (/newsletter/confirm?token=, /newsletter/unsubscribe?token=)
+export const NewsletterPage: React.FC<NewsletterPageProps> = ({ action, token, onDone }) => {
+    const [done, setDone] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        if (!token) {
+            setError('This link is incomplete. Open it again from the e-mail.');
+            return;
+        }
+        apiFetch(`/crm/newsletter/${action}`, { method: 'POST', body: JSON.stringify({ token } satisfies NewsletterToken) })
+            .then(() => setDone(true))
+            .catch((err: any) => setError(err.message || 'Something went wrong. Please try again later.'));
+    }, [action, token]);
+
+    return (
+        <div className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-800 dark:text-white font-sans flex flex-col items-center justify-center px-6">
+            <div className="w-full max-w-md bg-white dark:bg-slate-900 rounded-2xl border border-slate-200 dark:border-slate-800 shadow-sm p-8 text-center">
+                <Logo className="w-12 h-12 text-medical-600 mx-auto mb-4" />
+                {!done && !error && <p className="text-sm text-slate-500 dark:text-slate-400">One moment...</p>}
+                {done && (
+                    <>
+                        <h1 className="text-xl font-bold text-slate-900 dark:text-white">{DONE_MESSAGES[action].title}</h1>
+                        <p className="text-sm text-slate-500 dark:text-slate-400 mt-2">{DONE_MESSAGES[action].text}</p>
+                    </>
+                )}
+                {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+                <button
+                    onClick={onDone}
+                    className="mt-6 px-6 py-2.5 rounded-lg text-sm font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors"
+                >
+                    Go to MDnexa
+                </button>
+            </div>
+        </div>
+    );
+};
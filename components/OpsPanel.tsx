@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../services/api';
+import { AiStatus, BreakerState, FeatureFlag, FlagHistoryEvent, FlagUpdate, ModelUpdate } from '../types';
+
+const BREAKER_STYLES: Record<BreakerState['state'], string> = {
+    CLOSED: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+    HALF_OPEN: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+    OPEN: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+const EVENT_STYLES: Record<FlagHistoryEvent['event'], string> = {
+    disabled: 'text-red-600 dark:text-red-400',
+    probe_failed: 'text-amber-600 dark:text-amber-400',
+    enabled: 'text-green-600 dark:text-green-400'
+};
+
+const REFRESH_INTERVAL = 10000;
+
+// Feature flags and live AI client state (GET /api/admin/ops), with the recovery actions
+export const OpsPanel: React.FC = () => {
+    const [flags, setFlags] = useState<FeatureFlag[]>([]);
+    const [ai, setAi] = useState<AiStatus | null>(null);
+    const [history, setHistory] = useState<FlagHistoryEvent[]>([]);
+    const [error, setError] = useState<string | null>(null);
+    const [busy, setBusy] = useState<string | null>(null); // Action in flight
+
+    const fetchOps = async () => {
+        try {
+            const [data, events] = await Promise.all([apiRequest('/admin/ops'), apiRequest('/admin/flags/history?limit=30')]);
+            setFlags(data?.flags || []);
+            setAi(data?.ai || null);
+            setHistory(events || []);
+            setError(null);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load operations state');
+        }
+    };
+
+    // Breaker state lives in server memory and changes on its own, so keep polling
+    useEffect(() => {
+        fetchOps();
+        const timer = setInterval(fetchOps, REFRESH_INTERVAL);
+        return () => clearInterval(timer);
+    }, []);
+
+    const runAction = async (key: string, action: () => Promise<any>) => {
+        setBusy(key);
+        try {
+            const data = await action();
+            if (data?.flags) setFlags(data.flags);
+            if (data?.ai) setAi(data.ai);
+            if (data?.flags) setHistory(await apiRequest('/admin/flags/history?limit=30') || []);
+        } catch (err: any) {
+            alert(`Action failed: ${err.message}`);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const toggleFlag = (flag: FeatureFlag) => {
+        if (flag.is_enabled && !window.confirm(`Disable "${flag.feature_name}" for all users?`)) return;
+        runAction(`flag:${flag.feature_name}`, () => apiRequest(`/admin/flags/${encodeURIComponent(flag.feature_name)}`, 'PUT', { enabled: !flag.is_enabled } satisfies FlagUpdate));
+    };
+
+    const resetBreaker = (breaker: BreakerState) =>
+        runAction(`breaker:${breaker.name}`, () => apiRequest(`/admin/breakers/${encodeURIComponent(breaker.name)}/reset`, 'POST'));
+
+    const runRecovery = () => runAction('recovery', () => apiRequest('/admin/recovery/run', 'POST'));
+
+    const forceModel = (model: string) =>
+        runAction('model', () => apiRequest('/admin/model', 'PUT', { model: model || null } satisfies ModelUpdate));
+
+    const cardClass = 'bg-white dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-800 shadow-sm p-5';
+    const headingClass = 'text-[10px] font-bold uppercase tracking-wider text-slate-500 mb-3';
+
+    return (
+        <div className="space-y-6">
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+            {/* AI client */}
+            {ai && (
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                    <div className={cardClass}>
+                        <h3 className={headingClass}>AI provider</h3>
+                        <p className="text-lg font-semibold text-slate-900 dark:text-white">{ai.provider}</p>
+                        <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">
+                            API key {ai.keyCount > 0 ? `${ai.currentKeyIndex + 1} of ${ai.keyCount}` : 'none configured'}
+                        </p>
+
+                        <h3 className={`${headingClass} mt-5`}>Model ladder</h3>
+                        <ol className="space-y-1 text-sm">
+                            {ai.models.map((model, index) => (
+                                <li key={model} className={`flex items-center gap-2 ${ai.forcedModel && ai.forcedModel !== model ? 'text-slate-400 line-through' : 'text-slate-800 dark:text-slate-200'}`}>
+                                    <span className="text-xs text-slate-400 w-4">{index + 1}.</span>
+                                    {model}
+                                    {ai.forcedModel === model && <span className="px-1.5 py-0.5 rounded text-[10px] font-bold uppercase bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300">forced</span>}
+                                </li>
+                            ))}
+                        </ol>
+                        <select
+                            value={ai.forcedModel || ''}
+                            onChange={(e) => forceModel(e.target.value)}
+                            disabled={busy === 'model'}
+                            className="mt-4 w-full px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 text-sm text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-medical-300 disabled:opacity-50"
+                        >
+                            <option value="">Automatic fallback</option>
+                            {ai.models.map(model => <option key={model} value={model}>Force {model}</option>)}
+                        </select>
+                    </div>
+
+                    <div className={`${cardClass} lg:col-span-2`}>
+                        <h3 className={headingClass}>Circuit breakers</h3>
+                        <div className="divide-y divide-slate-100 dark:divide-slate-800">
+                            {ai.breakers.map(breaker => (
+                                <div key={breaker.name} className="flex flex-wrap items-center gap-3 py-3">
+                                    <span className="w-20 text-sm font-semibold text-slate-900 dark:text-white">{breaker.name}</span>
+                                    <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${BREAKER_STYLES[breaker.state]}`}>{breaker.state.replace('_', ' ')}</span>
+                                    <span className="text-xs text-slate-500 dark:text-slate-400">
+                                        {breaker.failures}/{breaker.failureThreshold} recent failures
+                                        {breaker.nextAttempt && ` · next attempt ${new Date(breaker.nextAttempt).toLocaleTimeString()}`}
+                                    </span>
+                                    <div className="flex-1" />
+                                    <button
+                                        onClick={() => resetBreaker(breaker)}
+                                        disabled={busy === `breaker:${breaker.name}` || (breaker.state === 'CLOSED' && breaker.failures === 0)}
+                                        className="px-3 py-1.5 rounded-lg text-xs font-semibold border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors disabled:opacity-40"
+                                    >
+                                        Reset
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Feature flags */}
+            <div className={cardClass}>
+                <div className="flex items-center justify-between mb-3">
+                    <h3 className={`${headingClass} mb-0`}>Feature flags</h3>
+                    {flags.some(flag => flag.auto_reenable_at) && (
+                        <button
+                            onClick={runRecovery}
+                            disabled={busy === 'recovery'}
+                            className="px-3 py-1.5 rounded-lg text-xs font-semibold border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors disabled:opacity-50"
+                        >
+                            {busy === 'recovery' ? 'Probing...' : 'Run due probes now'}
+                        </button>
+                    )}
+                </div>
+                {flags.length === 0 && !error && <p className="text-sm text-slate-500 dark:text-slate-400">No feature flags configured.</p>}
+                <div className="divide-y divide-slate-100 dark:divide-slate-800">
+                    {flags.map(flag => (
+                        <div key={flag.feature_name} className="flex flex-wrap items-center gap-3 py-3">
+                            <span className={`w-2.5 h-2.5 rounded-full ${flag.is_enabled ? 'bg-green-500' : 'bg-red-500'}`} />
+                            <span className="w-40 text-sm font-semibold text-slate-900 dark:text-white">{flag.feature_name}</span>
+                            <span className="flex-1 min-w-0 text-xs text-slate-500 dark:text-slate-400">
+                                {flag.is_enabled
+                                    ? 'Enabled'
+                                    : `Disabled${flag.disabled_reason ? `: ${flag.disabled_reason}` : ''}`}
+                                {flag.last_disabled_at && ` · last disabled ${new Date(flag.last_disabled_at).toLocaleString()}`}
+                                {!flag.is_enabled && flag.auto_reenable_at && ` · next recovery probe ${new Date(flag.auto_reenable_at).toLocaleTimeString()}${flag.recovery_attempts ? ` (${flag.recovery_attempts} failed)` : ''}`}
+                            </span>
+                            <button
+                                onClick={() => toggleFlag(flag)}
+                                disabled={busy === `flag:${flag.feature_name}`}
+                                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors disabled:opacity-50 ${flag.is_enabled
+                                    ? 'border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800'
+                                    : 'bg-medical-600 text-white hover:bg-medical-700'}`}
+                            >
+                                {flag.is_enabled ? 'Disable' : 'Re-enable'}
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Outage timeline */}
+            <div className={cardClass}>
+                <h3 className={headingClass}>Flag history</h3>
+                {history.length === 0 && <p className="text-sm text-slate-500 dark:text-slate-400">No transitions recorded yet.</p>}
+                <ul className="space-y-2">
+                    {history.map(event => (
+                        <li key={event.id} className="flex flex-wrap items-baseline gap-x-3 text-xs">
+                            <span className="w-36 text-slate-400">{new Date(event.created_at).toLocaleString()}</span>
+                            <span className="w-32 font-semibold text-slate-800 dark:text-slate-200">{event.feature_name}</span>
+                            <span className={`w-24 font-bold uppercase tracking-wider ${EVENT_STYLES[event.event]}`}>{event.event.replace('_', ' ')}</span>
+                            <span className="flex-1 min-w-0 text-slate-500 dark:text-slate-400">
+                                {event.reason || ''} · {event.actor}
+                                {event.next_probe_at && ` · next probe ${new Date(event.next_probe_at).toLocaleTimeString()}`}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../services/api';
+import { formatAmounts, COMMISSION_STATUS_STYLES } from './AmbassadorPage';
+import { ReferralCode, ReferralCommission, ReferralCodeCreate, ReferralCodeUpdate, CommissionUpdate } from '../types';
+
+// Referral codes (GET/POST /api/referrals/codes) and the commission payouts (GET/PATCH /api/referrals/commissions)
+export const ReferralCodesPanel: React.FC = () => {
+    const [codes, setCodes] = useState<ReferralCode[]>([]);
+    const [commissions, setCommissions] = useState<ReferralCommission[]>([]);
+    const [commissionFilter, setCommissionFilter] = useState<'pending' | 'approved'>('pending');
+    const [error, setError] = useState<string | null>(null);
+    const [busy, setBusy] = useState<string | null>(null); // Action in flight
+    const [draft, setDraft] = useState({ code: '', ownerEmail: '', kind: 'ambassador' as ReferralCodeCreate['kind'], commissionPercent: '10', discountPercent: '' });
+
+    const fetchCodes = async () => {
+        try {
+            setCodes(await apiRequest<ReferralCode[]>('/referrals/codes') || []);
+            setError(null);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load referral codes');
+        }
+    };
+
+    const fetchCommissions = async () => {
+        try {
+            const data = await apiRequest<{ items: ReferralCommission[] }>(`/referrals/commissions?status=${commissionFilter}&limit=200`);
+            setCommissions(data.items || []);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load commissions');
+        }
+    };
+
+    useEffect(() => {
+        fetchCodes();
+    }, []);
+
+    useEffect(() => {
+        fetchCommissions();
+    }, [commissionFilter]);
+
+    const run = async (key: string, action: () => Promise<any>) => {
+        setBusy(key);
+        try {
+            await action();
+        } catch (err: any) {
+            alert(`Action failed: ${err.message}`);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const createCode = (e: React.FormEvent) => {
+        e.preventDefault();
+        run('create', async () => {
+            const body: ReferralCodeCreate = {
+                kind: draft.kind,
+                commissionPercent: Number(draft.commissionPercent) || 0,
+                ...(draft.code.trim() && { code: draft.code.trim() }),
+                ...(draft.ownerEmail.trim() && { ownerEmail: draft.ownerEmail.trim() }),
+                ...(draft.discountPercent && { discountPercent: Number(draft.discountPercent) })
+            };
+            await apiRequest('/referrals/codes', 'POST', body);
+            setDraft(d => ({ ...d, code: '', ownerEmail: '' }));
+            await fetchCodes();
+        });
+    };
+
+    const updateCode = (code: ReferralCode, changes: ReferralCodeUpdate) =>
+        run(`code:${code.id}`, async () => {
+            await apiRequest(`/referrals/codes/${code.id}`, 'PATCH', changes);
+            await fetchCodes();
+        });
+
+    const updateCommission = (commission: ReferralCommission, status: CommissionUpdate['status']) => {
+        let payoutReference: string | undefined;
+        if (status === 'paid') {
+            const reference = window.prompt('Payout reference (bank transfer, PayPal...)', '');
+            if (reference === null) return;
+            payoutReference = reference;
+        }
+        run(`commission:${commission.id}`, async () => {
+            await apiRequest(`/referrals/commissions/${commission.id}`, 'PATCH', { status, payoutReference } satisfies CommissionUpdate);
+            await fetchCommissions();
+        });
+    };
+
+    const cardClass = 'bg-white dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-800 shadow-sm p-5';
+    const headingClass = 'text-[10px] font-bold uppercase tracking-wider text-slate-500';
+    const inputClass = 'px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 text-sm text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-medical-300';
+    const smallButton = 'px-3 py-1.5 rounded-lg text-xs font-semibold border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors disabled:opacity-40';
+
+    return (
+        <div className="space-y-6">
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+            <form onSubmit={createCode} className={cardClass}>
+                <h3 className={`${headingClass} mb-3`}>New code</h3>
+                <div className="flex flex-wrap gap-3">
+                    <input value={draft.code} onChange={(e) => setDraft({ ...draft, code: e.target.value })} placeholder="Code (generated if empty)" maxLength={32} className={`${inputClass} w-48`} />
+                    <input type="email" value={draft.ownerEmail} onChange={(e) => setDraft({ ...draft, ownerEmail: e.target.value })} placeholder="Ambassador e-mail" className={`${inputClass} flex-1 min-w-[200px]`} />
+                    <select value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value as ReferralCodeCreate['kind'] })} className={inputClass}>
+                        <option value="ambassador">Ambassador</option>
+                        <option value="partner">Partner</option>
+                        <option value="team">Team</option>
+                        <option value="family">Family</option>
+                    </select>
+                    <label className="flex items-center gap-2 text-xs text-slate-500">
+                        Commission %
+                        <input type="number" min={0} max={100} value={draft.commissionPercent} onChange={(e) => setDraft({ ...draft, commissionPercent: e.target.value })} className={`${inputClass} w-20`} />
+                    </label>
+                    <label className="flex items-center gap-2 text-xs text-slate-500">
+                        Discount %
+                        <input type="number" min={0} max={100} value={draft.discountPercent} onChange={(e) => setDraft({ ...draft, discountPercent: e.target.value })} className={`${inputClass} w-20`} />
+                    </label>
+                    <button type="submit" disabled={busy === 'create'} className="px-4 py-2 rounded-lg bg-medical-600 text-white text-sm font-medium hover:bg-medical-700 transition-colors disabled:opacity-50">
+                        Create
+                    </button>
+                </div>
+            </form>
+
+            <div className={cardClass}>
+                <h3 className={`${headingClass} mb-3`}>Codes</h3>
+                {codes.length === 0 && <p className="text-sm text-slate-500 dark:text-slate-400">No referral codes.</p>}
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                            {codes.map(code => (
+                                <tr key={code.id} className={code.active ? '' : 'opacity-50'}>
+                                    <td className="py-2 pr-4">
+                                        <span className="font-mono font-semibold">{code.code}</span>
+                                        <span className="block text-xs text-slate-400">{code.kind}{code.owner_email ? ` · ${code.owner_email}` : ''}</span>
+                                    </td>
+                                    <td className="py-2 pr-4 text-xs text-slate-500 tabular-nums">
+                                        {code.stats.clicks} clicks · {code.stats.signups} signups · {code.stats.trials} trials · {code.stats.conversions} paying
+                                    </td>
+                                    <td className="py-2 pr-4 text-xs text-right tabular-nums">
+                                        {formatAmounts(code.stats.revenue)}
+                                        <span className="block text-slate-400">{code.commission_percent}% → {formatAmounts(code.stats.commission)}</span>
+                                    </td>
+                                    <td className="py-2 text-right">
+                                        <button onClick={() => updateCode(code, { active: !code.active })} disabled={busy === `code:${code.id}`} className={smallButton}>
+                                            {code.active ? 'Deactivate' : 'Activate'}
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className={cardClass}>
+                <div className="flex items-center gap-2 mb-3">
+                    <h3 className={headingClass}>Commissions</h3>
+                    {(['pending', 'approved'] as const).map(f => (
+                        <button
+                            key={f}
+                            onClick={() => setCommissionFilter(f)}
+                            className={`px-2.5 py-1 rounded-full text-xs font-semibold transition-colors ${commissionFilter === f
+                                ? 'bg-medical-600 text-white'
+                                : 'text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800'}`}
+                        >
+                            {f === 'pending' ? 'Pending' : 'Approved'}
+                        </button>
+                    ))}
+                </div>
+                {commissions.length === 0 && <p className="text-sm text-slate-500 dark:text-slate-400">Nothing to review.</p>}
+                <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+                    {commissions.map(commission => (
+                        <li key={commission.id} className="flex flex-wrap items-center gap-3 py-2 text-sm">
+                            <span className="w-28 text-xs text-slate-400">{new Date(commission.created_at).toLocaleDateString()}</span>
+                            <span className="font-mono text-xs">{commission.code}</span>
+                            <span className="text-xs text-slate-400">{commission.stripe_invoice_id}</span>
+                            <span className="flex-1 text-right tabular-nums font-semibold">{formatAmounts({ [commission.currency]: commission.commission_amount })}</span>
+                            <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${COMMISSION_STATUS_STYLES[commission.status]}`}>{commission.status}</span>
+                            {commission.status === 'pending' && (
+                                <button onClick={() => updateCommission(commission, 'approved')} disabled={busy === `commission:${commission.id}`} className={smallButton}>Approve</button>
+                            )}
+                            <button onClick={() => updateCommission(commission, 'paid')} disabled={busy === `commission:${commission.id}`} className={smallButton}>Mark paid</button>
+                            <button onClick={() => updateCommission(commission, 'void')} disabled={busy === `commission:${commission.id}`} className={`${smallButton} text-red-600 dark:text-red-400`}>Void</button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </div>
+    );
+};
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Logo } from './Logo';
+import { PasswordResetConfirm } from '../types';
 import { apiFetch } from '../services/api';
 
 export const ResetPasswordPage = () => {
@@ -48,7 +49,7 @@ export const ResetPasswordPage = () => {
             const data = await apiFetch('/auth/reset-password-confirm', {
                 method: "POST",
                 headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ token, newPassword: password }),
+                body: JSON.stringify({ token, newPassword: password } satisfies PasswordResetConfirm),
             });
 
             // If success is false in the response body (logic error from backend)
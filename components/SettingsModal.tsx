@@ -1,8 +1,9 @@
 
 import React, { useState, useEffect } from 'react';
-import { apiRequest, apiFetch } from '../services/api';
+import { apiRequest, apiFetch, buildShareUrl } from '../services/api';
 import { supabase } from '../services/supabaseClient';
 import { REGIONS_DATA, VOICE_LANGUAGES, PROFESSIONAL_ROLES } from '../constants';
+import { SessionShare, PasswordResetRequest } from '../types';
 
 
 interface SettingsModalProps {
@@ -60,13 +61,46 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({
   const [savingLogo, setSavingLogo] = useState(false);
   const [subscription, setSubscription] = useState<any>(null);
   const [loadingPortal, setLoadingPortal] = useState(false);
+  const [shares, setShares] = useState<SessionShare[]>([]);
+  const [copiedShareId, setCopiedShareId] = useState<string | null>(null);
 
   useEffect(() => {
     if (isOpen && isAuthenticated) {
       fetchUserProfile();
+      fetchShares();
     }
   }, [isOpen, isAuthenticated]);
 
+  const fetchShares = async () => {
+    try {
+      const data = await apiRequest('/sessions/shares');
+      setShares(data || []);
+    } catch (error) {
+      console.error('Error fetching share links:', error);
+    }
+  };
+
+  const handleCopyShare = async (share: SessionShare) => {
+    try {
+      await navigator.clipboard.writeText(buildShareUrl(share.token));
+      setCopiedShareId(share.id);
+      setTimeout(() => setCopiedShareId(null), 2000);
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+    }
+  };
+
+  const handleRevokeShare = async (share: SessionShare) => {
+    if (!confirm('Revoke this link? Anyone who has it will no longer be able to open it.')) return;
+    try {
+      await apiRequest(`/sessions/shares/${share.id}`, 'DELETE');
+      setShares(prev => prev.filter(s => s.id !== share.id));
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      alert('Failed to revoke the link.');
+    }
+  };
+
   const fetchUserProfile = async () => {
     // 1. Fetch from Auth Metadata (Fail-safe)
     try {
@@ -142,7 +176,7 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({
         const data = await apiFetch('/auth/forgot-password', {
           method: "POST",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ email }),
+          body: JSON.stringify({ email } satisfies PasswordResetRequest),
         });
 
         if (data && data.success) {
@@ -310,6 +344,44 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({
                 </div>
               </div>
 
+              {isAuthenticated && (
+                <div className="pt-2">
+                  <h3 className="text-sm font-bold text-slate-900 dark:text-white uppercase tracking-wide mb-4">Shared Links</h3>
+                  {shares.length === 0 ? (
+                    <p className="text-xs text-slate-500 dark:text-slate-400">You have no active share links. Use Share on a consultation or an answer to create one.</p>
+                  ) : (
+                    <ul className="divide-y divide-slate-100 dark:divide-slate-700 border border-slate-200 dark:border-slate-700 rounded-xl">
+                      {shares.map((share) => (
+                        <li key={share.id} className="flex items-center justify-between gap-3 px-4 py-3">
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-slate-800 dark:text-slate-200 truncate">
+                              {share.session_title || 'Consultation'}{share.message_id ? ' (single answer)' : ''}
+                            </p>
+                            <p className="text-[11px] text-slate-500 dark:text-slate-400">
+                              {share.view_count} {share.view_count === 1 ? 'view' : 'views'} · {share.expires_at ? `Expires ${new Date(share.expires_at).toLocaleDateString()}` : 'No expiry'}
+                            </p>
+                          </div>
+                          <div className="flex items-center gap-2 shrink-0">
+                            <button
+                              onClick={() => handleCopyShare(share)}
+                              className="px-3 py-1.5 text-xs font-medium rounded-lg border border-slate-200 dark:border-slate-600 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors"
+                            >
+                              {copiedShareId === share.id ? 'Copied' : 'Copy'}
+                            </button>
+                            <button
+                              onClick={() => handleRevokeShare(share)}
+                              className="px-3 py-1.5 text-xs font-medium rounded-lg border border-red-200 dark:border-red-800/50 text-red-600 dark:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/30 transition-colors"
+                            >
+                              Revoke
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
               <div className="pt-2">
                 <h3 className="text-sm font-bold text-red-600 dark:text-red-400 uppercase tracking-wide mb-4">Data Management</h3>
                 <div className="bg-red-50 dark:bg-red-900/10 border border-red-100 dark:border-red-900/30 rounded-xl p-5">
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { Logo } from './Logo';
+import MarkdownRenderer from './MarkdownRenderer';
+import { apiFetch } from '../services/api';
+import { SharedSnapshot } from '../types';
+
+interface SharedSessionPageProps {
+    token: string;
+    onStart: () => void;
+}
+
+// Public, read-only view of a share link (/s/:token). Served by GET /api/shared/:token, no login needed.
+export const SharedSessionPage: React.FC<SharedSessionPageProps> = ({ token, onStart }) => {
+    const [snapshot, setSnapshot] = useState<SharedSnapshot | null>(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+
+        apiFetch<SharedSnapshot>(`/shared/${encodeURIComponent(token)}`)
+            .then((data) => {
+                if (!cancelled) setSnapshot(data);
+            })
+            .catch((err: any) => {
+                if (cancelled) return;
+                setError(err.status === 404 ? 'This share link does not exist.' : err.message || 'Failed to load the shared conversation.');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => { cancelled = true; };
+    }, [token]);
+
+    const formatDate = (value: string) => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+    return (
+        <div className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-800 dark:text-white font-sans flex flex-col">
+            {/* Navigation */}
+            <nav className="max-w-7xl mx-auto px-6 h-20 flex items-center justify-between w-full sticky top-0 bg-slate-50/80 dark:bg-slate-950/80 backdrop-blur-md z-40 border-b border-slate-100 dark:border-slate-900">
+                <button
+                    onClick={onStart}
+                    className="flex items-center gap-2.5 hover:opacity-80 transition-opacity"
+                >
+                    <div className="w-8 h-8 flex items-center justify-center overflow-hidden text-medical-600">
+                        <Logo className="w-full h-full" />
+                    </div>
+                    <span className="text-xl font-bold tracking-tight text-slate-900 dark:text-white">MDnexa™</span>
+                </button>
+                <button
+                    onClick={onStart}
+                    className="px-5 py-2 rounded-lg bg-medical-600 text-white text-sm font-medium hover:bg-medical-700 transition-colors shadow-lg shadow-medical-600/20"
+                >
+                    Try MDnexa
+                </button>
+            </nav>
+
+            <div className="flex-1 w-full max-w-3xl mx-auto px-4 sm:px-6 py-10">
+                {loading && (
+                    <div className="text-center text-sm text-slate-500 dark:text-slate-400 py-20">Loading shared conversation...</div>
+                )}
+
+                {!loading && error && (
+                    <div className="text-center py-20">
+                        <h1 className="text-2xl font-bold text-slate-900 dark:text-white mb-3">Link unavailable</h1>
+                        <p className="text-slate-500 dark:text-slate-400 mb-6">{error}</p>
+                        <button
+                            onClick={onStart}
+                            className="px-5 py-2 rounded-lg bg-medical-600 text-white text-sm font-medium hover:bg-medical-700 transition-colors"
+                        >
+                            Go to MDnexa
+                        </button>
+                    </div>
+                )}
+
+                {!loading && snapshot && (
+                    <>
+                        <header className="mb-8">
+                            <p className="text-xs font-bold uppercase tracking-wider text-medical-600 dark:text-medical-400 mb-2">
+                                {snapshot.scope === 'message' ? 'Shared answer' : 'Shared consultation'}
+                            </p>
+                            <h1 className="text-2xl md:text-3xl font-bold text-slate-900 dark:text-white mb-2">{snapshot.title}</h1>
+                            <p className="text-sm text-slate-500 dark:text-slate-400">
+                                {snapshot.country === snapshot.region ? snapshot.country : `${snapshot.country}, ${snapshot.region}`} · Shared {formatDate(snapshot.sharedAt)}
+                                {snapshot.expiresAt && <> · Available until {formatDate(snapshot.expiresAt)}</>}
+                            </p>
+                        </header>
+
+                        <div className="space-y-6">
+                            {snapshot.messages.map((message, index) => (
+                                message.role === 'user' ? (
+                                    <div key={index} className="flex justify-end">
+                                        <div className="max-w-[85%] px-4 py-3 rounded-2xl rounded-tr-sm bg-medical-600 text-white text-sm whitespace-pre-wrap">
+                                            {message.text}
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div key={index} className="bg-white dark:bg-slate-800 rounded-2xl rounded-tl-sm border border-slate-100 dark:border-slate-700 shadow-sm px-5 py-4">
+                                        {message.verification?.passed === false && (
+                                            <p className="mb-3 text-[10px] font-bold uppercase tracking-wider text-amber-700 dark:text-amber-400">Unverified Sources</p>
+                                        )}
+                                        <MarkdownRenderer content={message.text} className="prose-sm md:prose-base" />
+                                    </div>
+                                )
+                            ))}
+                        </div>
+
+                        <p className="mt-10 text-xs text-slate-400 dark:text-slate-500 text-center">
+                            Educational Use Only: AI-generated by MDnexa™. Verify against current local guidelines before clinical use.
+                        </p>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
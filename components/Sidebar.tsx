@@ -1,8 +1,10 @@
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { REGIONS_DATA, VOICE_LANGUAGES } from '../constants';
-import { ChatSession } from '../types';
+import { ChatSession, SessionSearchResult } from '../types';
+import { apiRequest } from '../services/api';
 import { Logo } from './Logo';
+import { ExportMenu } from './ExportMenu';
 
 
 interface SidebarProps {
@@ -20,9 +22,10 @@ interface SidebarProps {
     onBackToLanding: () => void;
     sessions: ChatSession[];
     currentSessionId: string;
-    onLoadSession: (session: ChatSession) => void;
+    onLoadSession: (session: ChatSession, focusMessageId?: string) => void;
     onDeleteSession: (id: string, e: React.MouseEvent) => void;
     onToggleFavorite: (id: string) => void;
+    onRenameSession: (id: string, title: string) => void;
     onOpenSettings: () => void;
     onOpenDictionary: () => void;
     onOpenShare: (title: string, text: string, url?: string) => void;
@@ -34,6 +37,10 @@ interface SidebarProps {
     userName: string;
     userRole: string;
     onClearAll: () => void;
+    onExportError?: (message: string) => void;
+    onOpenTeam?: () => void; // Organization workspace, signed-in users only
+    onOpenReferrals?: () => void; // Ambassador dashboard, signed-in users only
+    onOpenAdmin?: () => void; // Only passed for admins
 }
 
 export const Sidebar: React.FC<SidebarProps> = ({
@@ -53,6 +60,7 @@ export const Sidebar: React.FC<SidebarProps> = ({
     onLoadSession,
     onDeleteSession,
     onToggleFavorite,
+    onRenameSession,
     onOpenSettings,
     onOpenDictionary,
     onBackToLanding,
@@ -64,7 +72,11 @@ export const Sidebar: React.FC<SidebarProps> = ({
     onLogout,
     userName,
     userRole,
-    onClearAll
+    onClearAll,
+    onExportError,
+    onOpenTeam,
+    onOpenReferrals,
+    onOpenAdmin
 }) => {
 
     const handleRegionChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
@@ -78,6 +90,124 @@ export const Sidebar: React.FC<SidebarProps> = ({
     const favorites = sessions.filter(s => s.isFavorite);
     const recent = sessions.filter(s => !s.isFavorite);
 
+    // Inline rename (double-click a title or use the pencil button)
+    const [editingSessionId, setEditingSessionId] = useState<string | null>(null);
+    const [editTitle, setEditTitle] = useState('');
+
+    const startRename = (session: ChatSession) => {
+        setEditingSessionId(session.id);
+        setEditTitle(session.title);
+    };
+
+    const commitRename = (session: ChatSession) => {
+        const title = editTitle.trim();
+        setEditingSessionId(null);
+        if (title && title !== session.title) {
+            onRenameSession(session.id, title);
+        }
+    };
+
+    const renderSessionButton = (session: ChatSession) => (
+        editingSessionId === session.id ? (
+            // z-10 keeps the row's hover actions underneath the input while editing
+            <div className="relative z-10 px-3 py-2 rounded border border-medical-500 bg-slate-800">
+                <input
+                    autoFocus
+                    value={editTitle}
+                    maxLength={100}
+                    onChange={(e) => setEditTitle(e.target.value)}
+                    onFocus={(e) => e.target.select()}
+                    onBlur={() => commitRename(session)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') commitRename(session);
+                        if (e.key === 'Escape') setEditingSessionId(null);
+                    }}
+                    className="w-full bg-transparent text-xs font-medium text-white focus:outline-none"
+                />
+                <div className="text-[10px] opacity-50 mt-0.5 font-mono">{session.country.substring(0, 20)}</div>
+            </div>
+        ) : (
+            <button
+                onClick={() => onLoadSession(session)}
+                onDoubleClick={() => startRename(session)}
+                className={`w-full text-left px-3 py-2 rounded border transition-all pr-8 ${session.id === currentSessionId
+                    ? 'bg-slate-800 border-slate-700 text-white shadow-sm'
+                    : 'border-transparent text-slate-400 hover:text-slate-200 hover:bg-slate-800/50'
+                    }`}
+            >
+                <div className="truncate text-xs font-medium">{session.title}</div>
+                <div className="text-[10px] opacity-50 mt-0.5 font-mono">{session.country.substring(0, 20)}</div>
+            </button>
+        )
+    );
+
+    const renameButton = (session: ChatSession) => (
+        <button
+            onClick={(e) => { e.stopPropagation(); startRename(session); }}
+            className="p-1 text-slate-500 hover:text-medical-400"
+            title="Rename"
+        >
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-3.5 h-3.5">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M16.862 4.487l1.687-1.688a1.875 1.875 0 112.652 2.652L10.582 16.07a4.5 4.5 0 01-1.897 1.13L6 18l.8-2.685a4.5 4.5 0 011.13-1.897l8.932-8.931zm0 0L19.5 7.125M18 14v4.75A2.25 2.25 0 0115.75 21H5.25A2.25 2.25 0 013 18.75V8.25A2.25 2.25 0 015.25 6H10" />
+            </svg>
+        </button>
+    );
+
+    // History search (GET /api/sessions/search), saved sessions only
+    const [searchQuery, setSearchQuery] = useState('');
+    const [searchResults, setSearchResults] = useState<SessionSearchResult[]>([]);
+    const [isSearching, setIsSearching] = useState(false);
+    const [searchError, setSearchError] = useState<string | null>(null);
+    const isSearchActive = isAuthenticated && searchQuery.trim().length >= 2;
+
+    useEffect(() => {
+        if (!isSearchActive) {
+            setSearchResults([]);
+            setSearchError(null);
+            return;
+        }
+
+        let cancelled = false;
+        setIsSearching(true);
+        const timer = setTimeout(async () => {
+            try {
+                const data = await apiRequest(`/sessions/search?q=${encodeURIComponent(searchQuery.trim())}`);
+                if (!cancelled) {
+                    setSearchResults(data?.results || []);
+                    setSearchError(null);
+                }
+            } catch (err: any) {
+                if (!cancelled) setSearchError(err.message || 'Search failed');
+            } finally {
+                if (!cancelled) setIsSearching(false);
+            }
+        }, 300);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [searchQuery, isSearchActive]);
+
+    const openSearchMatch = (result: SessionSearchResult, messageId: string) => {
+        const session = sessions.find(s => s.id === result.sessionId) || {
+            id: result.sessionId,
+            title: result.title,
+            messages: [],
+            region,
+            country,
+            updatedAt: new Date(result.updatedAt)
+        };
+        onLoadSession(session, messageId);
+    };
+
+    // Snippets mark matches with <mark>...</mark>; render them as text, never as HTML
+    const renderSnippet = (snippet: string) => snippet.split(/<mark>(.*?)<\/mark>/g).map((part, index) => (
+        index % 2 === 1
+            ? <mark key={index} className="bg-medical-500/30 text-white rounded-sm px-0.5">{part}</mark>
+            : <React.Fragment key={index}>{part}</React.Fragment>
+    ));
+
     return (
         <>
             {/* Mobile Overlay - Only visible on small screens when open */}
@@ -243,8 +373,60 @@ export const Sidebar: React.FC<SidebarProps> = ({
                             </div>
                         </div>
 
+                        {/* History Search */}
+                        {isAuthenticated && sessions.length > 0 && (
+                            <div className="space-y-3 pt-2">
+                                <div className="relative">
+                                    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-3.5 h-3.5 absolute left-2.5 top-1/2 -translate-y-1/2 text-slate-500 pointer-events-none">
+                                        <path strokeLinecap="round" strokeLinejoin="round" d="M21 21l-5.197-5.197m0 0A7.5 7.5 0 105.196 5.196a7.5 7.5 0 0010.607 10.607z" />
+                                    </svg>
+                                    <input
+                                        type="search"
+                                        value={searchQuery}
+                                        onChange={(e) => setSearchQuery(e.target.value)}
+                                        placeholder="Search history..."
+                                        className="w-full bg-slate-800/50 hover:bg-slate-800 border border-slate-700 rounded pl-8 pr-3 py-2 text-xs text-slate-200 placeholder-slate-500 focus:border-medical-500 focus:ring-1 focus:ring-medical-500 focus:outline-none transition-colors"
+                                    />
+                                </div>
+
+                                {isSearchActive && (
+                                    <div className="space-y-2">
+                                        {isSearching && searchResults.length === 0 && (
+                                            <p className="text-[11px] text-slate-500 px-1">Searching...</p>
+                                        )}
+                                        {searchError && (
+                                            <p className="text-[11px] text-red-400 px-1">{searchError}</p>
+                                        )}
+                                        {!isSearching && !searchError && searchResults.length === 0 && (
+                                            <p className="text-[11px] text-slate-500 px-1">No messages match "{searchQuery.trim()}".</p>
+                                        )}
+                                        <ul className="space-y-2">
+                                            {searchResults.map((result) => (
+                                                <li key={result.sessionId} className="rounded border border-slate-800 bg-slate-800/30">
+                                                    <div className="px-3 pt-2 truncate text-xs font-medium text-slate-200">{result.title}</div>
+                                                    <ul className="py-1">
+                                                        {result.matches.slice(0, 3).map((match) => (
+                                                            <li key={match.messageId}>
+                                                                <button
+                                                                    onClick={() => openSearchMatch(result, match.messageId)}
+                                                                    className="w-full text-left px-3 py-1.5 text-[11px] leading-snug text-slate-400 hover:text-slate-200 hover:bg-slate-800/60 transition-colors"
+                                                                >
+                                                                    <span className="text-[9px] uppercase font-bold tracking-wider text-slate-500 mr-1">{match.role === 'user' ? 'Q' : 'A'}</span>
+                                                                    {renderSnippet(match.snippet)}
+                                                                </button>
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
                         {/* Favorites List */}
-                        {favorites.length > 0 && (
+                        {!isSearchActive && favorites.length > 0 && (
                             <div className="space-y-3 pt-2">
                                 <div className="flex items-center justify-between gap-2 pb-2 border-b border-slate-800">
                                     <h2 className="text-[10px] uppercase tracking-widest text-yellow-500/80 font-bold flex items-center gap-1.5">
@@ -257,16 +439,14 @@ export const Sidebar: React.FC<SidebarProps> = ({
                                 <ul className="space-y-1">
                                     {favorites.map((session) => (
                                         <li key={session.id} className="group relative">
-                                            <button
-                                                onClick={() => onLoadSession(session)}
-                                                className={`w-full text-left px-3 py-2 rounded border transition-all pr-8 ${session.id === currentSessionId
-                                                    ? 'bg-slate-800 border-slate-700 text-white shadow-sm'
-                                                    : 'border-transparent text-slate-400 hover:text-slate-200 hover:bg-slate-800/50'
-                                                    }`}
-                                            >
-                                                <div className="truncate text-xs font-medium">{session.title}</div>
-                                                <div className="text-[10px] opacity-50 mt-0.5 font-mono">{session.country.substring(0, 20)}</div>
-                                            </button>
+                                            {renderSessionButton(session)}
+                                            {/* Rename + Export Menu (export: saved sessions only) */}
+                                            {editingSessionId !== session.id && (
+                                                <div className="absolute right-12 top-1/2 -translate-y-1/2 flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+                                                    {renameButton(session)}
+                                                    {isAuthenticated && <ExportMenu sessionId={session.id} onError={onExportError} />}
+                                                </div>
+                                            )}
                                             {/* Star Button */}
                                             <button
                                                 onClick={(e) => { e.stopPropagation(); onToggleFavorite(session.id); }}
@@ -299,7 +479,7 @@ export const Sidebar: React.FC<SidebarProps> = ({
                         )}
 
                         {/* Session History (Non-favorites) */}
-                        {recent.length > 0 && (
+                        {!isSearchActive && recent.length > 0 && (
                             <div className="space-y-3 pt-2">
                                 <div className="flex items-center justify-between gap-2 pb-2 border-b border-slate-800">
                                     <h2 className="text-[10px] uppercase tracking-widest text-slate-500 font-bold">History</h2>
@@ -307,16 +487,7 @@ export const Sidebar: React.FC<SidebarProps> = ({
                                 <ul className="space-y-1">
                                     {recent.map((session) => (
                                         <li key={session.id} className="group relative">
-                                            <button
-                                                onClick={() => onLoadSession(session)}
-                                                className={`w-full text-left px-3 py-2 rounded border transition-all pr-8 ${session.id === currentSessionId
-                                                    ? 'bg-slate-800 border-slate-700 text-white shadow-sm'
-                                                    : 'border-transparent text-slate-400 hover:text-slate-200 hover:bg-slate-800/50'
-                                                    }`}
-                                            >
-                                                <div className="truncate text-xs font-medium">{session.title}</div>
-                                                <div className="text-[10px] opacity-50 mt-0.5 font-mono">{session.country.substring(0, 20)}</div>
-                                            </button>
+                                            {renderSessionButton(session)}
 
                                             <div className="absolute right-2 top-1/2 -translate-y-1/2 flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
                                                 {/* Star Button */}
@@ -329,6 +500,12 @@ export const Sidebar: React.FC<SidebarProps> = ({
                                                         <path strokeLinecap="round" strokeLinejoin="round" d="M11.48 3.499a.562.562 0 011.04 0l2.125 5.111a.563.563 0 00.475.345l5.518.442c.563.045.796.77.398 1.107l-4.154 3.507a.562.562 0 00-.182.557l1.285 5.385a.562.562 0 01-.84.61l-4.725-2.885a.563.563 0 00-.586 0L6.982 20.54a.562.562 0 01-.84-.61l1.285-5.386a.562.562 0 00-.182-.557l-4.154-3.507c-.398-.337-.165-1.062.398-1.107l5.518-.442a.563.563 0 00.475-.345L11.48 3.5z" />
                                                     </svg>
                                                 </button>
+                                                {/* Rename Button */}
+                                                {renameButton(session)}
+                                                {/* Export Menu (saved sessions only) */}
+                                                {isAuthenticated && (
+                                                    <ExportMenu sessionId={session.id} onError={onExportError} />
+                                                )}
                                                 {/* Delete Button */}
                                                 <button
                                                     onClick={(e) => {
@@ -394,6 +571,39 @@ export const Sidebar: React.FC<SidebarProps> = ({
                             </svg>
                             Share MDnexa™
                         </button>
+                        {onOpenTeam && (
+                            <button
+                                onClick={onOpenTeam}
+                                className="w-full flex items-center gap-3 px-3 py-2.5 text-xs font-medium text-slate-400 hover:text-white transition-colors rounded-lg hover:bg-slate-800 group border border-transparent hover:border-slate-700"
+                            >
+                                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5 group-hover:text-medical-400 transition-colors">
+                                    <path strokeLinecap="round" strokeLinejoin="round" d="M18 18.72a9.094 9.094 0 003.741-.479 3 3 0 00-4.682-2.72m.94 3.198l.001.031c0 .225-.012.447-.037.666A11.944 11.944 0 0112 21c-2.17 0-4.207-.576-5.963-1.584A6.062 6.062 0 016 18.719m12 0a5.971 5.971 0 00-.941-3.197m0 0A5.995 5.995 0 0012 12.75a5.995 5.995 0 00-5.058 2.772m0 0a3 3 0 00-4.681 2.72 8.986 8.986 0 003.74.477m.94-3.197a5.971 5.971 0 00-.94 3.197M15 6.75a3 3 0 11-6 0 3 3 0 016 0zm6 3a2.25 2.25 0 11-4.5 0 2.25 2.25 0 014.5 0zm-13.5 0a2.25 2.25 0 11-4.5 0 2.25 2.25 0 014.5 0z" />
+                                </svg>
+                                Team
+                            </button>
+                        )}
+                        {onOpenReferrals && (
+                            <button
+                                onClick={onOpenReferrals}
+                                className="w-full flex items-center gap-3 px-3 py-2.5 text-xs font-medium text-slate-400 hover:text-white transition-colors rounded-lg hover:bg-slate-800 group border border-transparent hover:border-slate-700"
+                            >
+                                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5 group-hover:text-medical-400 transition-colors">
+                                    <path strokeLinecap="round" strokeLinejoin="round" d="M13.19 8.688a4.5 4.5 0 011.242 7.244l-4.5 4.5a4.5 4.5 0 01-6.364-6.364l1.757-1.757m13.35-.622l1.757-1.757a4.5 4.5 0 00-6.364-6.364l-4.5 4.5a4.5 4.5 0 001.242 7.244" />
+                                </svg>
+                                Referrals
+                            </button>
+                        )}
+                        {onOpenAdmin && (
+                            <button
+                                onClick={onOpenAdmin}
+                                className="w-full flex items-center gap-3 px-3 py-2.5 text-xs font-medium text-slate-400 hover:text-white transition-colors rounded-lg hover:bg-slate-800 group border border-transparent hover:border-slate-700"
+                            >
+                                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5 group-hover:text-medical-400 transition-colors">
+                                    <path strokeLinecap="round" strokeLinejoin="round" d="M9 12.75L11.25 15 15 9.75m-3-7.036A11.959 11.959 0 013.598 6 11.99 11.99 0 003 9.749c0 5.592 3.824 10.29 9 11.623 5.176-1.332 9-6.03 9-11.622 0-1.31-.21-2.571-.598-3.751h-.152c-3.196 0-6.1-1.248-8.25-3.285z" />
+                                </svg>
+                                Admin
+                            </button>
+                        )}
                         <button
                             onClick={onOpenSettings}
                             className="w-full flex items-center gap-3 px-3 py-2.5 text-xs font-medium text-slate-400 hover:text-white transition-colors rounded-lg hover:bg-slate-800 group border border-transparent hover:border-slate-700"
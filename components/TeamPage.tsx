@@ -0,0 +1,341 @@
+import React, { useState, useEffect } from 'react';
+import { Logo } from './Logo';
+import { apiRequest } from '../services/api';
+import { supabase } from '../services/supabaseClient';
+import {
+    Organization, OrganizationDetail, OrganizationMember, OrganizationUsage,
+    OrganizationCreate, InvitationCreate, MemberUpdate, SeatsUpdate
+} from '../types';
+
+const FEATURE_LABELS: Record<keyof OrganizationUsage['totals'], string> = {
+    chat: 'Questions',
+    lookup: 'Lookups',
+    speech: 'Read aloud',
+    transcribe: 'Dictation'
+};
+
+interface TeamPageProps {
+    onBack: () => void;
+    onChanged?: () => void; // Seats changed: the caller's own plan may have too
+}
+
+// Organization workspace (/team): members, invitations, seats and usage (GET/POST /api/organizations)
+export const TeamPage: React.FC<TeamPageProps> = ({ onBack, onChanged }) => {
+    const [orgs, setOrgs] = useState<Organization[] | null>(null);
+    const [selectedId, setSelectedId] = useState<string | null>(null);
+    const [detail, setDetail] = useState<OrganizationDetail | null>(null);
+    const [usage, setUsage] = useState<OrganizationUsage | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [busy, setBusy] = useState<string | null>(null); // Action in flight
+    const [newOrgName, setNewOrgName] = useState('');
+    const [inviteEmail, setInviteEmail] = useState('');
+    const [inviteRole, setInviteRole] = useState<InvitationCreate['role']>('member');
+    const [seatDraft, setSeatDraft] = useState('');
+
+    const isManager = detail?.role === 'owner' || detail?.role === 'admin';
+
+    const fetchOrgs = async () => {
+        try {
+            const data = await apiRequest<Organization[]>('/organizations');
+            setOrgs(data || []);
+            setSelectedId(prev => prev && data.some(o => o.id === prev) ? prev : data[0]?.id || null);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load organizations');
+        }
+    };
+
+    const fetchDetail = async (id: string) => {
+        try {
+            const data = await apiRequest<OrganizationDetail>(`/organizations/${id}`);
+            setDetail(data);
+            setSeatDraft(String(data.seats.total || ''));
+            setUsage(data.role === 'member' ? null : await apiRequest<OrganizationUsage>(`/organizations/${id}/usage`));
+            setError(null);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load the organization');
+        }
+    };
+
+    useEffect(() => {
+        fetchOrgs();
+    }, []);
+
+    useEffect(() => {
+        if (selectedId) fetchDetail(selectedId);
+        else setDetail(null);
+    }, [selectedId]);
+
+    const runAction = async (key: string, action: () => Promise<any>) => {
+        setBusy(key);
+        try {
+            await action();
+            if (selectedId) await fetchDetail(selectedId);
+            onChanged?.();
+        } catch (err: any) {
+            alert(err.message || 'Action failed');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const createOrg = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setBusy('create');
+        try {
+            const created = await apiRequest<Organization>('/organizations', 'POST', { name: newOrgName } satisfies OrganizationCreate);
+            setNewOrgName('');
+            await fetchOrgs();
+            setSelectedId(created.id);
+        } catch (err: any) {
+            alert(err.message || 'Failed to create the organization');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const invite = (e: React.FormEvent) => {
+        e.preventDefault();
+        runAction('invite', async () => {
+            const invitation = await apiRequest(`/organizations/${selectedId}/invitations`, 'POST', { email: inviteEmail, role: inviteRole } satisfies InvitationCreate);
+            setInviteEmail('');
+            if (!invitation.emailSent) alert('The invitation was created, but the e-mail could not be sent. Try again later.');
+        });
+    };
+
+    const updateMember = (member: OrganizationMember, changes: MemberUpdate) =>
+        runAction(`member:${member.user_id}`, () => apiRequest(`/organizations/${selectedId}/members/${member.user_id}`, 'PATCH', changes));
+
+    const removeMember = (member: OrganizationMember) => {
+        if (!window.confirm(`Remove ${member.email || 'this member'} from the organization? Their seat is freed.`)) return;
+        runAction(`member:${member.user_id}`, () => apiRequest(`/organizations/${selectedId}/members/${member.user_id}`, 'DELETE'));
+    };
+
+    const leave = async () => {
+        if (!window.confirm('Leave this organization? You lose its seat.')) return;
+        setBusy('leave');
+        try {
+            const { data: { user } } = await supabase.auth.getUser();
+            if (!user) throw new Error('Please sign in again');
+            await apiRequest(`/organizations/${selectedId}/members/${user.id}`, 'DELETE');
+            setSelectedId(null);
+            await fetchOrgs();
+            onChanged?.();
+        } catch (err: any) {
+            alert(err.message || 'Failed to leave the organization');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const buySeats = () => runAction('seats', async () => {
+        const { url } = await apiRequest(`/organizations/${selectedId}/checkout`, 'POST', { seats: Number(seatDraft) } satisfies SeatsUpdate);
+        if (url) window.location.href = url;
+    });
+
+    const changeSeats = () => runAction('seats', () =>
+        apiRequest(`/organizations/${selectedId}/seats`, 'PUT', { seats: Number(seatDraft) } satisfies SeatsUpdate));
+
+    const cardClass = 'bg-white dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-800 shadow-sm p-5';
+    const headingClass = 'text-[10px] font-bold uppercase tracking-wider text-slate-500 mb-3';
+    const inputClass = 'px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 text-sm text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-medical-300';
+    const primaryButton = 'px-4 py-2 rounded-lg bg-medical-600 text-white text-sm font-medium hover:bg-medical-700 transition-colors disabled:opacity-50';
+    const smallButton = 'px-3 py-1.5 rounded-lg text-xs font-semibold border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors disabled:opacity-40';
+
+    const subscriptionLive = ['active', 'trialing', 'past_due'].includes(detail?.organization.subscription_status || '');
+
+    return (
+        <div className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-900 dark:text-white font-sans flex flex-col">
+            {/* Navigation */}
+            <nav className="sticky top-0 z-40 w-full bg-white/80 dark:bg-slate-900/80 backdrop-blur-md border-b border-slate-200 dark:border-slate-800">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+                    <button onClick={onBack} className="flex items-center gap-2 group">
+                        <Logo className="w-8 h-8 text-medical-600" />
+                        <span className="text-xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-medical-600 to-medical-500">
+                            MDnexa Teams
+                        </span>
+                    </button>
+                    <button onClick={onBack} className="text-sm font-semibold text-medical-600 dark:text-medical-400 hover:underline">
+                        Back to chat
+                    </button>
+                </div>
+            </nav>
+
+            <div className="flex-1 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 w-full space-y-6">
+                {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+                {orgs === null && !error && <p className="text-sm text-slate-500 dark:text-slate-400 py-10 text-center">Loading...</p>}
+
+                {orgs && orgs.length > 1 && (
+                    <select value={selectedId || ''} onChange={(e) => setSelectedId(e.target.value)} className={inputClass}>
+                        {orgs.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                    </select>
+                )}
+
+                {orgs && orgs.length === 0 && (
+                    <form onSubmit={createOrg} className={`${cardClass} max-w-xl`}>
+                        <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Create your organization</h1>
+                        <p className="text-sm text-slate-500 dark:text-slate-400 mt-1 mb-4">
+                            Buy seats for your residents and colleagues, invite them by e-mail and follow their usage in one place.
+                        </p>
+                        <div className="flex gap-3">
+                            <input value={newOrgName} onChange={(e) => setNewOrgName(e.target.value)} placeholder="Hospital or clinic name" required maxLength={120} className={`${inputClass} flex-1`} />
+                            <button type="submit" disabled={busy === 'create' || !newOrgName.trim()} className={primaryButton}>Create</button>
+                        </div>
+                    </form>
+                )}
+
+                {detail && (
+                    <>
+                        <header>
+                            <h1 className="text-2xl font-bold text-slate-900 dark:text-white">{detail.organization.name}</h1>
+                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">
+                                You are {detail.role === 'owner' ? 'the owner' : `a${detail.role === 'admin' ? 'n admin' : ' member'}`}
+                                {' · '}{detail.seats.used} of {detail.seats.total} seats assigned
+                                {detail.organization.subscription_status && ` · subscription ${detail.organization.subscription_status}`}
+                            </p>
+                        </header>
+
+                        {/* Seats */}
+                        {isManager && (
+                            <div className={cardClass}>
+                                <h3 className={headingClass}>Seats</h3>
+                                <p className="text-sm text-slate-500 dark:text-slate-400 mb-3">
+                                    {subscriptionLive
+                                        ? 'Members with a seat get unlimited questions. Changes are prorated on your next invoice.'
+                                        : 'Choose how many seats to buy. You are redirected to Stripe to pay.'}
+                                </p>
+                                <div className="flex flex-wrap items-center gap-3">
+                                    <input type="number" min={Math.max(1, detail.seats.used)} max={1000} value={seatDraft} onChange={(e) => setSeatDraft(e.target.value)} className={`${inputClass} w-28`} />
+                                    <button
+                                        onClick={subscriptionLive ? changeSeats : buySeats}
+                                        disabled={busy === 'seats' || !Number(seatDraft) || (subscriptionLive && Number(seatDraft) === detail.seats.total)}
+                                        className={primaryButton}
+                                    >
+                                        {subscriptionLive ? 'Update seat count' : 'Buy seats'}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Members */}
+                        <div className={cardClass}>
+                            <h3 className={headingClass}>Members</h3>
+                            <div className="divide-y divide-slate-100 dark:divide-slate-800">
+                                {detail.members.map(member => (
+                                    <div key={member.user_id} className="flex flex-wrap items-center gap-3 py-3">
+                                        <span className="flex-1 min-w-0 text-sm">
+                                            <span className="font-semibold text-slate-900 dark:text-white">{member.full_name || member.email || 'Unknown user'}</span>
+                                            {member.full_name && member.email && <span className="text-slate-500 dark:text-slate-400"> · {member.email}</span>}
+                                        </span>
+                                        {detail.role === 'owner' && member.role !== 'owner' ? (
+                                            <select
+                                                value={member.role}
+                                                onChange={(e) => updateMember(member, { role: e.target.value as MemberUpdate['role'] })}
+                                                disabled={busy === `member:${member.user_id}`}
+                                                className={inputClass}
+                                            >
+                                                <option value="member">Member</option>
+                                                <option value="admin">Admin</option>
+                                            </select>
+                                        ) : (
+                                            <span className="px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider bg-slate-100 text-slate-600 dark:bg-slate-800 dark:text-slate-400">{member.role}</span>
+                                        )}
+                                        <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${member.has_seat
+                                            ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300'
+                                            : 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300'}`}>
+                                            {member.has_seat ? 'Seat' : 'No seat'}
+                                        </span>
+                                        {isManager && (
+                                            <>
+                                                <button
+                                                    onClick={() => updateMember(member, { hasSeat: !member.has_seat })}
+                                                    disabled={busy === `member:${member.user_id}` || (!member.has_seat && detail.seats.used >= detail.seats.total)}
+                                                    className={smallButton}
+                                                >
+                                                    {member.has_seat ? 'Free seat' : 'Assign seat'}
+                                                </button>
+                                                {member.role !== 'owner' && (detail.role === 'owner' || member.role === 'member') && (
+                                                    <button onClick={() => removeMember(member)} disabled={busy === `member:${member.user_id}`} className={`${smallButton} text-red-600 dark:text-red-400`}>
+                                                        Remove
+                                                    </button>
+                                                )}
+                                            </>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                            {detail.role !== 'owner' && (
+                                <button onClick={leave} disabled={busy === 'leave'} className={`${smallButton} mt-4`}>Leave organization</button>
+                            )}
+                        </div>
+
+                        {/* Invitations */}
+                        {isManager && (
+                            <div className={cardClass}>
+                                <h3 className={headingClass}>Invite members</h3>
+                                <form onSubmit={invite} className="flex flex-wrap gap-3 mb-4">
+                                    <input type="email" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} placeholder="colleague@hospital.org" required className={`${inputClass} flex-1 min-w-[200px]`} />
+                                    {detail.role === 'owner' && (
+                                        <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value as InvitationCreate['role'])} className={inputClass}>
+                                            <option value="member">Member</option>
+                                            <option value="admin">Admin</option>
+                                        </select>
+                                    )}
+                                    <button type="submit" disabled={busy === 'invite'} className={primaryButton}>Send invitation</button>
+                                </form>
+                                {detail.invitations.length === 0 && <p className="text-sm text-slate-500 dark:text-slate-400">No pending invitations.</p>}
+                                <ul className="space-y-2">
+                                    {detail.invitations.map(invitation => (
+                                        <li key={invitation.id} className="flex flex-wrap items-center gap-3 text-sm">
+                                            <span className="flex-1 min-w-0 text-slate-800 dark:text-slate-200">{invitation.email} <span className="text-xs text-slate-400">({invitation.role})</span></span>
+                                            <span className="text-xs text-slate-400">expires {new Date(invitation.expires_at).toLocaleDateString()}</span>
+                                            <button
+                                                onClick={() => runAction(`invitation:${invitation.id}`, () => apiRequest(`/organizations/${selectedId}/invitations/${invitation.id}`, 'DELETE'))}
+                                                disabled={busy === `invitation:${invitation.id}`}
+                                                className={smallButton}
+                                            >
+                                                Withdraw
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {/* Usage */}
+                        {usage && (
+                            <div className={cardClass}>
+                                <h3 className={headingClass}>Usage since {new Date(usage.periodStart).toLocaleDateString()}</h3>
+                                <div className="overflow-x-auto">
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+                                                <th className="py-2 pr-4 font-semibold">Member</th>
+                                                {Object.entries(FEATURE_LABELS).map(([feature, label]) => <th key={feature} className="py-2 pr-4 font-semibold text-right">{label}</th>)}
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                                            {usage.members.map(member => (
+                                                <tr key={member.user_id}>
+                                                    <td className="py-2 pr-4 text-slate-800 dark:text-slate-200">{member.full_name || member.email || 'Unknown user'}</td>
+                                                    {Object.keys(FEATURE_LABELS).map(feature => (
+                                                        <td key={feature} className="py-2 pr-4 text-right tabular-nums">{member.usage[feature as keyof OrganizationUsage['totals']]}</td>
+                                                    ))}
+                                                </tr>
+                                            ))}
+                                            <tr className="font-semibold">
+                                                <td className="py-2 pr-4">Total</td>
+                                                {Object.keys(FEATURE_LABELS).map(feature => (
+                                                    <td key={feature} className="py-2 pr-4 text-right tabular-nums">{usage.totals[feature as keyof OrganizationUsage['totals']]}</td>
+                                                ))}
+                                            </tr>
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
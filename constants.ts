@@ -225,6 +225,15 @@ export const isWelcomeMessage = (text: string): boolean => {
   return Object.values(MULTILINGUAL_WELCOME_MESSAGES).includes(text);
 };
 
+// Inaccuracy report categories (backend/utils/messageFeedback.js)
+export const FEEDBACK_CATEGORIES: Record<string, string> = {
+  dosage: 'Wrong dosage',
+  outdated_guideline: 'Outdated guideline',
+  wrong_locale: "Wrong country's guideline",
+  hallucinated_source: 'Hallucinated source',
+  other: 'Other'
+};
+
 export const isArabic = (language: string): boolean => {
   return language.includes("Arabic") || language.includes("ar");
 };
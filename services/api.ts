@@ -1,4 +1,5 @@
 import { supabase } from './supabaseClient';
+import type { ValidationIssue } from '../types';
 
 const API_BASE_PATH = '/api';
 
@@ -7,6 +8,23 @@ export function buildApiUrl(path: string): string {
     return `${API_BASE_PATH}${cleanPath}`;
 }
 
+// Public link for a share token (rendered by SharedSessionPage at /s/:token)
+export function buildShareUrl(token: string): string {
+    return `${window.location.origin}/s/${encodeURIComponent(token)}`;
+}
+
+// Anonymous per-browser id. The backend counts guest quotas by IP and by this id.
+export function getDeviceId(): string {
+    let deviceId = localStorage.getItem('mdnexa_device_id');
+    if (!deviceId) {
+        deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+        localStorage.setItem('mdnexa_device_id', deviceId);
+    }
+    return deviceId;
+}
+
 export async function apiFetch<T = any>(
     path: string,
     options: RequestInit = {}
@@ -16,18 +34,13 @@ export async function apiFetch<T = any>(
         ...options,
         headers: {
             'Content-Type': 'application/json',
+            'X-Device-Id': getDeviceId(),
             ...(options.headers || {}),
         },
     });
 
     if (!res.ok) {
-        let payload: any = null;
-        try { payload = await res.json(); } catch { }
-        const message = payload?.message || payload?.error || `API error ${res.status}`;
-        const error = new Error(message);
-        (error as any).status = res.status;
-        (error as any).code = payload?.error || payload?.code; // Preserve error code if present
-        throw error;
+        throw await toApiError(res);
     }
 
     try {
@@ -37,12 +50,134 @@ export async function apiFetch<T = any>(
     }
 }
 
-export async function apiRequest(
+// Thrown by the helpers below for non-2xx responses
+export interface ApiError extends Error {
+    status: number;
+    code?: string; // e.g. LIMIT_REACHED, RATE_LIMITED, VALIDATION_ERROR
+    requestId: string | null; // For bug reports: matches the backend logs
+    issues?: ValidationIssue[]; // VALIDATION_ERROR: one entry per invalid field
+}
+
+// Error bodies of the backend: { error } plus, depending on the endpoint, message / code / issues
+interface ApiErrorPayload {
+    error?: string;
+    message?: string;
+    code?: string;
+    requestId?: string;
+    issues?: ValidationIssue[];
+}
+
+async function toApiError(res: Response): Promise<ApiError> {
+    let payload: ApiErrorPayload | null = null;
+    try { payload = await res.json(); } catch { }
+    const error = new Error(payload?.message || payload?.error || `API error ${res.status}`) as ApiError;
+    error.status = res.status;
+    error.code = payload?.error || payload?.code; // Preserve error code if present
+    error.requestId = payload?.requestId || res.headers.get('X-Request-Id');
+    error.issues = payload?.issues;
+    return error;
+}
+
+/**
+ * POSTs/GETs an endpoint that answers with Server-Sent Events and calls onEvent for every frame.
+ * Non-2xx responses are thrown the same way as apiFetch (message, status, code).
+ * Resolves when the server closes the stream; rejects with AbortError if options.signal aborts.
+ */
+export async function apiEventStream(
+    path: string,
+    options: RequestInit,
+    onEvent: (event: string, data: any) => void
+): Promise<void> {
+    const url = buildApiUrl(path);
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'text/event-stream',
+            'X-Device-Id': getDeviceId(),
+            ...(options.headers || {}),
+        },
+    });
+
+    if (!res.ok) {
+        throw await toApiError(res);
+    }
+
+    if (!res.body) {
+        throw new Error('Streaming not supported by this browser');
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Frames are separated by a blank line
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            const dataLines: string[] = [];
+            for (const line of frame.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+            }
+
+            if (dataLines.length > 0) {
+                let data: any = dataLines.join('\n');
+                try { data = JSON.parse(data); } catch { }
+                onEvent(event, data);
+            }
+
+            boundary = buffer.indexOf('\n\n');
+        }
+    }
+}
+
+/**
+ * GETs a file from the API (authenticated like apiRequest) and saves it in the browser.
+ * The filename comes from the Content-Disposition header when the server sets one.
+ */
+export async function apiDownload(path: string, fallbackFilename: string): Promise<void> {
+    const { data: { session } } = await supabase.auth.getSession();
+    const headers: Record<string, string> = { 'X-Device-Id': getDeviceId() };
+    if (session?.access_token) {
+        headers['Authorization'] = `Bearer ${session.access_token}`;
+    }
+
+    const res = await fetch(buildApiUrl(path), { headers });
+    if (!res.ok) {
+        throw await toApiError(res);
+    }
+
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const filename = /filename="?([^";]+)"?/.exec(disposition)?.[1] || fallbackFilename;
+
+    const blob = await res.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Request body types for the validated endpoints are exported from types.ts
+export async function apiRequest<T = any>(
     path: string,
     method: string = 'GET',
-    body?: any,
+    body?: object,
     customToken?: string
-): Promise<any> {
+): Promise<T> {
     try {
         // Get the current session or use custom token
         let token = customToken;
@@ -72,7 +207,7 @@ export async function apiRequest(
 
         // Make the request using apiFetch
         // apiFetch returns T (the data) directly now.
-        return await apiFetch(path, options);
+        return await apiFetch<T>(path, options);
 
     } catch (error) {
         console.error('API Request Error:', error);
@@ -1,6 +1,6 @@
 
-import { GenerateStreamParams } from "../types";
-import { apiFetch } from "./api";
+import { GenerateStreamParams, ChatResponse, ChatMessageRequest, SpeechRequest, TranscribeRequest, LookupRequest, RelatedQuestionsRequest } from "../types";
+import { apiFetch, apiEventStream } from "./api";
 
 // --- Audio Decoding Helpers for Gemini TTS ---
 
@@ -16,6 +16,15 @@ function decodeBase64(base64: string): Uint8Array {
 
 // ---------------------------------------------
 
+// Sends the user's token when logged in so quotas are counted against their plan instead of as a guest
+const authHeaders = (): Record<string, string> => {
+  const token = localStorage.getItem('token');
+  if (token && token !== 'null' && token !== 'undefined') {
+    return { 'Authorization': `Bearer ${token}` };
+  }
+  return {};
+};
+
 export const generateSpeech = async (text: string): Promise<Uint8Array | null> => {
   // Truncate to avoid payload limits (4500 chars is a safe limit for stability)
   const safeText = text.slice(0, 4500);
@@ -23,7 +32,8 @@ export const generateSpeech = async (text: string): Promise<Uint8Array | null> =
   try {
     const data = await apiFetch<{ audioData: string }>('/gemini/speech', {
       method: 'POST',
-      body: JSON.stringify({ text: safeText })
+      headers: authHeaders(),
+      body: JSON.stringify({ text: safeText } satisfies SpeechRequest)
     });
 
     if (!data || !data.audioData) return null;
@@ -42,7 +52,8 @@ export const transcribeAudio = async (audioBase64: string, mimeType: string, lan
 
     const data = await apiFetch<{ text: string }>('/gemini/transcribe', {
       method: 'POST',
-      body: JSON.stringify({ audioBase64, mimeType: safeMimeType, languageCode })
+      headers: authHeaders(),
+      body: JSON.stringify({ audioBase64, mimeType: safeMimeType, languageCode } satisfies TranscribeRequest)
     });
     return data && data.text ? data.text : "";
   } catch (error) {
@@ -55,7 +66,8 @@ export const lookupMedicalTerm = async (term: string, region: string = 'Internat
   try {
     const data = await apiFetch<{ text: string }>('/gemini/lookup', {
       method: 'POST',
-      body: JSON.stringify({ term, region, language })
+      headers: authHeaders(),
+      body: JSON.stringify({ term, region, language } satisfies LookupRequest)
     });
     return data && data.text ? data.text : "Definition not found.";
   } catch (error) {
@@ -75,42 +87,67 @@ export const streamChatResponse = async ({
   onChunk,
   signal,
   sessionId,
-}: GenerateStreamParams): Promise<string> => {
+  parentMessageId,
+  editMessageId,
+  regenerateMessageId,
+  model,
+}: GenerateStreamParams): Promise<ChatResponse> => {
 
   try {
-    const token = localStorage.getItem('token');
-
     const headers: Record<string, string> = {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...authHeaders()
     };
 
-    if (token && token !== 'null' && token !== 'undefined') {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
+    let fullText = '';
+    let streamError: string | null = null;
+    let result: Omit<ChatResponse, 'text'> = { citations: [], guidelines: [] };
 
-    const data = await apiFetch<{ text: string }>('/chat/message', {
+    await apiEventStream('/chat/message/stream', {
       method: 'POST',
       headers,
       body: JSON.stringify({
         message: newMessage,
-        history,
+        // Saved sessions: the backend loads the history from the database itself
+        history: sessionId ? undefined : history,
         region,
         country,
         userRole,
         language,
         isShortAnswer,
-        sessionId
-      }),
+        sessionId,
+        parentMessageId,
+        editMessageId,
+        regenerateMessageId,
+        model
+      } satisfies ChatMessageRequest),
       signal
+    }, (event, data) => {
+      if (event === 'chunk' && data?.text) {
+        fullText += data.text;
+        onChunk(fullText);
+      } else if (event === 'done') {
+        result = {
+          model: data?.model,
+          citations: data?.citations || [],
+          verification: data?.verification,
+          guidelines: data?.guidelines || [],
+          messageIds: data?.messageIds || null
+        };
+      } else if (event === 'error') {
+        streamError = data?.error || 'AI Generation Failed';
+      }
     });
 
-    if (!data || !data.text) {
+    if (streamError) {
+      throw new Error(streamError);
+    }
+
+    if (!fullText) {
       throw new Error('Invalid response format');
     }
 
-    const fullText = data.text;
-    onChunk(fullText);
-    return fullText;
+    return { text: fullText, ...result };
 
   } catch (error: any) {
     if (error instanceof DOMException && error.name === 'AbortError') {
@@ -119,7 +156,7 @@ export const streamChatResponse = async ({
     console.error("DEBUG: Backend Chat API Error Details:", {
       message: error.message,
       stack: error.stack,
-      url: '/chat/message'
+      url: '/chat/message/stream'
     });
     throw error;
   }
@@ -134,7 +171,7 @@ export const generateRelatedQuestions = async (
   try {
     const data = await apiFetch<string[]>('/gemini/related', {
       method: 'POST',
-      body: JSON.stringify({ lastMessage, lastResponse, userRole, language })
+      body: JSON.stringify({ lastMessage, lastResponse, userRole, language } satisfies RelatedQuestionsRequest)
     });
     return Array.isArray(data) ? data : [];
   } catch (error) {
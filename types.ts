@@ -1,3 +1,5 @@
+import type { FeedbackCreate } from './backend/schemas/feedback';
+
 
 export enum Role {
   USER = 'user',
@@ -10,6 +12,279 @@ export interface Message {
   text: string;
   timestamp: Date;
   isError?: boolean;
+  citations?: Citation[];
+  verification?: CitationVerification;
+  guidelines?: GuidelineSource[];
+  // Ids of the alternative versions of this message (regenerated answers / edited questions), oldest first
+  siblingIds?: string[];
+}
+
+// Structured entry from an answer's "Sources" list (backend/utils/citations.js)
+export interface Citation {
+  raw: string;
+  issuingBody: string | null;
+  guidelineName: string | null;
+  year: number | null;
+  country: string | null; // Country, region name or 'International'
+}
+
+export interface CitationIssue {
+  type: 'MISSING_SOURCES' | 'PLACEHOLDER' | 'COUNTRY_MISMATCH';
+  message: string;
+  citation?: string;
+}
+
+export interface CitationVerification {
+  passed: boolean;
+  issues: CitationIssue[];
+}
+
+// Stored guideline library document an answer was grounded on
+export interface GuidelineSource {
+  id: string;
+  title: string;
+  issuingBody: string | null;
+  country: string | null;
+  region: string | null;
+  specialty: string | null;
+  year: number | null;
+  sourceUrl: string | null;
+  cited: boolean; // Whether the answer's Sources list cites it
+}
+
+export interface ChatResponse {
+  text: string;
+  model?: string;
+  citations: Citation[];
+  verification?: CitationVerification;
+  guidelines: GuidelineSource[];
+  messageIds?: { user: string | null; model: string | null } | null; // Stored ids (logged-in users with a session)
+}
+
+// Public share link (GET /api/sessions/shares)
+export interface SessionShare {
+  id: string;
+  token: string;
+  session_id: string;
+  message_id: string | null; // Set when a single answer is shared
+  session_title?: string | null;
+  expires_at: string | null;
+  view_count: number;
+  last_viewed_at?: string | null;
+  created_at: string;
+}
+
+// Answer feedback (POST /api/feedback); a category makes it an inaccuracy report
+export type FeedbackCategory = 'dosage' | 'outdated_guideline' | 'wrong_locale' | 'hallucinated_source' | 'other';
+export type FeedbackStatus = 'new' | 'triaged' | 'resolved' | 'dismissed';
+
+export type FeedbackInput = Omit<FeedbackCreate, 'messageId'>;
+
+// Admin review queue entry (GET /api/feedback/admin)
+export interface FeedbackItem {
+  id: string;
+  kind: 'rating' | 'report';
+  rating: 'up' | 'down' | null;
+  category: FeedbackCategory | null;
+  comment: string | null;
+  message_id: string | null;
+  session_id: string | null;
+  reporter_email: string | null;
+  question: string | null;
+  answer: string | null;
+  model: string | null;
+  country: string | null;
+  region: string | null;
+  status: FeedbackStatus;
+  admin_notes: string | null;
+  reviewed_at: string | null;
+  created_at: string;
+}
+
+// GET /api/admin/ops
+export interface FeatureFlag {
+  feature_name: string;
+  is_enabled: boolean;
+  disabled_reason: string | null;
+  last_disabled_at: string | null;
+  auto_reenable_at: string | null; // Next recovery probe (breaker-disabled flags only)
+  recovery_attempts: number;
+}
+
+// GET /api/admin/flags/history
+export interface FlagHistoryEvent {
+  id: string;
+  feature_name: string;
+  event: 'disabled' | 'enabled' | 'probe_failed';
+  reason: string | null;
+  actor: string;
+  next_probe_at: string | null;
+  created_at: string;
+}
+
+export interface BreakerState {
+  name: string;
+  state: 'CLOSED' | 'OPEN' | 'HALF_OPEN';
+  failures: number;
+  failureThreshold: number;
+  cooldownPeriod: number;
+  nextAttempt: string | null;
+}
+
+export interface AiStatus {
+  provider: string;
+  keyCount: number;
+  currentKeyIndex: number;
+  models: string[];
+  forcedModel: string | null;
+  breakers: BreakerState[];
+}
+
+// GET /api/referrals/validate
+export interface ReferralValidation {
+  valid: boolean;
+  message?: string; // Why the code can't be used (valid: false)
+  code?: string;
+  kind?: 'ambassador' | 'team' | 'family' | 'partner';
+  promo_code?: string | null;
+  discount_percent?: number | null;
+  free_access?: boolean; // Signup skips the checkout
+}
+
+// POST /api/auth/signup
+export interface SignupResponse {
+  success: true;
+  user: { id: string; email: string };
+  // Redemption of referralCode; anything but 'redeemed' means the code was not applied
+  referral: {
+    code: string;
+    status: 'redeemed' | 'already_redeemed' | 'not_found' | 'inactive' | 'expired' | 'exhausted' | 'error';
+    message?: string;
+  } | null;
+}
+
+// Amounts in the smallest currency unit, by currency (e.g. { usd: 3800 })
+export type CurrencyAmounts = Record<string, number>;
+
+// GET /api/referrals/me and GET /api/referrals/codes
+export interface ReferralCode {
+  id: string;
+  code: string;
+  kind: 'ambassador' | 'team' | 'family' | 'partner';
+  discount_percent: number | null;
+  commission_percent: number;
+  max_uses: number; // 0 = unlimited
+  redemption_count: number;
+  active: boolean;
+  expires_at: string | null;
+  created_at: string;
+  owner_email?: string | null; // Admin list only
+  stats: {
+    clicks: number;
+    signups: number;
+    trials: number;
+    conversions: number;
+    revenue: CurrencyAmounts;
+    commission: CurrencyAmounts;
+  };
+}
+
+export interface AmbassadorDashboard {
+  codes: ReferralCode[];
+  payouts: Record<'pending' | 'approved' | 'paid', CurrencyAmounts>;
+}
+
+// GET /api/referrals/me/commissions and GET /api/referrals/commissions
+export interface ReferralCommission {
+  id: string;
+  code: string | null;
+  stripe_invoice_id: string;
+  invoice_amount: number;
+  currency: string;
+  commission_percent: number;
+  commission_amount: number;
+  status: 'pending' | 'approved' | 'paid' | 'void';
+  payout_reference: string | null;
+  paid_at: string | null;
+  created_at: string;
+}
+
+// GET /api/crm/contacts (pipeline, manage_crm)
+export interface CrmContact {
+  id: string;
+  email: string;
+  name: string | null;
+  source: string | null;
+  notes: string | null;
+  stage: 'lead' | 'trial' | 'paying' | 'churned';
+  tags: string[];
+  user_id: string | null; // MDnexa account of the contact, once they signed up
+  owner_id: string | null; // User who added the contact through the contact form
+  opt_in_status: 'none' | 'pending' | 'confirmed' | 'unsubscribed'; // Newsletter double opt-in
+  created_at: string;
+  last_activity_at: string;
+}
+
+// Timeline of GET /api/crm/contacts/:id
+export interface CrmActivity {
+  id: string;
+  contact_id: string;
+  type: 'created' | 'form' | 'note' | 'updated' | 'stage_changed' | 'signup' | 'imported' | 'merged'
+    | 'opt_in_requested' | 'opt_in_confirmed' | 'unsubscribed';
+  summary: string | null;
+  data: Record<string, any>;
+  actor_id: string | null;
+  created_at: string;
+}
+
+// POST /api/crm/contacts/import
+export interface CrmImportResult {
+  created: number;
+  updated: number;
+  skipped: { line: number; reason: string }[];
+}
+
+// GET /api/admin/stripe-events
+export interface StripeEvent {
+  id: string;
+  type: string;
+  status: 'processing' | 'processed' | 'ignored' | 'failed';
+  attempts: number;
+  last_error: string | null;
+  received_at: string;
+  updated_at: string;
+  processed_at: string | null;
+}
+
+// Redacted snapshot served at GET /api/shared/:token
+export interface SharedSnapshot {
+  scope: 'session' | 'message';
+  title: string;
+  region: string;
+  country: string;
+  createdAt: string;
+  sharedAt: string;
+  expiresAt: string | null;
+  messages: {
+    role: 'user' | 'model';
+    text: string;
+    timestamp: string;
+    citations: Citation[];
+    verification: CitationVerification | null;
+  }[];
+}
+
+// GET /api/sessions/search — snippets contain <mark>...</mark> around the matched terms
+export interface SessionSearchResult {
+  sessionId: string;
+  title: string;
+  updatedAt: string;
+  matches: {
+    messageId: string;
+    role: 'user' | 'model';
+    snippet: string;
+    createdAt: string;
+  }[];
 }
 
 export interface ChatSession {
@@ -33,4 +308,105 @@ export interface GenerateStreamParams {
   onChunk: (text: string) => void;
   signal?: AbortSignal;
   sessionId?: string;
+  // Saved sessions: where the turn goes in the message tree (backend/utils/messageTree.js)
+  parentMessageId?: string;
+  editMessageId?: string;
+  regenerateMessageId?: string;
+  model?: string; // Force one model of GET /api/chat/models
+}
+
+export interface FeatureUsage {
+  limit: number | null; // null = unlimited
+  used: number;
+  remaining: number | null;
+  window: 'day' | 'month';
+  resetsAt: string;
 }
+
+// GET /api/usage
+export interface UsageSummary {
+  plan: 'guest' | 'free' | 'premium' | 'unlimited';
+  features: Record<'chat' | 'lookup' | 'speech' | 'transcribe', FeatureUsage>;
+}
+
+export type OrganizationRole = 'owner' | 'admin' | 'member';
+
+// organizations row (GET /api/organizations adds the caller's role and seat)
+export interface Organization {
+  id: string;
+  name: string;
+  owner_id: string;
+  seat_count: number;
+  subscription_status: string | null;
+  current_period_end: string | null;
+  created_at: string;
+  role?: OrganizationRole;
+  has_seat?: boolean;
+}
+
+export interface OrganizationMember {
+  user_id: string;
+  email: string | null;
+  full_name: string | null;
+  role: OrganizationRole;
+  has_seat: boolean;
+  seat_assigned_at: string | null;
+  created_at: string;
+}
+
+export interface OrganizationInvitation {
+  id: string;
+  email: string;
+  role: Exclude<OrganizationRole, 'owner'>;
+  expires_at: string;
+  created_at: string;
+  emailSent?: boolean; // Only on creation
+}
+
+export interface SeatSummary {
+  total: number;
+  used: number;
+}
+
+// GET /api/organizations/:id
+export interface OrganizationDetail {
+  organization: Organization;
+  role: OrganizationRole;
+  seats: SeatSummary;
+  members: OrganizationMember[];
+  invitations: OrganizationInvitation[]; // Owners and admins only
+}
+
+// GET /api/organizations/:id/usage (this month)
+export interface OrganizationUsage {
+  periodStart: string;
+  resetsAt: string;
+  seats: SeatSummary;
+  totals: Record<keyof UsageSummary['features'], number>;
+  members: (Pick<OrganizationMember, 'user_id' | 'email' | 'full_name' | 'role' | 'has_seat'> & { usage: Record<keyof UsageSummary['features'], number> })[];
+}
+
+// GET /api/organizations/invitations/:token
+export interface InvitationPreview {
+  organizationName: string | null;
+  email: string;
+  role: Exclude<OrganizationRole, 'owner'>;
+  status: 'pending' | 'accepted' | 'revoked' | 'expired';
+  expiresAt: string;
+}
+
+// Request bodies, inferred from the backend's zod schemas (backend/schemas/) so client and server agree
+export type { FeedbackCreate, FeedbackTriage } from './backend/schemas/feedback';
+export type { PreferencesUpdate } from './backend/schemas/settings';
+export type { SessionCreate, SessionRename, ActiveMessageUpdate, ShareCreate } from './backend/schemas/sessions';
+export type { ChatMessageRequest } from './backend/schemas/chat';
+export type { SpeechRequest, TranscribeRequest, LookupRequest, RelatedQuestionsRequest } from './backend/schemas/gemini';
+export type { FlagUpdate, ModelUpdate } from './backend/schemas/admin';
+export type { SignupRequest, PasswordResetRequest, PasswordResetConfirm } from './backend/schemas/auth';
+export type { ContactCreate, LeadCreate, PipelineUpdate, ActivityCreate, ContactMerge, ContactImport, NewsletterToken } from './backend/schemas/crm';
+export type { ReferralClick, ReferralCodeCreate, ReferralCodeUpdate, CommissionUpdate } from './backend/schemas/referrals';
+export type { OrganizationCreate, InvitationCreate, MemberUpdate, SeatsUpdate } from './backend/schemas/organizations';
+export type { ValidationIssue } from './backend/utils/validate';
+
+// GET /api/users/me/permissions
+export type { Permission, UserPermissions } from './backend/utils/permissions';